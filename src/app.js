@@ -3,12 +3,12 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const compression = require("compression");
-// const rateLimit = require('express-rate-limit'); // Rate limiting removed as per requirements
 const swaggerUi = require("swagger-ui-express");
 const YAML = require("yamljs");
 const path = require("path");
 
 const config = require("./config/config");
+const { closePool } = require("./config/database");
 const weatherRoutes = require("./routes/weatherRoutes");
 const healthRoutes = require("./routes/healthRoutes");
 const geomagneticRoutes = require("./routes/geomagneticRoutes");
@@ -18,11 +18,25 @@ const openaqRoutes = require("./routes/openaqRoutes");
 const epicRoutes = require("./routes/epicRoutes");
 const apodRoutes = require("./routes/apodRoutes");
 const authRoutes = require("./routes/authRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const savedLocationRoutes = require("./routes/savedLocationRoutes");
+const dashboardRoutes = require("./routes/dashboardRoutes");
+const metricsRoutes = require("./routes/metricsRoutes");
+const metricsMiddleware = require("./middleware/metricsMiddleware");
+const requestIdMiddleware = require("./middleware/requestIdMiddleware");
+const authMiddleware = require("./middleware/authMiddleware");
+const rateLimitMiddleware = require("./middleware/rateLimitMiddleware");
+const logger = require("./utils/logger");
 const ErrorHandler = require("./middleware/errorHandler");
 
+// MFA bodies carry one-time codes under generic names, so they are never logged
+const UNLOGGED_BODY_PATHS = /^\/api\/auth\/(login\/)?mfa(\/|\?|$)/;
+
 class App {
   constructor() {
     this.app = express();
+    this.app.set("trust proxy", config.server.trustProxy);
     this.setupMiddleware();
     this.setupSwagger();
     this.setupRoutes();
@@ -30,6 +44,11 @@ class App {
   }
 
   setupMiddleware() {
+    // Metrics middleware (first, so every request is timed)
+    if (config.metrics.enabled) {
+      this.app.use(metricsMiddleware);
+    }
+
     // Security middleware
     this.app.use(
       helmet({
@@ -46,13 +65,11 @@ class App {
         origin: config.cors.origin,
         methods: config.cors.methods,
         allowedHeaders: config.cors.allowedHeaders,
+        exposedHeaders: config.cors.exposedHeaders,
         credentials: false,
       })
     );
 
-    // Rate limiting removed as per requirements
-    // Previously had rate limiting here, but removed for this implementation
-
     // Body parsing middleware
     this.app.use(
       express.json({
@@ -68,21 +85,32 @@ class App {
       })
     );
 
-    // Request logging middleware (development only)
-    if (config.server.env === "development") {
-      this.app.use((req, res, next) => {
-        console.log(
-          `${new Date().toISOString()} - ${req.method} ${req.originalUrl}`
-        );
-        if (Object.keys(req.query).length > 0) {
-          console.log("Query params:", req.query);
-        }
-        if (req.method === "POST" && req.body) {
-          console.log("Request body:", JSON.stringify(req.body, null, 2));
-        }
-        next();
+    // Request ID middleware (after body parsing, which would lose the logging context)
+    this.app.use(requestIdMiddleware);
+
+    // Request logging middleware
+    this.app.use((req, res, next) => {
+      const startTime = Date.now();
+
+      logger.debug("Request received", {
+        method: req.method,
+        url: req.originalUrl,
+        query: req.query,
+        body: UNLOGGED_BODY_PATHS.test(req.originalUrl) ? undefined : req.body,
       });
-    }
+
+      res.on("finish", () => {
+        logger.info("Request completed", {
+          requestId: req.id,
+          method: req.method,
+          url: req.originalUrl,
+          statusCode: res.statusCode,
+          durationMs: Date.now() - startTime,
+        });
+      });
+
+      next();
+    });
 
     // Request timeout middleware
     this.app.use((req, res, next) => {
@@ -97,16 +125,30 @@ class App {
   }
 
   setupRoutes() {
+    // Health probes are not rate limited
+    this.app.use("/api/health", healthRoutes);
+
+    // Rate limits and quotas, charged to the user, API key or client IP
+    this.app.use("/api", authMiddleware.optional, rateLimitMiddleware);
+
     // API Routes
+    this.app.use("/api/auth/locations", savedLocationRoutes);
     this.app.use("/api/auth", authRoutes);
     this.app.use("/api/weather", weatherRoutes);
-    this.app.use("/api/health", healthRoutes);
     this.app.use("/api/geomagnetic", geomagneticRoutes);
     this.app.use("/api/asteroids", asteroidRoutes);
     this.app.use("/api/eonet", eonetRoutes);
     this.app.use("/api/openaq", openaqRoutes);
     this.app.use("/api/epic", epicRoutes);
     this.app.use("/api/apod", apodRoutes);
+    this.app.use("/api/dashboard", dashboardRoutes);
+    this.app.use("/api/admin", adminRoutes);
+    this.app.use("/api/api-keys", apiKeyRoutes);
+
+    // Prometheus scrape endpoint (outside /api, like other infrastructure probes)
+    if (config.metrics.enabled) {
+      this.app.use("/metrics", metricsRoutes);
+    }
 
     // Root endpoint
     this.app.get("/", (req, res) => {
@@ -121,6 +163,13 @@ class App {
           historicalRange: "/api/weather/historical-range",
           bulk: "/api/weather/bulk",
           geomagneticStorms: "/api/geomagnetic/storms",
+          coronalMassEjections: "/api/geomagnetic/cme",
+          solarFlares: "/api/geomagnetic/flares",
+          solarEnergeticParticles: "/api/geomagnetic/sep",
+          highSpeedStreams: "/api/geomagnetic/hss",
+          interplanetaryShocks: "/api/geomagnetic/ips",
+          linkedEvents: "/api/geomagnetic/linked-events/:activityId",
+          aurora: "/api/geomagnetic/aurora",
           forecast3Day: "/api/geomagnetic/forecast/3-day",
           forecast27Day: "/api/geomagnetic/forecast/27-day",
           forecastCombined: "/api/geomagnetic/forecast/combined",
@@ -144,7 +193,15 @@ class App {
           apodByDate: "/api/apod/date/:date",
           apodRange: "/api/apod/range",
           apodRandom: "/api/apod/random",
+          dashboard: "/api/dashboard",
+          adminCache: "/api/admin/cache",
+          adminUsers: "/api/admin/users",
+          apiKeys: "/api/api-keys",
+          savedLocations: "/api/auth/locations",
           health: "/api/health",
+          healthLive: "/api/health/live",
+          healthReady: "/api/health/ready",
+          metrics: "/metrics",
         },
         timestamp: new Date().toISOString(),
       });
@@ -166,9 +223,16 @@ class App {
           "GET /api/weather/historical-range - Get data range for location",
           "POST /api/weather/bulk - Bulk weather data requests",
           "GET /api/geomagnetic/storms - Get geomagnetic storm data (NASA DONKI)",
+          "GET /api/geomagnetic/cme - Get coronal mass ejections with analyses (NASA DONKI)",
+          "GET /api/geomagnetic/flares - Get solar flares (NASA DONKI)",
+          "GET /api/geomagnetic/sep - Get solar energetic particle events (NASA DONKI)",
+          "GET /api/geomagnetic/hss - Get high speed streams (NASA DONKI)",
+          "GET /api/geomagnetic/ips - Get interplanetary shocks (NASA DONKI)",
+          "GET /api/geomagnetic/linked-events/:activityId - Get the chain of linked space weather events as a graph (NASA DONKI)",
           "GET /api/geomagnetic/forecast/3-day - Get 3-day geomagnetic forecast (NOAA SWPC)",
           "GET /api/geomagnetic/forecast/27-day - Get 27-day geomagnetic outlook (NOAA SWPC)",
           "GET /api/geomagnetic/forecast/combined - Get combined forecast data",
+          "GET /api/geomagnetic/aurora - Get aurora visibility by location for the 3-day forecast",
           "GET /api/asteroids/feed - Get asteroid data by closest approach date",
           "GET /api/eonet/categories - Get all natural event categories",
           "GET /api/eonet/events - Get natural disaster events with filters",
@@ -189,7 +253,28 @@ class App {
           "GET /api/apod/date/:date - Get APOD for specific date",
           "GET /api/apod/range - Get APOD for date range",
           "GET /api/apod/random - Get random APOD images",
-          "GET /api/health - Health check",
+          "GET /api/dashboard - Weather, air quality, events, space weather, asteroids and APOD for one location",
+          "GET /api/admin/cache - Get response cache statistics (admin)",
+          "DELETE /api/admin/cache - Purge cached upstream responses (admin)",
+          "GET /api/admin/users - List and search users (admin)",
+          "GET /api/admin/users/:id - Get a user (admin)",
+          "POST /api/admin/users/:id/deactivate - Deactivate a user and revoke their sessions (admin)",
+          "POST /api/admin/users/:id/reactivate - Reactivate a user (admin)",
+          "POST /api/admin/users/:id/unlock - Lift a login lockout (admin)",
+          "GET /api/admin/users/:id/login-attempts - Login audit log of a user (admin)",
+          "DELETE /api/admin/users/:id - Delete a user (admin)",
+          "POST /api/api-keys - Create a personal API key",
+          "GET /api/api-keys - List your API keys",
+          "DELETE /api/api-keys/:id - Revoke an API key",
+          "POST /api/auth/locations - Save a named location",
+          "GET /api/auth/locations - List your saved locations",
+          "GET /api/auth/locations/:id - Get a saved location",
+          "PUT /api/auth/locations/:id - Rename or move a saved location",
+          "DELETE /api/auth/locations/:id - Delete a saved location",
+          "GET /api/health - Health check of every upstream service and PostgreSQL",
+          "GET /api/health/live - Liveness probe",
+          "GET /api/health/ready - Readiness probe (critical services only)",
+          "GET /metrics - Prometheus metrics",
         ],
         timestamp: new Date().toISOString(),
       });
@@ -249,12 +334,9 @@ class App {
         res.json(swaggerDocument);
       });
 
-      console.log("✓ Swagger documentation available at /api-docs");
+      logger.info("Swagger documentation available", { path: "/api-docs" });
     } catch (error) {
-      console.warn(
-        "⚠ Warning: Could not load Swagger documentation:",
-        error.message
-      );
+      logger.warn("Could not load Swagger documentation", { error });
     }
   }
 
@@ -266,25 +348,26 @@ class App {
     this.app.use(ErrorHandler.handleError);
 
     // Graceful shutdown handlers
-    process.on("SIGTERM", () => {
-      console.log("SIGTERM received, shutting down gracefully...");
-      process.exit(0);
-    });
+    const shutdown = (signal) => {
+      logger.info(`${signal} received, shutting down gracefully`);
+      closePool()
+        .catch((error) => logger.error("Failed to close database pool", { error }))
+        .finally(() => process.exit(0));
+    };
 
-    process.on("SIGINT", () => {
-      console.log("SIGINT received, shutting down gracefully...");
-      process.exit(0);
-    });
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+    process.on("SIGINT", () => shutdown("SIGINT"));
 
     // Unhandled promise rejection handler
-    process.on("unhandledRejection", (reason, promise) => {
-      console.error("Unhandled Promise Rejection:", reason);
-      console.error("Promise:", promise);
+    process.on("unhandledRejection", (reason) => {
+      logger.error("Unhandled promise rejection", {
+        error: reason instanceof Error ? reason : { message: String(reason) },
+      });
     });
 
     // Uncaught exception handler
     process.on("uncaughtException", (error) => {
-      console.error("Uncaught Exception:", error);
+      logger.error("Uncaught exception", { error });
       process.exit(1);
     });
   }
@@ -293,16 +376,12 @@ class App {
     const port = config.server.port;
 
     this.app.listen(port, () => {
-      console.log("🚀 NASA Weather Data API Server Started");
-      console.log("=".repeat(50));
-      console.log(`📡 Server running on port ${port}`);
-      console.log(`🌍 Environment: ${config.server.env}`);
-      console.log(`📚 API Documentation: http://localhost:${port}/api-docs`);
-      console.log(`🏥 Health Check: http://localhost:${port}/api/health`);
-      console.log(
-        `🌤️  Weather Data: http://localhost:${port}/api/weather/data`
-      );
-      console.log("=".repeat(50));
+      logger.info("NASA Weather Data API server started", {
+        port,
+        environment: config.server.env,
+        documentation: `http://localhost:${port}/api-docs`,
+        health: `http://localhost:${port}/api/health`,
+      });
 
       // Test NASA API connection on startup
       this.testNasaConnection();
@@ -311,119 +390,24 @@ class App {
 
   async testNasaConnection() {
     try {
-      // Test NASA POWER API
-      const NasaPowerApiService = require("./services/nasaApiService");
-      const nasaService = new NasaPowerApiService();
-      const powerStatus = await nasaService.testConnectivity();
-
-      if (powerStatus.status === "connected") {
-        console.log("✓ NASA POWER API connection test successful");
-      } else {
-        console.warn(
-          "⚠ NASA POWER API connection test failed:",
-          powerStatus.message
-        );
-      }
-
-      // Test NASA DONKI API
-      const NasaDonkiService = require("./services/nasaDonkiService");
-      const donkiService = new NasaDonkiService();
-      const donkiStatus = await donkiService.testConnectivity();
-
-      if (donkiStatus.status === "connected") {
-        console.log("✓ NASA DONKI API connection test successful");
-      } else {
-        console.warn(
-          "⚠ NASA DONKI API connection test failed:",
-          donkiStatus.message
-        );
-      }
-
-      // Test NOAA SWPC Service
-      const NoaaSwpcService = require("./services/noaaSwpcService");
-      const swpcService = new NoaaSwpcService();
-      const swpcStatus = await swpcService.testConnectivity();
-
-      if (swpcStatus.status === "connected") {
-        console.log("✓ NOAA SWPC service connection test successful");
-      } else {
-        console.warn(
-          "⚠ NOAA SWPC service connection test failed:",
-          swpcStatus.message
-        );
-      }
-
-      // Test NASA NeoWs API
-      const NasaNeowsService = require("./services/nasaNeowsService");
-      const neowsService = new NasaNeowsService();
-      const neowsStatus = await neowsService.testConnectivity();
-
-      if (neowsStatus.status === "connected") {
-        console.log("✓ NASA NeoWs API connection test successful");
-      } else {
-        console.warn(
-          "⚠ NASA NeoWs API connection test failed:",
-          neowsStatus.message
-        );
-      }
-
-      // Test NASA EONET API
-      const NasaEonetService = require("./services/nasaEonetService");
-      const eonetService = new NasaEonetService();
-      const eonetStatus = await eonetService.testConnectivity();
-
-      if (eonetStatus.status === "connected") {
-        console.log("✓ NASA EONET API connection test successful");
-      } else {
-        console.warn(
-          "⚠ NASA EONET API connection test failed:",
-          eonetStatus.message
-        );
-      }
-
-      // Test OpenAQ API
-      const OpenaqService = require("./services/openaqService");
-      const openaqService = new OpenaqService();
-      const openaqStatus = await openaqService.testConnectivity();
-
-      if (openaqStatus.status === "connected") {
-        console.log("✓ OpenAQ API connection test successful");
-      } else {
-        console.warn(
-          "⚠ OpenAQ API connection test failed:",
-          openaqStatus.message
-        );
-      }
-
-      // Test NASA EPIC API
-      const NasaEpicService = require("./services/nasaEpicService");
-      const epicService = new NasaEpicService();
-      const epicStatus = await epicService.testConnectivity();
-
-      if (epicStatus.status === "connected") {
-        console.log("✓ NASA EPIC API connection test successful");
-      } else {
-        console.warn(
-          "⚠ NASA EPIC API connection test failed:",
-          epicStatus.message
-        );
-      }
-
-      // Test NASA APOD API
-      const NasaApodService = require("./services/nasaApodService");
-      const apodService = new NasaApodService();
-      const apodStatus = await apodService.testConnectivity();
-
-      if (apodStatus.status === "connected") {
-        console.log("✓ NASA APOD API connection test successful");
-      } else {
-        console.warn(
-          "⚠ NASA APOD API connection test failed:",
-          apodStatus.message
-        );
+      const HealthService = require("./services/healthService");
+      const healthService = new HealthService();
+      const report = await healthService.getReport({ fresh: true });
+
+      for (const check of healthService.checks) {
+        const result = report.services[check.name];
+
+        if (result.status === "operational") {
+          logger.info("Connection test successful", { service: check.label });
+        } else {
+          logger.warn("Connection test failed", {
+            service: check.label,
+            reason: result.message,
+          });
+        }
       }
     } catch (error) {
-      console.warn("⚠ Could not test API connections:", error.message);
+      logger.warn("Could not test API connections", { error });
     }
   }
 
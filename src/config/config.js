@@ -3,6 +3,8 @@ const config = {
     port: process.env.PORT || 3000,
     timeout: parseInt(process.env.REQUEST_TIMEOUT) || 60000,
     env: process.env.NODE_ENV || "development",
+    // Number of reverse proxies in front of the app; needed for correct client IPs (rate limiting)
+    trustProxy: parseInt(process.env.TRUST_PROXY) || 0,
   },
 
   nasaPowerApi: {
@@ -11,6 +13,11 @@ const config = {
     timeout: parseInt(process.env.NASA_POWER_API_TIMEOUT) || 30000,
     retryAttempts: 3,
     retryDelay: 1000,
+    // Longest hourly range requested in one call; historical spans are merged up to this
+    maxRequestDays: parseInt(process.env.NASA_POWER_MAX_REQUEST_DAYS) || 366,
+    // Spans are only merged when at most this many unrequested days lie between them
+    maxMergeGapDays: parseInt(process.env.NASA_POWER_MAX_MERGE_GAP_DAYS) || 3,
+    maxConcurrentRequests: parseInt(process.env.NASA_POWER_MAX_CONCURRENT_REQUESTS) || 2,
   },
 
   weather: {
@@ -29,6 +36,122 @@ const config = {
     maxParametersPerRequest: 20,
     fillValue: -999.0,
     nasaDataDelayDays: parseInt(process.env.NASA_DATA_DELAY_DAYS) || 4, // NASA POWER API has 4-day data delay
+    maxDateRangeDays: parseInt(process.env.MAX_DATE_RANGE_DAYS) || 31,
+    defaultPredictionMethod:
+      process.env.DEFAULT_PREDICTION_METHOD || "arithmetic_mean",
+    predictionHalfLifeYears:
+      parseFloat(process.env.PREDICTION_HALF_LIFE_YEARS) || 5, // Used by exponential_weighted
+    forecastPercentiles: [10, 25, 50, 75, 90],
+    maxWindowDays: parseInt(process.env.MAX_WINDOW_DAYS) || 15,
+  },
+
+  // Shared upstream HTTP client (retries, circuit breakers, concurrency limits)
+  upstream: {
+    retries: parseInt(process.env.UPSTREAM_RETRIES) || 2,
+    baseDelayMs: parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY_MS) || 500,
+    maxDelayMs: parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY_MS) || 8000,
+    maxRetryAfterMs: parseInt(process.env.UPSTREAM_MAX_RETRY_AFTER_MS) || 30000, // Longer Retry-After fails fast
+    maxConcurrent: parseInt(process.env.UPSTREAM_MAX_CONCURRENT) || 4, // Per upstream
+    breakerFailureThreshold: parseInt(process.env.UPSTREAM_BREAKER_FAILURE_THRESHOLD) || 5,
+    breakerResetMs: parseInt(process.env.UPSTREAM_BREAKER_RESET_MS) || 30000,
+  },
+
+  health: {
+    // Services whose failure makes the API unhealthy/not ready; others only degrade it
+    criticalServices: (process.env.HEALTH_CRITICAL_SERVICES || "nasaPowerApi,database")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000,
+    cacheTtlMs: parseInt(process.env.HEALTH_CACHE_TTL_MS) || 10000,
+  },
+
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== "false",
+    backend: process.env.CACHE_BACKEND || "memory", // "memory" (LRU) or "postgres"
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 200, // Memory backend only
+    stableAfterDays: parseInt(process.env.CACHE_STABLE_AFTER_DAYS) || 30, // Older POWER data is cached forever
+    recentTtlSeconds: parseInt(process.env.CACHE_RECENT_TTL_SECONDS) || 3600,
+  },
+
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== "false",
+    token: process.env.METRICS_TOKEN, // When set, /metrics requires "Authorization: Bearer <token>"
+  },
+
+  admin: {
+    // Accounts given the admin role on registration and when the users table is initialized
+    emails: (process.env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  loginProtection: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5, // Per email, before the account is locked
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20, // Per client IP, across all emails
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15, // Failures older than this are forgotten
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    // Each failure doubles the delay before the next attempt is checked, up to maxDelayMs
+    baseDelayMs: parseInt(process.env.LOGIN_BASE_DELAY_MS) || 250,
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 4000,
+  },
+
+  apiKeys: {
+    maxPerUser: parseInt(process.env.API_KEYS_MAX_PER_USER) || 10,
+  },
+
+  dashboard: {
+    sectionTimeoutMs: parseInt(process.env.DASHBOARD_SECTION_TIMEOUT_MS) || 10000, // A slower section is reported as timed out
+    eventRadiusDegrees: parseFloat(process.env.DASHBOARD_EVENT_RADIUS_DEGREES) || 5, // Half-size of the EONET search box
+    eventLimit: parseInt(process.env.DASHBOARD_EVENT_LIMIT) || 10,
+  },
+
+  aurora: {
+    viewlineDegrees: parseFloat(process.env.AURORA_VIEWLINE_DEGREES) || 5, // Visible low on the horizon this far equatorward of the oval
+    cloudHistoricalYears: parseInt(process.env.AURORA_CLOUD_HISTORICAL_YEARS) || 5, // Years of NASA POWER cloud amount averaged per hour
+    darkSunElevationDegrees: parseFloat(process.env.AURORA_DARK_SUN_ELEVATION_DEGREES) || -12, // Sky counts as fully dark with the sun this far below the horizon
+  },
+
+  savedLocations: {
+    maxPerUser: parseInt(process.env.SAVED_LOCATIONS_MAX_PER_USER) || 50,
+    // Half-size of the box searched by /api/eonet/events/regional when only locationId is given
+    regionalBboxDegrees: parseFloat(process.env.SAVED_LOCATIONS_REGIONAL_BBOX_DEGREES) || 5,
+  },
+
+  mfa: {
+    issuer: process.env.MFA_ISSUER || "NASA Weather API", // Shown by authenticator apps
+    // TOTP secrets are stored encrypted with a key derived from this value
+    encryptionKey:
+      process.env.MFA_ENCRYPTION_KEY ||
+      process.env.JWT_SECRET ||
+      "your-super-secret-mfa-key-change-in-production",
+    challengeTtlSeconds: parseInt(process.env.MFA_CHALLENGE_TTL_SECONDS) || 300, // Lifetime of the mfaToken from /login
+    recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10,
+  },
+
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || "smtp", // "smtp" or "json" (render only, nothing is sent)
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+  },
+
+  emailVerification: {
+    // When true, routes guarded by requireVerifiedEmail reject unverified accounts
+    required: process.env.EMAIL_VERIFICATION_REQUIRED === "true",
+    tokenTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+    // Link sent by email; the token is appended as ?token=...
+    url: process.env.EMAIL_VERIFICATION_URL || "http://localhost:3000/api/auth/verify-email",
+  },
+
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    // Link sent by email; the token is appended as ?token=...
+    url: process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password",
   },
 
   validation: {
@@ -42,18 +165,41 @@ const config = {
   },
 
   rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+    store: process.env.RATE_LIMIT_STORE || "memory", // "memory" (per instance) or "postgres" (shared)
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    tiers: {
+      // Limited per client IP
+      anonymous: {
+        maxRequests: parseInt(process.env.RATE_LIMIT_ANONYMOUS_MAX_REQUESTS) || 30,
+        dailyQuota: parseInt(process.env.RATE_LIMIT_ANONYMOUS_DAILY_QUOTA) || 500,
+      },
+      // Limited per user (bearer token) or per API key
+      authenticated: {
+        maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+        dailyQuota: parseInt(process.env.RATE_LIMIT_DAILY_QUOTA) || 5000,
+      },
+    },
+    bulkCost: parseInt(process.env.RATE_LIMIT_BULK_COST) || 10, // Units charged for POST /api/weather/bulk
+    dashboardCost: parseInt(process.env.RATE_LIMIT_DASHBOARD_COST) || 6, // Units charged for GET /api/dashboard
   },
 
   cors: {
     origin: process.env.CORS_ORIGIN || "*",
-    methods: ["GET", "POST"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "DELETE"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id"],
+    exposedHeaders: [
+      "X-Request-Id",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ],
   },
 
   logging: {
-    level: process.env.LOG_LEVEL || "info",
+    level: process.env.LOG_LEVEL || "info", // error, warn, info, debug or silent
   },
 
   nasaApi: {
@@ -61,6 +207,8 @@ const config = {
     donkiBaseUrl:
       process.env.NASA_DONKI_BASE_URL || "https://api.nasa.gov/DONKI",
     timeout: parseInt(process.env.NASA_API_TIMEOUT) || 30000,
+    // Most DONKI records a linked-event graph will fetch
+    linkedEventMaxNodes: parseInt(process.env.DONKI_LINKED_EVENT_MAX_NODES) || 30,
   },
 
   noaaSwpc: {
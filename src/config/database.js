@@ -0,0 +1,46 @@
+const { Pool } = require("pg");
+const config = require("./config");
+
+/**
+ * Shared PostgreSQL connection pool
+ * Created on first use so requiring a model never opens a connection.
+ */
+let pool;
+
+/**
+ * Get the process-wide pool for config.database
+ * @returns {Pool}
+ */
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      host: config.database.host,
+      port: config.database.port,
+      database: config.database.name,
+      user: config.database.user,
+      password: config.database.password,
+      max: config.database.poolMax,
+      idleTimeoutMillis: config.database.idleTimeout,
+      connectionTimeoutMillis: config.database.connectionTimeout,
+    });
+  }
+  return pool;
+}
+
+/**
+ * End the shared pool, if one was opened
+ * Models share this pool, so only process shutdown should close it. A later
+ * getPool() call opens a fresh one.
+ * @returns {Promise<void>}
+ */
+async function closePool() {
+  if (!pool) {
+    return;
+  }
+
+  const closing = pool;
+  pool = null;
+  await closing.end();
+}
+
+module.exports = { getPool, closePool };
@@ -1,8 +1,15 @@
-const { parseISO, isFuture } = require("date-fns");
+const {
+  parseISO,
+  isFuture,
+  eachDayOfInterval,
+  format: formatDate,
+} = require("date-fns");
 const ValidationService = require("../services/validationService");
 const NasaPowerApiService = require("../services/nasaApiService");
 const WeatherDataService = require("../services/weatherDataService");
+const PredictionModels = require("../services/predictionModels");
 const ErrorHandler = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
 
 class WeatherController {
   constructor() {
@@ -26,59 +33,84 @@ class WeatherController {
         throw ErrorHandler.createValidationErrorWithDetails(validation.errors);
       }
 
-      const { latitude, longitude, date, parameters, historicalYears, format } =
-        validation.data;
+      const {
+        latitude,
+        longitude,
+        date,
+        startDate,
+        endDate,
+        parameters,
+        historicalYears,
+        method,
+        thresholds,
+        windowDays,
+        format,
+      } = validation.data;
       const parameterList = parameters.split(",");
-
-      console.log(
-        `Processing weather request for [${latitude}, ${longitude}] on ${date}`
-      );
+      const predictionOptions = { method, thresholds, windowDays };
 
       let weatherData;
-      const requestDate = parseISO(date);
-
-      // NASA POWER API has a configurable data delay (default: 4 days)
-      // Calculate cutoff date: today minus delay days
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const nasaDataCutoff = new Date(today);
-      const delayDays = require("../config/config").weather.nasaDataDelayDays;
-      nasaDataCutoff.setDate(nasaDataCutoff.getDate() - delayDays);
-
-      if (requestDate < nasaDataCutoff) {
-        // Date is older than 4 days - fetch actual NASA historical data
-        console.log(
-          "Historical date detected (older than 4 days), fetching actual data..."
-        );
-        weatherData = await this.fetchHistoricalData(
+
+      if (startDate) {
+        logger.info("Processing weather range request", {
           latitude,
           longitude,
-          date,
-          parameterList
-        );
-      } else {
-        // Date is within last 4 days, today, or future - generate prediction
-        console.log(
-          "Date within NASA data delay window or future, generating prediction..."
-        );
-        weatherData = await this.generatePrediction(
+          startDate,
+          endDate,
+        });
+        weatherData = await this.fetchWeatherDataRange(
           latitude,
           longitude,
-          date,
+          startDate,
+          endDate,
           parameterList,
-          historicalYears
+          historicalYears,
+          predictionOptions
         );
+      } else {
+        logger.info("Processing weather request", { latitude, longitude, date });
+
+        const requestDate = parseISO(date);
+
+        if (requestDate < this.getNasaDataCutoff()) {
+          // Date is older than 4 days - fetch actual NASA historical data
+          logger.debug(
+            "Historical date detected (older than 4 days), fetching actual data"
+          );
+          weatherData = await this.fetchHistoricalData(
+            latitude,
+            longitude,
+            date,
+            parameterList
+          );
+        } else {
+          // Date is within last 4 days, today, or future - generate prediction
+          logger.debug(
+            "Date within NASA data delay window or future, generating prediction"
+          );
+          weatherData = await this.generatePrediction(
+            latitude,
+            longitude,
+            date,
+            parameterList,
+            historicalYears,
+            predictionOptions
+          );
+        }
       }
 
       const processingTime = Date.now() - requestStartTime;
 
       // Format response based on requested format
       if (format === "csv") {
-        const csvData = this.weatherDataService.convertToCSV(weatherData);
+        const csvData = startDate
+          ? this.weatherDataService.convertRangeToCSV(weatherData)
+          : this.weatherDataService.convertToCSV(weatherData);
+        const dateLabel = startDate ? `${startDate}_${endDate}` : date;
         res.setHeader("Content-Type", "text/csv");
         res.setHeader(
           "Content-Disposition",
-          `attachment; filename="weather_${date}_${latitude}_${longitude}.csv"`
+          `attachment; filename="weather_${dateLabel}_${latitude}_${longitude}.csv"`
         );
         return res.send(csvData);
       }
@@ -91,11 +123,187 @@ class WeatherController {
         processingTime,
       });
     } catch (error) {
-      console.error("Weather data request failed:", error.message);
+      logger.error("Weather data request failed", { error });
       throw error;
     }
   }
 
+  /**
+   * Get the first date not yet covered by NASA POWER historical data
+   * NASA POWER API has a configurable data delay (default: 4 days)
+   * @returns {Date} Cutoff date (today minus delay days)
+   */
+  getNasaDataCutoff() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const nasaDataCutoff = new Date(today);
+    const delayDays = require("../config/config").weather.nasaDataDelayDays;
+    nasaDataCutoff.setDate(nasaDataCutoff.getDate() - delayDays);
+    return nasaDataCutoff;
+  }
+
+  /**
+   * Fetch a per-day weather series for a date range
+   * Days before the NASA data cutoff are historical, the rest are predicted.
+   * Each part is fetched once for the whole span and sliced per day.
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {string} startDate
+   * @param {string} endDate
+   * @param {Array<string>} parameters
+   * @param {number} historicalYears
+   * @param {Object} predictionOptions - { method, thresholds, windowDays } for predicted days
+   * @returns {Object} Processed weather data series
+   */
+  async fetchWeatherDataRange(
+    latitude,
+    longitude,
+    startDate,
+    endDate,
+    parameters,
+    historicalYears,
+    predictionOptions = {}
+  ) {
+    const nasaDataCutoff = this.getNasaDataCutoff();
+    const dates = eachDayOfInterval({
+      start: parseISO(startDate),
+      end: parseISO(endDate),
+    }).map((day) => formatDate(day, "yyyy-MM-dd"));
+
+    const historicalDates = dates.filter(
+      (day) => parseISO(day) < nasaDataCutoff
+    );
+    const predictedDates = dates.filter(
+      (day) => parseISO(day) >= nasaDataCutoff
+    );
+
+    const [historicalDays, predictedDays] = await Promise.all([
+      this.fetchHistoricalDays(latitude, longitude, historicalDates, parameters),
+      this.generatePredictionDays(
+        latitude,
+        longitude,
+        predictedDates,
+        parameters,
+        historicalYears,
+        predictionOptions
+      ),
+    ]);
+
+    const days = [...historicalDays, ...predictedDays];
+    const returnedDates = new Set(days.map((day) => day.date));
+
+    return {
+      location: days.length > 0
+        ? days[0].location
+        : { latitude, longitude, elevation: null },
+      startDate,
+      endDate,
+      totalDays: dates.length,
+      historicalDays: historicalDays.length,
+      predictedDays: predictedDays.length,
+      missingDates: dates.filter((day) => !returnedDates.has(day)),
+      days,
+    };
+  }
+
+  /**
+   * Fetch historical data for consecutive days with a single NASA request
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Array<string>} dates - Consecutive YYYY-MM-DD dates
+   * @param {Array<string>} parameters
+   * @returns {Array<Object>} Processed weather data per day
+   */
+  async fetchHistoricalDays(latitude, longitude, dates, parameters) {
+    if (dates.length === 0) {
+      return [];
+    }
+
+    const nasaResponse = await this.nasaApiService.fetchWeatherData(
+      latitude,
+      longitude,
+      dates[0],
+      dates[dates.length - 1],
+      parameters
+    );
+
+    const days = [];
+    for (const date of dates) {
+      const dayResponse = this.weatherDataService.sliceDay(nasaResponse, date);
+      if (dayResponse) {
+        days.push(
+          this.weatherDataService.processWeatherData(
+            dayResponse,
+            date,
+            "historical"
+          )
+        );
+      }
+    }
+
+    return days;
+  }
+
+  /**
+   * Generate predictions for consecutive days from one multi-year fetch
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Array<string>} dates - Consecutive YYYY-MM-DD dates
+   * @param {Array<string>} parameters
+   * @param {number} historicalYears
+   * @param {Object} predictionOptions - { method, thresholds, windowDays }
+   * @returns {Array<Object>} Processed prediction data per day
+   */
+  async generatePredictionDays(
+    latitude,
+    longitude,
+    dates,
+    parameters,
+    historicalYears,
+    predictionOptions = {}
+  ) {
+    if (dates.length === 0) {
+      return [];
+    }
+
+    const rangeStartDate = dates[0];
+    const historicalDataArray =
+      await this.nasaApiService.fetchHistoricalDataForPrediction(
+        latitude,
+        longitude,
+        rangeStartDate,
+        historicalYears,
+        parameters,
+        {
+          endDate: dates[dates.length - 1],
+          windowDays: predictionOptions.windowDays,
+        }
+      );
+
+    return dates.map((date) => {
+      const dayData = this.weatherDataService.sliceHistoricalDataForDate(
+        historicalDataArray,
+        rangeStartDate,
+        date,
+        predictionOptions.windowDays
+      );
+      const { prediction, metadata } =
+        this.weatherDataService.calculatePrediction(
+          dayData,
+          date,
+          parameters,
+          predictionOptions
+        );
+
+      return this.weatherDataService.processWeatherData(
+        prediction,
+        date,
+        "prediction",
+        metadata
+      );
+    });
+  }
+
   /**
    * Fetch historical weather data
    * @param {number} latitude
@@ -120,7 +328,7 @@ class WeatherController {
         "historical"
       );
     } catch (error) {
-      console.error("Failed to fetch historical data:", error.message);
+      logger.error("Failed to fetch historical data", { error });
       throw error;
     }
   }
@@ -132,6 +340,7 @@ class WeatherController {
    * @param {string} targetDate
    * @param {Array<string>} parameters
    * @param {number} historicalYears
+   * @param {Object} predictionOptions - { method, thresholds, windowDays }
    * @returns {Object} Processed prediction data
    */
   async generatePrediction(
@@ -139,40 +348,60 @@ class WeatherController {
     longitude,
     targetDate,
     parameters,
-    historicalYears
+    historicalYears,
+    predictionOptions = {}
   ) {
     try {
-      // Fetch historical data for the same date across multiple years
+      // Fetch historical data around the same date across multiple years
       const historicalDataArray =
         await this.nasaApiService.fetchHistoricalDataForPrediction(
           latitude,
           longitude,
           targetDate,
           historicalYears,
-          parameters
-        );
-
-      // Calculate prediction using arithmetic mean
-      const { prediction, metadata } =
-        this.weatherDataService.calculatePrediction(
-          historicalDataArray,
-          targetDate,
-          parameters
+          parameters,
+          { windowDays: predictionOptions.windowDays }
         );
 
-      // Process the prediction data
-      return this.weatherDataService.processWeatherData(
-        prediction,
+      return this.buildPrediction(
+        historicalDataArray,
         targetDate,
-        "prediction",
-        metadata
+        parameters,
+        predictionOptions
       );
     } catch (error) {
-      console.error("Failed to generate prediction:", error.message);
+      logger.error("Failed to generate prediction", { error });
       throw error;
     }
   }
 
+  /**
+   * Turn fetched historical years into a processed prediction
+   * @param {Array} historicalDataArray - Array of { year, data }
+   * @param {string} targetDate
+   * @param {Array<string>} parameters
+   * @param {Object} predictionOptions - { method, thresholds, windowDays }
+   * @returns {Object} Processed prediction data
+   */
+  buildPrediction(historicalDataArray, targetDate, parameters, predictionOptions) {
+    // Calculate prediction using the selected prediction model
+    const { prediction, metadata } =
+      this.weatherDataService.calculatePrediction(
+        historicalDataArray,
+        targetDate,
+        parameters,
+        predictionOptions
+      );
+
+    // Process the prediction data
+    return this.weatherDataService.processWeatherData(
+      prediction,
+      targetDate,
+      "prediction",
+      metadata
+    );
+  }
+
   /**
    * Get available weather parameters
    * @param {Object} req - Express request object
@@ -192,11 +421,14 @@ class WeatherController {
             require("../config/config").weather.defaultParameters,
           maxParametersPerRequest:
             require("../config/config").weather.maxParametersPerRequest,
+          predictionMethods: PredictionModels.describe(),
+          defaultPredictionMethod:
+            require("../config/config").weather.defaultPredictionMethod,
         },
         requestTimestamp: new Date().toISOString(),
       });
     } catch (error) {
-      console.error("Failed to get weather parameters:", error.message);
+      logger.error("Failed to get weather parameters", { error });
       throw error;
     }
   }
@@ -240,7 +472,7 @@ class WeatherController {
         requestTimestamp: new Date().toISOString(),
       });
     } catch (error) {
-      console.error("Failed to get historical range:", error.message);
+      logger.error("Failed to get historical range", { error });
       throw error;
     }
   }
@@ -261,66 +493,32 @@ class WeatherController {
         throw ErrorHandler.createValidationErrorWithDetails(validation.errors);
       }
 
-      const { requests, historicalYears } = validation.data;
-      console.log(`Processing bulk request with ${requests.length} locations`);
-
-      // Process all requests in parallel
-      const promises = requests.map(async (request, index) => {
-        try {
-          const { latitude, longitude, date, parameters } = request;
-          const parameterList = parameters
-            ? parameters.split(",")
-            : require("../config/config").weather.defaultParameters;
-
-          const requestDate = parseISO(date);
-          let weatherData;
-
-          // NASA POWER API has a configurable data delay (default: 4 days)
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          const nasaDataCutoff = new Date(today);
-          const delayDays =
-            require("../config/config").weather.nasaDataDelayDays;
-          nasaDataCutoff.setDate(nasaDataCutoff.getDate() - delayDays);
-
-          if (requestDate < nasaDataCutoff) {
-            // Date is older than 4 days - fetch actual NASA historical data
-            weatherData = await this.fetchHistoricalData(
-              latitude,
-              longitude,
-              date,
-              parameterList
-            );
-          } else {
-            // Date is within last 4 days, today, or future - generate prediction
-            weatherData = await this.generatePrediction(
-              latitude,
-              longitude,
-              date,
-              parameterList,
-              historicalYears
-            );
-          }
-
-          return {
-            index,
-            success: true,
-            data: weatherData,
-          };
-        } catch (error) {
-          console.error(`Bulk request ${index} failed:`, error.message);
-          return {
-            index,
-            success: false,
-            error: {
-              code: error.code || "PROCESSING_ERROR",
-              message: error.message,
-            },
-          };
+      const { requests, historicalYears, method, windowDays } =
+        validation.data;
+      logger.info("Processing bulk request", { locations: requests.length });
+
+      // Requests at the same location share one batched upstream fetch
+      const groups = new Map();
+      requests.forEach((request, index) => {
+        const parameterList = request.parameters
+          ? request.parameters.split(",")
+          : require("../config/config").weather.defaultParameters;
+        const key = `${request.latitude},${request.longitude},${parameterList.join(",")}`;
+
+        if (!groups.has(key)) {
+          groups.set(key, []);
         }
+        groups.get(key).push({ ...request, index, parameterList });
       });
 
-      const results = await Promise.all(promises);
+      // Process all locations in parallel
+      const promises = [...groups.values()].map((group) =>
+        this.processBulkGroup(group, historicalYears, { method, windowDays })
+      );
+
+      const results = (await Promise.all(promises))
+        .flat()
+        .sort((a, b) => a.index - b.index);
       const processingTime = Date.now() - requestStartTime;
 
       // Separate successful and failed results
@@ -340,57 +538,93 @@ class WeatherController {
         processingTime,
       });
     } catch (error) {
-      console.error("Bulk weather data request failed:", error.message);
+      logger.error("Bulk weather data request failed", { error });
       throw error;
     }
   }
 
   /**
-   * Health check endpoint
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
+   * Process the bulk requests that share one location and parameter set
+   * Every historical date and prediction year is fetched in one batch of spans.
+   * @param {Array<Object>} group - Bulk requests with index and parameterList
+   * @param {number} historicalYears
+   * @param {Object} predictionOptions - { method, windowDays }
+   * @returns {Promise<Array>} Per-request results with their original index
    */
-  async healthCheck(req, res) {
-    try {
-      const startTime = Date.now();
-
-      // Test NASA API connectivity
-      const nasaStatus = await this.nasaApiService.testConnectivity();
-
-      const responseTime = Date.now() - startTime;
+  async processBulkGroup(group, historicalYears, predictionOptions) {
+    const { latitude, longitude, parameterList } = group[0];
+    const cutoff = this.getNasaDataCutoff();
+    const spans = [];
+
+    const items = group.map((request) => {
+      const isHistorical = parseISO(request.date) < cutoff;
+      const requestSpans = isHistorical
+        ? [{ startDate: request.date, endDate: request.date }]
+        : this.nasaApiService.getPredictionSpans(
+            request.date,
+            historicalYears,
+            { windowDays: predictionOptions.windowDays }
+          );
+      const offset = spans.length;
+
+      spans.push(...requestSpans);
+      return { request, isHistorical, requestSpans, offset };
+    });
+
+    const spanResults = await this.nasaApiService.fetchWeatherDataSpans(
+      latitude,
+      longitude,
+      spans,
+      parameterList
+    );
+
+    return items.map(({ request, isHistorical, requestSpans, offset }) => {
+      const results = spanResults.slice(offset, offset + requestSpans.length);
+
+      try {
+        let weatherData;
+
+        if (isHistorical) {
+          // Date is older than 4 days - actual NASA historical data
+          if (results[0].error) {
+            throw results[0].error;
+          }
+          weatherData = this.weatherDataService.processWeatherData(
+            results[0].data,
+            request.date,
+            "historical"
+          );
+        } else {
+          // Date is within last 4 days, today, or future - generate prediction
+          weatherData = this.buildPrediction(
+            this.nasaApiService.collectHistoricalData(
+              requestSpans,
+              results,
+              historicalYears
+            ),
+            request.date,
+            parameterList,
+            predictionOptions
+          );
+        }
 
-      res.json({
-        success: true,
-        status: "healthy",
-        timestamp: new Date().toISOString(),
-        version: "1.0.0",
-        services: {
-          api: {
-            status: "operational",
-            responseTime: responseTime,
-          },
-          nasaPowerApi: {
-            status:
-              nasaStatus.status === "connected" ? "operational" : "degraded",
-            message: nasaStatus.message,
-            error: nasaStatus.error || null,
+        return {
+          index: request.index,
+          success: true,
+          data: weatherData,
+        };
+      } catch (error) {
+        logger.warn("Bulk request item failed", { index: request.index, error });
+        return {
+          index: request.index,
+          success: false,
+          error: {
+            code: error.code || "PROCESSING_ERROR",
+            message: error.message,
           },
-        },
-        uptime: process.uptime(),
-        environment: process.env.NODE_ENV,
-      });
-    } catch (error) {
-      console.error("Health check failed:", error.message);
-      res.status(503).json({
-        success: false,
-        status: "unhealthy",
-        timestamp: new Date().toISOString(),
-        error: {
-          code: "HEALTH_CHECK_FAILED",
-          message: error.message,
-        },
-      });
-    }
+        };
+      }
+    });
   }
 }
 
@@ -1,21 +1,110 @@
 const jwt = require("jsonwebtoken");
 const config = require("../config/config");
+const MetricsService = require("../services/metricsService");
+const ApiKeyService = require("../services/apiKeyService");
+
+// Lazy-load service
+let apiKeyService;
+
+function getApiKeyService() {
+  if (!apiKeyService) {
+    apiKeyService = new ApiKeyService();
+  }
+  return apiKeyService;
+}
+
+/**
+ * Verify a JWT and make sure it is an access token
+ * Refresh tokens are signed with the same secret but must not authenticate requests.
+ * @param {string} token
+ * @returns {Object} Decoded token payload
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  if (decoded.typ !== "access") {
+    throw new jwt.JsonWebTokenError("token is not an access token");
+  }
+
+  return decoded;
+};
+
+/**
+ * Build req.user for a valid API key
+ * @param {Object} identity - Result of ApiKeyService.authenticate
+ * @returns {Object}
+ */
+const apiKeyUser = (identity) => ({
+  userId: identity.user.id,
+  email: identity.user.email,
+  emailVerified: identity.user.emailVerified === true,
+  role: identity.user.role || "user",
+  authMethod: "api_key",
+  apiKeyId: identity.apiKeyId,
+  scopes: identity.scopes,
+});
+
+/**
+ * Authenticate with the X-API-Key header
+ * @param {string} key
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {Promise<void>}
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  let identity;
+
+  try {
+    identity = await getApiKeyService().authenticate(key);
+  } catch (error) {
+    MetricsService.recordAuthFailure("AUTH_ERROR");
+    return next(error);
+  }
+
+  if (!identity) {
+    MetricsService.recordAuthFailure("INVALID_API_KEY");
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: "INVALID_API_KEY",
+        message: "API key is invalid or has been revoked",
+      },
+      requestTimestamp: new Date().toISOString(),
+    });
+  }
+
+  req.user = apiKeyUser(identity);
+  next();
+};
 
 /**
  * Authentication Middleware
- * Verifies JWT token from Authorization header
+ * Verifies a JWT from the Authorization header, or a personal API key from
+ * the X-API-Key header. Authorization wins when both are sent.
  */
 const authMiddleware = (req, res, next) => {
+  // Already verified by optionalAuthMiddleware (mounted in front of the rate limiter)
+  if (req.user) {
+    return next();
+  }
+
   try {
     // Get authorization header
     const authHeader = req.headers.authorization;
+    const apiKey = req.headers["x-api-key"];
+
+    if (!authHeader && apiKey) {
+      return authenticateApiKey(apiKey, req, res, next);
+    }
 
     if (!authHeader) {
+      MetricsService.recordAuthFailure("MISSING_AUTH_HEADER");
       return res.status(401).json({
         success: false,
         error: {
           code: "MISSING_AUTH_HEADER",
-          message: "Authorization header is required",
+          message: "Authorization header or X-API-Key header is required",
         },
         requestTimestamp: new Date().toISOString(),
       });
@@ -25,6 +114,7 @@ const authMiddleware = (req, res, next) => {
     const parts = authHeader.split(" ");
 
     if (parts.length !== 2 || parts[0] !== "Bearer") {
+      MetricsService.recordAuthFailure("INVALID_AUTH_FORMAT");
       return res.status(401).json({
         success: false,
         error: {
@@ -38,17 +128,21 @@ const authMiddleware = (req, res, next) => {
     const token = parts[1];
 
     // Verify token
-    const decoded = jwt.verify(token, config.jwt.secret);
+    const decoded = verifyAccessToken(token);
 
     // Attach user info to request
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
+      emailVerified: decoded.emailVerified === true,
+      role: decoded.role || "user",
+      authMethod: "jwt",
     };
 
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
+      MetricsService.recordAuthFailure("TOKEN_EXPIRED");
       return res.status(401).json({
         success: false,
         error: {
@@ -60,6 +154,7 @@ const authMiddleware = (req, res, next) => {
     }
 
     if (error.name === "JsonWebTokenError") {
+      MetricsService.recordAuthFailure("INVALID_TOKEN");
       return res.status(401).json({
         success: false,
         error: {
@@ -70,6 +165,7 @@ const authMiddleware = (req, res, next) => {
       });
     }
 
+    MetricsService.recordAuthFailure("AUTH_ERROR");
     return res.status(500).json({
       success: false,
       error: {
@@ -88,6 +184,19 @@ const authMiddleware = (req, res, next) => {
 const optionalAuthMiddleware = (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+    const apiKey = req.headers["x-api-key"];
+
+    if (!authHeader && apiKey) {
+      return getApiKeyService()
+        .authenticate(apiKey)
+        .then((identity) => {
+          if (identity) {
+            req.user = apiKeyUser(identity);
+          }
+        })
+        .catch(() => {})
+        .then(() => next());
+    }
 
     if (!authHeader) {
       return next();
@@ -100,11 +209,14 @@ const optionalAuthMiddleware = (req, res, next) => {
     }
 
     const token = parts[1];
-    const decoded = jwt.verify(token, config.jwt.secret);
+    const decoded = verifyAccessToken(token);
 
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
+      emailVerified: decoded.emailVerified === true,
+      role: decoded.role || "user",
+      authMethod: "jwt",
     };
 
     next();
@@ -1,3 +1,5 @@
+const logger = require('../utils/logger');
+
 class ErrorHandler {
   
   /**
@@ -8,18 +10,17 @@ class ErrorHandler {
    * @param {Function} next - Express next function
    */
   static handleError(error, req, res, next) {
-    console.error('Error occurred:', {
-      message: error.message,
-      code: error.code,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      url: req.originalUrl,
-      method: req.method,
-      timestamp: new Date().toISOString()
-    });
-
     // Determine status code and error type
-    const statusCode = error.statusCode || error.code || 500;
     const errorCode = error.code || 'INTERNAL_ERROR';
+    const statusCode = ErrorHandler.getHttpStatusCode(errorCode, error.statusCode);
+
+    logger.log(statusCode >= 500 ? 'error' : 'warn', 'Request failed', {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      statusCode,
+      error
+    });
 
     let errorResponse;
 
@@ -31,6 +32,7 @@ class ErrorHandler {
       case 'EXTERNAL_API_ERROR':
       case 'API_TIMEOUT':
       case 'NETWORK_ERROR':
+      case 'CIRCUIT_OPEN':
         errorResponse = ErrorHandler.createExternalApiError(error);
         break;
       
@@ -43,12 +45,15 @@ class ErrorHandler {
         break;
       
       default:
-        errorResponse = ErrorHandler.createGenericError(error);
+        errorResponse = statusCode < 500
+          ? ErrorHandler.createClientError(error)
+          : ErrorHandler.createGenericError(error);
     }
 
-    res.status(ErrorHandler.getHttpStatusCode(errorCode)).json({
+    res.status(statusCode).json({
       success: false,
       error: errorResponse,
+      requestId: req.id,
       requestTimestamp: new Date().toISOString()
     });
   }
@@ -86,6 +91,12 @@ class ErrorHandler {
         reason: 'Request timeout',
         retryAfter: 30
       };
+    } else if (error.code === 'CIRCUIT_OPEN') {
+      response.details = {
+        reason: 'Upstream circuit breaker is open',
+        upstream: error.upstream,
+        retryAfter: error.retryAfter
+      };
     } else if (error.upstreamStatus) {
       response.details = {
         upstreamStatus: error.upstreamStatus,
@@ -127,11 +138,25 @@ class ErrorHandler {
       details: {
         retryAfter: error.retryAfter || 900, // 15 minutes default
         limit: error.limit,
-        remaining: 0
+        remaining: 0,
+        scope: error.scope
       }
     };
   }
 
+  /**
+   * Create response for a service error the client caused (e.g. INVALID_CREDENTIALS)
+   * @param {Error} error - Error with code and a 4xx statusCode
+   * @returns {Object}
+   */
+  static createClientError(error) {
+    return {
+      code: error.code,
+      message: error.message,
+      details: error.details || {}
+    };
+  }
+
   /**
    * Create generic error response
    * @param {Error} error 
@@ -152,9 +177,10 @@ class ErrorHandler {
   /**
    * Get HTTP status code based on error code
    * @param {string} errorCode 
+   * @param {number} fallbackStatusCode - Status set on the error, used for codes not listed here
    * @returns {number}
    */
-  static getHttpStatusCode(errorCode) {
+  static getHttpStatusCode(errorCode, fallbackStatusCode = 500) {
     const statusCodeMap = {
       'VALIDATION_ERROR': 400,
       'NOT_FOUND': 404,
@@ -162,10 +188,11 @@ class ErrorHandler {
       'EXTERNAL_API_ERROR': 502,
       'API_TIMEOUT': 504,
       'NETWORK_ERROR': 502,
+      'CIRCUIT_OPEN': 503,
       'INTERNAL_ERROR': 500
     };
 
-    return statusCodeMap[errorCode] || 500;
+    return statusCodeMap[errorCode] || fallbackStatusCode;
   }
 
   /**
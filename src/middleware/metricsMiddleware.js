@@ -0,0 +1,34 @@
+const MetricsService = require("../services/metricsService");
+
+/**
+ * Metrics Middleware
+ * Times every request and records it under its route pattern (not the raw
+ * URL) so path parameters don't create a series per value.
+ */
+const metricsMiddleware = (req, res, next) => {
+  const startTime = process.hrtime.bigint();
+  let route;
+  let routeLabel = "unmatched";
+
+  // Express restores req.baseUrl when an error leaves the router, so capture
+  // the full pattern at the moment the route is matched
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      routeLabel = `${req.baseUrl}${value.path}`;
+    },
+  });
+
+  res.on("finish", () => {
+    const durationSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+
+    MetricsService.recordHttpRequest(req.method, routeLabel, res.statusCode, durationSeconds);
+  });
+
+  next();
+};
+
+module.exports = metricsMiddleware;
@@ -0,0 +1,95 @@
+const config = require("../config/config");
+const RateLimitService = require("../services/rateLimitService");
+
+/**
+ * Units charged for expensive routes; everything else costs 1
+ */
+const ROUTE_COSTS = {
+  "POST /api/weather/bulk": () => config.rateLimit.bulkCost,
+  "GET /api/dashboard": () => config.rateLimit.dashboardCost,
+};
+
+/**
+ * Caller the request is charged to
+ * @param {Object} req
+ * @returns {Object} { identity, tier }
+ */
+const getCaller = (req) => {
+  if (req.user && req.user.authMethod === "api_key") {
+    return { identity: `key:${req.user.apiKeyId}`, tier: "authenticated" };
+  }
+
+  if (req.user) {
+    return { identity: `user:${req.user.userId}`, tier: "authenticated" };
+  }
+
+  return { identity: `ip:${req.ip}`, tier: "anonymous" };
+};
+
+/**
+ * Set RateLimit-* headers for the policy closest to being exhausted
+ * @param {Object} res
+ * @param {Object} result - Result of RateLimitService.consume
+ */
+const setRateLimitHeaders = (res, result) => {
+  const { window, daily } = result;
+  const policies = [`${window.limit};w=${Math.round(config.rateLimit.windowMs / 1000)}`];
+  let reported = window;
+
+  if (daily) {
+    policies.push(`${daily.limit};w=86400`);
+    if (daily.remaining < window.remaining) {
+      reported = daily;
+    }
+  }
+
+  res.set({
+    "RateLimit-Limit": String(reported.limit),
+    "RateLimit-Remaining": String(Math.max(0, reported.remaining)),
+    "RateLimit-Reset": String(Math.max(0, Math.ceil((reported.resetAt.getTime() - Date.now()) / 1000))),
+    "RateLimit-Policy": policies.join(", "),
+  });
+};
+
+/**
+ * Rate Limit Middleware
+ * Charges the request to the user, API key or client IP and rejects it with
+ * RATE_LIMIT once the window limit or daily quota is used up. Must run after
+ * optionalAuthMiddleware so authenticated callers get their own tier.
+ */
+const rateLimitMiddleware = async (req, res, next) => {
+  if (!config.rateLimit.enabled) {
+    return next();
+  }
+
+  const { identity, tier } = getCaller(req);
+  const routeCost = ROUTE_COSTS[`${req.method} ${req.baseUrl}${req.path}`];
+  const result = await RateLimitService.getShared().consume(identity, tier, routeCost ? routeCost() : 1);
+
+  if (!result.window) {
+    return next();
+  }
+
+  setRateLimitHeaders(res, result);
+
+  if (!result.allowed) {
+    const exceeded = result[result.scope];
+    const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt.getTime() - Date.now()) / 1000));
+
+    res.set("Retry-After", String(retryAfter));
+
+    const error = new Error(
+      result.scope === "daily" ? "Daily request quota exceeded" : "Too many requests in the current window"
+    );
+    error.code = "RATE_LIMIT";
+    error.statusCode = 429;
+    error.retryAfter = retryAfter;
+    error.limit = exceeded.limit;
+    error.scope = result.scope;
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = rateLimitMiddleware;
@@ -0,0 +1,23 @@
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+// Accept caller-supplied IDs only if they are short and log-safe
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID Middleware
+ * Reuses the caller's X-Request-Id (e.g. from a load balancer) or generates
+ * one, echoes it in the response and makes it available to every log entry
+ * written while the request is handled.
+ */
+const requestIdMiddleware = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  logger.runWithContext({ requestId }, next);
+};
+
+module.exports = requestIdMiddleware;
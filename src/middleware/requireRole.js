@@ -0,0 +1,23 @@
+/**
+ * Role Middleware
+ * Creates a middleware that allows the request through only when the access
+ * token carries one of the given roles. Must run after authMiddleware.
+ * @param {...string} roles - Allowed roles, e.g. "admin"
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: "FORBIDDEN",
+        message: `This endpoint requires the ${roles.join(" or ")} role`,
+      },
+      requestTimestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+module.exports = requireRole;
@@ -0,0 +1,52 @@
+/**
+ * Scope Middleware
+ * Creates a middleware that limits API key requests to keys carrying the
+ * given scope (keys without scopes are unrestricted). Requests authenticated
+ * with a JWT are not affected. Must run after authMiddleware.
+ * @param {string} scope - e.g. "weather:read"
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.user || req.user.authMethod !== "api_key") {
+    return next();
+  }
+
+  const scopes = req.user.scopes || [];
+
+  if (scopes.length > 0 && !scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: "INSUFFICIENT_SCOPE",
+        message: `This API key is missing the ${scope} scope`,
+      },
+      requestTimestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+/**
+ * Session Middleware
+ * Rejects API key requests on account-management endpoints, so a leaked key
+ * cannot be used to create more keys or change credentials.
+ * Must run after authMiddleware.
+ */
+const requireSession = (req, res, next) => {
+  if (req.user && req.user.authMethod === "api_key") {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: "API_KEY_NOT_ALLOWED",
+        message: "This endpoint requires a bearer access token",
+      },
+      requestTimestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+module.exports = requireScope;
+module.exports.requireSession = requireSession;
@@ -0,0 +1,115 @@
+const config = require("../config/config");
+const authMiddleware = require("./authMiddleware");
+const SavedLocationService = require("../services/savedLocationService");
+
+// Lazy-load service
+let savedLocationService;
+
+function getSavedLocationService() {
+  if (!savedLocationService) {
+    savedLocationService = new SavedLocationService();
+  }
+  return savedLocationService;
+}
+
+/**
+ * Saved Location Middleware
+ * Creates a middleware that resolves a `locationId` query parameter to one of
+ * the current user's saved locations and rewrites the query into the
+ * coordinate parameters the route already understands. Requests without
+ * locationId pass through untouched; requests with it must be authenticated,
+ * also on otherwise public routes. The location is left on req.savedLocation.
+ * @param {Array<string>} replaces - Query parameters locationId stands in for; sending both is an error
+ * @param {Function} apply - (query, location) => void, writes the coordinates into the query
+ * @returns {Function} Express middleware
+ */
+const savedLocation = (replaces, apply) => (req, res, next) => {
+  const { locationId } = req.query;
+
+  if (locationId === undefined) {
+    return next();
+  }
+
+  const conflicting = replaces.filter((name) => req.query[name] !== undefined);
+
+  if (conflicting.length > 0) {
+    const error = new Error(`locationId cannot be combined with ${conflicting.join(", ")}`);
+    error.code = "VALIDATION_ERROR";
+    error.statusCode = 400;
+    error.details = conflicting.map((name) => ({
+      field: name,
+      message: `Send either locationId or ${replaces.join("/")}, not both`,
+      provided: req.query[name],
+    }));
+    return next(error);
+  }
+
+  const resolve = () => {
+    getSavedLocationService()
+      .findLocation(req.user.userId, locationId)
+      .then((location) => {
+        delete req.query.locationId;
+        apply(req.query, location);
+        req.savedLocation = location;
+        next();
+      })
+      .catch(next);
+  };
+
+  if (req.user) {
+    return resolve();
+  }
+
+  authMiddleware(req, res, resolve);
+};
+
+/**
+ * For routes taking latitude and longitude
+ */
+const asLatitudeLongitude = savedLocation(["latitude", "longitude"], (query, location) => {
+  query.latitude = String(location.latitude);
+  query.longitude = String(location.longitude);
+});
+
+/**
+ * For routes taking lat and lon
+ */
+const asLatLon = savedLocation(["lat", "lon"], (query, location) => {
+  query.lat = String(location.latitude);
+  query.lon = String(location.longitude);
+});
+
+/**
+ * For routes taking coordinates=lat,lon
+ */
+const asCoordinates = savedLocation(["coordinates"], (query, location) => {
+  query.coordinates = `${location.latitude},${location.longitude}`;
+});
+
+/**
+ * For routes taking userLat/userLon plus a bbox; without a bbox, a box of
+ * config.savedLocations.regionalBboxDegrees around the location is searched
+ */
+const asRegion = savedLocation(["userLat", "userLon"], (query, location) => {
+  const degrees = config.savedLocations.regionalBboxDegrees;
+
+  query.userLat = String(location.latitude);
+  query.userLon = String(location.longitude);
+
+  if (!query.bbox) {
+    query.bbox = [
+      Math.max(-180, location.longitude - degrees),
+      Math.max(-90, location.latitude - degrees),
+      Math.min(180, location.longitude + degrees),
+      Math.min(90, location.latitude + degrees),
+    ]
+      .map((value) => Number(value.toFixed(4)))
+      .join(",");
+  }
+});
+
+module.exports = savedLocation;
+module.exports.asLatitudeLongitude = asLatitudeLongitude;
+module.exports.asLatLon = asLatLon;
+module.exports.asCoordinates = asCoordinates;
+module.exports.asRegion = asRegion;
@@ -0,0 +1,28 @@
+const config = require("../config/config");
+
+/**
+ * Verified Email Middleware
+ * When EMAIL_VERIFICATION_REQUIRED is enabled, allows the request through only
+ * for accounts whose access token says the email address is verified.
+ * Must run after authMiddleware.
+ */
+const verifiedEmailMiddleware = (req, res, next) => {
+  if (!config.emailVerification.required) {
+    return next();
+  }
+
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: "EMAIL_NOT_VERIFIED",
+        message: "Verify your email address to use this endpoint",
+      },
+      requestTimestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+module.exports = verifiedEmailMiddleware;
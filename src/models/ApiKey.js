@@ -0,0 +1,193 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * API Key Model for PostgreSQL
+ * Stores a SHA-256 hash of each personal API key plus a short prefix that
+ * lets users recognise their keys. The full key is only known at creation.
+ */
+class ApiKey {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the api_keys table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("API keys table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing API keys table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Store a new key
+   * @param {Object} keyData - { userId, name, prefix, keyHash, scopes }
+   * @returns {Promise<Object>} Created key (without hash)
+   */
+  async create(keyData) {
+    await this.ensureTable();
+
+    const { userId, name, prefix, keyHash, scopes } = keyData;
+    const query = `
+      INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, user_id, name, prefix, scopes, created_at, last_used_at, revoked_at
+    `;
+
+    const result = await this.pool.query(query, [userId, name, prefix, keyHash, scopes]);
+    return this.formatKey(result.rows[0]);
+  }
+
+  /**
+   * Count a user's active keys
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  async countActiveForUser(userId) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "SELECT COUNT(*)::integer AS count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * List a user's active keys, newest first
+   * @param {number} userId
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT id, user_id, name, prefix, scopes, created_at, last_used_at, revoked_at
+      FROM api_keys
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    const result = await this.pool.query(query, [userId]);
+    return result.rows.map((row) => this.formatKey(row));
+  }
+
+  /**
+   * Find an active key and the account that owns it
+   * @param {string} keyHash
+   * @returns {Promise<Object|null>} Key with a `user` object, or null
+   */
+  async findActiveByHash(keyHash) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT k.id, k.user_id, k.name, k.prefix, k.scopes, k.created_at, k.last_used_at, k.revoked_at,
+             u.email, u.role, u.email_verified, u.is_active
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+    `;
+
+    const result = await this.pool.query(query, [keyHash]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      ...this.formatKey(row),
+      user: {
+        id: row.user_id,
+        email: row.email,
+        role: row.role,
+        emailVerified: row.email_verified,
+        isActive: row.is_active,
+      },
+    };
+  }
+
+  /**
+   * Record that a key was used
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async touch(id) {
+    await this.ensureTable();
+
+    await this.pool.query("UPDATE api_keys SET last_used_at = NOW() WHERE id = $1", [id]);
+  }
+
+  /**
+   * Revoke one of a user's keys
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<boolean>} False if the user has no such active key
+   */
+  async revoke(userId, id) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL",
+      [id, userId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Format key row for use in services (camelCase)
+   * @param {Object} dbKey
+   * @returns {Object}
+   */
+  formatKey(dbKey) {
+    return {
+      id: dbKey.id,
+      userId: dbKey.user_id,
+      name: dbKey.name,
+      prefix: dbKey.prefix,
+      scopes: dbKey.scopes,
+      createdAt: dbKey.created_at,
+      lastUsedAt: dbKey.last_used_at,
+      revokedAt: dbKey.revoked_at,
+    };
+  }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,146 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Cache Entry Model for PostgreSQL
+ * Persistent backend for the upstream response cache
+ */
+class CacheEntry {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the response_cache table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS response_cache (
+        cache_key TEXT PRIMARY KEY,
+        value JSONB NOT NULL,
+        cached_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_response_cache_expires_at ON response_cache(expires_at);
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("Response cache table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing response cache table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Get an unexpired cache entry
+   * @param {string} key
+   * @returns {Promise<Object|null>} { value, cachedAt, expiresAt } or null
+   */
+  async get(key) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT value, cached_at, expires_at
+      FROM response_cache
+      WHERE cache_key = $1 AND (expires_at IS NULL OR expires_at > NOW())
+    `;
+
+    const result = await this.pool.query(query, [key]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      value: row.value,
+      cachedAt: row.cached_at,
+      expiresAt: row.expires_at,
+    };
+  }
+
+  /**
+   * Insert or replace a cache entry
+   * @param {string} key
+   * @param {*} value - JSON-serialisable value
+   * @param {number|null} ttlSeconds - null keeps the entry until purged
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlSeconds) {
+    await this.ensureTable();
+
+    const query = `
+      INSERT INTO response_cache (cache_key, value, cached_at, expires_at)
+      VALUES ($1, $2, NOW(), CASE WHEN $3::integer IS NULL THEN NULL ELSE NOW() + make_interval(secs => $3::integer) END)
+      ON CONFLICT (cache_key)
+      DO UPDATE SET value = EXCLUDED.value, cached_at = EXCLUDED.cached_at, expires_at = EXCLUDED.expires_at
+    `;
+
+    await this.pool.query(query, [key, JSON.stringify(value), ttlSeconds || null]);
+  }
+
+  /**
+   * Delete entries whose key starts with the given prefix
+   * @param {string} prefix - Empty string removes everything
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purge(prefix = "") {
+    await this.ensureTable();
+
+    const query = `
+      DELETE FROM response_cache
+      WHERE cache_key LIKE $1 || '%'
+    `;
+
+    const escapedPrefix = prefix.replace(/[\\%_]/g, (char) => `\\${char}`);
+    const result = await this.pool.query(query, [escapedPrefix]);
+    return result.rowCount;
+  }
+
+  /**
+   * Delete expired entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purgeExpired() {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "DELETE FROM response_cache WHERE expires_at IS NOT NULL AND expires_at <= NOW()"
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {Promise<number>}
+   */
+  async size() {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "SELECT COUNT(*)::integer AS count FROM response_cache"
+    );
+    return result.rows[0].count;
+  }
+}
+
+module.exports = CacheEntry;
@@ -0,0 +1,102 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Email Verification Token Model for PostgreSQL
+ * Stores a SHA-256 hash of each emailed verification token. A token can be
+ * consumed once, before it expires.
+ */
+class EmailVerificationToken {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the email_verification_tokens table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("Email verification tokens table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing email verification tokens table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Store a new verification token, invalidating the user's earlier unused ones
+   * @param {Object} tokenData - { userId, tokenHash, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async create(tokenData) {
+    await this.ensureTable();
+
+    const { userId, tokenHash, expiresAt } = tokenData;
+
+    await this.pool.query(
+      "UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+      [userId]
+    );
+    await this.pool.query(
+      "INSERT INTO email_verification_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)",
+      [userId, tokenHash, expiresAt]
+    );
+  }
+
+  /**
+   * Mark a token as used if it is unused and unexpired
+   * A single conditional UPDATE, so a token cannot be consumed twice.
+   * @param {string} tokenHash
+   * @returns {Promise<number|null>} User ID, or null if the token is not valid
+   */
+  async consume(tokenHash) {
+    await this.ensureTable();
+
+    const query = `
+      UPDATE email_verification_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `;
+
+    const result = await this.pool.query(query, [tokenHash]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0].user_id;
+  }
+}
+
+module.exports = EmailVerificationToken;
@@ -0,0 +1,173 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Login Attempt Model for PostgreSQL
+ * Audit log of login events. Failed attempts recorded here also drive the
+ * brute-force lockout, so every instance sees the same counts.
+ *
+ * Events: login_succeeded, login_failed, login_blocked (rejected while
+ * locked out), mfa_challenged (right password, second factor pending) and
+ * unlocked (by an administrator).
+ */
+class LoginAttempt {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the login_attempts table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id BIGSERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ip VARCHAR(45),
+        user_agent VARCHAR(255),
+        event VARCHAR(32) NOT NULL,
+        reason VARCHAR(64),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_email_created_at ON login_attempts(email, created_at);
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_created_at ON login_attempts(ip, created_at);
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id);
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("Login attempts table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing login attempts table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Record a login event
+   * @param {Object} attempt - { email, userId, ip, userAgent, event, reason }
+   * @returns {Promise<void>}
+   */
+  async record(attempt) {
+    await this.ensureTable();
+
+    const { email, userId, ip, userAgent, event, reason } = attempt;
+    const query = `
+      INSERT INTO login_attempts (email, user_id, ip, user_agent, event, reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+
+    await this.pool.query(query, [
+      email,
+      userId || null,
+      ip || null,
+      userAgent ? userAgent.slice(0, 255) : null,
+      event,
+      reason || null,
+    ]);
+  }
+
+  /**
+   * Failed logins for an email since `since`, ignoring those before the
+   * last successful login or admin unlock
+   * @param {string} email
+   * @param {Date} since
+   * @returns {Promise<Object>} { count, lastFailureAt }
+   */
+  async getEmailFailures(email, since) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT COUNT(*)::integer AS count, MAX(created_at) AS last_failure_at
+      FROM login_attempts
+      WHERE email = $1
+        AND event = 'login_failed'
+        AND created_at > GREATEST($2::timestamptz, COALESCE((
+          SELECT MAX(created_at) FROM login_attempts
+          WHERE email = $1 AND event IN ('login_succeeded', 'unlocked')
+        ), $2::timestamptz))
+    `;
+
+    const result = await this.pool.query(query, [email, since]);
+    return { count: result.rows[0].count, lastFailureAt: result.rows[0].last_failure_at };
+  }
+
+  /**
+   * Failed logins from an IP address since `since`, for any email
+   * @param {string} ip
+   * @param {Date} since
+   * @returns {Promise<Object>} { count, lastFailureAt }
+   */
+  async getIpFailures(ip, since) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT COUNT(*)::integer AS count, MAX(created_at) AS last_failure_at
+      FROM login_attempts
+      WHERE ip = $1 AND event = 'login_failed' AND created_at > $2::timestamptz
+    `;
+
+    const result = await this.pool.query(query, [ip, since]);
+    return { count: result.rows[0].count, lastFailureAt: result.rows[0].last_failure_at };
+  }
+
+  /**
+   * Most recent login events of a user
+   * @param {number} userId
+   * @param {string} email - Also matches attempts made before the account existed or with a deleted user_id
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId, email, limit = 50) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT id, email, user_id, ip, user_agent, event, reason, created_at
+      FROM login_attempts
+      WHERE user_id = $1 OR email = $2
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3
+    `;
+
+    const result = await this.pool.query(query, [userId, email, limit]);
+    return result.rows.map((row) => this.formatAttempt(row));
+  }
+
+  /**
+   * Format attempt row for use in services (camelCase)
+   * @param {Object} dbAttempt
+   * @returns {Object}
+   */
+  formatAttempt(dbAttempt) {
+    return {
+      id: Number(dbAttempt.id),
+      email: dbAttempt.email,
+      userId: dbAttempt.user_id,
+      ip: dbAttempt.ip,
+      userAgent: dbAttempt.user_agent,
+      event: dbAttempt.event,
+      reason: dbAttempt.reason,
+      createdAt: dbAttempt.created_at,
+    };
+  }
+}
+
+module.exports = LoginAttempt;
@@ -0,0 +1,97 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * MFA Challenge Model for PostgreSQL
+ * IDs (jti) of mfa tokens that were already exchanged for a login, so each
+ * token completes at most one login. Rows are only needed until the token
+ * would have expired anyway.
+ */
+class MfaChallenge {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the mfa_used_challenges table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS mfa_used_challenges (
+        jti UUID PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_mfa_used_challenges_expires_at ON mfa_used_challenges(expires_at);
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("MFA used challenges table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing MFA used challenges table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Whether an mfa token was already used
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>}
+   */
+  async isUsed(jti) {
+    await this.ensureTable();
+
+    const result = await this.pool.query("SELECT 1 FROM mfa_used_challenges WHERE jti = $1", [jti]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Record an mfa token as used, unless it already was
+   * A conditional INSERT, so two requests with the same token cannot both succeed.
+   * @param {string} jti - Token ID
+   * @param {number} userId
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<boolean>} False if the token was used before
+   */
+  async markUsed(jti, userId, expiresAt) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "INSERT INTO mfa_used_challenges (jti, user_id, expires_at) VALUES ($1, $2, $3) ON CONFLICT (jti) DO NOTHING",
+      [jti, userId, expiresAt]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Delete records of tokens that have expired
+   * @returns {Promise<number>} Number of rows deleted
+   */
+  async purgeExpired() {
+    await this.ensureTable();
+
+    const result = await this.pool.query("DELETE FROM mfa_used_challenges WHERE expires_at <= NOW()");
+    return result.rowCount;
+  }
+}
+
+module.exports = MfaChallenge;
@@ -0,0 +1,154 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * MFA Credential Model for PostgreSQL
+ * One TOTP secret per user, stored encrypted. A credential without
+ * enabled_at is a pending enrollment that has not been confirmed with a code.
+ */
+class MfaCredential {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the mfa_credentials table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS mfa_credentials (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        secret_encrypted TEXT NOT NULL,
+        enabled_at TIMESTAMP WITH TIME ZONE,
+        last_used_step BIGINT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("MFA credentials table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing MFA credentials table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Store a pending enrollment, replacing an earlier unconfirmed one
+   * Does nothing if MFA is already enabled.
+   * @param {number} userId
+   * @param {string} secretEncrypted
+   * @returns {Promise<boolean>} False if MFA is already enabled
+   */
+  async savePending(userId, secretEncrypted) {
+    await this.ensureTable();
+
+    const query = `
+      INSERT INTO mfa_credentials (user_id, secret_encrypted)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE
+        SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, created_at = NOW()
+        WHERE mfa_credentials.enabled_at IS NULL
+    `;
+
+    const result = await this.pool.query(query, [userId, secretEncrypted]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find a user's credential, pending or enabled
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  async findByUserId(userId) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "SELECT user_id, secret_encrypted, enabled_at, last_used_step, created_at FROM mfa_credentials WHERE user_id = $1",
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.formatCredential(result.rows[0]);
+  }
+
+  /**
+   * Confirm a pending enrollment
+   * @param {number} userId
+   * @param {number} step - Time step of the confirming code
+   * @returns {Promise<void>}
+   */
+  async enable(userId, step) {
+    await this.ensureTable();
+
+    await this.pool.query(
+      "UPDATE mfa_credentials SET enabled_at = NOW(), last_used_step = $2 WHERE user_id = $1",
+      [userId, step]
+    );
+  }
+
+  /**
+   * Record the time step of a used code, unless a later one was used already
+   * A conditional UPDATE, so one code cannot be accepted twice.
+   * @param {number} userId
+   * @param {number} step
+   * @returns {Promise<boolean>} False if the code (or a later one) was already used
+   */
+  async markStepUsed(userId, step) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "UPDATE mfa_credentials SET last_used_step = $2 WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)",
+      [userId, step]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Remove a user's credential
+   * @param {number} userId
+   * @returns {Promise<void>}
+   */
+  async delete(userId) {
+    await this.ensureTable();
+
+    await this.pool.query("DELETE FROM mfa_credentials WHERE user_id = $1", [userId]);
+  }
+
+  /**
+   * Format credential row for use in services (camelCase)
+   * @param {Object} dbCredential
+   * @returns {Object}
+   */
+  formatCredential(dbCredential) {
+    return {
+      userId: dbCredential.user_id,
+      secretEncrypted: dbCredential.secret_encrypted,
+      enabledAt: dbCredential.enabled_at,
+      lastUsedStep: dbCredential.last_used_step === null ? null : Number(dbCredential.last_used_step),
+      createdAt: dbCredential.created_at,
+    };
+  }
+}
+
+module.exports = MfaCredential;
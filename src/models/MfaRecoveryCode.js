@@ -0,0 +1,113 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * MFA Recovery Code Model for PostgreSQL
+ * SHA-256 hashes of single-use recovery codes, for users who lose their
+ * authenticator
+ */
+class MfaRecoveryCode {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the mfa_recovery_codes table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, code_hash)
+      );
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("MFA recovery codes table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing MFA recovery codes table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Replace all of a user's recovery codes
+   * @param {number} userId
+   * @param {Array<string>} codeHashes
+   * @returns {Promise<void>}
+   */
+  async replaceForUser(userId, codeHashes) {
+    await this.ensureTable();
+
+    await this.pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [userId]);
+    await this.pool.query(
+      "INSERT INTO mfa_recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::text[])",
+      [userId, codeHashes]
+    );
+  }
+
+  /**
+   * Use a recovery code if it is unused
+   * @param {number} userId
+   * @param {string} codeHash
+   * @returns {Promise<boolean>} False if the code is unknown or already used
+   */
+  async consume(userId, codeHash) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "UPDATE mfa_recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL",
+      [userId, codeHash]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Number of unused codes a user has left
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  async countRemaining(userId) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "SELECT COUNT(*)::integer AS count FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL",
+      [userId]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * Remove all of a user's recovery codes
+   * @param {number} userId
+   * @returns {Promise<void>}
+   */
+  async deleteForUser(userId) {
+    await this.ensureTable();
+
+    await this.pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [userId]);
+  }
+}
+
+module.exports = MfaRecoveryCode;
@@ -0,0 +1,94 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Rate Limit Counter Model for PostgreSQL
+ * Shared rate limit counters, so every instance enforces the same limits
+ */
+class RateLimitCounter {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the rate_limit_counters table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS rate_limit_counters (
+        counter_key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at ON rate_limit_counters(reset_at);
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("Rate limit counters table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing rate limit counters table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Add to a counter, creating it if it does not exist or has expired
+   * A single upsert, so concurrent requests on several instances are all counted.
+   * @param {string} key
+   * @param {number} amount
+   * @param {Date} resetAt - When a newly created counter expires
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, amount, resetAt) {
+    await this.ensureTable();
+
+    const query = `
+      INSERT INTO rate_limit_counters (counter_key, count, reset_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (counter_key) DO UPDATE SET
+        count = CASE
+          WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.count
+          ELSE rate_limit_counters.count + EXCLUDED.count
+        END,
+        reset_at = CASE
+          WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.reset_at
+          ELSE rate_limit_counters.reset_at
+        END
+      RETURNING count, reset_at
+    `;
+
+    const result = await this.pool.query(query, [key, amount, resetAt]);
+    return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+  }
+
+  /**
+   * Delete expired counters
+   * @returns {Promise<number>} Number of removed counters
+   */
+  async purgeExpired() {
+    await this.ensureTable();
+
+    const result = await this.pool.query("DELETE FROM rate_limit_counters WHERE reset_at <= NOW()");
+    return result.rowCount;
+  }
+}
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,187 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Refresh Token Model for PostgreSQL
+ * Stores a SHA-256 hash of every issued refresh token. Tokens issued by
+ * rotating one another share a family_id (one login session), so a whole
+ * session can be revoked at once.
+ */
+class RefreshToken {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the refresh_tokens table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        family_id UUID NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        revoked_reason VARCHAR(32)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("Refresh tokens table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing refresh tokens table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Store a newly issued refresh token
+   * @param {Object} tokenData - { userId, tokenHash, familyId, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async create(tokenData) {
+    await this.ensureTable();
+
+    const { userId, tokenHash, familyId, expiresAt } = tokenData;
+    const query = `
+      INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+      VALUES ($1, $2, $3, $4)
+    `;
+
+    await this.pool.query(query, [userId, tokenHash, familyId, expiresAt]);
+  }
+
+  /**
+   * Find a token by hash, revoked or not
+   * @param {string} tokenHash
+   * @returns {Promise<Object|null>}
+   */
+  async findByHash(tokenHash) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT id, user_id, family_id, expires_at, created_at, revoked_at, revoked_reason
+      FROM refresh_tokens
+      WHERE token_hash = $1
+    `;
+
+    const result = await this.pool.query(query, [tokenHash]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.formatToken(result.rows[0]);
+  }
+
+  /**
+   * Revoke one token if it is still active
+   * Runs as a single conditional UPDATE so two concurrent refreshes with the
+   * same token cannot both succeed.
+   * @param {string} tokenHash
+   * @param {string} reason - e.g. rotated, logout
+   * @returns {Promise<Object|null>} The revoked token, or null if it was not active
+   */
+  async revoke(tokenHash, reason) {
+    await this.ensureTable();
+
+    const query = `
+      UPDATE refresh_tokens
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING id, user_id, family_id, expires_at, created_at, revoked_at, revoked_reason
+    `;
+
+    const result = await this.pool.query(query, [tokenHash, reason]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.formatToken(result.rows[0]);
+  }
+
+  /**
+   * Revoke every active token in a session
+   * @param {string} familyId
+   * @param {string} reason
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeFamily(familyId, reason) {
+    await this.ensureTable();
+
+    const query = `
+      UPDATE refresh_tokens
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE family_id = $1 AND revoked_at IS NULL
+    `;
+
+    const result = await this.pool.query(query, [familyId, reason]);
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke every active token of a user
+   * @param {number} userId
+   * @param {string} reason
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllForUser(userId, reason) {
+    await this.ensureTable();
+
+    const query = `
+      WITH revoked AS (
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(), revoked_reason = $2
+        WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+        RETURNING family_id
+      )
+      SELECT COUNT(DISTINCT family_id)::integer AS sessions FROM revoked
+    `;
+
+    const result = await this.pool.query(query, [userId, reason]);
+    return result.rows[0].sessions;
+  }
+
+  /**
+   * Format token row for use in services (camelCase)
+   * @param {Object} dbToken
+   * @returns {Object}
+   */
+  formatToken(dbToken) {
+    return {
+      id: dbToken.id,
+      userId: dbToken.user_id,
+      familyId: dbToken.family_id,
+      expiresAt: dbToken.expires_at,
+      createdAt: dbToken.created_at,
+      revokedAt: dbToken.revoked_at,
+      revokedReason: dbToken.revoked_reason,
+    };
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,214 @@
+const { getPool } = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Saved Location Model for PostgreSQL
+ * Named coordinates a user can refer to by ID instead of latitude/longitude.
+ * Names are unique per user (case-insensitive).
+ */
+class SavedLocation {
+  constructor() {
+    this.pool = getPool();
+    this.tableReady = null;
+  }
+
+  /**
+   * Initialize the saved_locations table
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    const createTableQuery = `
+      CREATE TABLE IF NOT EXISTS saved_locations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+        longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_locations_user_name ON saved_locations(user_id, LOWER(name));
+    `;
+
+    try {
+      await this.pool.query(createTableQuery);
+      logger.info("Saved locations table initialized successfully");
+    } catch (error) {
+      logger.error("Error initializing saved locations table", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Save a location
+   * @param {Object} locationData - { userId, name, latitude, longitude }
+   * @returns {Promise<Object>} Created location
+   */
+  async create(locationData) {
+    await this.ensureTable();
+
+    const { userId, name, latitude, longitude } = locationData;
+    const query = `
+      INSERT INTO saved_locations (user_id, name, latitude, longitude)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, name, latitude, longitude, created_at, updated_at
+    `;
+
+    try {
+      const result = await this.pool.query(query, [userId, name, latitude, longitude]);
+      return this.formatLocation(result.rows[0]);
+    } catch (error) {
+      throw this.mapUniqueViolation(error);
+    }
+  }
+
+  /**
+   * Number of locations a user has saved
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  async countForUser(userId) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "SELECT COUNT(*)::integer AS count FROM saved_locations WHERE user_id = $1",
+      [userId]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * A user's locations, alphabetically
+   * @param {number} userId
+   * @returns {Promise<Array<Object>>}
+   */
+  async listForUser(userId) {
+    await this.ensureTable();
+
+    const query = `
+      SELECT id, name, latitude, longitude, created_at, updated_at
+      FROM saved_locations
+      WHERE user_id = $1
+      ORDER BY LOWER(name), id
+    `;
+
+    const result = await this.pool.query(query, [userId]);
+    return result.rows.map((row) => this.formatLocation(row));
+  }
+
+  /**
+   * Find one of a user's locations
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findForUser(userId, id) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "SELECT id, name, latitude, longitude, created_at, updated_at FROM saved_locations WHERE user_id = $1 AND id = $2",
+      [userId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.formatLocation(result.rows[0]);
+  }
+
+  /**
+   * Update one of a user's locations
+   * @param {number} userId
+   * @param {number} id
+   * @param {Object} updateData - Any of { name, latitude, longitude }
+   * @returns {Promise<Object|null>} Updated location, or null if it does not exist
+   */
+  async update(userId, id, updateData) {
+    await this.ensureTable();
+
+    const { name, latitude, longitude } = updateData;
+
+    const query = `
+      UPDATE saved_locations
+      SET name = COALESCE($3, name),
+          latitude = COALESCE($4, latitude),
+          longitude = COALESCE($5, longitude),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND id = $2
+      RETURNING id, name, latitude, longitude, created_at, updated_at
+    `;
+
+    try {
+      const result = await this.pool.query(query, [userId, id, name, latitude, longitude]);
+      return result.rows.length === 0 ? null : this.formatLocation(result.rows[0]);
+    } catch (error) {
+      throw this.mapUniqueViolation(error);
+    }
+  }
+
+  /**
+   * Delete one of a user's locations
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(userId, id) {
+    await this.ensureTable();
+
+    const result = await this.pool.query(
+      "DELETE FROM saved_locations WHERE user_id = $1 AND id = $2",
+      [userId, id]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Turn a duplicate-name violation into a client error
+   * @param {Error} error
+   * @returns {Error}
+   */
+  mapUniqueViolation(error) {
+    if (error.code !== "23505") {
+      return error;
+    }
+
+    const err = new Error("A saved location with this name already exists");
+    err.code = "LOCATION_NAME_EXISTS";
+    err.statusCode = 409;
+    return err;
+  }
+
+  /**
+   * Format location row for response (camelCase)
+   * @param {Object} dbLocation
+   * @returns {Object}
+   */
+  formatLocation(dbLocation) {
+    return {
+      id: dbLocation.id,
+      name: dbLocation.name,
+      latitude: dbLocation.latitude,
+      longitude: dbLocation.longitude,
+      createdAt: dbLocation.created_at,
+      updatedAt: dbLocation.updated_at,
+    };
+  }
+}
+
+module.exports = SavedLocation;
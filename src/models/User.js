@@ -1,6 +1,7 @@
-const { Pool } = require("pg");
 const bcrypt = require("bcryptjs");
+const { getPool } = require("../config/database");
 const config = require("../config/config");
+const logger = require("../utils/logger");
 
 /**
  * User Model for PostgreSQL
@@ -8,16 +9,8 @@ const config = require("../config/config");
  */
 class User {
   constructor() {
-    this.pool = new Pool({
-      host: config.database.host,
-      port: config.database.port,
-      database: config.database.name,
-      user: config.database.user,
-      password: config.database.password,
-      max: config.database.poolMax,
-      idleTimeoutMillis: config.database.idleTimeout,
-      connectionTimeoutMillis: config.database.connectionTimeout,
-    });
+    this.pool = getPool();
+    this.tableReady = null;
   }
 
   /**
@@ -33,28 +26,69 @@ class User {
         first_name VARCHAR(100),
         last_name VARCHAR(100),
         is_active BOOLEAN DEFAULT true,
+        email_verified BOOLEAN NOT NULL DEFAULT false,
+        role VARCHAR(16) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+        mfa_enabled BOOLEAN NOT NULL DEFAULT false,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Accounts created before email verification existed are treated as verified
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT true;
+      ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(16) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin'));
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT false;
+
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
     `;
 
     try {
       await this.pool.query(createTableQuery);
-      console.log("Users table initialized successfully");
+      await this.promoteBootstrapAdmins();
+      logger.info("Users table initialized successfully");
     } catch (error) {
-      console.error("Error initializing users table:", error.message);
+      logger.error("Error initializing users table", { error });
       throw error;
     }
   }
 
+  /**
+   * Create or migrate the table on first use
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.initTable().catch((error) => {
+        this.tableReady = null;
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  /**
+   * Give the admin role to existing accounts listed in ADMIN_EMAILS
+   * @returns {Promise<void>}
+   */
+  async promoteBootstrapAdmins() {
+    if (config.admin.emails.length === 0) {
+      return;
+    }
+
+    await this.pool.query(
+      "UPDATE users SET role = 'admin', updated_at = CURRENT_TIMESTAMP WHERE LOWER(email) = ANY($1) AND role <> 'admin'",
+      [config.admin.emails]
+    );
+  }
+
   /**
    * Create a new user
    * @param {Object} userData - User data { email, password, firstName, lastName }
    * @returns {Promise<Object>} Created user (without password)
    */
   async create(userData) {
+    await this.ensureTable();
+
     const { email, password, firstName, lastName } = userData;
 
     // Hash password
@@ -62,9 +96,9 @@ class User {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
     const query = `
-      INSERT INTO users (email, password, first_name, last_name)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, email, first_name, last_name, is_active, created_at, updated_at
+      INSERT INTO users (email, password, first_name, last_name, role)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, email, first_name, last_name, is_active, email_verified, role, mfa_enabled, created_at, updated_at
     `;
 
     try {
@@ -73,6 +107,7 @@ class User {
         hashedPassword,
         firstName || null,
         lastName || null,
+        config.admin.emails.includes(email.toLowerCase()) ? "admin" : "user",
       ]);
 
       return this.formatUser(result.rows[0]);
@@ -94,8 +129,10 @@ class User {
    * @returns {Promise<Object|null>} User object or null
    */
   async findByEmail(email) {
+    await this.ensureTable();
+
     const query = `
-      SELECT id, email, password, first_name, last_name, is_active, created_at, updated_at
+      SELECT id, email, password, first_name, last_name, is_active, email_verified, role, mfa_enabled, created_at, updated_at
       FROM users
       WHERE email = $1
     `;
@@ -115,8 +152,10 @@ class User {
    * @returns {Promise<Object|null>} User object (without password) or null
    */
   async findById(id) {
+    await this.ensureTable();
+
     const query = `
-      SELECT id, email, first_name, last_name, is_active, created_at, updated_at
+      SELECT id, email, first_name, last_name, is_active, email_verified, role, mfa_enabled, created_at, updated_at
       FROM users
       WHERE id = $1
     `;
@@ -147,6 +186,8 @@ class User {
    * @returns {Promise<Object>} Updated user
    */
   async update(id, updateData) {
+    await this.ensureTable();
+
     const { firstName, lastName, isActive } = updateData;
 
     const query = `
@@ -156,7 +197,7 @@ class User {
           is_active = COALESCE($4, is_active),
           updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
-      RETURNING id, email, first_name, last_name, is_active, created_at, updated_at
+      RETURNING id, email, first_name, last_name, is_active, email_verified, role, mfa_enabled, created_at, updated_at
     `;
 
     const result = await this.pool.query(query, [
@@ -183,6 +224,8 @@ class User {
    * @returns {Promise<boolean>}
    */
   async updatePassword(id, newPassword) {
+    await this.ensureTable();
+
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
@@ -196,12 +239,91 @@ class User {
     return result.rowCount > 0;
   }
 
+  /**
+   * Mark the user's email address as verified
+   * @param {number} id
+   * @returns {Promise<Object>} Updated user
+   */
+  async markEmailVerified(id) {
+    await this.ensureTable();
+
+    const query = `
+      UPDATE users
+      SET email_verified = true, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, email, first_name, last_name, is_active, email_verified, role, mfa_enabled, created_at, updated_at
+    `;
+
+    const result = await this.pool.query(query, [id]);
+
+    if (result.rows.length === 0) {
+      const error = new Error("User not found");
+      error.code = "USER_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.formatUser(result.rows[0]);
+  }
+
+  /**
+   * Turn the two-step login on or off
+   * @param {number} id
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async setMfaEnabled(id, enabled) {
+    await this.ensureTable();
+
+    await this.pool.query(
+      "UPDATE users SET mfa_enabled = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [id, enabled]
+    );
+  }
+
+  /**
+   * List users, newest first
+   * @param {Object} options - { search, limit, offset }; search matches email and names (case-insensitive)
+   * @returns {Promise<Object>} { users, total }
+   */
+  async list(options = {}) {
+    await this.ensureTable();
+
+    const { search, limit = 20, offset = 0 } = options;
+    const pattern = search ? `%${search.replace(/[\\%_]/g, "\\$&")}%` : null;
+
+    const where = `
+      WHERE $1::text IS NULL
+         OR email ILIKE $1
+         OR first_name ILIKE $1
+         OR last_name ILIKE $1
+    `;
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(
+        `SELECT id, email, first_name, last_name, is_active, email_verified, role, mfa_enabled, created_at, updated_at
+         FROM users ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2 OFFSET $3`,
+        [pattern, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*)::integer AS total FROM users ${where}`, [pattern]),
+    ]);
+
+    return {
+      users: rows.rows.map((row) => this.formatUser(row)),
+      total: count.rows[0].total,
+    };
+  }
+
   /**
    * Delete user
    * @param {number} id
    * @returns {Promise<boolean>}
    */
   async delete(id) {
+    await this.ensureTable();
+
     const query = "DELETE FROM users WHERE id = $1";
     const result = await this.pool.query(query, [id]);
     return result.rowCount > 0;
@@ -219,17 +341,13 @@ class User {
       firstName: dbUser.first_name,
       lastName: dbUser.last_name,
       isActive: dbUser.is_active,
+      emailVerified: dbUser.email_verified,
+      role: dbUser.role,
+      mfaEnabled: dbUser.mfa_enabled,
       createdAt: dbUser.created_at,
       updatedAt: dbUser.updated_at,
     };
   }
-
-  /**
-   * Close database connection pool
-   */
-  async close() {
-    await this.pool.end();
-  }
 }
 
 module.exports = User;
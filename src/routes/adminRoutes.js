@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const ResponseCacheService = require('../services/responseCacheService');
+const UserAdminService = require('../services/userAdminService');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/requireRole');
+const { requireSession } = require('../middleware/requireScope');
+
+router.use(authMiddleware, requireSession, requireRole('admin'));
+
+// Lazy-load service
+let userAdminService;
+
+function getUserAdminService() {
+  if (!userAdminService) {
+    userAdminService = new UserAdminService();
+  }
+  return userAdminService;
+}
+
+/**
+ * GET /api/admin/cache
+ * Get response cache statistics
+ */
+router.get('/cache', async (req, res, next) => {
+  try {
+    const stats = await ResponseCacheService.getShared().getStats();
+
+    res.json({
+      success: true,
+      data: stats,
+      requestTimestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Purge cached upstream responses
+ * Query parameters:
+ *   - latitude, longitude: purge only NASA POWER entries for this location (optional, both or neither)
+ */
+router.delete('/cache', async (req, res, next) => {
+  try {
+    const { latitude, longitude } = req.query;
+    let prefix = '';
+
+    if (latitude !== undefined || longitude !== undefined) {
+      const lat = Number(latitude);
+      const lon = Number(longitude);
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'latitude and longitude must both be numbers when purging a location',
+            details: { latitude, longitude }
+          },
+          requestTimestamp: new Date().toISOString()
+        });
+      }
+
+      prefix = ResponseCacheService.buildPowerLocationPrefix(lat, lon);
+    }
+
+    const removed = await ResponseCacheService.getShared().purge(prefix);
+
+    res.json({
+      success: true,
+      data: {
+        removed,
+        scope: prefix ? { latitude: Number(latitude), longitude: Number(longitude) } : 'all'
+      },
+      requestTimestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/users
+ * List users
+ * Query parameters:
+ *   - search: match email, first or last name (optional)
+ *   - page, limit: pagination (default 1 and 20, limit at most 100)
+ */
+router.get('/users', async (req, res, next) => {
+  try {
+    const result = await getUserAdminService().listUsers(req.query);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Get one user
+ */
+router.get('/users/:id', async (req, res, next) => {
+  try {
+    const result = await getUserAdminService().getUser(req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/deactivate
+ * Deactivate a user and revoke their sessions
+ */
+router.post('/users/:id/deactivate', async (req, res, next) => {
+  try {
+    const result = await getUserAdminService().deactivateUser(req.user.userId, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/reactivate
+ * Reactivate a deactivated user
+ */
+router.post('/users/:id/reactivate', async (req, res, next) => {
+  try {
+    const result = await getUserAdminService().reactivateUser(req.user.userId, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Lift a login lockout
+ */
+router.post('/users/:id/unlock', async (req, res, next) => {
+  try {
+    const result = await getUserAdminService().unlockUser(req.user.userId, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/users/:id/login-attempts
+ * Recent login audit entries of a user
+ * Query parameters:
+ *   - limit: number of entries (default 50, at most 100)
+ */
+router.get('/users/:id/login-attempts', async (req, res, next) => {
+  try {
+    const result = await getUserAdminService().listLoginAttempts(req.params.id, req.query);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Delete a user
+ */
+router.delete('/users/:id', async (req, res, next) => {
+  try {
+    const result = await getUserAdminService().deleteUser(req.user.userId, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
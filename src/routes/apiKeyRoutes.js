@@ -0,0 +1,65 @@
+const express = require("express");
+const router = express.Router();
+const ApiKeyService = require("../services/apiKeyService");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireSession } = require("../middleware/requireScope");
+
+router.use(authMiddleware, requireSession);
+
+// Lazy-load service
+let apiKeyService;
+
+function getApiKeyService() {
+  if (!apiKeyService) {
+    apiKeyService = new ApiKeyService();
+  }
+  return apiKeyService;
+}
+
+/**
+ * POST /api/api-keys
+ * Create a personal API key; the full key is only returned here
+ * Requires: Bearer token
+ * Body: { name, scopes }
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const result = await getApiKeyService().createKey(req.user.userId, req.body);
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/api-keys
+ * List the current user's active API keys
+ * Requires: Bearer token
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const result = await getApiKeyService().listKeys(req.user.userId);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke one of the current user's API keys
+ * Requires: Bearer token
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const result = await getApiKeyService().revokeKey(req.user.userId, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const AuthService = require("../services/authService");
 const authMiddleware = require("../middleware/authMiddleware");
+const { requireSession } = require("../middleware/requireScope");
+const MetricsService = require("../services/metricsService");
 
 // Lazy-load service
 let authService;
@@ -44,10 +46,46 @@ router.post("/login", async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    const result = await getAuthService().login({ email, password });
+    const result = await getAuthService().login(
+      { email, password },
+      { ip: req.ip, userAgent: req.get("User-Agent") }
+    );
+
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 401 || error.retryAfter) {
+      MetricsService.recordAuthFailure(error.code);
+    }
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login/mfa
+ * Second login step for accounts with two-factor authentication
+ * Body: { mfaToken, code } or { mfaToken, recoveryCode }
+ */
+router.post("/login/mfa", async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const result = await getAuthService().completeMfaLogin(
+      mfaToken,
+      { code, recoveryCode },
+      { ip: req.ip, userAgent: req.get("User-Agent") }
+    );
 
     res.json(result);
   } catch (error) {
+    if (error.statusCode === 401 || error.retryAfter) {
+      MetricsService.recordAuthFailure(error.code);
+    }
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
     next(error);
   }
 });
@@ -63,6 +101,75 @@ router.post("/refresh", async (req, res, next) => {
 
     const result = await getAuthService().refreshToken(refreshToken);
 
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 401) {
+      MetricsService.recordAuthFailure(error.code);
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ * Body: { email }
+ */
+router.post("/forgot-password", async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const result = await getAuthService().forgotPassword(email);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from the reset email
+ * Body: { token, newPassword }
+ */
+router.post("/reset-password", async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const result = await getAuthService().resetPassword(token, newPassword);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/verify-email
+ * Verify an email address with the token from the verification email
+ * Query: token
+ */
+router.get("/verify-email", async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    const result = await getAuthService().verifyEmail(token);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification email to the current user
+ * Requires: Bearer token
+ */
+router.post("/resend-verification", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const result = await getAuthService().resendVerification(req.user.userId);
+
     res.json(result);
   } catch (error) {
     next(error);
@@ -90,7 +197,7 @@ router.get("/profile", authMiddleware, async (req, res, next) => {
  * Requires: Bearer token
  * Body: { firstName, lastName }
  */
-router.put("/profile", authMiddleware, async (req, res, next) => {
+router.put("/profile", authMiddleware, requireSession, async (req, res, next) => {
   try {
     const { firstName, lastName } = req.body;
 
@@ -111,7 +218,7 @@ router.put("/profile", authMiddleware, async (req, res, next) => {
  * Requires: Bearer token
  * Body: { currentPassword, newPassword }
  */
-router.post("/change-password", authMiddleware, async (req, res, next) => {
+router.post("/change-password", authMiddleware, requireSession, async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -129,16 +236,119 @@ router.post("/change-password", authMiddleware, async (req, res, next) => {
 
 /**
  * POST /api/auth/logout
- * Logout user (client-side token invalidation)
- * Note: JWT tokens are stateless, so logout is handled client-side by removing the token
- */
-router.post("/logout", authMiddleware, async (req, res) => {
-  res.json({
-    success: true,
-    message:
-      "Logged out successfully. Please remove the token from client storage.",
-    requestTimestamp: new Date().toISOString(),
-  });
+ * Logout the current session by revoking its refresh token
+ * Requires: Bearer token
+ * Body: { refreshToken }
+ */
+router.post("/logout", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await getAuthService().logout(req.user.userId, refreshToken);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Logout every session of the current user
+ * Requires: Bearer token
+ */
+router.post("/logout-all", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const result = await getAuthService().logoutAll(req.user.userId);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/mfa
+ * Two-factor authentication status of the current user
+ * Requires: Bearer token
+ */
+router.get("/mfa", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const result = await getAuthService().mfaService.getStatus(req.user.userId);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/setup
+ * Start two-factor enrollment; returns the secret and an otpauth:// URI
+ * Requires: Bearer token
+ */
+router.post("/mfa/setup", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const result = await getAuthService().mfaService.setup(req.user);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enable
+ * Confirm enrollment with a code; returns the recovery codes
+ * Requires: Bearer token
+ * Body: { code }
+ */
+router.post("/mfa/enable", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const result = await getAuthService().mfaService.enable(req.user.userId, req.body.code);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn two-factor authentication off
+ * Requires: Bearer token
+ * Body: { password, code } or { password, recoveryCode }
+ */
+router.post("/mfa/disable", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const result = await getAuthService().mfaService.disable(req.user.userId, {
+      password,
+      code,
+      recoveryCode,
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace the recovery codes
+ * Requires: Bearer token
+ * Body: { code }
+ */
+router.post("/mfa/recovery-codes", authMiddleware, requireSession, async (req, res, next) => {
+  try {
+    const result = await getAuthService().mfaService.regenerateRecoveryCodes(req.user.userId, req.body.code);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const DashboardService = require('../services/dashboardService');
+const ValidationService = require('../services/validationService');
+const ErrorHandler = require('../middleware/errorHandler');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireScope = require('../middleware/requireScope');
+const verifiedEmailMiddleware = require('../middleware/verifiedEmailMiddleware');
+const savedLocation = require('../middleware/savedLocationMiddleware');
+
+const router = express.Router();
+
+// Lazy-load service (instantiate on first use to ensure config is loaded)
+let dashboardService;
+
+function getDashboardService() {
+  if (!dashboardService) {
+    dashboardService = new DashboardService();
+  }
+  return dashboardService;
+}
+
+/**
+ * @swagger
+ * /api/dashboard:
+ *   get:
+ *     summary: Location dashboard
+ *     description: >
+ *       Weather, air quality, nearby natural events, the 3-day geomagnetic forecast,
+ *       asteroid approaches and the APOD for one location and date, fetched in parallel.
+ *       Sections that fail or time out are reported inline; the response is still 200.
+ *     security:
+ *       - bearerAuth: []
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lon
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: locationId
+ *         description: Saved location to use instead of lat/lon
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         description: YYYY-MM-DD, defaults to today (UTC)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sections
+ *         description: Comma-separated subset of weather, airQuality, naturalEvents, geomagnetic, asteroids, apod
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dashboard document with a status per section
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get(
+  '/',
+  authMiddleware,
+  requireScope('weather:read'),
+  verifiedEmailMiddleware,
+  savedLocation.asLatLon,
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const service = getDashboardService();
+    const validation = ValidationService.validateDashboardRequest(req.query, service.getSectionNames());
+
+    if (!validation.isValid) {
+      throw ErrorHandler.createValidationErrorWithDetails(validation.errors);
+    }
+
+    const result = await service.getDashboard(validation.data);
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const NasaEonetService = require('../services/nasaEonetService');
+const savedLocation = require('../middleware/savedLocationMiddleware');
 
 const eonetService = new NasaEonetService();
 
@@ -81,8 +82,9 @@ router.get('/events/category/:categoryId', async (req, res, next) => {
 /**
  * GET /api/eonet/events/regional
  * Get regional events with bbox and optional proximity analysis
+ * locationId (saved location, requires authentication) may replace userLat/userLon and, optionally, bbox
  */
-router.get('/events/regional', async (req, res, next) => {
+router.get('/events/regional', savedLocation.asRegion, async (req, res, next) => {
   try {
     const { bbox, userLat, userLon, status, limit } = req.query;
 
@@ -2,10 +2,16 @@ const express = require('express');
 const router = express.Router();
 const NasaDonkiService = require('../services/nasaDonkiService');
 const NoaaSwpcService = require('../services/noaaSwpcService');
+const AuroraService = require('../services/auroraService');
+const savedLocation = require('../middleware/savedLocationMiddleware');
+
+// Observatories DONKI reports interplanetary shocks for
+const IPS_LOCATIONS = ['Earth', 'MESSENGER', 'STEREO A', 'STEREO B'];
 
 // Lazy-load services (instantiate on first use to ensure config is loaded)
 let nasaDonkiService;
 let noaaSwpcService;
+let auroraService;
 
 function getNasaDonkiService() {
   if (!nasaDonkiService) {
@@ -21,6 +27,13 @@ function getNoaaSwpcService() {
   return noaaSwpcService;
 }
 
+function getAuroraService() {
+  if (!auroraService) {
+    auroraService = new AuroraService();
+  }
+  return auroraService;
+}
+
 /**
  * GET /api/geomagnetic/storms
  * Get geomagnetic storm data from NASA DONKI
@@ -28,49 +41,123 @@ function getNoaaSwpcService() {
  *   - startDate: YYYY-MM-DD (optional, default: 30 days ago)
  *   - endDate: YYYY-MM-DD (optional, default: current date)
  */
-router.get('/storms', async (req, res, next) => {
+router.get('/storms', validateDateRange, async (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
+    const result = await getNasaDonkiService().getGeomagneticStorms(startDate, endDate);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Validate date format if provided
-    if (startDate && !isValidDateFormat(startDate)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'DATE_RANGE_INVALID',
-          message: 'Invalid startDate format. Expected YYYY-MM-DD',
-          details: { startDate }
-        },
-        requestTimestamp: new Date().toISOString()
-      });
-    }
+/**
+ * GET /api/geomagnetic/cme
+ * Get coronal mass ejections, with their analyses, from NASA DONKI
+ * Query parameters:
+ *   - startDate: YYYY-MM-DD (optional, default: 30 days ago)
+ *   - endDate: YYYY-MM-DD (optional, default: current date)
+ */
+router.get('/cme', validateDateRange, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const result = await getNasaDonkiService().getCoronalMassEjections(startDate, endDate);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (endDate && !isValidDateFormat(endDate)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'DATE_RANGE_INVALID',
-          message: 'Invalid endDate format. Expected YYYY-MM-DD',
-          details: { endDate }
-        },
-        requestTimestamp: new Date().toISOString()
-      });
-    }
+/**
+ * GET /api/geomagnetic/flares
+ * Get solar flares from NASA DONKI
+ * Query parameters:
+ *   - startDate: YYYY-MM-DD (optional, default: 30 days ago)
+ *   - endDate: YYYY-MM-DD (optional, default: current date)
+ */
+router.get('/flares', validateDateRange, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const result = await getNasaDonkiService().getSolarFlares(startDate, endDate);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/geomagnetic/sep
+ * Get solar energetic particle events from NASA DONKI
+ * Query parameters:
+ *   - startDate: YYYY-MM-DD (optional, default: 30 days ago)
+ *   - endDate: YYYY-MM-DD (optional, default: current date)
+ */
+router.get('/sep', validateDateRange, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const result = await getNasaDonkiService().getSolarEnergeticParticles(startDate, endDate);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Validate date range
-    if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+/**
+ * GET /api/geomagnetic/hss
+ * Get high speed streams from NASA DONKI
+ * Query parameters:
+ *   - startDate: YYYY-MM-DD (optional, default: 30 days ago)
+ *   - endDate: YYYY-MM-DD (optional, default: current date)
+ */
+router.get('/hss', validateDateRange, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const result = await getNasaDonkiService().getHighSpeedStreams(startDate, endDate);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/geomagnetic/ips
+ * Get interplanetary shocks from NASA DONKI
+ * Query parameters:
+ *   - startDate: YYYY-MM-DD (optional, default: 30 days ago)
+ *   - endDate: YYYY-MM-DD (optional, default: current date)
+ *   - location: Earth, MESSENGER, STEREO A or STEREO B (optional, default: all)
+ */
+router.get('/ips', validateDateRange, async (req, res, next) => {
+  try {
+    const { startDate, endDate, location } = req.query;
+
+    if (location && !IPS_LOCATIONS.includes(location)) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'DATE_RANGE_INVALID',
-          message: 'startDate must be before or equal to endDate',
-          details: { startDate, endDate }
+          code: 'INVALID_LOCATION',
+          message: `location must be one of: ${IPS_LOCATIONS.join(', ')}`,
+          details: { location }
         },
         requestTimestamp: new Date().toISOString()
       });
     }
 
-    const result = await getNasaDonkiService().getGeomagneticStorms(startDate, endDate);
+    const result = await getNasaDonkiService().getInterplanetaryShocks(startDate, endDate, location);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/geomagnetic/linked-events/:activityId
+ * Follow DONKI linkedEvents from a storm, flare, CME or other record and
+ * return the chain as a graph of nodes and edges ordered by time
+ */
+router.get('/linked-events/:activityId', async (req, res, next) => {
+  try {
+    const result = await getNasaDonkiService().getLinkedEventGraph(req.params.activityId);
     res.json(result);
   } catch (error) {
     next(error);
@@ -116,6 +203,88 @@ router.get('/forecast/combined', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/geomagnetic/aurora
+ * Aurora visibility per 3-hour block of the NOAA SWPC 3-day Kp forecast
+ * Query parameters:
+ *   - lat, lon: Location in decimal degrees, or locationId (saved location, requires authentication)
+ */
+router.get('/aurora', savedLocation.asLatLon, async (req, res, next) => {
+  try {
+    // Number('') is 0, so blank (or repeated) parameters must not reach Number()
+    const readCoordinate = value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    const lat = readCoordinate(req.query.lat);
+    const lon = readCoordinate(req.query.lon);
+
+    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_COORDINATES',
+          message: 'lat (-90 to 90) and lon (-180 to 180) are required',
+          details: { lat: req.query.lat, lon: req.query.lon }
+        },
+        requestTimestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await getAuroraService().getAuroraForecast(lat, lon);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Validate optional startDate/endDate query parameters of the DONKI endpoints
+ * @param {Object} req 
+ * @param {Object} res 
+ * @param {Function} next 
+ */
+function validateDateRange(req, res, next) {
+  const { startDate, endDate } = req.query;
+
+  // Validate date format if provided
+  if (startDate && !isValidDateFormat(startDate)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'DATE_RANGE_INVALID',
+        message: 'Invalid startDate format. Expected YYYY-MM-DD',
+        details: { startDate }
+      },
+      requestTimestamp: new Date().toISOString()
+    });
+  }
+
+  if (endDate && !isValidDateFormat(endDate)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'DATE_RANGE_INVALID',
+        message: 'Invalid endDate format. Expected YYYY-MM-DD',
+        details: { endDate }
+      },
+      requestTimestamp: new Date().toISOString()
+    });
+  }
+
+  // Validate date range
+  if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'DATE_RANGE_INVALID',
+        message: 'startDate must be before or equal to endDate',
+        details: { startDate, endDate }
+      },
+      requestTimestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+}
+
 /**
  * Helper function to validate date format (YYYY-MM-DD)
  * @param {string} dateString 
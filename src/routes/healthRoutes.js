@@ -1,65 +1,105 @@
 const express = require('express');
-const WeatherController = require('../controllers/weatherController');
+const HealthService = require('../services/healthService');
 const ErrorHandler = require('../middleware/errorHandler');
 
 const router = express.Router();
-const weatherController = new WeatherController();
+
+// Lazy-load service (instantiate on first use to ensure config is loaded)
+let healthService;
+
+function getHealthService() {
+  if (!healthService) {
+    healthService = new HealthService();
+  }
+  return healthService;
+}
 
 /**
  * @swagger
  * /api/health:
  *   get:
  *     summary: API health check
- *     description: Returns API status and NASA POWER API connectivity status
+ *     description: Returns the status and latency of every upstream service and PostgreSQL
  *     tags: [Health]
+ *     parameters:
+ *       - in: query
+ *         name: fresh
+ *         schema:
+ *           type: boolean
+ *         description: Run the checks now instead of reusing a recent report
  *     responses:
  *       200:
- *         description: API is healthy
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 status:
- *                   type: string
- *                   example: "healthy"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                 version:
- *                   type: string
- *                   example: "1.0.0"
- *                 services:
- *                   type: object
- *                   properties:
- *                     api:
- *                       type: object
- *                       properties:
- *                         status:
- *                           type: string
- *                           example: "operational"
- *                         responseTime:
- *                           type: integer
- *                     nasaPowerApi:
- *                       type: object
- *                       properties:
- *                         status:
- *                           type: string
- *                           example: "operational"
- *                         message:
- *                           type: string
- *                 uptime:
- *                   type: number
- *                 environment:
- *                   type: string
+ *         description: API is healthy or degraded (a non-critical service is down)
  *       503:
- *         description: API is unhealthy
+ *         description: API is unhealthy (a critical service is down)
  */
 router.get('/', ErrorHandler.asyncHandler(async (req, res) => {
-  await weatherController.healthCheck(req, res);
+  const startTime = Date.now();
+  const report = await getHealthService().getReport({ fresh: req.query.fresh === 'true' });
+  const unhealthy = report.status === 'unhealthy';
+
+  res.status(unhealthy ? 503 : 200).json({
+    success: !unhealthy,
+    status: report.status,
+    timestamp: new Date().toISOString(),
+    checkedAt: report.checkedAt,
+    version: '1.0.0',
+    services: {
+      api: {
+        status: 'operational',
+        responseTime: Date.now() - startTime
+      },
+      ...report.services
+    },
+    circuitBreakers: report.circuitBreakers,
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV
+  });
+}));
+
+/**
+ * @swagger
+ * /api/health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Succeeds while the process is running; never calls upstream services
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Process is alive
+ */
+router.get('/live', (req, res) => {
+  res.json({
+    success: true,
+    status: 'alive',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /api/health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: Succeeds when every critical service (HEALTH_CRITICAL_SERVICES) is operational
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready to serve traffic
+ *       503:
+ *         description: A critical service is down
+ */
+router.get('/ready', ErrorHandler.asyncHandler(async (req, res) => {
+  const readiness = await getHealthService().getReadiness();
+
+  res.status(readiness.ready ? 200 : 503).json({
+    success: readiness.ready,
+    status: readiness.ready ? 'ready' : 'not_ready',
+    failing: readiness.failing,
+    checkedAt: readiness.checkedAt,
+    timestamp: new Date().toISOString()
+  });
 }));
 
 module.exports = router;
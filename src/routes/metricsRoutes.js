@@ -0,0 +1,46 @@
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config/config');
+const MetricsService = require('../services/metricsService');
+const ErrorHandler = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Check the scrape token when METRICS_TOKEN is configured
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isAuthorized(req) {
+  if (!config.metrics.token) {
+    return true;
+  }
+
+  const expected = Buffer.from(`Bearer ${config.metrics.token}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint
+ * Requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set
+ */
+router.get('/', ErrorHandler.asyncHandler(async (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_METRICS_TOKEN',
+        message: 'A valid metrics token is required'
+      },
+      requestTimestamp: new Date().toISOString()
+    });
+  }
+
+  res.set('Content-Type', MetricsService.contentType);
+  res.send(await MetricsService.getMetrics());
+}));
+
+module.exports = router;
@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const OpenaqService = require('../services/openaqService');
+const savedLocation = require('../middleware/savedLocationMiddleware');
 
 const openaqService = new OpenaqService();
 
 /**
  * GET /api/openaq/stations
  * Find air quality monitoring stations by coordinates
+ * Query: coordinates=lat,lon or locationId (saved location, requires authentication)
  */
-router.get('/stations', async (req, res, next) => {
+router.get('/stations', savedLocation.asCoordinates, async (req, res, next) => {
   try {
     const { coordinates, radius, limit } = req.query;
 
@@ -68,8 +70,9 @@ router.get('/measurements/:sensorId', async (req, res, next) => {
 /**
  * GET /api/openaq/airquality
  * Get comprehensive air quality assessment for a location
+ * Query: coordinates=lat,lon or locationId (saved location, requires authentication)
  */
-router.get('/airquality', async (req, res, next) => {
+router.get('/airquality', savedLocation.asCoordinates, async (req, res, next) => {
   try {
     const { coordinates, radius, limit } = req.query;
 
@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const SavedLocationService = require("../services/savedLocationService");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireScope = require("../middleware/requireScope");
+const { requireSession } = requireScope;
+
+router.use(authMiddleware);
+
+// Lazy-load service
+let savedLocationService;
+
+function getSavedLocationService() {
+  if (!savedLocationService) {
+    savedLocationService = new SavedLocationService();
+  }
+  return savedLocationService;
+}
+
+/**
+ * POST /api/auth/locations
+ * Save a named location
+ * Requires: Bearer token
+ * Body: { name, latitude, longitude }
+ */
+router.post("/", requireSession, async (req, res, next) => {
+  try {
+    const result = await getSavedLocationService().createLocation(req.user.userId, req.body);
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/locations
+ * List the current user's saved locations
+ * Requires: Bearer token or API key with weather:read
+ */
+router.get("/", requireScope("weather:read"), async (req, res, next) => {
+  try {
+    const result = await getSavedLocationService().listLocations(req.user.userId);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/locations/:id
+ * Get a saved location
+ * Requires: Bearer token or API key with weather:read
+ */
+router.get("/:id", requireScope("weather:read"), async (req, res, next) => {
+  try {
+    const result = await getSavedLocationService().getLocation(req.user.userId, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/locations/:id
+ * Rename or move a saved location
+ * Requires: Bearer token
+ * Body: any of { name, latitude, longitude }
+ */
+router.put("/:id", requireSession, async (req, res, next) => {
+  try {
+    const result = await getSavedLocationService().updateLocation(req.user.userId, req.params.id, req.body);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/locations/:id
+ * Delete a saved location
+ * Requires: Bearer token
+ */
+router.delete("/:id", requireSession, async (req, res, next) => {
+  try {
+    const result = await getSavedLocationService().deleteLocation(req.user.userId, req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const WeatherController = require("../controllers/weatherController");
 const ErrorHandler = require("../middleware/errorHandler");
 const authMiddleware = require("../middleware/authMiddleware"); // 1. Import Auth
+const verifiedEmailMiddleware = require("../middleware/verifiedEmailMiddleware");
+const requireScope = require("../middleware/requireScope");
+const savedLocation = require("../middleware/savedLocationMiddleware");
 
 const weatherController = new WeatherController();
 
@@ -27,6 +30,12 @@ const weatherController = new WeatherController();
  * schema:
  * type: number
  * - in: query
+ * name: locationId
+ * required: false
+ * description: Saved location to use instead of latitude/longitude
+ * schema:
+ * type: integer
+ * - in: query
  * name: date
  * required: true
  * schema:
@@ -61,6 +70,9 @@ const weatherController = new WeatherController();
 router.get(
   "/data",
   authMiddleware,
+  requireScope("weather:read"),
+  verifiedEmailMiddleware,
+  savedLocation.asLatitudeLongitude,
   ErrorHandler.asyncHandler(async (req, res) => {
     await weatherController.getWeatherData(req, res);
   })
@@ -105,6 +117,12 @@ router.get(
  * required: true
  * schema:
  * type: number
+ * - in: query
+ * name: locationId
+ * required: false
+ * description: Saved location to use instead of latitude/longitude
+ * schema:
+ * type: integer
  * responses:
  * 200:
  * description: Successfully retrieved date range
@@ -117,6 +135,9 @@ router.get(
 router.get(
   "/historical-range",
   authMiddleware,
+  requireScope("weather:read"),
+  verifiedEmailMiddleware,
+  savedLocation.asLatitudeLongitude,
   ErrorHandler.asyncHandler(async (req, res) => {
     await weatherController.getHistoricalRange(req, res);
   })
@@ -156,6 +177,8 @@ router.get(
 router.post(
   "/bulk",
   authMiddleware,
+  requireScope("bulk"),
+  verifiedEmailMiddleware,
   ErrorHandler.asyncHandler(async (req, res) => {
     await weatherController.getBulkWeatherData(req, res);
   })
@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const ApiKey = require("../models/ApiKey");
+const logger = require("../utils/logger");
+
+const KEY_PREFIX = "nwk_";
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Scopes a key can be limited to. A key without scopes may use every
+ * scoped endpoint.
+ */
+const SCOPES = ["weather:read", "bulk"];
+
+/**
+ * Personal API keys
+ * Long-lived credentials for machine clients, sent as X-API-Key. Keys act as
+ * the user who created them, optionally restricted to scopes.
+ */
+class ApiKeyService {
+  constructor() {
+    this.apiKeyModel = new ApiKey();
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   * @param {string} key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  /**
+   * Create a key for a user
+   * @param {number} userId
+   * @param {Object} keyData - { name, scopes }
+   * @returns {Promise<Object>} Key metadata plus the full key, shown only here
+   */
+  async createKey(userId, keyData = {}) {
+    const name = typeof keyData.name === "string" ? keyData.name.trim() : "";
+    const scopes = keyData.scopes === undefined ? [] : keyData.scopes;
+
+    this.validateKeyData(name, scopes);
+
+    if ((await this.apiKeyModel.countActiveForUser(userId)) >= config.apiKeys.maxPerUser) {
+      const error = new Error(`A user can have at most ${config.apiKeys.maxPerUser} active API keys`);
+      error.code = "API_KEY_LIMIT_REACHED";
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const apiKey = await this.apiKeyModel.create({
+      userId,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: this.hashKey(key),
+      scopes: [...new Set(scopes)],
+    });
+
+    logger.info("API key created", { userId, apiKeyId: apiKey.id });
+
+    return {
+      success: true,
+      message: "API key created. Store it now; it cannot be shown again.",
+      data: { apiKey: { ...apiKey, key } },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * List a user's active keys (prefixes only)
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  async listKeys(userId) {
+    const apiKeys = await this.apiKeyModel.listForUser(userId);
+
+    return {
+      success: true,
+      data: { apiKeys, availableScopes: SCOPES },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Revoke one of a user's keys
+   * @param {number} userId
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async revokeKey(userId, id) {
+    const keyId = Number(id);
+    const revoked = Number.isInteger(keyId) && keyId > 0 && (await this.apiKeyModel.revoke(userId, keyId));
+
+    if (!revoked) {
+      const error = new Error("API key not found");
+      error.code = "API_KEY_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    logger.info("API key revoked", { userId, apiKeyId: keyId });
+
+    return {
+      success: true,
+      message: "API key revoked",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Resolve an X-API-Key header to the user it acts as
+   * @param {string} key
+   * @returns {Promise<Object|null>} { apiKeyId, scopes, user }, or null if the key is not valid
+   */
+  async authenticate(key) {
+    if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await this.apiKeyModel.findActiveByHash(this.hashKey(key));
+
+    if (!apiKey || !apiKey.user.isActive) {
+      return null;
+    }
+
+    // Usage tracking must not slow down or fail the request
+    this.apiKeyModel.touch(apiKey.id).catch((error) => {
+      logger.warn("Failed to record API key usage", { apiKeyId: apiKey.id, error });
+    });
+
+    return { apiKeyId: apiKey.id, scopes: apiKey.scopes, user: apiKey.user };
+  }
+
+  /**
+   * Validate key name and scopes
+   * @param {string} name
+   * @param {Array<string>} scopes
+   */
+  validateKeyData(name, scopes) {
+    const details = [];
+
+    if (!name || name.length > 100) {
+      details.push({ field: "name", message: "name is required and must be at most 100 characters", provided: name });
+    }
+
+    if (!Array.isArray(scopes) || scopes.some((scope) => !SCOPES.includes(scope))) {
+      details.push({ field: "scopes", message: `scopes must be a list of: ${SCOPES.join(", ")}`, provided: scopes });
+    }
+
+    if (details.length > 0) {
+      const error = new Error("Invalid API key data");
+      error.code = "VALIDATION_ERROR";
+      error.statusCode = 400;
+      error.details = details;
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKeyService;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,240 @@
+const config = require('../config/config');
+const NoaaSwpcService = require('./noaaSwpcService');
+const NasaPowerApiService = require('./nasaApiService');
+const WeatherDataService = require('./weatherDataService');
+const Geomagnetic = require('../utils/geomagnetic');
+const SolarPosition = require('../utils/solarPosition');
+const logger = require('../utils/logger');
+
+const CLOUD_PARAMETER = 'CLOUD_AMT';
+
+/**
+ * Aurora visibility estimate
+ * Compares the location's geomagnetic latitude with the auroral oval for
+ * every 3-hour Kp block of the NOAA SWPC 3-day forecast. Aurora is overhead
+ * inside the oval and low on the horizon up to config.aurora.viewlineDegrees
+ * equatorward of it. The likelihood is scaled by how dark the sky is at the
+ * middle of the block and, when NASA POWER has cloud amounts for the
+ * location, by the typical clear-sky fraction of the block's hours.
+ */
+class AuroraService {
+  constructor() {
+    this.swpcService = new NoaaSwpcService();
+    this.nasaApiService = new NasaPowerApiService();
+  }
+
+  /**
+   * Aurora visibility per forecast block for a location
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {Promise<Object>}
+   */
+  async getAuroraForecast(latitude, longitude) {
+    const startTime = Date.now();
+    const forecast = await this.swpcService.get3DayGeomagForecast();
+    const { issued, forecasts } = forecast.data;
+
+    const geomagneticLatitude = Geomagnetic.toGeomagneticLatitude(latitude, longitude);
+    const cloudCover = await this.getCloudCover(latitude, longitude, forecasts.map(day => day.date));
+    const location = { latitude, longitude, geomagneticLatitude };
+
+    const blocks = forecasts.flatMap(day =>
+      day.kpBlocks.map(({ startHour, kp }) =>
+        this.assessBlock(day.date, startHour, kp, location, this.getBlockCloudCover(cloudCover.byHour, day.date, startHour))
+      )
+    );
+    const best = blocks.reduce((top, block) => (!top || block.likelihood > top.likelihood ? block : top), null);
+
+    return {
+      success: true,
+      data: {
+        location: { latitude, longitude },
+        geomagneticLatitude: this.round(geomagneticLatitude, 2),
+        hemisphere: geomagneticLatitude >= 0 ? 'north' : 'south',
+        model: { dipolePole: Geomagnetic.getDipolePole(), viewlineDegrees: config.aurora.viewlineDegrees },
+        issued,
+        cloudCover: {
+          source: `NASA POWER ${CLOUD_PARAMETER}`,
+          available: cloudCover.available,
+          historicalYears: cloudCover.historicalYears,
+          error: cloudCover.error
+        },
+        blocks,
+        summary: {
+          maxLikelihood: best ? best.likelihood : 0,
+          level: best ? best.level : 'none',
+          bestBlock: best && best.likelihood > 0 ? best : null,
+          visibleBlocks: blocks.filter(block => block.likelihood > 0).length
+        }
+      },
+      requestTimestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Visibility for one 3-hour Kp block
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} startHour - UT hour the block starts, 0 for 00-03UT
+   * @param {number} kp
+   * @param {Object} location - { latitude, longitude, geomagneticLatitude }
+   * @param {number|null} cloudCover - Percent, or null if unknown
+   * @returns {Object}
+   */
+  assessBlock(date, startHour, kp, location, cloudCover) {
+    const viewline = config.aurora.viewlineDegrees;
+    const boundary = Geomagnetic.getOvalBoundaryLatitude(kp);
+    const distance = Math.abs(location.geomagneticLatitude) - boundary;
+    const start = new Date(`${date}T00:00:00.000Z`);
+    start.setUTCHours(startHour);
+
+    // 1 at the oval's edge and inside it, falling to 0 at the view line
+    const geomagneticLikelihood = Math.max(0, Math.min(1, (distance + viewline) / viewline));
+    const sunElevation = SolarPosition.getElevation(new Date(start.getTime() + 1.5 * 3600000), location.latitude, location.longitude);
+    const darkness = this.getDarkness(sunElevation);
+    const clearSky = cloudCover === null ? 1 : 1 - cloudCover / 100;
+    const likelihood = this.round(geomagneticLikelihood * darkness * clearSky, 2);
+
+    return {
+      date,
+      startTime: start.toISOString(),
+      endTime: new Date(start.getTime() + 3 * 3600000).toISOString(),
+      kp,
+      ovalBoundaryLatitude: this.round(boundary, 2),
+      position: distance >= 0 ? 'overhead' : distance >= -viewline ? 'horizon' : 'none',
+      geomagneticLikelihood: this.round(geomagneticLikelihood, 2),
+      sunElevation: this.round(sunElevation, 1),
+      darkness: this.round(darkness, 2),
+      cloudCover,
+      likelihood,
+      level: this.getLikelihoodLevel(likelihood)
+    };
+  }
+
+  /**
+   * How dark the sky is for seeing aurora
+   * @param {number} sunElevation - Degrees
+   * @returns {number} 0 with the sun above the horizon, rising through twilight to 1 at config.aurora.darkSunElevationDegrees
+   */
+  getDarkness(sunElevation) {
+    return Math.max(0, Math.min(1, sunElevation / config.aurora.darkSunElevationDegrees));
+  }
+
+  /**
+   * Typical cloud cover of a block's three hours
+   * @param {Object} byHour - { 'YYYY-MM-DDTHH' (UTC): percent|null }
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} startHour - UT hour the block starts
+   * @returns {number|null} Percent, or null if none of the hours has data
+   */
+  getBlockCloudCover(byHour, date, startHour) {
+    const start = new Date(`${date}T00:00:00.000Z`);
+    start.setUTCHours(startHour);
+
+    const values = [0, 1, 2]
+      .map(hour => byHour[new Date(start.getTime() + hour * 3600000).toISOString().slice(0, 13)])
+      .filter(value => typeof value === 'number');
+
+    return values.length > 0 ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length, 1) : null;
+  }
+
+  /**
+   * @param {number} likelihood - 0 to 1
+   * @returns {string} high, moderate, low or none
+   */
+  getLikelihoodLevel(likelihood) {
+    if (likelihood >= 0.66) {
+      return 'high';
+    }
+    if (likelihood >= 0.33) {
+      return 'moderate';
+    }
+    if (likelihood > 0) {
+      return 'low';
+    }
+    return 'none';
+  }
+
+  /**
+   * Typical cloud cover of every hour of the forecast days from recent years of NASA POWER data
+   * Forecast days are past the POWER data delay, so the same calendar hours of
+   * earlier years are averaged. POWER hours are local solar time, taken here as
+   * UTC plus longitude / 15 rounded to the hour, so one extra day is fetched on
+   * either side. Failures are reported, not thrown.
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Array<string>} dates - YYYY-MM-DD, ascending
+   * @returns {Promise<Object>} { available, historicalYears, byHour: { 'YYYY-MM-DDTHH' (UTC): percent|null }, error }
+   */
+  async getCloudCover(latitude, longitude, dates) {
+    const historicalYears = config.aurora.cloudHistoricalYears;
+
+    if (dates.length === 0) {
+      return { available: false, historicalYears, byHour: {}, error: null };
+    }
+
+    try {
+      const historicalData = await this.nasaApiService.fetchHistoricalDataForPrediction(
+        latitude,
+        longitude,
+        dates[0],
+        historicalYears,
+        [CLOUD_PARAMETER],
+        { endDate: dates[dates.length - 1], windowDays: 1 }
+      );
+      const firstYear = parseInt(dates[0].slice(0, 4));
+      const solarOffsetMs = Math.round(longitude / 15) * 3600000;
+      const byHour = {};
+
+      for (const date of dates) {
+        for (let hour = 0; hour < 24; hour++) {
+          const time = new Date(`${date}T00:00:00.000Z`);
+          time.setUTCHours(hour);
+          const solarTime = new Date(time.getTime() + solarOffsetMs).toISOString();
+          const yearOffset = parseInt(solarTime.slice(0, 4)) - firstYear;
+          const values = [];
+
+          for (const { year, data } of historicalData) {
+            const dayKey = WeatherDataService.getHistoricalAnchorDate(year + yearOffset, solarTime.slice(5, 10)).replace(/-/g, '');
+            const value = data?.properties?.parameter?.[CLOUD_PARAMETER]?.[`${dayKey}${solarTime.slice(11, 13)}`];
+
+            if (typeof value === 'number' && value !== config.weather.fillValue) {
+              values.push(value);
+            }
+          }
+
+          byHour[time.toISOString().slice(0, 13)] = values.length > 0
+            ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length, 1)
+            : null;
+        }
+      }
+
+      return {
+        available: Object.values(byHour).some(value => value !== null),
+        historicalYears,
+        byHour,
+        error: null
+      };
+    } catch (error) {
+      logger.warn('Cloud cover unavailable for aurora forecast', { latitude, longitude, error });
+
+      return {
+        available: false,
+        historicalYears,
+        byHour: {},
+        error: { code: error.code || 'NASA_API_ERROR', message: error.message }
+      };
+    }
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} decimals
+   * @returns {number}
+   */
+  round(value, decimals) {
+    return Number(value.toFixed(decimals));
+  }
+}
+
+module.exports = AuroraService;
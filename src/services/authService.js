@@ -1,14 +1,32 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const EmailVerificationToken = require("../models/EmailVerificationToken");
+const LoginAttempt = require("../models/LoginAttempt");
+const MfaService = require("./mfaService");
+const mailService = require("./mailService");
 const config = require("../config/config");
+const logger = require("../utils/logger");
 
 /**
  * Authentication Service
- * Handles user registration, login, and token management
+ * Handles user registration, login, and token management.
+ * Access and refresh tokens carry a `typ` claim so neither can stand in for
+ * the other. Refresh tokens are single-use: each refresh revokes the
+ * presented token and issues a new one in the same session (family).
+ * Accounts with two-factor authentication log in in two steps: the password
+ * earns a short-lived mfa token, which is exchanged with a code for tokens.
  */
 class AuthService {
   constructor() {
     this.userModel = new User();
+    this.refreshTokenModel = new RefreshToken();
+    this.passwordResetModel = new PasswordResetToken();
+    this.emailVerificationModel = new EmailVerificationToken();
+    this.loginAttemptModel = new LoginAttempt();
+    this.mfaService = new MfaService();
   }
 
   /**
@@ -16,7 +34,14 @@ class AuthService {
    * @returns {Promise<void>}
    */
   async initialize() {
-    await this.userModel.initTable();
+    await this.userModel.ensureTable();
+    await this.refreshTokenModel.ensureTable();
+    await this.passwordResetModel.ensureTable();
+    await this.emailVerificationModel.ensureTable();
+    await this.loginAttemptModel.ensureTable();
+    await this.mfaService.credentialModel.ensureTable();
+    await this.mfaService.recoveryCodeModel.ensureTable();
+    await this.mfaService.challengeModel.ensureTable();
   }
 
   /**
@@ -38,12 +63,19 @@ class AuthService {
       lastName,
     });
 
+    // Registration succeeds even if the email cannot be sent; the user can ask for a resend
+    try {
+      await this.sendVerificationEmail(user);
+    } catch (error) {
+      logger.error("Failed to send verification email", { userId: user.id, error });
+    }
+
     // Generate tokens
-    const tokens = this.generateTokens(user);
+    const tokens = await this.generateTokens(user);
 
     return {
       success: true,
-      message: "User registered successfully",
+      message: "User registered successfully. Please check your email to verify your address.",
       data: {
         user,
         ...tokens,
@@ -54,10 +86,16 @@ class AuthService {
 
   /**
    * Login user
+   * Failed attempts are counted per email and per client IP: each failure
+   * delays the next attempt a little more, and too many lock the account
+   * (or the IP) out for a while. Every attempt is written to login_attempts.
+   * With MFA enabled, the right password only yields an mfa_required
+   * challenge for completeMfaLogin.
    * @param {Object} credentials - { email, password }
-   * @returns {Promise<Object>} User data and tokens
+   * @param {Object} context - { ip, userAgent } of the request
+   * @returns {Promise<Object>} User data and tokens, or an MFA challenge
    */
-  async login(credentials) {
+  async login(credentials, context = {}) {
     const { email, password } = credentials;
 
     // Validate input
@@ -68,22 +106,26 @@ class AuthService {
       throw error;
     }
 
+    const attempt = {
+      email: String(email).toLowerCase(),
+      ip: context.ip,
+      userAgent: context.userAgent,
+    };
+
+    await this.checkLoginAllowed(attempt);
+
     // Find user
-    const user = await this.userModel.findByEmail(email);
+    const user = await this.userModel.findByEmail(attempt.email);
 
     if (!user) {
-      const error = new Error("Invalid email or password");
-      error.code = "INVALID_CREDENTIALS";
-      error.statusCode = 401;
-      throw error;
+      throw await this.failLogin(attempt, "INVALID_CREDENTIALS", "Invalid email or password", 401);
     }
 
+    attempt.userId = user.id;
+
     // Check if user is active
     if (!user.is_active) {
-      const error = new Error("Account is deactivated");
-      error.code = "ACCOUNT_DEACTIVATED";
-      error.statusCode = 403;
-      throw error;
+      throw await this.failLogin(attempt, "ACCOUNT_DEACTIVATED", "Account is deactivated", 403);
     }
 
     // Validate password
@@ -93,17 +135,22 @@ class AuthService {
     );
 
     if (!isValidPassword) {
-      const error = new Error("Invalid email or password");
-      error.code = "INVALID_CREDENTIALS";
-      error.statusCode = 401;
-      throw error;
+      throw await this.failLogin(attempt, "INVALID_CREDENTIALS", "Invalid email or password", 401);
     }
 
+    // Not a success yet, so earlier failures still count towards the lockout
+    if (user.mfa_enabled) {
+      await this.loginAttemptModel.record({ ...attempt, event: "mfa_challenged" });
+      return this.createMfaChallenge(user);
+    }
+
+    await this.loginAttemptModel.record({ ...attempt, event: "login_succeeded" });
+
     // Format user for response
     const formattedUser = this.userModel.formatUser(user);
 
     // Generate tokens
-    const tokens = this.generateTokens(formattedUser);
+    const tokens = await this.generateTokens(formattedUser);
 
     return {
       success: true,
@@ -116,64 +163,325 @@ class AuthService {
     };
   }
 
+  /**
+   * Issue the mfa token that stands for a correct password
+   * @param {Object} user - Database user
+   * @returns {Object} mfa_required response
+   */
+  createMfaChallenge(user) {
+    const mfaToken = jwt.sign(
+      { userId: user.id, email: user.email, typ: "mfa" },
+      config.jwt.secret,
+      { expiresIn: config.mfa.challengeTtlSeconds, jwtid: crypto.randomUUID() }
+    );
+
+    return {
+      success: true,
+      message: "Two-factor authentication required",
+      data: {
+        status: "mfa_required",
+        mfaToken,
+        expiresIn: config.mfa.challengeTtlSeconds,
+      },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Second login step: exchange an mfa token and a code for tokens
+   * Wrong codes count as failed logins, so guessing codes runs into the
+   * same lockout as guessing passwords. Each mfa token completes at most
+   * one login.
+   * @param {string} mfaToken - From the mfa_required login response
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} context - { ip, userAgent } of the request
+   * @returns {Promise<Object>} User data and tokens
+   */
+  async completeMfaLogin(mfaToken, factor = {}, context = {}) {
+    const decoded = this.verifyMfaToken(mfaToken);
+    this.mfaService.requireFactor(factor);
+
+    // Checked before the code, so a replayed token cannot use up a recovery code
+    if (await this.mfaService.challengeModel.isUsed(decoded.jti)) {
+      throw this.createMfaTokenUsedError();
+    }
+
+    const attempt = {
+      email: decoded.email,
+      userId: decoded.userId,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    };
+
+    await this.checkLoginAllowed(attempt);
+
+    const user = await this.userModel.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      throw await this.failLogin(attempt, "ACCOUNT_DEACTIVATED", "Account is deactivated", 403);
+    }
+
+    const method = await this.mfaService.verifySecondFactor(user.id, factor);
+
+    if (!method) {
+      throw await this.failLogin(attempt, "INVALID_MFA_CODE", "Invalid authentication code", 401);
+    }
+
+    // A concurrent request may have used the token since the check above
+    const firstUse = await this.mfaService.challengeModel.markUsed(decoded.jti, user.id, new Date(decoded.exp * 1000));
+    if (!firstUse) {
+      throw this.createMfaTokenUsedError();
+    }
+
+    this.mfaService.challengeModel.purgeExpired().catch((error) => {
+      logger.warn("Failed to purge expired MFA challenges", { error });
+    });
+
+    await this.loginAttemptModel.record({ ...attempt, event: "login_succeeded", reason: method });
+
+    const tokens = await this.generateTokens(user);
+
+    return {
+      success: true,
+      message: "Login successful",
+      data: {
+        user,
+        ...tokens,
+      },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Reject a login attempt while its email or IP is locked out, otherwise
+   * wait out the progressive delay for earlier failures
+   * @param {Object} attempt - { email, ip, userAgent }
+   * @returns {Promise<void>}
+   */
+  async checkLoginAllowed(attempt) {
+    const settings = config.loginProtection;
+    const since = new Date(Date.now() - settings.windowMinutes * 60 * 1000);
+
+    const [emailFailures, ipFailures] = await Promise.all([
+      this.loginAttemptModel.getEmailFailures(attempt.email, since),
+      attempt.ip ? this.loginAttemptModel.getIpFailures(attempt.ip, since) : { count: 0, lastFailureAt: null },
+    ]);
+
+    const accountLockedUntil = this.getLockedUntil(emailFailures, settings.maxFailures);
+    if (accountLockedUntil) {
+      await this.loginAttemptModel.record({ ...attempt, event: "login_blocked", reason: "ACCOUNT_LOCKED" });
+      throw this.createLockoutError(
+        "ACCOUNT_LOCKED",
+        "Account is temporarily locked after too many failed login attempts",
+        423,
+        accountLockedUntil
+      );
+    }
+
+    const ipLockedUntil = this.getLockedUntil(ipFailures, settings.ipMaxFailures);
+    if (ipLockedUntil) {
+      await this.loginAttemptModel.record({ ...attempt, event: "login_blocked", reason: "TOO_MANY_LOGIN_ATTEMPTS" });
+      throw this.createLockoutError(
+        "TOO_MANY_LOGIN_ATTEMPTS",
+        "Too many failed login attempts from this address",
+        429,
+        ipLockedUntil
+      );
+    }
+
+    if (emailFailures.count > 0) {
+      await this.delay(Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (emailFailures.count - 1)));
+    }
+  }
+
+  /**
+   * End of a lockout, if one is in effect
+   * @param {Object} failures - { count, lastFailureAt }
+   * @param {number} maxFailures
+   * @returns {Date|null}
+   */
+  getLockedUntil(failures, maxFailures) {
+    if (failures.count < maxFailures || !failures.lastFailureAt) {
+      return null;
+    }
+
+    const lockedUntil = new Date(
+      new Date(failures.lastFailureAt).getTime() + config.loginProtection.lockoutMinutes * 60 * 1000
+    );
+    return lockedUntil > new Date() ? lockedUntil : null;
+  }
+
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {Date} lockedUntil
+   * @returns {Error}
+   */
+  createLockoutError(code, message, statusCode, lockedUntil) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    error.retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+    error.details = {
+      lockedUntil: lockedUntil.toISOString(),
+      retryAfter: error.retryAfter,
+    };
+    return error;
+  }
+
+  /**
+   * Record a failed login and build the error to throw
+   * @param {Object} attempt
+   * @param {string} code
+   * @param {string} message
+   * @param {number} statusCode
+   * @returns {Promise<Error>}
+   */
+  async failLogin(attempt, code, message, statusCode) {
+    await this.loginAttemptModel.record({ ...attempt, event: "login_failed", reason: code });
+
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Utility delay function
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
   /**
    * Refresh access token
+   * Rotates the refresh token. Presenting a token that was already rotated
+   * means it was copied, so the whole session is revoked.
    * @param {string} refreshToken
    * @returns {Promise<Object>} New tokens
    */
   async refreshToken(refreshToken) {
-    if (!refreshToken) {
-      const error = new Error("Refresh token is required");
-      error.code = "MISSING_REFRESH_TOKEN";
-      error.statusCode = 400;
+    const decoded = this.verifyRefreshToken(refreshToken);
+    const tokenHash = this.hashToken(refreshToken);
+
+    const stored = await this.refreshTokenModel.revoke(tokenHash, "rotated");
+
+    if (!stored) {
+      await this.handleInactiveRefreshToken(tokenHash);
+    }
+
+    // Get user
+    const user = await this.userModel.findById(decoded.userId);
+
+    if (!user) {
+      const error = new Error("User not found");
+      error.code = "USER_NOT_FOUND";
+      error.statusCode = 404;
       throw error;
     }
 
-    try {
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, config.jwt.secret);
+    if (!user.isActive) {
+      const error = new Error("Account is deactivated");
+      error.code = "ACCOUNT_DEACTIVATED";
+      error.statusCode = 403;
+      throw error;
+    }
 
-      // Get user
-      const user = await this.userModel.findById(decoded.userId);
+    // Generate new tokens in the same session
+    const tokens = await this.generateTokens(user, stored.familyId);
 
-      if (!user) {
-        const error = new Error("User not found");
-        error.code = "USER_NOT_FOUND";
-        error.statusCode = 404;
-        throw error;
-      }
+    return {
+      success: true,
+      message: "Token refreshed successfully",
+      data: tokens,
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
 
-      if (!user.isActive) {
-        const error = new Error("Account is deactivated");
-        error.code = "ACCOUNT_DEACTIVATED";
-        error.statusCode = 403;
-        throw error;
-      }
+  /**
+   * Explain why a refresh token could not be rotated, revoking its session on reuse
+   * @param {string} tokenHash
+   * @returns {Promise<never>}
+   */
+  async handleInactiveRefreshToken(tokenHash) {
+    const existing = await this.refreshTokenModel.findByHash(tokenHash);
+
+    if (existing && existing.revokedReason === "rotated") {
+      await this.refreshTokenModel.revokeFamily(existing.familyId, "reuse_detected");
+      logger.warn("Refresh token reuse detected, session revoked", {
+        userId: existing.userId,
+        familyId: existing.familyId,
+      });
+
+      const error = new Error("Refresh token has already been used; the session has been revoked");
+      error.code = "REFRESH_TOKEN_REUSED";
+      error.statusCode = 401;
+      throw error;
+    }
 
-      // Generate new tokens
-      const tokens = this.generateTokens(user);
+    if (existing && existing.revokedAt) {
+      const error = new Error("Refresh token has been revoked");
+      error.code = "REFRESH_TOKEN_REVOKED";
+      error.statusCode = 401;
+      throw error;
+    }
 
-      return {
-        success: true,
-        message: "Token refreshed successfully",
-        data: tokens,
-        requestTimestamp: new Date().toISOString(),
-      };
-    } catch (error) {
-      if (error.name === "TokenExpiredError") {
-        const err = new Error("Refresh token has expired");
-        err.code = "REFRESH_TOKEN_EXPIRED";
-        err.statusCode = 401;
-        throw err;
-      }
-      if (error.name === "JsonWebTokenError") {
-        const err = new Error("Invalid refresh token");
-        err.code = "INVALID_REFRESH_TOKEN";
-        err.statusCode = 401;
-        throw err;
-      }
+    if (existing) {
+      const error = new Error("Refresh token has expired");
+      error.code = "REFRESH_TOKEN_EXPIRED";
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const error = new Error("Invalid refresh token");
+    error.code = "INVALID_REFRESH_TOKEN";
+    error.statusCode = 401;
+    throw error;
+  }
+
+  /**
+   * Log out one session by revoking its refresh token family
+   * @param {number} userId - Authenticated user
+   * @param {string} refreshToken
+   * @returns {Promise<Object>}
+   */
+  async logout(userId, refreshToken) {
+    const decoded = this.verifyRefreshToken(refreshToken);
+    const stored = await this.refreshTokenModel.findByHash(this.hashToken(refreshToken));
+
+    if (!stored || decoded.userId !== userId || stored.userId !== userId) {
+      const error = new Error("Invalid refresh token");
+      error.code = "INVALID_REFRESH_TOKEN";
+      error.statusCode = 401;
       throw error;
     }
+
+    await this.refreshTokenModel.revokeFamily(stored.familyId, "logout");
+
+    return {
+      success: true,
+      message: "Logged out successfully",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Log out every session of a user
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  async logoutAll(userId) {
+    const revokedSessions = await this.refreshTokenModel.revokeAllForUser(userId, "logout_all");
+
+    return {
+      success: true,
+      message: "Logged out of all sessions",
+      data: { revokedSessions },
+      requestTimestamp: new Date().toISOString(),
+    };
   }
 
   /**
@@ -263,22 +571,214 @@ class AuthService {
   }
 
   /**
-   * Generate JWT tokens
-   * @param {Object} user
-   * @returns {Object} { accessToken, refreshToken, expiresIn }
+   * Email a single-use verification link
+   * @param {Object} user - Formatted user
+   * @returns {Promise<void>}
    */
-  generateTokens(user) {
-    const payload = {
+  async sendVerificationEmail(user) {
+    const verificationToken = crypto.randomBytes(32).toString("hex");
+    const ttlHours = config.emailVerification.tokenTtlHours;
+
+    await this.emailVerificationModel.create({
       userId: user.id,
-      email: user.email,
+      tokenHash: this.hashToken(verificationToken),
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+    });
+
+    await mailService.sendMail(
+      user.email,
+      "Verify your email address",
+      [
+        "Welcome! Please confirm that this is your email address.",
+        "",
+        `Open this link to verify it (valid for ${ttlHours} hours):`,
+        `${config.emailVerification.url}?token=${verificationToken}`,
+      ].join("\n")
+    );
+  }
+
+  /**
+   * Verify an email address with the token from the verification email
+   * @param {string} verificationToken
+   * @returns {Promise<Object>}
+   */
+  async verifyEmail(verificationToken) {
+    if (!verificationToken) {
+      const error = new Error("Verification token is required");
+      error.code = "MISSING_VERIFICATION_TOKEN";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const userId = await this.emailVerificationModel.consume(this.hashToken(verificationToken));
+
+    if (!userId) {
+      const error = new Error("Verification token is invalid, expired or already used");
+      error.code = "INVALID_VERIFICATION_TOKEN";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await this.userModel.markEmailVerified(userId);
+
+    return {
+      success: true,
+      message: "Email verified successfully. Refresh your access token to use it.",
+      data: { user },
+      requestTimestamp: new Date().toISOString(),
     };
+  }
 
-    const accessToken = jwt.sign(payload, config.jwt.secret, {
-      expiresIn: config.jwt.expiresIn,
-    });
+  /**
+   * Send a new verification email to the current user
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  async resendVerification(userId) {
+    const user = await this.userModel.findById(userId);
+
+    if (!user) {
+      const error = new Error("User not found");
+      error.code = "USER_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (user.emailVerified) {
+      const error = new Error("Email address is already verified");
+      error.code = "EMAIL_ALREADY_VERIFIED";
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.sendVerificationEmail(user);
+
+    return {
+      success: true,
+      message: "Verification email sent",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Start a password reset by emailing a single-use link
+   * Responds the same way whether or not the account exists, so the endpoint
+   * cannot be used to discover registered emails.
+   * @param {string} email
+   * @returns {Promise<Object>}
+   */
+  async forgotPassword(email) {
+    if (!email) {
+      const error = new Error("Email is required");
+      error.code = "MISSING_EMAIL";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await this.userModel.findByEmail(email);
+
+    if (user && user.is_active) {
+      const resetToken = crypto.randomBytes(32).toString("hex");
+      const ttlMinutes = config.passwordReset.tokenTtlMinutes;
+
+      await this.passwordResetModel.create({
+        userId: user.id,
+        tokenHash: this.hashToken(resetToken),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      });
+
+      try {
+        await mailService.sendMail(
+          user.email,
+          "Reset your password",
+          [
+            "We received a request to reset the password for your account.",
+            "",
+            `Open this link to choose a new password (valid for ${ttlMinutes} minutes):`,
+            `${config.passwordReset.url}?token=${resetToken}`,
+            "",
+            "If you did not request this, you can ignore this email.",
+          ].join("\n")
+        );
+      } catch (error) {
+        logger.error("Failed to send password reset email", { userId: user.id, error });
+      }
+    }
+
+    return {
+      success: true,
+      message: "If an account exists for this email, a password reset link has been sent",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Complete a password reset
+   * Consumes the token, sets the new password and revokes every session.
+   * @param {string} resetToken - Token from the emailed link
+   * @param {string} newPassword
+   * @returns {Promise<Object>}
+   */
+  async resetPassword(resetToken, newPassword) {
+    if (!resetToken) {
+      const error = new Error("Reset token is required");
+      error.code = "MISSING_RESET_TOKEN";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.validatePassword(newPassword);
+
+    const userId = await this.passwordResetModel.consume(this.hashToken(resetToken));
 
-    const refreshToken = jwt.sign(payload, config.jwt.secret, {
-      expiresIn: config.jwt.refreshExpiresIn,
+    if (!userId) {
+      const error = new Error("Reset token is invalid, expired or already used");
+      error.code = "INVALID_RESET_TOKEN";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.userModel.updatePassword(userId, newPassword);
+    await this.refreshTokenModel.revokeAllForUser(userId, "password_reset");
+
+    return {
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Generate JWT tokens and store the refresh token
+   * @param {Object} user
+   * @param {string} familyId - Session to continue; a new session is started when omitted
+   * @returns {Promise<Object>} { accessToken, refreshToken, tokenType, expiresIn }
+   */
+  async generateTokens(user, familyId = crypto.randomUUID()) {
+    const accessToken = jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        emailVerified: Boolean(user.emailVerified),
+        role: user.role || "user",
+        typ: "access",
+      },
+      config.jwt.secret,
+      { expiresIn: config.jwt.expiresIn }
+    );
+
+    // jwtid makes every refresh token unique, even two issued in the same second
+    const refreshToken = jwt.sign(
+      { userId: user.id, typ: "refresh", fam: familyId },
+      config.jwt.secret,
+      { expiresIn: config.jwt.refreshExpiresIn, jwtid: crypto.randomUUID() }
+    );
+
+    await this.refreshTokenModel.create({
+      userId: user.id,
+      tokenHash: this.hashToken(refreshToken),
+      familyId,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
     });
 
     return {
@@ -290,13 +790,103 @@ class AuthService {
   }
 
   /**
-   * Verify JWT token
+   * Hash a refresh or password reset token for storage and lookup
+   * @param {string} token
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Verify a refresh token's signature, expiry and type
+   * @param {string} refreshToken
+   * @returns {Object} Decoded token payload
+   */
+  verifyRefreshToken(refreshToken) {
+    if (!refreshToken) {
+      const error = new Error("Refresh token is required");
+      error.code = "MISSING_REFRESH_TOKEN";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, config.jwt.secret);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        const err = new Error("Refresh token has expired");
+        err.code = "REFRESH_TOKEN_EXPIRED";
+        err.statusCode = 401;
+        throw err;
+      }
+      const err = new Error("Invalid refresh token");
+      err.code = "INVALID_REFRESH_TOKEN";
+      err.statusCode = 401;
+      throw err;
+    }
+
+    if (decoded.typ !== "refresh") {
+      const error = new Error("Invalid refresh token");
+      error.code = "INVALID_REFRESH_TOKEN";
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Verify an mfa token's signature, expiry and type
+   * @param {string} mfaToken
+   * @returns {Object} Decoded token payload
+   */
+  verifyMfaToken(mfaToken) {
+    if (!mfaToken) {
+      const error = new Error("MFA token is required");
+      error.code = "MISSING_MFA_TOKEN";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, config.jwt.secret);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.typ !== "mfa" || !decoded.jti) {
+      const error = new Error("Invalid or expired MFA token. Please log in again.");
+      error.code = "INVALID_MFA_TOKEN";
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Error for an mfa token that already completed a login
+   * @returns {Error}
+   */
+  createMfaTokenUsedError() {
+    const error = new Error("MFA token has already been used. Please log in again.");
+    error.code = "MFA_TOKEN_USED";
+    error.statusCode = 401;
+    return error;
+  }
+
+  /**
+   * Verify an access token
    * @param {string} token
    * @returns {Object} Decoded token payload
    */
   verifyToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, config.jwt.secret);
+      decoded = jwt.verify(token, config.jwt.secret);
     } catch (error) {
       if (error.name === "TokenExpiredError") {
         const err = new Error("Token has expired");
@@ -309,6 +899,16 @@ class AuthService {
       err.statusCode = 401;
       throw err;
     }
+
+    // Refresh tokens must not be usable as bearer access tokens
+    if (decoded.typ !== "access") {
+      const err = new Error("Invalid token");
+      err.code = "INVALID_TOKEN";
+      err.statusCode = 401;
+      throw err;
+    }
+
+    return decoded;
   }
 
   /**
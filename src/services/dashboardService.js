@@ -0,0 +1,192 @@
+const { parseISO } = require('date-fns');
+const config = require('../config/config');
+const WeatherController = require('../controllers/weatherController');
+const OpenaqService = require('./openaqService');
+const NasaEonetService = require('./nasaEonetService');
+const NoaaSwpcService = require('./noaaSwpcService');
+const NasaNeowsService = require('./nasaNeowsService');
+const NasaApodService = require('./nasaApodService');
+const logger = require('../utils/logger');
+
+/**
+ * Location dashboard
+ * Fans out to the weather, air quality, natural event, space weather,
+ * asteroid and APOD services in parallel and returns one document. Each
+ * section has its own timeout; a failed or slow section is reported inline
+ * with its error instead of failing the whole response.
+ */
+class DashboardService {
+  constructor() {
+    this.weatherController = new WeatherController();
+    this.openaqService = new OpenaqService();
+    this.eonetService = new NasaEonetService();
+    this.swpcService = new NoaaSwpcService();
+    this.neowsService = new NasaNeowsService();
+    this.apodService = new NasaApodService();
+
+    this.sections = [
+      { name: 'weather', label: 'NASA POWER weather', load: query => this.loadWeather(query) },
+      {
+        name: 'airQuality',
+        label: 'OpenAQ air quality',
+        load: ({ lat, lon }) => this.openaqService.getAirQuality(lat, lon)
+      },
+      { name: 'naturalEvents', label: 'NASA EONET events', load: query => this.loadNaturalEvents(query) },
+      { name: 'geomagnetic', label: 'NOAA SWPC 3-day forecast', load: () => this.swpcService.get3DayGeomagForecast() },
+      { name: 'asteroids', label: 'NASA NeoWs feed', load: ({ date }) => this.neowsService.getAsteroidFeed(date, date) },
+      { name: 'apod', label: 'NASA APOD', load: query => this.loadApod(query) }
+    ];
+  }
+
+  /**
+   * Names of the available sections
+   * @returns {Array<string>}
+   */
+  getSectionNames() {
+    return this.sections.map(section => section.name);
+  }
+
+  /**
+   * Build the dashboard for a location and date
+   * @param {Object} query - { lat, lon, date, sections }; sections defaults to all
+   * @returns {Promise<Object>}
+   */
+  async getDashboard(query) {
+    const startTime = Date.now();
+    const requested = query.sections || this.getSectionNames();
+    const selected = this.sections.filter(section => requested.includes(section.name));
+
+    const results = await Promise.all(selected.map(section => this.runSection(section, query)));
+    const sections = {};
+    for (const [index, section] of selected.entries()) {
+      sections[section.name] = results[index];
+    }
+
+    const failed = results.filter(result => result.status !== 'ok').length;
+
+    return {
+      success: true,
+      data: {
+        location: { latitude: query.lat, longitude: query.lon },
+        date: query.date,
+        status: failed === 0 ? 'complete' : failed === results.length ? 'failed' : 'partial',
+        sections
+      },
+      requestTimestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Load one section with a timeout; never rejects
+   * @param {Object} section - { name, label, load }
+   * @param {Object} query
+   * @returns {Promise<Object>} { status: 'ok'|'error'|'timeout', durationMs, data | error }
+   */
+  async runSection(section, query) {
+    const startTime = Date.now();
+
+    try {
+      const result = await this.withTimeout(section.load(query), config.dashboard.sectionTimeoutMs, section.label);
+
+      return {
+        status: 'ok',
+        durationMs: Date.now() - startTime,
+        // Service responses are { success, data, ... } envelopes; only the payload is embedded
+        data: result && result.success !== undefined && result.data !== undefined ? result.data : result
+      };
+    } catch (error) {
+      logger.warn('Dashboard section failed', { section: section.name, error });
+
+      return {
+        status: error.code === 'SECTION_TIMEOUT' ? 'timeout' : 'error',
+        durationMs: Date.now() - startTime,
+        error: {
+          code: error.code || 'INTERNAL_ERROR',
+          message: error.message,
+          statusCode: error.statusCode || 500
+        }
+      };
+    }
+  }
+
+  /**
+   * Historical data for past dates, otherwise a prediction
+   * @param {Object} query - { lat, lon, date }
+   * @returns {Promise<Object>}
+   */
+  async loadWeather({ lat, lon, date }) {
+    const parameters = config.weather.defaultParameters;
+
+    if (parseISO(date) < this.weatherController.getNasaDataCutoff()) {
+      return this.weatherController.fetchHistoricalData(lat, lon, date, parameters);
+    }
+
+    return this.weatherController.generatePrediction(
+      lat,
+      lon,
+      date,
+      parameters,
+      config.weather.defaultHistoricalYears
+    );
+  }
+
+  /**
+   * Open events in a box around the location, with proximity analysis
+   * @param {Object} query - { lat, lon }
+   * @returns {Promise<Object>}
+   */
+  async loadNaturalEvents({ lat, lon }) {
+    const degrees = config.dashboard.eventRadiusDegrees;
+    const bbox = [
+      Math.max(-180, lon - degrees),
+      Math.max(-90, lat - degrees),
+      Math.min(180, lon + degrees),
+      Math.min(90, lat + degrees)
+    ]
+      .map(value => Number(value.toFixed(4)))
+      .join(',');
+
+    return this.eonetService.getEvents({
+      bbox,
+      userLat: lat,
+      userLon: lon,
+      status: 'open',
+      limit: config.dashboard.eventLimit
+    });
+  }
+
+  /**
+   * APOD of the date; today's picture for future dates, which have none yet
+   * @param {Object} query - { date }
+   * @returns {Promise<Object>}
+   */
+  async loadApod({ date }) {
+    const today = new Date().toISOString().split('T')[0];
+
+    return date > today ? this.apodService.getToday() : this.apodService.getByDate(date);
+  }
+
+  /**
+   * Reject if a promise does not settle in time
+   * @param {Promise} promise
+   * @param {number} ms
+   * @param {string} label
+   * @returns {Promise}
+   */
+  withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} did not respond within ${ms}ms`);
+        error.code = 'SECTION_TIMEOUT';
+        error.statusCode = 504;
+        reject(error);
+      }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = DashboardService;
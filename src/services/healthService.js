@@ -0,0 +1,144 @@
+const config = require('../config/config');
+const { getPool } = require('../config/database');
+const NasaPowerApiService = require('./nasaApiService');
+const NasaDonkiService = require('./nasaDonkiService');
+const NoaaSwpcService = require('./noaaSwpcService');
+const NasaNeowsService = require('./nasaNeowsService');
+const NasaEonetService = require('./nasaEonetService');
+const OpenaqService = require('./openaqService');
+const NasaEpicService = require('./nasaEpicService');
+const NasaApodService = require('./nasaApodService');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+
+/**
+ * Aggregated health checks
+ * Runs every upstream's testConnectivity plus a PostgreSQL ping in parallel.
+ * The overall status is 'unhealthy' when a critical service is down and
+ * 'degraded' when only non-critical services are down. Reports are reused
+ * for cacheTtlMs so frequent probes don't hammer the upstreams.
+ */
+class HealthService {
+  constructor() {
+    this.checks = [
+      { name: 'nasaPowerApi', label: 'NASA POWER API', service: new NasaPowerApiService() },
+      { name: 'nasaDonkiApi', label: 'NASA DONKI API', service: new NasaDonkiService() },
+      { name: 'noaaSwpc', label: 'NOAA SWPC service', service: new NoaaSwpcService() },
+      { name: 'nasaNeowsApi', label: 'NASA NeoWs API', service: new NasaNeowsService() },
+      { name: 'nasaEonetApi', label: 'NASA EONET API', service: new NasaEonetService() },
+      { name: 'openaqApi', label: 'OpenAQ API', service: new OpenaqService() },
+      { name: 'nasaEpicApi', label: 'NASA EPIC API', service: new NasaEpicService() },
+      { name: 'nasaApodApi', label: 'NASA APOD API', service: new NasaApodService() },
+      { name: 'database', label: 'PostgreSQL', service: { testConnectivity: () => this.testDatabase() } }
+    ];
+    this.lastReport = null;
+    this.lastReportAt = 0;
+  }
+
+  /**
+   * Ping PostgreSQL through the shared pool
+   * @returns {Promise<Object>} { status, message }
+   */
+  async testDatabase() {
+    await getPool().query('SELECT 1');
+    return { status: 'connected', message: 'PostgreSQL is reachable' };
+  }
+
+  /**
+   * Get the aggregated health report
+   * @param {Object} options - { fresh: bypass the cached report }
+   * @returns {Promise<Object>} { status, services, circuitBreakers, checkedAt }
+   */
+  async getReport(options = {}) {
+    const age = Date.now() - this.lastReportAt;
+
+    if (!options.fresh && this.lastReport && age < config.health.cacheTtlMs) {
+      return this.lastReport;
+    }
+
+    const results = await Promise.all(this.checks.map(check => this.runCheck(check)));
+    const services = {};
+    for (const [index, check] of this.checks.entries()) {
+      services[check.name] = results[index];
+    }
+
+    this.lastReport = {
+      status: HealthService.getOverallStatus(services),
+      services,
+      circuitBreakers: UpstreamHttpClient.getBreakerStates(),
+      checkedAt: new Date().toISOString()
+    };
+    this.lastReportAt = Date.now();
+
+    return this.lastReport;
+  }
+
+  /**
+   * Readiness: every critical service must be operational
+   * @returns {Promise<Object>} { ready, failing, checkedAt }
+   */
+  async getReadiness() {
+    const report = await this.getReport();
+    const failing = Object.entries(report.services)
+      .filter(([, result]) => result.critical && result.status !== 'operational')
+      .map(([name]) => name);
+
+    return { ready: failing.length === 0, failing, checkedAt: report.checkedAt };
+  }
+
+  /**
+   * Run one check with a timeout and measure its latency
+   * @param {Object} check - { name, label, service }
+   * @returns {Promise<Object>} { status, critical, latencyMs, message, error }
+   */
+  async runCheck(check) {
+    const startTime = Date.now();
+    let result;
+
+    try {
+      result = await this.withTimeout(check.service.testConnectivity(), config.health.checkTimeoutMs);
+    } catch (error) {
+      result = { status: 'error', message: `${check.label} is not accessible`, error: error.message };
+    }
+
+    const operational = result.status === 'connected';
+
+    return {
+      status: operational ? 'operational' : 'down',
+      critical: config.health.criticalServices.includes(check.name),
+      latencyMs: Date.now() - startTime,
+      message: result.message,
+      error: operational ? null : (result.error || result.message || null)
+    };
+  }
+
+  /**
+   * Reject if a promise does not settle in time
+   * @param {Promise} promise
+   * @param {number} ms
+   * @returns {Promise}
+   */
+  withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Health check timed out after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Combine service results into an overall status
+   * @param {Object} services - Map of service name to check result
+   * @returns {string} 'healthy', 'degraded' or 'unhealthy'
+   */
+  static getOverallStatus(services) {
+    const down = Object.values(services).filter(result => result.status !== 'operational');
+
+    if (down.some(result => result.critical)) {
+      return 'unhealthy';
+    }
+    return down.length > 0 ? 'degraded' : 'healthy';
+  }
+}
+
+module.exports = HealthService;
@@ -1,22 +1,65 @@
-import nodemailer from "nodemailer";
-import dotenv from "dotenv";
-
-dotenv.config(); //.nev dosyası okumak ıcın
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: Number(process.env.SMTP_PORT),
-  secure: false, 
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-  },
-});
-
-export async function sendMail(to, subject, text) {
+const nodemailer = require("nodemailer");
+const config = require("../config/config");
+
+/**
+ * Mail Service
+ * Sends email through the transport selected by MAIL_TRANSPORT: "smtp"
+ * (SMTP_* settings) or "json" (renders the message without sending, for
+ * tests and local development). setTransport() swaps in any
+ * nodemailer-compatible transport, e.g. one pointed at a local SMTP catcher.
+ */
+let transporter;
+
+/**
+ * Create the transport configured in config.mail
+ * @returns {Object} nodemailer transporter
+ */
+function createTransport() {
+  switch (config.mail.transport) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: config.mail.host,
+        port: config.mail.port,
+        secure: config.mail.secure,
+        auth: config.mail.user
+          ? { user: config.mail.user, pass: config.mail.pass }
+          : undefined,
+      });
+
+    case "json":
+      return nodemailer.createTransport({ jsonTransport: true });
+
+    default:
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+}
+
+/**
+ * Replace the transport (e.g. with a JSON transport in tests)
+ * @param {Object|null} transport - nodemailer transporter; null restores the configured one
+ */
+function setTransport(transport) {
+  transporter = transport;
+}
+
+/**
+ * Send a plain-text email
+ * @param {string} to
+ * @param {string} subject
+ * @param {string} text
+ * @returns {Promise<Object>} nodemailer send info
+ */
+async function sendMail(to, subject, text) {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+
   return transporter.sendMail({
-    from: process.env.SMTP_USER,
+    from: config.mail.from,
     to,
     subject,
     text,
   });
 }
+
+module.exports = { sendMail, setTransport, createTransport };
@@ -0,0 +1,98 @@
+/**
+ * In-memory LRU cache store
+ * Entries are kept in a Map in least- to most-recently-used order; the
+ * oldest entry is evicted once maxEntries is exceeded.
+ */
+class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cache entry and mark it as recently used
+   * @param {string} key
+   * @returns {Promise<Object|null>} { value, cachedAt, expiresAt } or null on miss/expiry
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= new Date()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key
+   * @param {*} value
+   * @param {number|null} ttlSeconds - null keeps the entry until evicted or purged
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlSeconds) {
+    const cachedAt = new Date();
+    const expiresAt = ttlSeconds ? new Date(cachedAt.getTime() + ttlSeconds * 1000) : null;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, cachedAt, expiresAt });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove entries whose key starts with the given prefix
+   * @param {string} prefix - Empty string removes everything
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purge(prefix = '') {
+    let removed = 0;
+
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purgeExpired() {
+    const now = new Date();
+    let removed = 0;
+
+    for (const [key, entry] of [...this.entries]) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {Promise<number>}
+   */
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,50 @@
+/**
+ * In-memory rate limit counter store
+ * Counters live in this process only, so limits are per instance. Expired
+ * counters are swept while incrementing.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  /**
+   * Add to a counter, creating it if it does not exist or has expired
+   * @param {string} key
+   * @param {number} amount
+   * @param {Date} resetAt - When a newly created counter expires
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, amount, resetAt) {
+    const now = new Date();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt };
+      this.counters.set(key, counter);
+    }
+
+    counter.count += amount;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  /**
+   * Remove expired counters
+   * @returns {Promise<number>} Number of removed counters
+   */
+  async purgeExpired() {
+    const now = new Date();
+    let removed = 0;
+
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,163 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics
+ * A single registry for the process. Other modules record through the static
+ * helpers below and never touch prom-client directly.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const upstreamRequestsTotal = new client.Counter({
+  name: 'upstream_requests_total',
+  help: 'Upstream HTTP calls, by upstream service and outcome',
+  labelNames: ['upstream', 'outcome'],
+  registers: [register]
+});
+
+const upstreamRequestDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Upstream HTTP call latency, by upstream service',
+  labelNames: ['upstream'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const upstreamErrorsTotal = new client.Counter({
+  name: 'upstream_errors_total',
+  help: 'Failed upstream HTTP calls, by upstream service and reason (HTTP status, network error code or circuit_open)',
+  labelNames: ['upstream', 'reason'],
+  registers: [register]
+});
+
+const cacheLookupsTotal = new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Cache lookups, by cache and result',
+  labelNames: ['cache', 'result'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'cache_hit_ratio',
+  help: 'Share of cache lookups that were hits since startup',
+  labelNames: ['cache'],
+  registers: [register],
+  async collect() {
+    const lookups = {};
+    for (const { labels, value } of (await cacheLookupsTotal.get()).values) {
+      lookups[labels.cache] = lookups[labels.cache] || { hit: 0, miss: 0 };
+      lookups[labels.cache][labels.result] += value;
+    }
+
+    this.reset();
+    for (const [cache, { hit, miss }] of Object.entries(lookups)) {
+      if (hit + miss > 0) {
+        this.set({ cache }, hit / (hit + miss));
+      }
+    }
+  }
+});
+
+const authFailuresTotal = new client.Counter({
+  name: 'auth_failures_total',
+  help: 'Rejected authentication attempts, by error code',
+  labelNames: ['code'],
+  registers: [register]
+});
+
+class MetricsService {
+
+  /**
+   * Record a handled HTTP request
+   * @param {string} method
+   * @param {string} route - Route pattern, e.g. /api/weather/data
+   * @param {number} statusCode
+   * @param {number} durationSeconds
+   */
+  static recordHttpRequest(method, route, statusCode, durationSeconds) {
+    const labels = { method, route, status_code: String(statusCode) };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, durationSeconds);
+  }
+
+  /**
+   * Record one upstream HTTP call (each retry attempt counts)
+   * @param {string} upstream - Upstream client name, e.g. nasa-power
+   * @param {number} durationSeconds
+   * @param {Error|null} error - Failure, or null on success
+   */
+  static recordUpstreamRequest(upstream, durationSeconds, error = null) {
+    upstreamRequestsTotal.inc({ upstream, outcome: error ? 'error' : 'success' });
+    upstreamRequestDuration.observe({ upstream }, durationSeconds);
+
+    if (error) {
+      MetricsService.recordUpstreamError(upstream, error.response ? String(error.response.status) : (error.code || 'unknown'));
+    }
+  }
+
+  /**
+   * Record an upstream failure that did not produce a timed call
+   * @param {string} upstream
+   * @param {string} reason - HTTP status, network error code or circuit_open
+   */
+  static recordUpstreamError(upstream, reason) {
+    upstreamErrorsTotal.inc({ upstream, reason });
+  }
+
+  /**
+   * Record a cache lookup
+   * @param {string} cache - Cache name
+   * @param {boolean} hit
+   */
+  static recordCacheLookup(cache, hit) {
+    cacheLookupsTotal.inc({ cache, result: hit ? 'hit' : 'miss' });
+  }
+
+  /**
+   * Record a rejected authentication attempt
+   * @param {string} code - Error code returned to the client, e.g. TOKEN_EXPIRED
+   */
+  static recordAuthFailure(code) {
+    authFailuresTotal.inc({ code });
+  }
+
+  /**
+   * Render every metric in Prometheus text format
+   * @returns {Promise<string>}
+   */
+  static async getMetrics() {
+    return register.metrics();
+  }
+
+  /**
+   * Content-Type for the Prometheus text format
+   * @returns {string}
+   */
+  static get contentType() {
+    return register.contentType;
+  }
+
+  /**
+   * Reset every metric (tests only)
+   */
+  static reset() {
+    register.resetMetrics();
+  }
+}
+
+module.exports = MetricsService;
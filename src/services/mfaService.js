@@ -0,0 +1,323 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const User = require("../models/User");
+const MfaCredential = require("../models/MfaCredential");
+const MfaRecoveryCode = require("../models/MfaRecoveryCode");
+const MfaChallenge = require("../models/MfaChallenge");
+const Totp = require("../utils/totp");
+const logger = require("../utils/logger");
+
+const CIPHER = "aes-256-gcm";
+
+/**
+ * Two-factor authentication (TOTP)
+ * Enrollment is two steps: setup creates a pending secret, and enable
+ * confirms it with a first code and hands out recovery codes. Once enabled,
+ * login needs a code from the authenticator app or an unused recovery code.
+ * Each TOTP step is accepted at most once, so an observed code cannot be
+ * replayed.
+ */
+class MfaService {
+  constructor() {
+    this.userModel = new User();
+    this.credentialModel = new MfaCredential();
+    this.recoveryCodeModel = new MfaRecoveryCode();
+    this.challengeModel = new MfaChallenge();
+  }
+
+  /**
+   * Whether a user has MFA enabled, and how many recovery codes are left
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  async getStatus(userId) {
+    const credential = await this.credentialModel.findByUserId(userId);
+    const enabled = Boolean(credential && credential.enabledAt);
+
+    return {
+      success: true,
+      data: {
+        enabled,
+        enabledAt: enabled ? credential.enabledAt : null,
+        recoveryCodesRemaining: enabled ? await this.recoveryCodeModel.countRemaining(userId) : 0,
+      },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret
+   * Calling it again before enable replaces the pending secret.
+   * @param {Object} user - { userId, email }
+   * @returns {Promise<Object>} The secret and an otpauth:// URI for authenticator apps
+   */
+  async setup(user) {
+    const secret = Totp.generateSecret();
+    const saved = await this.credentialModel.savePending(user.userId, this.encryptSecret(secret));
+
+    if (!saved) {
+      const error = new Error("Two-factor authentication is already enabled");
+      error.code = "MFA_ALREADY_ENABLED";
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return {
+      success: true,
+      message: "Add the secret to your authenticator app, then confirm it with a code to enable two-factor authentication.",
+      data: {
+        secret,
+        otpauthUrl: Totp.buildOtpauthUrl({ secret, accountName: user.email, issuer: config.mfa.issuer }),
+      },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the pending secret
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<Object>} Recovery codes, shown only here
+   */
+  async enable(userId, code) {
+    this.requireFactor({ code });
+
+    const credential = await this.credentialModel.findByUserId(userId);
+
+    if (!credential || credential.enabledAt) {
+      const error = new Error(
+        credential ? "Two-factor authentication is already enabled" : "Two-factor authentication has not been set up"
+      );
+      error.code = credential ? "MFA_ALREADY_ENABLED" : "MFA_NOT_SET_UP";
+      error.statusCode = credential ? 409 : 400;
+      throw error;
+    }
+
+    const step = Totp.verifyCode(this.decryptSecret(credential.secretEncrypted), code);
+
+    if (step === null) {
+      throw this.createInvalidCodeError();
+    }
+
+    await this.credentialModel.enable(userId, step);
+    await this.userModel.setMfaEnabled(userId, true);
+    const recoveryCodes = await this.issueRecoveryCodes(userId);
+
+    logger.info("MFA enabled", { userId });
+
+    return {
+      success: true,
+      message: "Two-factor authentication enabled. Store the recovery codes now; they cannot be shown again.",
+      data: { recoveryCodes },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Turn MFA off; needs the password and a second factor
+   * @param {number} userId
+   * @param {Object} credentials - { password, code } or { password, recoveryCode }
+   * @returns {Promise<Object>}
+   */
+  async disable(userId, credentials = {}) {
+    const { password, code, recoveryCode } = credentials;
+
+    if (!password) {
+      const error = new Error("Password is required");
+      error.code = "MISSING_CREDENTIALS";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.requireFactor({ code, recoveryCode });
+    await this.getEnabledCredential(userId);
+
+    const user = await this.userModel.findById(userId);
+    const userWithPassword = user && (await this.userModel.findByEmail(user.email));
+
+    if (!userWithPassword || !(await this.userModel.validatePassword(password, userWithPassword.password))) {
+      const error = new Error("Password is incorrect");
+      error.code = "INVALID_PASSWORD";
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (!(await this.verifySecondFactor(userId, { code, recoveryCode }))) {
+      throw this.createInvalidCodeError();
+    }
+
+    await this.userModel.setMfaEnabled(userId, false);
+    await this.credentialModel.delete(userId);
+    await this.recoveryCodeModel.deleteForUser(userId);
+
+    logger.info("MFA disabled", { userId });
+
+    return {
+      success: true,
+      message: "Two-factor authentication disabled",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Replace all recovery codes; needs a current TOTP code
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<Object>} The new recovery codes, shown only here
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    this.requireFactor({ code });
+    await this.getEnabledCredential(userId);
+
+    if (!(await this.verifySecondFactor(userId, { code }))) {
+      throw this.createInvalidCodeError();
+    }
+
+    const recoveryCodes = await this.issueRecoveryCodes(userId);
+
+    logger.info("MFA recovery codes regenerated", { userId });
+
+    return {
+      success: true,
+      message: "New recovery codes generated. The old ones no longer work.",
+      data: { recoveryCodes },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Check a TOTP code or consume a recovery code
+   * @param {number} userId
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<string|null>} "totp" or "recovery_code", or null if the factor is not valid
+   */
+  async verifySecondFactor(userId, factor = {}) {
+    const { code, recoveryCode } = factor;
+
+    if (recoveryCode) {
+      const consumed = await this.recoveryCodeModel.consume(userId, this.hashRecoveryCode(recoveryCode));
+
+      if (consumed) {
+        logger.info("MFA recovery code used", { userId });
+      }
+      return consumed ? "recovery_code" : null;
+    }
+
+    const credential = await this.credentialModel.findByUserId(userId);
+
+    if (!credential || !credential.enabledAt) {
+      return null;
+    }
+
+    const step = Totp.verifyCode(this.decryptSecret(credential.secretEncrypted), code);
+
+    if (step === null || !(await this.credentialModel.markStepUsed(userId, step))) {
+      return null;
+    }
+
+    return "totp";
+  }
+
+  /**
+   * Reject a request that carries neither a code nor a recovery code
+   * @param {Object} factor - { code, recoveryCode }
+   */
+  requireFactor(factor) {
+    if (!factor.code && !factor.recoveryCode) {
+      const error = new Error("An authentication code is required");
+      error.code = "MISSING_MFA_CODE";
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {number} userId
+   * @returns {Promise<Object>} The user's enabled credential
+   */
+  async getEnabledCredential(userId) {
+    const credential = await this.credentialModel.findByUserId(userId);
+
+    if (!credential || !credential.enabledAt) {
+      const error = new Error("Two-factor authentication is not enabled");
+      error.code = "MFA_NOT_ENABLED";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return credential;
+  }
+
+  /**
+   * Generate and store a fresh set of recovery codes
+   * @param {number} userId
+   * @returns {Promise<Array<string>>} Codes formatted as xxxxx-xxxxx
+   */
+  async issueRecoveryCodes(userId) {
+    const recoveryCodes = Array.from({ length: config.mfa.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await this.recoveryCodeModel.replaceForUser(
+      userId,
+      recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode))
+    );
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Hash a recovery code; case, spaces and dashes are ignored
+   * @param {string} recoveryCode
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[\s-]/g, "");
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+
+  /**
+   * @returns {Buffer} 256-bit key derived from config.mfa.encryptionKey
+   */
+  getEncryptionKey() {
+    return crypto.createHash("sha256").update(config.mfa.encryptionKey).digest();
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage
+   * @param {string} secret
+   * @returns {string} iv.tag.ciphertext, each base64url
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".");
+  }
+
+  /**
+   * @param {string} stored - Output of encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv(CIPHER, this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+  }
+
+  /**
+   * @returns {Error}
+   */
+  createInvalidCodeError() {
+    const error = new Error("Invalid authentication code");
+    error.code = "INVALID_MFA_CODE";
+    error.statusCode = 401;
+    return error;
+  }
+}
+
+module.exports = MfaService;
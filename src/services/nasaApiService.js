@@ -1,25 +1,86 @@
-const axios = require('axios');
-const { parseISO, format, subYears, isFuture } = require('date-fns');
+const {
+  parseISO,
+  format,
+  addDays,
+  subDays,
+  subYears,
+  isFuture,
+  differenceInCalendarDays,
+  eachDayOfInterval
+} = require('date-fns');
 const config = require('../config/config');
+const WeatherDataService = require('./weatherDataService');
+const ResponseCacheService = require('./responseCacheService');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const logger = require('../utils/logger');
 
 class NasaPowerApiService {
   constructor() {
     this.baseUrl = config.nasaPowerApi.baseUrl;
     this.timeout = config.nasaPowerApi.timeout;
-    this.retryAttempts = config.nasaPowerApi.retryAttempts;
-    this.retryDelay = config.nasaPowerApi.retryDelay;
+    this.httpClient = UpstreamHttpClient.for('nasa-power', {
+      retries: config.nasaPowerApi.retryAttempts - 1,
+      baseDelayMs: config.nasaPowerApi.retryDelay
+    });
+    this.maxRequestDays = config.nasaPowerApi.maxRequestDays;
+    this.maxMergeGapDays = config.nasaPowerApi.maxMergeGapDays;
+    this.maxConcurrentRequests = config.nasaPowerApi.maxConcurrentRequests;
+    this.weatherDataService = new WeatherDataService();
+    this.cache = ResponseCacheService.getShared();
   }
 
   /**
-   * Fetch weather data from NASA POWER API
+   * Fetch weather data from NASA POWER API, served from the response cache when possible
    * @param {number} latitude 
    * @param {number} longitude 
    * @param {string} startDate - YYYY-MM-DD format
    * @param {string} endDate - YYYY-MM-DD format
    * @param {Array<string>} parameters 
-   * @returns {Promise<Object>} NASA API response
+   * @returns {Promise<Object>} NASA API response with a `cache` entry describing the cache lookup
    */
   async fetchWeatherData(latitude, longitude, startDate, endDate, parameters) {
+    const cacheKey = ResponseCacheService.buildPowerKey(latitude, longitude, startDate, endDate, parameters);
+    const cached = await this.getCachedWeatherData(cacheKey);
+
+    if (cached) {
+      logger.debug('NASA data cache hit', { latitude, longitude, startDate, endDate });
+      return cached;
+    }
+
+    const data = await this.requestWeatherData(latitude, longitude, startDate, endDate, parameters);
+    await this.cache.set(cacheKey, data, ResponseCacheService.getPowerTtlSeconds(endDate));
+    return { ...data, cache: { hit: false } };
+  }
+
+  /**
+   * Look up a NASA POWER response in the response cache
+   * @param {string} cacheKey - From ResponseCacheService.buildPowerKey
+   * @returns {Promise<Object|null>} Cached response with a `cache` entry, or null on a miss
+   */
+  async getCachedWeatherData(cacheKey) {
+    const cached = await this.cache.get(cacheKey);
+
+    if (!cached) {
+      return null;
+    }
+
+    return {
+      ...cached.value,
+      cache: { hit: true, cachedAt: cached.cachedAt, expiresAt: cached.expiresAt }
+    };
+  }
+
+  /**
+   * Request weather data from NASA POWER API, bypassing the cache
+   * @param {number} latitude 
+   * @param {number} longitude 
+   * @param {string} startDate - YYYY-MM-DD format
+   * @param {string} endDate - YYYY-MM-DD format
+   * @param {Array<string>} parameters 
+   * @param {Object} options - Extra request options, e.g. { retries }
+   * @returns {Promise<Object>} NASA API response
+   */
+  async requestWeatherData(latitude, longitude, startDate, endDate, parameters, options = {}) {
     const url = `${this.baseUrl}/temporal/hourly/point`;
     
     const params = {
@@ -33,107 +94,251 @@ class NasaPowerApiService {
     };
 
     try {
-      console.log(`Fetching NASA data for ${startDate} to ${endDate} at [${latitude}, ${longitude}]`);
+      logger.info('Fetching NASA data', { latitude, longitude, startDate, endDate });
       
-      const response = await this.makeRequest(url, params);
+      const response = await this.makeRequest(url, params, options);
       return response.data;
     } catch (error) {
-      console.error('NASA API request failed:', error.message);
+      logger.error('NASA API request failed', { error });
       throw this.handleApiError(error);
     }
   }
 
   /**
    * Fetch historical data for multiple years for prediction
+   * Per-year spans that lie close together are requested together and each
+   * year is sliced back out locally.
    * @param {number} latitude 
    * @param {number} longitude 
    * @param {string} targetDate - YYYY-MM-DD format
    * @param {number} historicalYears 
    * @param {Array<string>} parameters 
+   * @param {Object} options - { endDate: last target date (YYYY-MM-DD), windowDays: days pooled around each target date }
    * @returns {Promise<Array>} Array of historical data for each year
    */
-  async fetchHistoricalDataForPrediction(latitude, longitude, targetDate, historicalYears, parameters) {
+  async fetchHistoricalDataForPrediction(latitude, longitude, targetDate, historicalYears, parameters, options = {}) {
+    const spans = this.getPredictionSpans(targetDate, historicalYears, options);
+
+    logger.info('Fetching historical data for prediction', { historicalYears, windowDays: options.windowDays || 0 });
+
+    const results = await this.fetchWeatherDataSpans(latitude, longitude, spans, parameters);
+
+    return this.collectHistoricalData(spans, results, historicalYears);
+  }
+
+  /**
+   * Build the date span needed from each historical year for a prediction
+   * Each span covers the whole target month-day range plus windowDays on either side.
+   * @param {string} targetDate - YYYY-MM-DD format
+   * @param {number} historicalYears 
+   * @param {Object} options - { endDate: last target date (YYYY-MM-DD), windowDays: days pooled around each target date }
+   * @returns {Array<Object>} Array of { year, startDate, endDate }
+   */
+  getPredictionSpans(targetDate, historicalYears, options = {}) {
+    const { endDate = targetDate, windowDays = 0 } = options;
     const targetDateObj = parseISO(targetDate);
+    const targetEndDateObj = parseISO(endDate);
     const monthDay = format(targetDateObj, 'MM-dd');
-    const historicalData = [];
-    const errors = [];
+    const endMonthDay = format(targetEndDateObj, 'MM-dd');
+    const yearSpan = targetEndDateObj.getFullYear() - targetDateObj.getFullYear();
+    const spans = [];
 
-    console.log(`Fetching ${historicalYears} years of historical data for prediction`);
-
-    // Create array of promises for parallel requests
-    const requests = [];
     for (let i = 1; i <= historicalYears; i++) {
       const historicalYear = new Date().getFullYear() - i;
-      const historicalDate = `${historicalYear}-${monthDay}`;
-      
-      requests.push(
-        this.fetchWeatherData(latitude, longitude, historicalDate, historicalDate, parameters)
-          .then(data => ({ year: historicalYear, data, error: null }))
-          .catch(error => ({ year: historicalYear, data: null, error: error.message }))
-      );
+
+      spans.push({
+        year: historicalYear,
+        startDate: format(
+          subDays(parseISO(WeatherDataService.getHistoricalAnchorDate(historicalYear, monthDay)), windowDays),
+          'yyyy-MM-dd'
+        ),
+        endDate: format(
+          addDays(parseISO(WeatherDataService.getHistoricalAnchorDate(historicalYear + yearSpan, endMonthDay)), windowDays),
+          'yyyy-MM-dd'
+        )
+      });
+    }
+
+    return spans;
+  }
+
+  /**
+   * Group date spans into fewer upstream requests without fetching many unneeded days
+   * Spans are merged in date order when they overlap or are at most
+   * maxMergeGapDays apart, and only while the merged range stays within
+   * maxRequestDays. The same day in different years is never merged.
+   * @param {Array<Object>} spans - Array of { startDate, endDate } (YYYY-MM-DD)
+   * @returns {Array<Object>} Array of { startDate, endDate, spanIndexes }
+   */
+  planRequestChunks(spans) {
+    const order = spans
+      .map((span, index) => index)
+      .sort((a, b) => spans[a].startDate.localeCompare(spans[b].startDate));
+    const chunks = [];
+    let current = null;
+
+    for (const index of order) {
+      const span = spans[index];
+
+      if (current) {
+        const gapDays = differenceInCalendarDays(parseISO(span.startDate), parseISO(current.endDate)) - 1;
+        const mergedEnd = span.endDate > current.endDate ? span.endDate : current.endDate;
+        const mergedDays = differenceInCalendarDays(parseISO(mergedEnd), parseISO(current.startDate)) + 1;
+
+        if (gapDays <= this.maxMergeGapDays && mergedDays <= this.maxRequestDays) {
+          current.endDate = mergedEnd;
+          current.spanIndexes.push(index);
+          continue;
+        }
+      }
+
+      current = { startDate: span.startDate, endDate: span.endDate, spanIndexes: [index] };
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Fetch several date spans at one location with the fewest upstream calls
+   * Spans are cached one by one, not as the merged chunks they were fetched
+   * in, so only spans missing from the cache are requested.
+   * @param {number} latitude 
+   * @param {number} longitude 
+   * @param {Array<Object>} spans - Array of { startDate, endDate } (YYYY-MM-DD)
+   * @param {Array<string>} parameters 
+   * @returns {Promise<Array>} Array of { data, error } in the order of the given spans
+   */
+  async fetchWeatherDataSpans(latitude, longitude, spans, parameters) {
+    const cacheKeys = spans.map(span =>
+      ResponseCacheService.buildPowerKey(latitude, longitude, span.startDate, span.endDate, parameters)
+    );
+    const cached = await Promise.all(cacheKeys.map(cacheKey => this.getCachedWeatherData(cacheKey)));
+    const results = cached.map(data => (data ? { data, error: null } : undefined));
+    const missing = spans.map((span, index) => index).filter(index => !cached[index]);
+
+    // Chunks index into the missing spans; point them back at the given spans
+    const chunks = this.planRequestChunks(missing.map(index => spans[index]))
+      .map(chunk => ({ ...chunk, spanIndexes: chunk.spanIndexes.map(position => missing[position]) }));
+
+    logger.info('Fetching date spans', { spans: spans.length, cached: spans.length - missing.length, requests: chunks.length });
+
+    // Work through the chunks with a bounded number of requests in flight
+    let next = 0;
+    const worker = async () => {
+      while (next < chunks.length) {
+        const chunk = chunks[next++];
+        let data = null;
+        let error = null;
+
+        try {
+          data = await this.requestWeatherData(latitude, longitude, chunk.startDate, chunk.endDate, parameters);
+        } catch (err) {
+          error = err;
+        }
+
+        for (const index of chunk.spanIndexes) {
+          if (error) {
+            results[index] = { data: null, error };
+            continue;
+          }
+
+          const result = this.sliceSpan(data, chunk, spans[index]);
+
+          if (result.data) {
+            await this.cache.set(cacheKeys[index], result.data, ResponseCacheService.getPowerTtlSeconds(spans[index].endDate));
+            result.data = { ...result.data, cache: { hit: false } };
+          }
+          results[index] = result;
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.maxConcurrentRequests, chunks.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  /**
+   * Cut one span back out of a merged chunk response
+   * @param {Object} data - NASA API response for the chunk
+   * @param {Object} chunk - { startDate, endDate }
+   * @param {Object} span - { startDate, endDate }
+   * @returns {Object} { data, error }
+   */
+  sliceSpan(data, chunk, span) {
+    if (chunk.startDate === span.startDate && chunk.endDate === span.endDate) {
+      return { data, error: null };
     }
 
-    // Execute all requests in parallel
-    const results = await Promise.all(requests);
+    const dates = eachDayOfInterval({ start: parseISO(span.startDate), end: parseISO(span.endDate) })
+      .map(day => format(day, 'yyyy-MM-dd'));
+    const sliced = this.weatherDataService.sliceDays(data, dates);
+
+    if (!sliced) {
+      return { data: null, error: new Error(`No data returned for ${span.startDate} to ${span.endDate}`) };
+    }
+
+    return { data: sliced, error: null };
+  }
+
+  /**
+   * Turn per-year span results into the historical data array used for predictions
+   * @param {Array<Object>} spans - Array of { year, startDate, endDate }
+   * @param {Array<Object>} results - Array of { data, error } aligned with spans
+   * @param {number} historicalYears 
+   * @returns {Array} Array of { year, data }
+   */
+  collectHistoricalData(spans, results, historicalYears) {
+    const historicalData = [];
+    const errors = [];
+
+    spans.forEach((span, index) => {
+      const result = results[index];
 
-    // Process results
-    for (const result of results) {
       if (result.error) {
-        errors.push(`Year ${result.year}: ${result.error}`);
-        console.warn(`Failed to fetch data for year ${result.year}:`, result.error);
+        errors.push(`Year ${span.year}: ${result.error.message}`);
+        logger.warn('Failed to fetch data for year', { year: span.year, error: result.error });
       } else {
         historicalData.push({
-          year: result.year,
+          year: span.year,
           data: result.data
         });
       }
-    }
+    });
 
     if (historicalData.length === 0) {
       throw new Error(`No historical data available for prediction. Errors: ${errors.join(', ')}`);
     }
 
     if (historicalData.length < historicalYears * 0.7) {
-      console.warn(`Only ${historicalData.length} out of ${historicalYears} years of data available`);
+      logger.warn('Incomplete historical data', { availableYears: historicalData.length, historicalYears });
     }
 
     return historicalData;
   }
 
   /**
-   * Make HTTP request with retry logic
+   * Make HTTP request through the shared upstream client (retries, circuit breaker)
    * @param {string} url 
    * @param {Object} params 
+   * @param {Object} options - Extra request options, e.g. { retries }
    * @returns {Promise<Object>}
    */
-  async makeRequest(url, params) {
-    let lastError;
-
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      try {
-        const response = await axios.get(url, {
-          params,
-          timeout: this.timeout,
-          headers: {
-            'User-Agent': 'NASA-Weather-API/1.0.0',
-            'Accept': 'application/json'
-          }
-        });
-
-        if (response.status === 200) {
-          return response;
-        }
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < this.retryAttempts) {
-          console.log(`Request attempt ${attempt} failed, retrying in ${this.retryDelay}ms...`);
-          await this.delay(this.retryDelay * attempt); // Exponential backoff
-        }
+  async makeRequest(url, params, options = {}) {
+    return this.httpClient.get(url, {
+      ...options,
+      params,
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': 'NASA-Weather-API/1.0.0',
+        'Accept': 'application/json'
       }
-    }
-
-    throw lastError;
+    });
   }
 
   /**
@@ -151,6 +356,11 @@ class NasaPowerApiService {
    * @returns {Error}
    */
   handleApiError(error) {
+    // Circuit breaker rejections are already formatted
+    if (error.code === 'CIRCUIT_OPEN') {
+      return error;
+    }
+
     if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
       const timeoutError = new Error('NASA POWER API request timed out');
       timeoutError.code = 'API_TIMEOUT';
@@ -208,7 +418,7 @@ class NasaPowerApiService {
   async testConnectivity() {
     try {
       const testDate = '2023-01-01';
-      await this.fetchWeatherData(0, 0, testDate, testDate, ['T2M']);
+      await this.requestWeatherData(0, 0, testDate, testDate, ['T2M'], { retries: 0 });
       return { status: 'connected', message: 'NASA POWER API is accessible' };
     } catch (error) {
       return { 
@@ -218,15 +428,6 @@ class NasaPowerApiService {
       };
     }
   }
-
-  /**
-   * Utility delay function
-   * @param {number} ms 
-   * @returns {Promise<void>}
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = NasaPowerApiService;
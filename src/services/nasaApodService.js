@@ -1,6 +1,7 @@
-const axios = require('axios');
 const { parseISO, format, isBefore, isAfter, isValid } = require('date-fns');
 const config = require('../config/config');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const logger = require('../utils/logger');
 
 /**
  * Service for NASA APOD (Astronomy Picture of the Day) API
@@ -14,6 +15,7 @@ class NasaApodService {
     this.maxCount = config.nasaApod.maxCount;
     this.defaultThumbsEnabled = config.nasaApod.defaultThumbsEnabled;
     this.apodStartDate = '1995-06-16'; // APOD service started on June 16, 1995
+    this.httpClient = UpstreamHttpClient.for('nasa-apod');
   }
 
   /**
@@ -31,10 +33,10 @@ class NasaApodService {
     }
 
     try {
-      console.log('Fetching today\'s APOD');
+      logger.info('Fetching today\'s APOD');
       
       const startTime = Date.now();
-      const response = await axios.get(this.baseUrl, {
+      const response = await this.httpClient.get(this.baseUrl, {
         params,
         timeout: this.timeout,
         headers: {
@@ -81,10 +83,10 @@ class NasaApodService {
     }
 
     try {
-      console.log(`Fetching APOD for date: ${date}`);
+      logger.info('Fetching APOD for date', { date });
       
       const startTime = Date.now();
-      const response = await axios.get(this.baseUrl, {
+      const response = await this.httpClient.get(this.baseUrl, {
         params,
         timeout: this.timeout,
         headers: {
@@ -160,10 +162,10 @@ class NasaApodService {
     }
 
     try {
-      console.log(`Fetching APOD range from ${startDate} to ${endDate}`);
+      logger.info('Fetching APOD range', { startDate, endDate });
       
       const startTime = Date.now();
-      const response = await axios.get(this.baseUrl, {
+      const response = await this.httpClient.get(this.baseUrl, {
         params,
         timeout: this.timeout,
         headers: {
@@ -218,10 +220,10 @@ class NasaApodService {
     }
 
     try {
-      console.log(`Fetching ${count} random APOD images`);
+      logger.info('Fetching random APOD images', { count });
       
       const startTime = Date.now();
-      const response = await axios.get(this.baseUrl, {
+      const response = await this.httpClient.get(this.baseUrl, {
         params,
         timeout: this.timeout,
         headers: {
@@ -480,7 +482,8 @@ class NasaApodService {
    */
   async testConnectivity() {
     try {
-      const response = await axios.get(this.baseUrl, {
+      const response = await this.httpClient.get(this.baseUrl, {
+        retries: 0,
         params: {
           api_key: this.apiKey
         },
@@ -510,7 +513,12 @@ class NasaApodService {
    * @returns {Error} Formatted error
    */
   handleApiError(error, method) {
-    console.error(`NASA APOD API error in ${method}:`, error.message);
+    // Circuit breaker rejections are already formatted
+    if (error.code === 'CIRCUIT_OPEN') {
+      return error;
+    }
+
+    logger.error('NASA APOD API error', { method, error });
 
     // Handle axios errors
     if (error.response) {
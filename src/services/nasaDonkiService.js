@@ -1,6 +1,21 @@
-const axios = require('axios');
-const { parseISO, format, subDays } = require('date-fns');
+const { parseISO, format, subDays, addDays } = require('date-fns');
 const config = require('../config/config');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const logger = require('../utils/logger');
+
+// DONKI event types a linked-event graph can resolve: the endpoint is the
+// type code, the record ID is in idField and its start time in timeField
+const LINKED_EVENT_TYPES = {
+  FLR: { name: 'Solar Flare', idField: 'flrID', timeField: 'beginTime' },
+  CME: { name: 'Coronal Mass Ejection', idField: 'activityID', timeField: 'startTime' },
+  SEP: { name: 'Solar Energetic Particle', idField: 'sepID', timeField: 'eventTime' },
+  IPS: { name: 'Interplanetary Shock', idField: 'activityID', timeField: 'eventTime' },
+  HSS: { name: 'High Speed Stream', idField: 'hssID', timeField: 'eventTime' },
+  GST: { name: 'Geomagnetic Storm', idField: 'gstID', timeField: 'startTime' }
+};
+
+// e.g. 2025-09-30T03:00:00-GST-001
+const ACTIVITY_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}:\d{2})-([A-Z]+)-\d{3}$/;
 
 /**
  * Service for NASA DONKI (Space Weather Database Of Notifications, Knowledge, Information) API
@@ -11,6 +26,7 @@ class NasaDonkiService {
     this.baseUrl = config.nasaApi.donkiBaseUrl;
     this.apiKey = config.nasaApi.apiKey;
     this.timeout = config.nasaApi.timeout;
+    this.httpClient = UpstreamHttpClient.for('nasa-donki');
   }
 
   /**
@@ -20,6 +36,292 @@ class NasaDonkiService {
    * @returns {Promise<Object>} Formatted geomagnetic storm data
    */
   async getGeomagneticStorms(startDate, endDate) {
+    const result = await this.fetchDonki('GST', startDate, endDate);
+
+    // Format the response
+    return this.formatGstResponse(result.records, result.startDate, result.endDate, result.processingTime);
+  }
+
+  /**
+   * Fetch Coronal Mass Ejection (CME) data, including each CME's analyses
+   * @param {string} startDate - YYYY-MM-DD format (default: 30 days ago)
+   * @param {string} endDate - YYYY-MM-DD format (default: current date)
+   * @returns {Promise<Object>} Formatted CME data
+   */
+  async getCoronalMassEjections(startDate, endDate) {
+    const result = await this.fetchDonki('CME', startDate, endDate);
+
+    return this.formatEventResponse('NASA DONKI CME', 'coronalMassEjections', result, {
+      format: cme => this.formatCmeData(cme),
+      statistics: cmes => this.calculateCmeStatistics(cmes)
+    });
+  }
+
+  /**
+   * Fetch Solar Flare (FLR) data
+   * @param {string} startDate - YYYY-MM-DD format (default: 30 days ago)
+   * @param {string} endDate - YYYY-MM-DD format (default: current date)
+   * @returns {Promise<Object>} Formatted flare data
+   */
+  async getSolarFlares(startDate, endDate) {
+    const result = await this.fetchDonki('FLR', startDate, endDate);
+
+    return this.formatEventResponse('NASA DONKI FLR', 'flares', result, {
+      format: flare => this.formatFlareData(flare),
+      statistics: flares => this.calculateFlareStatistics(flares)
+    });
+  }
+
+  /**
+   * Fetch Solar Energetic Particle (SEP) data
+   * @param {string} startDate - YYYY-MM-DD format (default: 30 days ago)
+   * @param {string} endDate - YYYY-MM-DD format (default: current date)
+   * @returns {Promise<Object>} Formatted SEP data
+   */
+  async getSolarEnergeticParticles(startDate, endDate) {
+    const result = await this.fetchDonki('SEP', startDate, endDate);
+
+    return this.formatEventResponse('NASA DONKI SEP', 'solarEnergeticParticles', result, {
+      format: sep => this.formatInstrumentEventData(sep, 'sepID'),
+      statistics: seps => this.calculateInstrumentEventStatistics(seps)
+    });
+  }
+
+  /**
+   * Fetch High Speed Stream (HSS) data
+   * @param {string} startDate - YYYY-MM-DD format (default: 30 days ago)
+   * @param {string} endDate - YYYY-MM-DD format (default: current date)
+   * @returns {Promise<Object>} Formatted HSS data
+   */
+  async getHighSpeedStreams(startDate, endDate) {
+    const result = await this.fetchDonki('HSS', startDate, endDate);
+
+    return this.formatEventResponse('NASA DONKI HSS', 'highSpeedStreams', result, {
+      format: hss => this.formatInstrumentEventData(hss, 'hssID'),
+      statistics: streams => this.calculateInstrumentEventStatistics(streams)
+    });
+  }
+
+  /**
+   * Fetch Interplanetary Shock (IPS) data
+   * @param {string} startDate - YYYY-MM-DD format (default: 30 days ago)
+   * @param {string} endDate - YYYY-MM-DD format (default: current date)
+   * @param {string} location - Earth, MESSENGER, STEREO A or STEREO B (default: all)
+   * @returns {Promise<Object>} Formatted shock data
+   */
+  async getInterplanetaryShocks(startDate, endDate, location) {
+    const result = await this.fetchDonki('IPS', startDate, endDate, location ? { location } : {});
+
+    return this.formatEventResponse('NASA DONKI IPS', 'shocks', result, {
+      format: shock => this.formatShockData(shock),
+      statistics: shocks => this.calculateShockStatistics(shocks)
+    });
+  }
+
+  /**
+   * Follow linkedEvents from one DONKI record and return the chain as a graph
+   * Linked records are fetched level by level until none are left or
+   * config.nasaApi.linkedEventMaxNodes is reached. Edges point from the
+   * earlier to the later event, so a chain reads flare → CME → shock → storm.
+   * @param {string} activityId - e.g. 2025-09-30T03:00:00-GST-001
+   * @returns {Promise<Object>} Nodes and edges ordered by time
+   */
+  async getLinkedEventGraph(activityId) {
+    const startTime = Date.now();
+    const root = this.parseActivityId(activityId);
+
+    if (!root) {
+      throw this.createError('INVALID_ACTIVITY_ID', 'activityId must look like 2025-09-30T03:00:00-GST-001', 400);
+    }
+    if (!LINKED_EVENT_TYPES[root.type]) {
+      throw this.createError(
+        'INVALID_ACTIVITY_ID',
+        `Event type ${root.type} is not supported; use one of ${Object.keys(LINKED_EVENT_TYPES).join(', ')}`,
+        400
+      );
+    }
+
+    const maxNodes = config.nasaApi.linkedEventMaxNodes;
+    const lookups = new Map();
+    const nodes = new Map();
+    const edges = new Map();
+    const warnings = [];
+    let level = [activityId];
+    let truncated = false;
+
+    while (level.length > 0) {
+      const resolved = await Promise.all(
+        level.map(id => this.resolveLinkedEvent(id, lookups, warnings, id === activityId))
+      );
+      const next = [];
+
+      resolved.forEach(({ node }) => {
+        nodes.set(node.activityID, node);
+      });
+
+      for (const { node, linkedEventIds } of resolved) {
+        for (const linkedId of linkedEventIds) {
+          const [a, b] = [node.activityID, linkedId].sort();
+          edges.set(`${a}|${b}`, [a, b]);
+
+          if (!nodes.has(linkedId) && !next.includes(linkedId)) {
+            if (nodes.size + next.length >= maxNodes) {
+              truncated = true;
+            } else {
+              next.push(linkedId);
+            }
+          }
+        }
+      }
+
+      level = next;
+    }
+
+    // Nodes without a time (malformed linked IDs) go last
+    const sortedNodes = [...nodes.values()].sort(
+      (a, b) => (a.time || '~').localeCompare(b.time || '~') || a.activityID.localeCompare(b.activityID)
+    );
+    const order = new Map(sortedNodes.map((node, index) => [node.activityID, index]));
+
+    return {
+      success: true,
+      data: {
+        source: 'NASA DONKI',
+        root: activityId,
+        nodes: sortedNodes,
+        edges: [...edges.values()]
+          // Only keep links whose both ends were fetched
+          .filter(([a, b]) => order.has(a) && order.has(b))
+          .map(([a, b]) => (order.get(a) <= order.get(b) ? { from: a, to: b } : { from: b, to: a }))
+          .sort((x, y) => order.get(x.from) - order.get(y.from) || order.get(x.to) - order.get(y.to)),
+        truncated,
+        warnings
+      },
+      requestTimestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Find one DONKI record by ID and turn it into a graph node
+   * Failures on linked records become unresolved nodes plus a warning;
+   * failures on the root are thrown.
+   * @param {string} activityId
+   * @param {Map} lookups - Pending fetches per type and day, shared by one graph
+   * @param {Array} warnings - Collects { activityID, code, message }
+   * @param {boolean} isRoot
+   * @returns {Promise<Object>} { node, linkedEventIds }
+   */
+  async resolveLinkedEvent(activityId, lookups, warnings, isRoot) {
+    const parsed = this.parseActivityId(activityId);
+    const typeInfo = parsed && LINKED_EVENT_TYPES[parsed.type];
+    const node = {
+      activityID: activityId,
+      type: parsed ? parsed.type : null,
+      typeName: typeInfo ? typeInfo.name : null,
+      time: parsed ? parsed.time : null,
+      resolved: false,
+      details: null,
+      link: null
+    };
+
+    if (!typeInfo) {
+      warnings.push({ activityID: activityId, code: 'UNSUPPORTED_EVENT_TYPE', message: 'Event type cannot be fetched from DONKI' });
+      return { node, linkedEventIds: [] };
+    }
+
+    const key = `${parsed.type}:${parsed.date}`;
+    if (!lookups.has(key)) {
+      // DONKI filters by start date; a day either side absorbs time zone and rounding differences
+      const day = parseISO(parsed.date);
+      lookups.set(key, this.fetchDonki(parsed.type, format(subDays(day, 1), 'yyyy-MM-dd'), format(addDays(day, 1), 'yyyy-MM-dd')));
+    }
+
+    let records;
+    try {
+      ({ records } = await lookups.get(key));
+    } catch (error) {
+      if (isRoot) {
+        throw error;
+      }
+      warnings.push({ activityID: activityId, code: error.code, message: error.message });
+      return { node, linkedEventIds: [] };
+    }
+
+    const record = records.find(candidate => candidate[typeInfo.idField] === activityId);
+
+    if (!record) {
+      if (isRoot) {
+        throw this.createError('ACTIVITY_NOT_FOUND', `No DONKI record with ID ${activityId}`, 404);
+      }
+      warnings.push({ activityID: activityId, code: 'ACTIVITY_NOT_FOUND', message: 'Linked event not found in DONKI' });
+      return { node, linkedEventIds: [] };
+    }
+
+    return {
+      node: {
+        ...node,
+        time: record[typeInfo.timeField] ? new Date(record[typeInfo.timeField]).toISOString() : node.time,
+        resolved: true,
+        details: this.summarizeLinkedEvent(parsed.type, record),
+        link: record.link || null
+      },
+      linkedEventIds: (record.linkedEvents || []).map(event => event.activityID).filter(Boolean)
+    };
+  }
+
+  /**
+   * Key facts of a record for its graph node
+   * @param {string} type - DONKI type code
+   * @param {Object} record - Raw DONKI record
+   * @returns {Object}
+   */
+  summarizeLinkedEvent(type, record) {
+    switch (type) {
+      case 'FLR':
+        return { classType: record.classType || null, peakTime: record.peakTime || null, sourceLocation: record.sourceLocation || null };
+      case 'CME': {
+        const analysis = this.formatCmeData(record).mostAccurateAnalysis;
+        return {
+          speed: analysis ? analysis.speed : null,
+          halfAngle: analysis ? analysis.halfAngle : null,
+          sourceLocation: record.sourceLocation || null
+        };
+      }
+      case 'GST':
+        return { maxKpIndex: this.calculateStormStatistics([record]).maxKpIndex };
+      case 'IPS':
+        return { location: record.location || null };
+      default:
+        return { instruments: (record.instruments || []).map(instrument => instrument.displayName) };
+    }
+  }
+
+  /**
+   * Split a DONKI activity ID into its parts
+   * @param {string} activityId
+   * @returns {Object|null} { date, time (ISO), type }, or null if malformed
+   */
+  parseActivityId(activityId) {
+    const match = ACTIVITY_ID_PATTERN.exec(activityId || '');
+
+    if (!match) {
+      return null;
+    }
+
+    const [, date, time, type] = match;
+    return { date, time: `${date}T${time}.000Z`, type };
+  }
+
+  /**
+   * Fetch one DONKI endpoint for a date range
+   * @param {string} endpoint - e.g. GST, CME, FLR
+   * @param {string} startDate - YYYY-MM-DD format (default: 30 days ago)
+   * @param {string} endDate - YYYY-MM-DD format (default: current date)
+   * @param {Object} extraParams - Endpoint-specific query parameters
+   * @returns {Promise<Object>} { records, startDate, endDate, processingTime }
+   */
+  async fetchDonki(endpoint, startDate, endDate, extraParams = {}) {
     // Set default dates if not provided
     const now = new Date();
     const defaultEndDate = format(now, 'yyyy-MM-dd');
@@ -33,18 +335,19 @@ class NasaDonkiService {
       throw this.createError('NASA_API_KEY_INVALID', 'NASA API key is not configured', 401);
     }
 
-    const url = `${this.baseUrl}/GST`;
+    const url = `${this.baseUrl}/${endpoint}`;
     const params = {
       startDate: effectiveStartDate,
       endDate: effectiveEndDate,
+      ...extraParams,
       api_key: this.apiKey
     };
 
     try {
-      console.log(`Fetching NASA DONKI GST data from ${effectiveStartDate} to ${effectiveEndDate}`);
+      logger.info(`Fetching NASA DONKI ${endpoint} data`, { startDate: effectiveStartDate, endDate: effectiveEndDate });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -52,12 +355,15 @@ class NasaDonkiService {
         }
       });
 
-      const processingTime = Date.now() - startTime;
-
-      // Format the response
-      return this.formatGstResponse(response.data, effectiveStartDate, effectiveEndDate, processingTime);
+      return {
+        // DONKI answers an empty body instead of [] when nothing matches
+        records: Array.isArray(response.data) ? response.data : [],
+        startDate: effectiveStartDate,
+        endDate: effectiveEndDate,
+        processingTime: Date.now() - startTime
+      };
     } catch (error) {
-      console.error('NASA DONKI API request failed:', error.message);
+      logger.error('NASA DONKI API request failed', { endpoint, error });
       throw this.handleApiError(error);
     }
   }
@@ -156,6 +462,264 @@ class NasaDonkiService {
     };
   }
 
+  /**
+   * Wrap formatted DONKI records in the standard response envelope
+   * @param {string} source - e.g. 'NASA DONKI CME'
+   * @param {string} key - Name of the records array in data
+   * @param {Object} result - Output of fetchDonki
+   * @param {Object} handlers - { format(record), statistics(records) }
+   * @returns {Object} Formatted response
+   */
+  formatEventResponse(source, key, result, handlers) {
+    const { records, startDate, endDate, processingTime } = result;
+
+    return {
+      success: true,
+      data: {
+        source,
+        dateRange: {
+          startDate,
+          endDate
+        },
+        [key]: records.map(record => handlers.format(record)),
+        totalCount: records.length,
+        statistics: handlers.statistics(records)
+      },
+      requestTimestamp: new Date().toISOString(),
+      processingTime
+    };
+  }
+
+  /**
+   * Format individual CME data
+   * @param {Object} cme - Raw CME data
+   * @returns {Object} Formatted CME data
+   */
+  formatCmeData(cme) {
+    const analyses = (cme.cmeAnalyses || []).map(analysis => this.formatCmeAnalysis(analysis));
+
+    return {
+      activityID: cme.activityID || null,
+      catalog: cme.catalog || null,
+      startTime: cme.startTime || null,
+      sourceLocation: cme.sourceLocation || null,
+      activeRegionNum: cme.activeRegionNum ?? null,
+      instruments: cme.instruments || [],
+      note: cme.note || null,
+      analyses,
+      // DONKI flags the analysis it considers most accurate; fall back to the latest one
+      mostAccurateAnalysis: analyses.find(analysis => analysis.isMostAccurate) || analyses[analyses.length - 1] || null,
+      linkedEvents: cme.linkedEvents || [],
+      link: cme.link || null,
+      submissionTime: cme.submissionTime || null,
+      versionId: cme.versionId || null
+    };
+  }
+
+  /**
+   * Format individual CME analysis
+   * @param {Object} analysis - Raw CMEAnalysis data
+   * @returns {Object} Formatted analysis
+   */
+  formatCmeAnalysis(analysis) {
+    return {
+      time21_5: analysis.time21_5 || null,
+      latitude: analysis.latitude ?? null,
+      longitude: analysis.longitude ?? null,
+      halfAngle: analysis.halfAngle ?? null,
+      speed: analysis.speed ?? null,
+      type: analysis.type || null,
+      isMostAccurate: Boolean(analysis.isMostAccurate),
+      levelOfData: analysis.levelOfData ?? null,
+      note: analysis.note || null,
+      link: analysis.link || null
+    };
+  }
+
+  /**
+   * Format individual flare data
+   * @param {Object} flare - Raw FLR data
+   * @returns {Object} Formatted flare data
+   */
+  formatFlareData(flare) {
+    return {
+      flrID: flare.flrID || null,
+      beginTime: flare.beginTime || null,
+      peakTime: flare.peakTime || null,
+      endTime: flare.endTime || null,
+      classType: flare.classType || null,
+      sourceLocation: flare.sourceLocation || null,
+      activeRegionNum: flare.activeRegionNum ?? null,
+      instruments: flare.instruments || [],
+      note: flare.note || null,
+      linkedEvents: flare.linkedEvents || [],
+      link: flare.link || null,
+      submissionTime: flare.submissionTime || null,
+      versionId: flare.versionId || null
+    };
+  }
+
+  /**
+   * Format SEP or HSS data, which share the same shape
+   * @param {Object} event - Raw SEP/HSS data
+   * @param {string} idField - 'sepID' or 'hssID'
+   * @returns {Object} Formatted event data
+   */
+  formatInstrumentEventData(event, idField) {
+    return {
+      [idField]: event[idField] || null,
+      eventTime: event.eventTime || null,
+      instruments: event.instruments || [],
+      linkedEvents: event.linkedEvents || [],
+      link: event.link || null,
+      submissionTime: event.submissionTime || null,
+      versionId: event.versionId || null
+    };
+  }
+
+  /**
+   * Format individual interplanetary shock data
+   * @param {Object} shock - Raw IPS data
+   * @returns {Object} Formatted shock data
+   */
+  formatShockData(shock) {
+    return {
+      activityID: shock.activityID || null,
+      catalog: shock.catalog || null,
+      location: shock.location || null,
+      eventTime: shock.eventTime || null,
+      instruments: shock.instruments || [],
+      linkedEvents: shock.linkedEvents || [],
+      link: shock.link || null,
+      submissionTime: shock.submissionTime || null,
+      versionId: shock.versionId || null
+    };
+  }
+
+  /**
+   * Calculate CME statistics from the most accurate analysis of each CME
+   * Types follow the DONKI speed classes: S (<500 km/s), C (500-999),
+   * O (1000-1999), R (2000-2999) and ER (3000+).
+   * @param {Array} cmes
+   * @returns {Object} Statistics
+   */
+  calculateCmeStatistics(cmes) {
+    const analyses = cmes
+      .map(cme => this.formatCmeData(cme).mostAccurateAnalysis)
+      .filter(analysis => analysis && typeof analysis.speed === 'number');
+    const speeds = analyses.map(analysis => analysis.speed);
+
+    return {
+      analyzedCount: analyses.length,
+      maxSpeed: speeds.length > 0 ? Math.max(...speeds) : 0,
+      averageSpeed: speeds.length > 0 ? Math.round(speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length) : 0,
+      byType: this.countBy(analyses, analysis => analysis.type)
+    };
+  }
+
+  /**
+   * Calculate flare statistics
+   * @param {Array} flares
+   * @returns {Object} Statistics
+   */
+  calculateFlareStatistics(flares) {
+    const byClass = { A: 0, B: 0, C: 0, M: 0, X: 0 };
+    let strongest = null;
+    let totalDuration = 0;
+    let timedFlares = 0;
+
+    flares.forEach(flare => {
+      const flux = this.getFlareFlux(flare.classType);
+
+      if (flux !== null) {
+        byClass[flare.classType.charAt(0).toUpperCase()]++;
+        if (!strongest || flux > strongest.flux) {
+          strongest = { classType: flare.classType, flux };
+        }
+      }
+
+      if (flare.beginTime && flare.endTime) {
+        totalDuration += new Date(flare.endTime) - new Date(flare.beginTime);
+        timedFlares++;
+      }
+    });
+
+    return {
+      byClass,
+      strongestClass: strongest ? strongest.classType : null,
+      averageDurationMinutes: timedFlares > 0 ? Math.round(totalDuration / timedFlares / 60000) : 0
+    };
+  }
+
+  /**
+   * Peak X-ray flux of a flare class
+   * @param {string} classType - e.g. 'M2.5'
+   * @returns {number|null} Flux in W/m², or null if the class is not recognized
+   */
+  getFlareFlux(classType) {
+    const match = /^([ABCMX])(\d+(?:\.\d+)?)?$/i.exec(classType || '');
+
+    if (!match) {
+      return null;
+    }
+
+    const baseFlux = { A: 1e-8, B: 1e-7, C: 1e-6, M: 1e-5, X: 1e-4 }[match[1].toUpperCase()];
+    return baseFlux * (match[2] ? parseFloat(match[2]) : 1);
+  }
+
+  /**
+   * Calculate SEP or HSS statistics
+   * @param {Array} events
+   * @returns {Object} Statistics
+   */
+  calculateInstrumentEventStatistics(events) {
+    return {
+      byInstrument: this.countInstruments(events),
+      withLinkedEvents: events.filter(event => event.linkedEvents && event.linkedEvents.length > 0).length
+    };
+  }
+
+  /**
+   * Calculate interplanetary shock statistics
+   * @param {Array} shocks
+   * @returns {Object} Statistics
+   */
+  calculateShockStatistics(shocks) {
+    return {
+      byLocation: this.countBy(shocks, shock => shock.location),
+      byInstrument: this.countInstruments(shocks),
+      withLinkedEvents: shocks.filter(shock => shock.linkedEvents && shock.linkedEvents.length > 0).length
+    };
+  }
+
+  /**
+   * Count records per instrument; a record is counted once for each of its instruments
+   * @param {Array} records
+   * @returns {Object} Count per instrument displayName
+   */
+  countInstruments(records) {
+    return this.countBy(
+      records.flatMap(record => record.instruments || []),
+      instrument => instrument.displayName
+    );
+  }
+
+  /**
+   * Count items by key; items without a key are skipped
+   * @param {Array} items
+   * @param {Function} getKey
+   * @returns {Object} Count per key
+   */
+  countBy(items, getKey) {
+    return items.reduce((counts, item) => {
+      const key = getKey(item);
+      if (key) {
+        counts[key] = (counts[key] || 0) + 1;
+      }
+      return counts;
+    }, {});
+  }
+
   /**
    * Test connectivity to NASA DONKI API
    * @returns {Promise<Object>} Connection status
@@ -170,7 +734,8 @@ class NasaDonkiService {
         api_key: this.apiKey
       };
 
-      await axios.get(url, {
+      await this.httpClient.get(url, {
+        retries: 0,
         params,
         timeout: 5000
       });
@@ -195,6 +760,11 @@ class NasaDonkiService {
    * @returns {Error} Formatted error
    */
   handleApiError(error) {
+    // Circuit breaker rejections are already formatted
+    if (error.code === 'CIRCUIT_OPEN') {
+      return error;
+    }
+
     if (error.response) {
       // API responded with error status
       const statusCode = error.response.status;
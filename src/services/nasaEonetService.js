@@ -1,6 +1,7 @@
-const axios = require('axios');
 const { parseISO, differenceInHours, differenceInDays } = require('date-fns');
 const config = require('../config/config');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const logger = require('../utils/logger');
 
 /**
  * Service for NASA EONET (Earth Observatory Natural Event Tracker) API
@@ -13,6 +14,7 @@ class NasaEonetService {
     this.defaultLimit = config.nasaEonet.defaultLimit;
     this.maxLimit = config.nasaEonet.maxLimit;
     this.defaultStatus = config.nasaEonet.defaultStatus;
+    this.httpClient = UpstreamHttpClient.for('nasa-eonet');
     
     // Valid event categories
     this.validCategories = [
@@ -30,10 +32,10 @@ class NasaEonetService {
     const url = `${this.baseUrl}/categories`;
 
     try {
-      console.log('Fetching NASA EONET categories');
+      logger.info('Fetching NASA EONET categories');
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         timeout: this.timeout,
         headers: {
           'Accept': 'application/json'
@@ -44,7 +46,7 @@ class NasaEonetService {
 
       return this.formatCategoriesResponse(response.data, processingTime);
     } catch (error) {
-      console.error('NASA EONET categories request failed:', error.message);
+      logger.error('NASA EONET categories request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -71,10 +73,10 @@ class NasaEonetService {
     if (end) params.end = end;
 
     try {
-      console.log('Fetching NASA EONET events with filters:', params);
+      logger.info('Fetching NASA EONET events', { filters: params });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -86,7 +88,7 @@ class NasaEonetService {
 
       return this.formatEventResponse(response.data, filters, processingTime);
     } catch (error) {
-      console.error('NASA EONET events request failed:', error.message);
+      logger.error('NASA EONET events request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -110,10 +112,10 @@ class NasaEonetService {
     if (category) params.category = category;
 
     try {
-      console.log('Fetching NASA EONET events in GeoJSON format with filters:', params);
+      logger.info('Fetching NASA EONET events in GeoJSON format', { filters: params });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -132,7 +134,7 @@ class NasaEonetService {
         processingTime
       };
     } catch (error) {
-      console.error('NASA EONET GeoJSON request failed:', error.message);
+      logger.error('NASA EONET GeoJSON request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -150,10 +152,10 @@ class NasaEonetService {
     const url = `${this.baseUrl}/events/${eventId}`;
 
     try {
-      console.log(`Fetching NASA EONET event: ${eventId}`);
+      logger.info('Fetching NASA EONET event', { eventId });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         timeout: this.timeout,
         headers: {
           'Accept': 'application/json'
@@ -169,7 +171,7 @@ class NasaEonetService {
         processingTime
       };
     } catch (error) {
-      console.error('NASA EONET event request failed:', error.message);
+      logger.error('NASA EONET event request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -781,7 +783,8 @@ class NasaEonetService {
    */
   async testConnectivity() {
     try {
-      const response = await axios.get(`${this.baseUrl}/categories`, {
+      const response = await this.httpClient.get(`${this.baseUrl}/categories`, {
+        retries: 0,
         timeout: 5000,
         headers: {
           'Accept': 'application/json'
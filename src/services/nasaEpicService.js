@@ -1,6 +1,7 @@
-const axios = require('axios');
 const { parseISO, format } = require('date-fns');
 const config = require('../config/config');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const logger = require('../utils/logger');
 
 /**
  * Service for NASA EPIC (Earth Polychromatic Imaging Camera) API
@@ -13,6 +14,7 @@ class NasaEpicService {
     this.apiKey = config.nasaEpic.apiKey;
     this.timeout = config.nasaEpic.timeout;
     this.imageTypes = config.nasaEpic.imageTypes;
+    this.httpClient = UpstreamHttpClient.for('nasa-epic');
   }
 
   /**
@@ -26,10 +28,10 @@ class NasaEpicService {
     };
 
     try {
-      console.log('Fetching latest natural color EPIC images');
+      logger.info('Fetching latest natural color EPIC images');
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -68,10 +70,10 @@ class NasaEpicService {
     };
 
     try {
-      console.log(`Fetching natural color EPIC images for date: ${date}`);
+      logger.info('Fetching natural color EPIC images for date', { date });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -119,10 +121,10 @@ class NasaEpicService {
     };
 
     try {
-      console.log('Fetching all available dates for natural color imagery');
+      logger.info('Fetching all available dates for natural color imagery');
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -157,10 +159,10 @@ class NasaEpicService {
     };
 
     try {
-      console.log('Fetching latest enhanced color EPIC images');
+      logger.info('Fetching latest enhanced color EPIC images');
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -199,10 +201,10 @@ class NasaEpicService {
     };
 
     try {
-      console.log(`Fetching enhanced color EPIC images for date: ${date}`);
+      logger.info('Fetching enhanced color EPIC images for date', { date });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -250,10 +252,10 @@ class NasaEpicService {
     };
 
     try {
-      console.log('Fetching all available dates for enhanced color imagery');
+      logger.info('Fetching all available dates for enhanced color imagery');
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -476,7 +478,7 @@ class NasaEpicService {
    * @returns {Error} Formatted error
    */
   handleApiError(error, context) {
-    console.error(`NASA EPIC API Error in ${context}:`, error.message);
+    logger.error('NASA EPIC API error', { context, error });
 
     // If it's already our custom error, rethrow it
     if (error.code && error.statusCode) {
@@ -589,7 +591,8 @@ class NasaEpicService {
         api_key: this.apiKey
       };
 
-      await axios.get(url, {
+      await this.httpClient.get(url, {
+        retries: 0,
         params,
         timeout: 10000,
         headers: {
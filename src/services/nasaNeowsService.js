@@ -1,6 +1,7 @@
-const axios = require('axios');
 const { parseISO, format, addDays, differenceInDays } = require('date-fns');
 const config = require('../config/config');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const logger = require('../utils/logger');
 
 /**
  * Service for NASA NeoWs (Near Earth Object Web Service) API
@@ -12,6 +13,7 @@ class NasaNeowsService {
     this.apiKey = config.nasaNeows.apiKey;
     this.timeout = config.nasaNeows.timeout;
     this.defaultDateRange = config.nasaNeows.defaultDateRange;
+    this.httpClient = UpstreamHttpClient.for('nasa-neows');
   }
 
   /**
@@ -71,10 +73,10 @@ class NasaNeowsService {
     };
 
     try {
-      console.log(`Fetching NASA NeoWs data from ${startDate} to ${effectiveEndDate}`);
+      logger.info('Fetching NASA NeoWs data', { startDate, endDate: effectiveEndDate });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -87,7 +89,7 @@ class NasaNeowsService {
       // Format the response
       return this.formatAsteroidResponse(response.data, startDate, effectiveEndDate, processingTime);
     } catch (error) {
-      console.error('NASA NeoWs API request failed:', error.message);
+      logger.error('NASA NeoWs API request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -288,7 +290,8 @@ class NasaNeowsService {
         api_key: this.apiKey
       };
 
-      await axios.get(url, {
+      await this.httpClient.get(url, {
+        retries: 0,
         params,
         timeout: 5000,
         headers: {
@@ -1,6 +1,7 @@
-const axios = require('axios');
-const { parseISO, parse, format } = require('date-fns');
 const config = require('../config/config');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const SwpcTextParser = require('../utils/swpcTextParser');
+const logger = require('../utils/logger');
 
 /**
  * Service for NOAA Space Weather Prediction Center (SWPC) forecast data
@@ -10,20 +11,22 @@ class NoaaSwpcService {
   constructor() {
     this.baseUrl = config.noaaSwpc.baseUrl;
     this.timeout = config.noaaSwpc.timeout;
+    this.httpClient = UpstreamHttpClient.for('noaa-swpc');
   }
 
   /**
-   * Get 3-day geomagnetic forecast from NOAA SWPC
+   * Get the 3-day forecast from NOAA SWPC: Kp by 3-hour block, the
+   * geomagnetic, solar radiation and radio blackout outlooks
    * @returns {Promise<Object>} Formatted 3-day forecast data
    */
   async get3DayGeomagForecast() {
-    const url = `${this.baseUrl}/3-day-geomag-forecast.txt`;
+    const url = `${this.baseUrl}/3-day-forecast.txt`;
 
     try {
-      console.log('Fetching NOAA SWPC 3-day geomagnetic forecast');
+      logger.info('Fetching NOAA SWPC 3-day forecast');
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         timeout: this.timeout,
         headers: {
           'Accept': 'text/plain'
@@ -35,20 +38,27 @@ class NoaaSwpcService {
 
       // Parse the text data
       const parsedData = this.parse3DayForecast(textData);
+      if (parsedData.warnings.length > 0) {
+        logger.warn('NOAA SWPC 3-day forecast parsed with warnings', { warnings: parsedData.warnings });
+      }
 
       return {
         success: true,
         data: {
-          source: 'NOAA SWPC 3-Day Geomagnetic Forecast',
+          source: 'NOAA SWPC 3-Day Forecast',
           issued: parsedData.issued,
           forecasts: parsedData.forecasts,
-          summary: this.calculateForecastSummary(parsedData.forecasts)
+          summary: this.calculateForecastSummary(parsedData.forecasts),
+          geomagnetic: parsedData.geomagnetic,
+          solarRadiation: parsedData.solarRadiation,
+          radioBlackout: parsedData.radioBlackout,
+          warnings: parsedData.warnings
         },
         requestTimestamp: new Date().toISOString(),
         processingTime
       };
     } catch (error) {
-      console.error('NOAA SWPC 3-day forecast request failed:', error.message);
+      logger.error('NOAA SWPC 3-day forecast request failed', { error });
       throw this.handleApiError(error, '3-day forecast');
     }
   }
@@ -61,10 +71,10 @@ class NoaaSwpcService {
     const url = `${this.baseUrl}/27-day-outlook.txt`;
 
     try {
-      console.log('Fetching NOAA SWPC 27-day geomagnetic outlook');
+      logger.info('Fetching NOAA SWPC 27-day geomagnetic outlook');
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         timeout: this.timeout,
         headers: {
           'Accept': 'text/plain'
@@ -76,6 +86,9 @@ class NoaaSwpcService {
 
       // Parse the text data
       const parsedData = this.parse27DayOutlook(textData);
+      if (parsedData.warnings.length > 0) {
+        logger.warn('NOAA SWPC 27-day outlook parsed with warnings', { warnings: parsedData.warnings });
+      }
 
       return {
         success: true,
@@ -83,13 +96,14 @@ class NoaaSwpcService {
           source: 'NOAA SWPC 27-Day Geomagnetic Outlook',
           issued: parsedData.issued,
           outlooks: parsedData.outlooks,
-          summary: this.calculateOutlookSummary(parsedData.outlooks)
+          summary: this.calculateOutlookSummary(parsedData.outlooks),
+          warnings: parsedData.warnings
         },
         requestTimestamp: new Date().toISOString(),
         processingTime
       };
     } catch (error) {
-      console.error('NOAA SWPC 27-day outlook request failed:', error.message);
+      logger.error('NOAA SWPC 27-day outlook request failed', { error });
       throw this.handleApiError(error, '27-day outlook');
     }
   }
@@ -100,7 +114,7 @@ class NoaaSwpcService {
    */
   async getCombinedForecast() {
     try {
-      console.log('Fetching combined NOAA SWPC forecast data');
+      logger.info('Fetching combined NOAA SWPC forecast data');
       
       const startTime = Date.now();
       
@@ -127,114 +141,74 @@ class NoaaSwpcService {
         processingTime
       };
     } catch (error) {
-      console.error('Combined forecast request failed:', error.message);
+      logger.error('Combined forecast request failed', { error });
       throw error;
     }
   }
 
   /**
-   * Parse 3-day geomagnetic forecast text data
-   * Expected format:
-   * :Issued: 2025 Oct 04 2205 UTC
-   * NOAA Kp index forecast 05 Oct - 07 Oct
-   *              Oct 05    Oct 06    Oct 07
-   * 00-03UT        3.67      3.33      2.00
-   * 
+   * Parse the NOAA SWPC 3-day forecast product
+   * Kp values are summarized per day; see SwpcTextParser for the product layout.
    * @param {string} textData - Raw text data from NOAA
-   * @returns {Object} Parsed forecast data
+   * @returns {Object} Parsed forecast data with the parser's warnings
    */
   parse3DayForecast(textData) {
-    const lines = textData.split('\n');
-    const forecast = {
-      issued: null,
-      forecasts: []
-    };
-
-    let dates = [];
-    let kpTable = [];
-    let inKpSection = false;
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-
-      // Extract issue date/time
-      // Format: :Issued: 2025 Oct 04 2205 UTC
-      const issuedMatch = trimmedLine.match(/:Issued:\s+(\d{4})\s+(\w{3})\s+(\d{2})\s+(\d{4})\s+UTC/i);
-      if (issuedMatch) {
-        const [, year, month, day, time] = issuedMatch;
-        const dateStr = `${year}-${month}-${day} ${time}`;
-        try {
-          forecast.issued = parse(dateStr, 'yyyy-MMM-dd HHmm', new Date()).toISOString();
-        } catch (e) {
-          console.warn('Could not parse issued date:', dateStr);
-        }
-      }
-
-      // Check if we're entering the Kp index section
-      if (trimmedLine.includes('NOAA Kp index forecast')) {
-        inKpSection = true;
-        continue;
-      }
-
-      // Parse the date header line in Kp section
-      // Format: "             Oct 05    Oct 06    Oct 07"
-      if (inKpSection && !dates.length) {
-        const dateMatches = [...trimmedLine.matchAll(/(\w{3})\s+(\d{2})/g)];
-        if (dateMatches.length > 0) {
-          const currentYear = new Date().getFullYear();
-          dates = dateMatches.map(match => {
-            const [, month, day] = match;
-            try {
-              const dateStr = `${currentYear}-${month}-${day}`;
-              const date = parse(dateStr, 'yyyy-MMM-dd', new Date());
-              return format(date, 'yyyy-MM-dd');
-            } catch (e) {
-              return null;
-            }
-          }).filter(d => d !== null);
-          continue;
-        }
-      }
-
-      // Parse Kp values from the table
-      // Format: "00-03UT        3.67      3.33      2.00"
-      if (inKpSection && dates.length > 0) {
-        const kpMatch = trimmedLine.match(/^\d{2}-\d{2}UT\s+([\d.]+(?:\s+[\d.]+)*)/);
-        if (kpMatch) {
-          const values = kpMatch[1].trim().split(/\s+/).map(v => parseFloat(v));
-          kpTable.push(values);
-        }
-      }
-
-      // Stop parsing if we hit an empty line after Kp table
-      if (inKpSection && kpTable.length > 0 && trimmedLine === '') {
-        break;
-      }
-    }
+    const parsed = SwpcTextParser.parse3DayForecast(textData);
+    const forecasts = [];
 
     // Calculate daily averages and determine activity levels
-    if (dates.length > 0 && kpTable.length > 0) {
-      dates.forEach((date, dayIndex) => {
-        const dailyKpValues = kpTable.map(row => row[dayIndex]).filter(v => !isNaN(v));
-        if (dailyKpValues.length > 0) {
+    if (parsed.kp) {
+      parsed.kp.dates.forEach((date, dayIndex) => {
+        const dailyKpValues = parsed.kp.rows.map(row => row.values[dayIndex]).filter(v => v !== null);
+        // Blocks keep the UT hour of their row, so an unreadable value does not shift the blocks after it
+        const kpBlocks = parsed.kp.rows
+          .filter(row => row.values[dayIndex] !== null)
+          .map(row => ({ startHour: parseInt(row.label.slice(0, 2)), kp: parseFloat(row.values[dayIndex].toFixed(2)) }));
+        if (date && dailyKpValues.length > 0) {
           const avgKp = dailyKpValues.reduce((a, b) => a + b, 0) / dailyKpValues.length;
           const maxKp = Math.max(...dailyKpValues);
           const minKp = Math.min(...dailyKpValues);
 
-          forecast.forecasts.push({
+          forecasts.push({
             date: date,
             kpIndex: parseFloat(avgKp.toFixed(2)),
             maxKpIndex: parseFloat(maxKp.toFixed(2)),
             minKpIndex: parseFloat(minKp.toFixed(2)),
             activityLevel: this.getActivityLevel(avgKp),
             stormLevel: this.extractStormLevelFromKp(maxKp),
-            kpValues: dailyKpValues.map(v => parseFloat(v.toFixed(2)))
+            kpValues: dailyKpValues.map(v => parseFloat(v.toFixed(2))),
+            kpBlocks
           });
         }
       });
     }
 
-    return forecast;
+    return {
+      issued: parsed.issued,
+      forecasts,
+      geomagnetic: {
+        greatestObserved: this.formatGreatestKp(parsed.geomagnetic.greatestObserved),
+        greatestExpected: this.formatGreatestKp(parsed.geomagnetic.greatestExpected),
+        rationale: parsed.geomagnetic.rationale
+      },
+      solarRadiation: parsed.solarRadiation,
+      radioBlackout: parsed.radioBlackout,
+      warnings: parsed.warnings
+    };
+  }
+
+  /**
+   * Replace the NOAA scale of a greatest-Kp entry with its storm level
+   * @param {Object|null} entry - { hours|period, kp, scale }
+   * @returns {Object|null} { hours|period, kp, stormLevel }
+   */
+  formatGreatestKp(entry) {
+    if (!entry) {
+      return null;
+    }
+
+    const { scale, ...rest } = entry;
+    return { ...rest, stormLevel: scale ? this.extractStormLevel(scale) : null };
   }
 
   /**
@@ -272,77 +246,29 @@ class NoaaSwpcService {
    * Parse 27-day geomagnetic outlook text data
    * Expected format:
    * :Issued: 2025 Sep 29 0238 UTC
-   *   UTC      Radio Flux   Planetary   Largest
-   *  Date       10.7 cm      A Index    Kp Index
+   * #   UTC      Radio Flux   Planetary   Largest
+   * #  Date       10.7 cm      A Index    Kp Index
    * 2025 Sep 29     175          14          4
    * 
    * @param {string} textData - Raw text data from NOAA
-   * @returns {Object} Parsed outlook data
+   * @returns {Object} Parsed outlook data with the parser's warnings
    */
   parse27DayOutlook(textData) {
-    const lines = textData.split('\n');
-    const outlook = {
-      issued: null,
-      outlooks: []
-    };
-
-    let inDataSection = false;
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-
-      // Extract issue date/time
-      // Format: :Issued: 2025 Sep 29 0238 UTC
-      const issuedMatch = trimmedLine.match(/:Issued:\s+(\d{4})\s+(\w{3})\s+(\d{2})\s+(\d{4})\s+UTC/i);
-      if (issuedMatch) {
-        const [, year, month, day, time] = issuedMatch;
-        const dateStr = `${year}-${month}-${day} ${time}`;
-        try {
-          outlook.issued = parse(dateStr, 'yyyy-MMM-dd HHmm', new Date()).toISOString();
-        } catch (e) {
-          console.warn('Could not parse issued date:', dateStr);
-        }
-        continue;
-      }
-
-      // Check if we're at the data table header (may have # prefix)
-      if ((trimmedLine.includes('Radio Flux') && trimmedLine.includes('Kp Index')) ||
-          (line.includes('Radio Flux') && line.includes('Kp Index'))) {
-        inDataSection = true;
-        continue;
-      }
+    const parsed = SwpcTextParser.parse27DayOutlook(textData);
 
-      // Parse data rows
-      // Format: 2025 Oct 11     145          15          5
-      if (inDataSection || trimmedLine.match(/^\d{4}\s+\w{3}\s+\d{2}/)) {
-        const dataMatch = trimmedLine.match(/^(\d{4})\s+(\w{3})\s+(\d{2})\s+(\d+)\s+(\d+)\s+(\d+)/);
-        if (dataMatch) {
-          inDataSection = true;
-          const [, year, month, day, radioFlux, aIndex, kpIndex] = dataMatch;
-          const dateStr = `${year}-${month}-${day}`;
-          
-          try {
-            const outlookDate = parse(dateStr, 'yyyy-MMM-dd', new Date());
-            const kp = parseInt(kpIndex);
-            
-            outlook.outlooks.push({
-              date: format(outlookDate, 'yyyy-MM-dd'),
-              kpIndex: kp,
-              aIndex: parseInt(aIndex),
-              radioFlux: parseFloat(radioFlux),
-              activityLevel: this.getActivityLevel(kp),
-              stormLevel: this.extractStormLevelFromKp(kp)
-            });
-          } catch (e) {
-            console.warn('Could not parse outlook date:', dateStr);
-          }
-        }
-      }
-    }
-
-    return outlook;
+    return {
+      issued: parsed.issued,
+      outlooks: parsed.rows.map(row => ({
+        date: row.date,
+        kpIndex: row.kpIndex,
+        aIndex: row.aIndex,
+        radioFlux: row.radioFlux,
+        activityLevel: this.getActivityLevel(row.kpIndex),
+        stormLevel: this.extractStormLevelFromKp(row.kpIndex)
+      })),
+      warnings: parsed.warnings
+    };
   }
-
   /**
    * Extract storm level from description text
    * G1 = Minor, G2 = Moderate, G3 = Strong, G4 = Severe, G5 = Extreme
@@ -432,6 +358,11 @@ class NoaaSwpcService {
    * @returns {Error} Formatted error
    */
   handleApiError(error, dataType) {
+    // Circuit breaker rejections are already formatted
+    if (error.code === 'CIRCUIT_OPEN') {
+      return error;
+    }
+
     if (error.response) {
       const statusCode = error.response.status;
       if (statusCode >= 500) {
@@ -470,8 +401,8 @@ class NoaaSwpcService {
    */
   async testConnectivity() {
     try {
-      const url = `${this.baseUrl}/3-day-geomag-forecast.txt`;
-      await axios.get(url, { timeout: 5000 });
+      const url = `${this.baseUrl}/3-day-forecast.txt`;
+      await this.httpClient.get(url, { timeout: 5000, retries: 0 });
 
       return {
         status: 'connected',
@@ -1,5 +1,6 @@
-const axios = require('axios');
 const config = require('../config/config');
+const UpstreamHttpClient = require('./upstreamHttpClient');
+const logger = require('../utils/logger');
 
 /**
  * Service for OpenAQ Air Quality Data Platform API
@@ -12,6 +13,7 @@ class OpenaqService {
     this.timeout = config.openaq.timeout;
     this.defaultRadius = config.openaq.defaultRadius;
     this.defaultLimit = config.openaq.defaultLimit;
+    this.httpClient = UpstreamHttpClient.for('openaq');
   }
 
   /**
@@ -34,10 +36,10 @@ class OpenaqService {
     };
 
     try {
-      console.log(`Fetching OpenAQ stations for coordinates: ${lat}, ${lon} with radius ${radius}m`);
+      logger.info('Fetching OpenAQ stations', { latitude: lat, longitude: lon, radius });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -50,7 +52,7 @@ class OpenaqService {
 
       return this.formatStationsResponse(response.data, lat, lon, radius, processingTime);
     } catch (error) {
-      console.error('OpenAQ stations request failed:', error.message);
+      logger.error('OpenAQ stations request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -75,10 +77,10 @@ class OpenaqService {
     };
 
     try {
-      console.log(`Fetching measurements for sensor: ${sensorId}`);
+      logger.info('Fetching OpenAQ sensor measurements', { sensorId });
       
       const startTime = Date.now();
-      const response = await axios.get(url, {
+      const response = await this.httpClient.get(url, {
         params,
         timeout: this.timeout,
         headers: {
@@ -91,7 +93,7 @@ class OpenaqService {
 
       return this.formatMeasurementsResponse(response.data, sensorId, processingTime);
     } catch (error) {
-      console.error('OpenAQ measurements request failed:', error.message);
+      logger.error('OpenAQ measurements request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -149,7 +151,7 @@ class OpenaqService {
         requestTimestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('OpenAQ air quality request failed:', error.message);
+      logger.error('OpenAQ air quality request failed', { error });
       throw this.handleApiError(error);
     }
   }
@@ -191,7 +193,7 @@ class OpenaqService {
           });
         }
       } catch (error) {
-        console.warn(`Failed to fetch measurements for sensor ${sensor.id}:`, error.message);
+        logger.warn('Failed to fetch measurements for sensor', { sensorId: sensor.id, error });
         // Continue with other sensors
       }
     }
@@ -514,7 +516,8 @@ class OpenaqService {
         limit: 1
       };
 
-      await axios.get(url, {
+      await this.httpClient.get(url, {
+        retries: 0,
         params,
         timeout: this.timeout,
         headers: {
@@ -0,0 +1,131 @@
+const config = require('../config/config');
+
+/**
+ * Prediction model registry
+ * A model turns the historical samples collected for one hour of the target
+ * date into a single predicted value. Samples are { year, value } pairs and
+ * the context carries the target year.
+ */
+const models = new Map();
+
+class PredictionModels {
+
+  /**
+   * Register a prediction model
+   * @param {string} name - Value accepted by the `method` query parameter
+   * @param {Object} model - { description, predict(samples, context) }
+   */
+  static register(name, model) {
+    models.set(name, { name, ...model });
+  }
+
+  /**
+   * Get a registered prediction model
+   * @param {string} name
+   * @returns {Object} Model definition
+   */
+  static get(name) {
+    const model = models.get(name);
+
+    if (!model) {
+      const error = new Error(`Unknown prediction method: ${name}`);
+      error.code = 'VALIDATION_ERROR';
+      error.statusCode = 400;
+      error.details = [{ field: 'method', message: error.message, provided: name }];
+      throw error;
+    }
+
+    return model;
+  }
+
+  /**
+   * List registered model names
+   * @returns {Array<string>}
+   */
+  static list() {
+    return [...models.keys()];
+  }
+
+  /**
+   * Describe registered models for the parameters endpoint
+   * @returns {Object} Map of model name to description
+   */
+  static describe() {
+    const descriptions = {};
+    for (const [name, model] of models) {
+      descriptions[name] = model.description;
+    }
+    return descriptions;
+  }
+
+  /**
+   * Arithmetic mean of sample values
+   * @param {Array<Object>} samples
+   * @returns {number}
+   */
+  static mean(samples) {
+    return samples.reduce((sum, sample) => sum + sample.value, 0) / samples.length;
+  }
+}
+
+PredictionModels.register('arithmetic_mean', {
+  description: 'Mean of the same hour across every sampled day (all historical years, ±windowDays)',
+  predict(samples) {
+    return PredictionModels.mean(samples);
+  }
+});
+
+PredictionModels.register('median', {
+  description: 'Median of the same hour across every sampled day (all historical years, ±windowDays; robust to outlier years)',
+  predict(samples) {
+    const values = samples.map(sample => sample.value).sort((a, b) => a - b);
+    const middle = Math.floor(values.length / 2);
+
+    return values.length % 2 === 0
+      ? (values[middle - 1] + values[middle]) / 2
+      : values[middle];
+  }
+});
+
+PredictionModels.register('linear_trend', {
+  description: 'Mean adjusted by the least-squares yearly trend, extrapolated to the target year',
+  predict(samples, context) {
+    const mean = PredictionModels.mean(samples);
+    const meanYear = samples.reduce((sum, sample) => sum + sample.year, 0) / samples.length;
+
+    let covariance = 0;
+    let variance = 0;
+    for (const sample of samples) {
+      covariance += (sample.year - meanYear) * (sample.value - mean);
+      variance += Math.pow(sample.year - meanYear, 2);
+    }
+
+    // A single distinct year carries no trend information
+    if (variance === 0) {
+      return mean;
+    }
+
+    const slope = covariance / variance;
+    return mean + slope * (context.targetYear - meanYear);
+  }
+});
+
+PredictionModels.register('exponential_weighted', {
+  description: 'Weighted mean where each year counts half as much per configured half-life of age',
+  predict(samples) {
+    const halfLife = config.weather.predictionHalfLifeYears;
+    const latestYear = Math.max(...samples.map(sample => sample.year));
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const sample of samples) {
+      const weight = Math.pow(0.5, (latestYear - sample.year) / halfLife);
+      weightedSum += weight * sample.value;
+      totalWeight += weight;
+    }
+
+    return weightedSum / totalWeight;
+  }
+});
+
+module.exports = PredictionModels;
@@ -0,0 +1,145 @@
+const config = require('../config/config');
+const MemoryRateLimitStore = require('./memoryRateLimitStore');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sharedLimiter;
+
+/**
+ * Rate limits and daily quotas
+ * Every caller (user, API key or anonymous IP) has a fixed-window request
+ * limit and a daily quota that resets at midnight UTC, both set by its tier.
+ * Requests cost 1 unit unless the route is weighted (e.g. bulk). Counters
+ * live in a pluggable store ('memory' or 'postgres'); store failures are
+ * logged and let the request through so the limiter can never take the API
+ * down.
+ */
+class RateLimitService {
+  constructor(store = RateLimitService.createStore(config.rateLimit.store)) {
+    this.store = store;
+    this.nextPurgeAt = 0;
+  }
+
+  /**
+   * Create a counter store for the configured backend
+   * @param {string} backend - 'memory' or 'postgres'
+   * @returns {Object} Store with increment/purgeExpired
+   */
+  static createStore(backend) {
+    switch (backend) {
+      case 'memory':
+        return new MemoryRateLimitStore();
+
+      case 'postgres': {
+        const RateLimitCounter = require('../models/RateLimitCounter');
+        return new RateLimitCounter();
+      }
+
+      default:
+        throw new Error(`Unknown rate limit store: ${backend}`);
+    }
+  }
+
+  /**
+   * Limiter shared by every request in the process
+   * @returns {RateLimitService}
+   */
+  static getShared() {
+    if (!sharedLimiter) {
+      sharedLimiter = new RateLimitService();
+    }
+    return sharedLimiter;
+  }
+
+  /**
+   * Charge a request to a caller
+   * The window is checked first so a request rejected by it does not use up
+   * daily quota.
+   * @param {string} identity - e.g. user:7, key:3, ip:203.0.113.5
+   * @param {string} tier - 'anonymous' or 'authenticated'
+   * @param {number} cost - Units this request uses
+   * @returns {Promise<Object>} { allowed, scope, window, daily }; window and daily are { limit, remaining, resetAt }
+   */
+  async consume(identity, tier, cost = 1) {
+    const limits = config.rateLimit.tiers[tier];
+    const now = Date.now();
+
+    try {
+      this.purgeExpiredCounters(now);
+
+      const window = await this.charge(
+        `window:${identity}`,
+        cost,
+        new Date(Math.floor(now / config.rateLimit.windowMs + 1) * config.rateLimit.windowMs),
+        limits.maxRequests
+      );
+
+      if (window.remaining < 0) {
+        return this.buildResult('window', window, null);
+      }
+
+      const daily = await this.charge(
+        `daily:${identity}`,
+        cost,
+        new Date(Math.floor(now / DAY_MS + 1) * DAY_MS),
+        limits.dailyQuota
+      );
+
+      return this.buildResult(daily.remaining < 0 ? 'daily' : null, window, daily);
+    } catch (error) {
+      logger.warn('Rate limit store failed, allowing request', { identity, error });
+      return { allowed: true, scope: null, window: null, daily: null };
+    }
+  }
+
+  /**
+   * Increment one counter
+   * @param {string} key
+   * @param {number} cost
+   * @param {Date} resetAt
+   * @param {number} limit
+   * @returns {Promise<Object>} { limit, remaining, resetAt }; remaining is negative when over the limit
+   */
+  async charge(key, cost, resetAt, limit) {
+    const counter = await this.store.increment(key, cost, resetAt);
+
+    return {
+      limit,
+      remaining: limit - counter.count,
+      resetAt: new Date(counter.resetAt)
+    };
+  }
+
+  /**
+   * @param {string|null} exceededScope - 'window', 'daily' or null
+   * @param {Object} window
+   * @param {Object|null} daily
+   * @returns {Object}
+   */
+  buildResult(exceededScope, window, daily) {
+    return {
+      allowed: exceededScope === null,
+      scope: exceededScope,
+      window,
+      daily
+    };
+  }
+
+  /**
+   * Drop expired counters at most once per window, in the background
+   * @param {number} now - Epoch ms
+   */
+  purgeExpiredCounters(now) {
+    if (now < this.nextPurgeAt) {
+      return;
+    }
+
+    this.nextPurgeAt = now + config.rateLimit.windowMs;
+    this.store.purgeExpired().catch((error) => {
+      logger.warn('Failed to purge expired rate limit counters', { error });
+    });
+  }
+}
+
+module.exports = RateLimitService;
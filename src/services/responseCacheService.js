@@ -0,0 +1,167 @@
+const { parseISO, differenceInCalendarDays } = require('date-fns');
+const config = require('../config/config');
+const MemoryCacheStore = require('./memoryCacheStore');
+const MetricsService = require('./metricsService');
+const logger = require('../utils/logger');
+
+let sharedCache;
+
+/**
+ * Upstream response cache
+ * Wraps a pluggable store ('memory' LRU or 'postgres') and applies the TTL
+ * rules for NASA POWER data. Store failures are logged and treated as misses
+ * so the cache can never take the API down.
+ */
+class ResponseCacheService {
+  constructor(store = ResponseCacheService.createStore(config.cache.backend)) {
+    this.store = store;
+    this.enabled = config.cache.enabled;
+    this.stats = { hits: 0, misses: 0, errors: 0 };
+  }
+
+  /**
+   * Create a cache store for the configured backend
+   * @param {string} backend - 'memory' or 'postgres'
+   * @returns {Object} Store with get/set/purge/purgeExpired/size
+   */
+  static createStore(backend) {
+    switch (backend) {
+      case 'memory':
+        return new MemoryCacheStore(config.cache.maxEntries);
+
+      case 'postgres': {
+        const CacheEntry = require('../models/CacheEntry');
+        return new CacheEntry();
+      }
+
+      default:
+        throw new Error(`Unknown cache backend: ${backend}`);
+    }
+  }
+
+  /**
+   * Cache instance shared by every service in the process
+   * @returns {ResponseCacheService}
+   */
+  static getShared() {
+    if (!sharedCache) {
+      sharedCache = new ResponseCacheService();
+    }
+    return sharedCache;
+  }
+
+  /**
+   * Build the key prefix for one location
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {string}
+   */
+  static buildPowerLocationPrefix(latitude, longitude) {
+    return `power:${Number(latitude).toFixed(4)}:${Number(longitude).toFixed(4)}:`;
+  }
+
+  /**
+   * Build the cache key for a NASA POWER request
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {string} startDate - YYYY-MM-DD format
+   * @param {string} endDate - YYYY-MM-DD format
+   * @param {Array<string>} parameters
+   * @returns {string}
+   */
+  static buildPowerKey(latitude, longitude, startDate, endDate, parameters) {
+    const parameterSet = [...parameters].sort().join(',');
+    return `${ResponseCacheService.buildPowerLocationPrefix(latitude, longitude)}${startDate}:${endDate}:${parameterSet}`;
+  }
+
+  /**
+   * TTL for a NASA POWER span
+   * Spans that ended more than stableAfterDays ago are final and never expire;
+   * near-real-time data may still be revised upstream so it expires quickly.
+   * @param {string} endDate - YYYY-MM-DD format
+   * @returns {number|null} TTL in seconds, or null for no expiry
+   */
+  static getPowerTtlSeconds(endDate) {
+    const age = differenceInCalendarDays(new Date(), parseISO(endDate));
+    return age > config.cache.stableAfterDays ? null : config.cache.recentTtlSeconds;
+  }
+
+  /**
+   * Look up a cached value
+   * @param {string} key
+   * @returns {Promise<Object|null>} { value, cachedAt, expiresAt } or null
+   */
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const entry = await this.store.get(key);
+
+      if (entry) {
+        this.stats.hits++;
+      } else {
+        this.stats.misses++;
+      }
+      MetricsService.recordCacheLookup('response', Boolean(entry));
+      return entry;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Response cache read failed', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Store a value
+   * @param {string} key
+   * @param {*} value
+   * @param {number|null} ttlSeconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlSeconds) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      await this.store.set(key, value, ttlSeconds);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Response cache write failed', { error });
+    }
+  }
+
+  /**
+   * Remove cached entries
+   * Expired entries are dropped as well, in the background, without being
+   * counted: the count only covers the requested prefix.
+   * @param {string} prefix - Key prefix to remove; empty removes everything
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purge(prefix = '') {
+    const removed = await this.store.purge(prefix);
+
+    this.store.purgeExpired().catch((error) => {
+      logger.warn('Failed to purge expired cache entries', { error });
+    });
+
+    return removed;
+  }
+
+  /**
+   * Cache statistics for the admin endpoint
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    return {
+      enabled: this.enabled,
+      backend: config.cache.backend,
+      entries: await this.store.size(),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ResponseCacheService;
@@ -0,0 +1,196 @@
+const Joi = require("joi");
+const config = require("../config/config");
+const SavedLocation = require("../models/SavedLocation");
+const logger = require("../utils/logger");
+
+/**
+ * Saved locations
+ * Named coordinates per user. Coordinate-based endpoints accept
+ * `locationId=` in place of latitude/longitude (see savedLocationMiddleware).
+ */
+class SavedLocationService {
+  constructor() {
+    this.savedLocationModel = new SavedLocation();
+  }
+
+  /**
+   * Save a location for a user
+   * @param {number} userId
+   * @param {Object} locationData - { name, latitude, longitude }
+   * @returns {Promise<Object>}
+   */
+  async createLocation(userId, locationData = {}) {
+    const value = this.validateLocationData(locationData, true);
+
+    if ((await this.savedLocationModel.countForUser(userId)) >= config.savedLocations.maxPerUser) {
+      const error = new Error(`A user can save at most ${config.savedLocations.maxPerUser} locations`);
+      error.code = "LOCATION_LIMIT_REACHED";
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const location = await this.savedLocationModel.create({ userId, ...value });
+
+    logger.info("Saved location created", { userId, locationId: location.id });
+
+    return {
+      success: true,
+      message: "Location saved",
+      data: { location },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * List a user's locations
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  async listLocations(userId) {
+    const locations = await this.savedLocationModel.listForUser(userId);
+
+    return {
+      success: true,
+      data: { locations },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Get one of a user's locations
+   * @param {number} userId
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async getLocation(userId, id) {
+    const location = await this.findLocation(userId, id);
+
+    return {
+      success: true,
+      data: { location },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Rename or move one of a user's locations
+   * @param {number} userId
+   * @param {string|number} id
+   * @param {Object} updateData - Any of { name, latitude, longitude }
+   * @returns {Promise<Object>}
+   */
+  async updateLocation(userId, id, updateData = {}) {
+    const locationId = this.parseLocationId(id);
+    const value = this.validateLocationData(updateData, false);
+    const location = locationId && (await this.savedLocationModel.update(userId, locationId, value));
+
+    if (!location) {
+      throw this.createNotFoundError();
+    }
+
+    return {
+      success: true,
+      message: "Location updated",
+      data: { location },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Delete one of a user's locations
+   * @param {number} userId
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async deleteLocation(userId, id) {
+    const locationId = this.parseLocationId(id);
+    const deleted = locationId && (await this.savedLocationModel.delete(userId, locationId));
+
+    if (!deleted) {
+      throw this.createNotFoundError();
+    }
+
+    logger.info("Saved location deleted", { userId, locationId });
+
+    return {
+      success: true,
+      message: "Location deleted",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Resolve a locationId query parameter for the current user
+   * @param {number} userId
+   * @param {string|number} id
+   * @returns {Promise<Object>} The saved location
+   */
+  async findLocation(userId, id) {
+    const locationId = this.parseLocationId(id);
+    const location = locationId && (await this.savedLocationModel.findForUser(userId, locationId));
+
+    if (!location) {
+      throw this.createNotFoundError();
+    }
+
+    return location;
+  }
+
+  /**
+   * @param {string|number} id
+   * @returns {number|null} Positive integer ID, or null if malformed
+   */
+  parseLocationId(id) {
+    const locationId = Number(id);
+    return Number.isInteger(locationId) && locationId > 0 ? locationId : null;
+  }
+
+  /**
+   * Validate location fields
+   * @param {Object} data
+   * @param {boolean} isNew - Whether every field is required
+   * @returns {Object} Validated { name, latitude, longitude }
+   */
+  validateLocationData(data, isNew) {
+    const presence = isNew ? "required" : "optional";
+    const schema = Joi.object({
+      name: Joi.string().trim().min(1).max(100).presence(presence),
+      latitude: Joi.number()
+        .min(config.validation.minLatitude)
+        .max(config.validation.maxLatitude)
+        .presence(presence),
+      longitude: Joi.number()
+        .min(config.validation.minLongitude)
+        .max(config.validation.maxLongitude)
+        .presence(presence),
+    }).min(1);
+
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const validationError = new Error("Invalid location data");
+      validationError.code = "VALIDATION_ERROR";
+      validationError.statusCode = 400;
+      validationError.details = error.details.map((detail) => ({
+        field: detail.path.join(".") || "body",
+        message: detail.message,
+        provided: detail.context?.value,
+      }));
+      throw validationError;
+    }
+
+    return value;
+  }
+
+  /**
+   * @returns {Error}
+   */
+  createNotFoundError() {
+    const error = new Error("Saved location not found");
+    error.code = "LOCATION_NOT_FOUND";
+    error.statusCode = 404;
+    return error;
+  }
+}
+
+module.exports = SavedLocationService;
@@ -0,0 +1,339 @@
+const axios = require('axios');
+const config = require('../config/config');
+const MetricsService = require('./metricsService');
+const logger = require('../utils/logger');
+
+/**
+ * Shared HTTP client for upstream APIs
+ * One client (and one circuit breaker) exists per upstream name. Requests are
+ * retried with jittered exponential backoff, honour Retry-After, and are
+ * limited to maxConcurrent in flight per upstream. Errors are rethrown as the
+ * original axios error so each service keeps its own error mapping.
+ */
+const clients = new Map();
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]);
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold, resetTimeoutMs }
+   */
+  constructor(options) {
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent now
+   * After resetTimeoutMs an open breaker lets a single trial request through (half-open).
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a request that reached the upstream and got a usable answer
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a request that failed after all retries
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Seconds until an open breaker lets a trial request through
+   * @returns {number}
+   */
+  getRetryAfterSeconds() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+  }
+
+  /**
+   * Breaker state for health reporting
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.getRetryAfterSeconds()
+    };
+  }
+}
+
+class UpstreamHttpClient {
+  /**
+   * @param {string} name - Upstream name used for the breaker and in errors
+   * @param {Object} options - Overrides for config.upstream
+   */
+  constructor(name, options = {}) {
+    const settings = { ...config.upstream, ...options };
+
+    this.name = name;
+    this.retries = settings.retries;
+    this.baseDelayMs = settings.baseDelayMs;
+    this.maxDelayMs = settings.maxDelayMs;
+    this.maxRetryAfterMs = settings.maxRetryAfterMs;
+    this.maxConcurrent = settings.maxConcurrent;
+    this.breaker = new CircuitBreaker({
+      failureThreshold: settings.breakerFailureThreshold,
+      resetTimeoutMs: settings.breakerResetMs
+    });
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Get the shared client for an upstream, creating it on first use
+   * @param {string} name
+   * @param {Object} options - Overrides applied when the client is created
+   * @returns {UpstreamHttpClient}
+   */
+  static for(name, options = {}) {
+    if (!clients.has(name)) {
+      clients.set(name, new UpstreamHttpClient(name, options));
+    }
+    return clients.get(name);
+  }
+
+  /**
+   * Circuit breaker state of every upstream used so far
+   * @returns {Object} Map of upstream name to breaker state
+   */
+  static getBreakerStates() {
+    const states = {};
+    for (const [name, client] of clients) {
+      states[name] = client.breaker.getState();
+    }
+    return states;
+  }
+
+  /**
+   * Send a GET request
+   * @param {string} url
+   * @param {Object} requestConfig - axios request config plus optional `retries` override
+   * @returns {Promise<Object>} axios response
+   */
+  async get(url, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'get', url });
+  }
+
+  /**
+   * Send a request through the breaker, concurrency limit and retry policy
+   * @param {Object} requestConfig - axios request config plus optional `retries` override
+   * @returns {Promise<Object>} axios response
+   */
+  async request(requestConfig) {
+    const { retries = this.retries, ...axiosConfig } = requestConfig;
+
+    if (!this.breaker.allowRequest()) {
+      MetricsService.recordUpstreamError(this.name, 'circuit_open');
+      throw this.createCircuitOpenError();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      const startTime = Date.now();
+      let retryDelay;
+
+      try {
+        const response = await axios.request(axiosConfig);
+        MetricsService.recordUpstreamRequest(this.name, (Date.now() - startTime) / 1000);
+        logger.debug('Upstream request succeeded', {
+          upstream: this.name,
+          url: axiosConfig.url,
+          status: response.status,
+          attempt: attempt + 1,
+          durationMs: Date.now() - startTime
+        });
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        MetricsService.recordUpstreamRequest(this.name, (Date.now() - startTime) / 1000, error);
+
+        if (!this.isRetryable(error)) {
+          // The upstream answered; a 4xx is the caller's problem, not an outage
+          if (error.response) {
+            this.breaker.recordSuccess();
+          } else {
+            this.breaker.recordFailure();
+          }
+          throw error;
+        }
+
+        retryDelay = this.getRetryDelay(error, attempt);
+
+        if (attempt >= retries || retryDelay === null) {
+          this.breaker.recordFailure();
+          logger.warn('Upstream request failed', {
+            upstream: this.name,
+            url: axiosConfig.url,
+            attempt: attempt + 1,
+            error
+          });
+          throw error;
+        }
+
+        logger.warn('Upstream request failed, retrying', {
+          upstream: this.name,
+          url: axiosConfig.url,
+          attempt: attempt + 1,
+          retryInMs: retryDelay,
+          error
+        });
+      } finally {
+        this.release();
+      }
+
+      // Back off without holding a slot; the next attempt queues for one again
+      await this.delay(retryDelay);
+    }
+  }
+
+  /**
+   * Whether a failed request is worth retrying
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUSES.has(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.has(error.code);
+  }
+
+  /**
+   * Delay before the next attempt
+   * Uses Retry-After when the upstream sends one, otherwise full-jitter exponential backoff.
+   * @param {Error} error
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {number|null} Delay in ms, or null when Retry-After exceeds maxRetryAfterMs
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfterMs = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= this.maxRetryAfterMs ? retryAfterMs : null;
+    }
+
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP date)
+   * @param {string} value
+   * @returns {number|null} Delay in ms, or null if absent/invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait for a free concurrency slot
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next waiting request, or free it
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Error thrown without calling the upstream while the breaker is open
+   * @returns {Error}
+   */
+  createCircuitOpenError() {
+    const error = new Error(`${this.name} is temporarily unavailable (circuit open)`);
+    error.code = 'CIRCUIT_OPEN';
+    error.statusCode = 503;
+    error.upstream = this.name;
+    error.retryAfter = this.breaker.getRetryAfterSeconds();
+    return error;
+  }
+
+  /**
+   * Utility delay function
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = UpstreamHttpClient;
+module.exports.CircuitBreaker = CircuitBreaker;
@@ -0,0 +1,244 @@
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const LoginAttempt = require("../models/LoginAttempt");
+const logger = require("../utils/logger");
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * User administration
+ * Account management for the admin role. Deactivating or deleting an account
+ * revokes its refresh tokens; access tokens it already holds stay valid until
+ * they expire.
+ */
+class UserAdminService {
+  constructor() {
+    this.userModel = new User();
+    this.refreshTokenModel = new RefreshToken();
+    this.loginAttemptModel = new LoginAttempt();
+  }
+
+  /**
+   * List users with optional search and pagination
+   * @param {Object} query - { search, page, limit } from the query string
+   * @returns {Promise<Object>}
+   */
+  async listUsers(query = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      const error = new Error(`page must be a positive integer and limit an integer between 1 and ${MAX_PAGE_SIZE}`);
+      error.code = "VALIDATION_ERROR";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const search = typeof query.search === "string" && query.search.trim() ? query.search.trim() : null;
+    const { users, total } = await this.userModel.list({ search, limit, offset: (page - 1) * limit });
+
+    return {
+      success: true,
+      data: {
+        users,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Get one user
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async getUser(id) {
+    const user = await this.userModel.findById(this.parseUserId(id));
+
+    if (!user) {
+      throw this.createNotFoundError();
+    }
+
+    return {
+      success: true,
+      data: { user },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Deactivate an account and revoke its sessions
+   * @param {number} adminId - Acting administrator
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async deactivateUser(adminId, id) {
+    const userId = this.parseUserId(id);
+    this.assertNotSelf(adminId, userId);
+
+    const user = await this.userModel.update(userId, { isActive: false });
+    const revokedSessions = await this.refreshTokenModel.revokeAllForUser(userId, "deactivated");
+
+    logger.info("User deactivated", { adminId, userId, revokedSessions });
+
+    return {
+      success: true,
+      message: "User deactivated",
+      data: { user, revokedSessions },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Reactivate a deactivated account
+   * @param {number} adminId - Acting administrator
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async reactivateUser(adminId, id) {
+    const userId = this.parseUserId(id);
+    const user = await this.userModel.update(userId, { isActive: true });
+
+    logger.info("User reactivated", { adminId, userId });
+
+    return {
+      success: true,
+      message: "User reactivated",
+      data: { user },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Delete an account (its tokens are removed by ON DELETE CASCADE)
+   * @param {number} adminId - Acting administrator
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async deleteUser(adminId, id) {
+    const userId = this.parseUserId(id);
+    this.assertNotSelf(adminId, userId);
+
+    const deleted = await this.userModel.delete(userId);
+
+    if (!deleted) {
+      throw this.createNotFoundError();
+    }
+
+    logger.info("User deleted", { adminId, userId });
+
+    return {
+      success: true,
+      message: "User deleted",
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Lift a login lockout
+   * Recorded as an "unlocked" event, after which earlier failures no longer count.
+   * @param {number} adminId - Acting administrator
+   * @param {string|number} id
+   * @returns {Promise<Object>}
+   */
+  async unlockUser(adminId, id) {
+    const userId = this.parseUserId(id);
+    const user = await this.userModel.findById(userId);
+
+    if (!user) {
+      throw this.createNotFoundError();
+    }
+
+    await this.loginAttemptModel.record({
+      email: user.email,
+      userId,
+      event: "unlocked",
+      reason: `admin:${adminId}`,
+    });
+
+    logger.info("User login lockout lifted", { adminId, userId });
+
+    return {
+      success: true,
+      message: "User unlocked",
+      data: { user },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Recent login audit entries of a user
+   * @param {string|number} id
+   * @param {Object} query - { limit } from the query string
+   * @returns {Promise<Object>}
+   */
+  async listLoginAttempts(id, query = {}) {
+    const userId = this.parseUserId(id);
+    const limit = query.limit === undefined ? 50 : Number(query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      const error = new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+      error.code = "VALIDATION_ERROR";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await this.userModel.findById(userId);
+
+    if (!user) {
+      throw this.createNotFoundError();
+    }
+
+    const attempts = await this.loginAttemptModel.listForUser(userId, user.email, limit);
+
+    return {
+      success: true,
+      data: { attempts },
+      requestTimestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Parse a user ID path parameter
+   * @param {string|number} id
+   * @returns {number}
+   */
+  parseUserId(id) {
+    const userId = Number(id);
+
+    if (!Number.isInteger(userId) || userId < 1) {
+      const error = new Error("User ID must be a positive integer");
+      error.code = "VALIDATION_ERROR";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return userId;
+  }
+
+  /**
+   * Stop administrators from locking themselves out
+   * @param {number} adminId
+   * @param {number} userId
+   */
+  assertNotSelf(adminId, userId) {
+    if (adminId === userId) {
+      const error = new Error("Administrators cannot deactivate or delete their own account");
+      error.code = "CANNOT_MODIFY_SELF";
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Error}
+   */
+  createNotFoundError() {
+    const error = new Error("User not found");
+    error.code = "USER_NOT_FOUND";
+    error.statusCode = 404;
+    return error;
+  }
+}
+
+module.exports = UserAdminService;
@@ -1,6 +1,7 @@
 const Joi = require('joi');
-const { isValid, parseISO, addYears, isFuture, isPast } = require('date-fns');
+const { isValid, parseISO, addYears, differenceInCalendarDays, isFuture, isPast } = require('date-fns');
 const config = require('../config/config');
+const PredictionModels = require('./predictionModels');
 
 class ValidationService {
   
@@ -29,47 +30,11 @@ class ValidationService {
           'any.required': 'Longitude is required'
         }),
       
-      date: Joi.string()
-        .required()
-        .custom((value, helpers) => {
-          // First try to normalize the date format (handle single-digit month/day)
-          let normalizedDate = value;
-          
-          // Check if it matches flexible pattern YYYY-M-D or YYYY-MM-DD etc.
-          const flexiblePattern = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
-          const match = value.match(flexiblePattern);
-          
-          if (match) {
-            const [, year, month, day] = match;
-            normalizedDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-          } else {
-            // If it doesn't match the flexible pattern, check strict pattern
-            if (!config.validation.datePattern.test(value)) {
-              return helpers.error('date.format');
-            }
-          }
-          
-          // Validate the normalized date
-          if (!isValid(parseISO(normalizedDate))) {
-            return helpers.error('date.invalid');
-          }
-          
-          const inputDate = parseISO(normalizedDate);
-          const minDate = parseISO(config.validation.minDate);
-          const maxDate = addYears(new Date(), config.validation.maxFutureYears);
-          
-          if (inputDate < minDate || inputDate > maxDate) {
-            return helpers.error('date.range');
-          }
-          
-          return normalizedDate;
-        })
-        .messages({
-          'date.format': 'Date must be in YYYY-MM-DD format (e.g., 2025-10-03 or 2025-1-1)',
-          'date.invalid': 'Invalid date provided (e.g., February 30th does not exist)',
-          'date.range': `Date must be between ${config.validation.minDate} and ${addYears(new Date(), config.validation.maxFutureYears).toISOString().split('T')[0]}`,
-          'any.required': 'Date is required'
-        }),
+      date: this.getDateSchema('Date'),
+
+      startDate: this.getDateSchema('Start date'),
+
+      endDate: this.getDateSchema('End date'),
       
       parameters: Joi.string()
         .optional()
@@ -110,6 +75,39 @@ class ValidationService {
           'number.max': `Historical years must be at most ${config.weather.maxHistoricalYears}`
         }),
       
+      method: this.getPredictionMethodSchema(),
+
+      windowDays: this.getWindowDaysSchema(),
+
+      thresholds: Joi.string()
+        .optional()
+        .custom((value, helpers) => {
+          const thresholds = [];
+          const validParams = this.getValidParameters();
+
+          for (const expression of value.split(',').map(t => t.trim()).filter(Boolean)) {
+            const match = expression.match(/^([A-Z0-9_]+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+
+            if (!match) {
+              return helpers.error('thresholds.format', { expression });
+            }
+
+            const [, parameter, operator, threshold] = match;
+
+            if (!validParams.includes(parameter)) {
+              return helpers.error('thresholds.parameter', { parameter });
+            }
+
+            thresholds.push({ parameter, operator, value: parseFloat(threshold) });
+          }
+
+          return thresholds;
+        })
+        .messages({
+          'thresholds.format': 'Invalid threshold "{{#expression}}" (expected e.g. T2M>30,PRECTOTCORR>=5)',
+          'thresholds.parameter': 'Invalid threshold parameter: {{#parameter}}'
+        }),
+      
       format: Joi.string()
         .valid('json', 'csv')
         .optional()
@@ -117,7 +115,113 @@ class ValidationService {
         .messages({
           'any.only': 'Format must be either json or csv'
         })
-    });
+    })
+      .xor('date', 'startDate')
+      .and('startDate', 'endDate')
+      .custom((value, helpers) => {
+        if (value.thresholds) {
+          const requestedParams = (value.parameters || config.weather.defaultParameters.join(',')).split(',');
+          const missing = value.thresholds.find(t => !requestedParams.includes(t.parameter));
+
+          if (missing) {
+            return helpers.error('thresholds.notRequested', { parameter: missing.parameter });
+          }
+        }
+
+        if (!value.startDate) {
+          return value;
+        }
+
+        const span = differenceInCalendarDays(parseISO(value.endDate), parseISO(value.startDate));
+
+        if (span < 0) {
+          return helpers.error('dateRange.order');
+        }
+
+        if (span + 1 > config.weather.maxDateRangeDays) {
+          return helpers.error('dateRange.tooLong');
+        }
+
+        return value;
+      })
+      .messages({
+        'object.xor': 'Provide either date or startDate/endDate, not both',
+        'object.missing': 'Either date or startDate/endDate is required',
+        'object.and': 'startDate and endDate must be provided together',
+        'dateRange.order': 'endDate must be on or after startDate',
+        'dateRange.tooLong': `Date range cannot exceed ${config.weather.maxDateRangeDays} days`,
+        'thresholds.notRequested': 'Threshold parameter {{#parameter}} must also be included in parameters'
+      });
+  }
+
+  // Single date validation schema (shared by date, startDate and endDate)
+  static getDateSchema(label) {
+    return Joi.string()
+      .custom((value, helpers) => {
+        // First try to normalize the date format (handle single-digit month/day)
+        let normalizedDate = value;
+        
+        // Check if it matches flexible pattern YYYY-M-D or YYYY-MM-DD etc.
+        const flexiblePattern = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+        const match = value.match(flexiblePattern);
+        
+        if (match) {
+          const [, year, month, day] = match;
+          normalizedDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        } else {
+          // If it doesn't match the flexible pattern, check strict pattern
+          if (!config.validation.datePattern.test(value)) {
+            return helpers.error('date.format');
+          }
+        }
+        
+        // Validate the normalized date
+        if (!isValid(parseISO(normalizedDate))) {
+          return helpers.error('date.invalid');
+        }
+        
+        const inputDate = parseISO(normalizedDate);
+        const minDate = parseISO(config.validation.minDate);
+        const maxDate = addYears(new Date(), config.validation.maxFutureYears);
+        
+        if (inputDate < minDate || inputDate > maxDate) {
+          return helpers.error('date.range');
+        }
+        
+        return normalizedDate;
+      })
+      .messages({
+        'date.format': `${label} must be in YYYY-MM-DD format (e.g., 2025-10-03 or 2025-1-1)`,
+        'date.invalid': `Invalid ${label.toLowerCase()} provided (e.g., February 30th does not exist)`,
+        'date.range': `${label} must be between ${config.validation.minDate} and ${addYears(new Date(), config.validation.maxFutureYears).toISOString().split('T')[0]}`
+      });
+  }
+
+  // Prediction model selection schema
+  static getPredictionMethodSchema() {
+    return Joi.string()
+      .valid(...PredictionModels.list())
+      .optional()
+      .default(config.weather.defaultPredictionMethod)
+      .messages({
+        'any.only': `Method must be one of: ${PredictionModels.list().join(', ')}`
+      });
+  }
+
+  // Day-of-year window (±N days pooled around the target date) schema
+  static getWindowDaysSchema() {
+    return Joi.number()
+      .integer()
+      .min(0)
+      .max(config.weather.maxWindowDays)
+      .optional()
+      .default(0)
+      .messages({
+        'number.base': 'Window days must be a number',
+        'number.integer': 'Window days must be an integer',
+        'number.min': 'Window days must be at least 0',
+        'number.max': `Window days must be at most ${config.weather.maxWindowDays}`
+      });
   }
 
   // Bulk request validation schema
@@ -143,7 +247,35 @@ class ValidationService {
         .min(config.weather.minHistoricalYears)
         .max(config.weather.maxHistoricalYears)
         .optional()
-        .default(config.weather.defaultHistoricalYears)
+        .default(config.weather.defaultHistoricalYears),
+
+      method: this.getPredictionMethodSchema(),
+
+      windowDays: this.getWindowDaysSchema()
+    });
+  }
+
+  // Dashboard request validation schema
+  static getDashboardSchema(sectionNames) {
+    return Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lon: Joi.number().min(-180).max(180).required(),
+      date: this.getDateSchema('Date').optional().default(() => new Date().toISOString().split('T')[0]),
+      sections: Joi.string()
+        .optional()
+        .custom((value, helpers) => {
+          const sections = [...new Set(value.split(',').map(s => s.trim()).filter(Boolean))];
+          const invalidSections = sections.filter(s => !sectionNames.includes(s));
+
+          if (sections.length === 0 || invalidSections.length > 0) {
+            return helpers.error('sections.invalid', { invalidSections });
+          }
+
+          return sections;
+        })
+        .messages({
+          'sections.invalid': `Sections must be a comma-separated list of: ${sectionNames.join(', ')}`
+        })
     });
   }
 
@@ -233,6 +365,32 @@ class ValidationService {
     };
   }
 
+  // Validate dashboard request
+  static validateDashboardRequest(data, sectionNames) {
+    const schema = this.getDashboardSchema(sectionNames);
+    const { error, value } = schema.validate(data, { abortEarly: false });
+    
+    if (error) {
+      const details = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        provided: detail.context?.value
+      }));
+      
+      return {
+        isValid: false,
+        errors: details,
+        data: null
+      };
+    }
+    
+    return {
+      isValid: true,
+      errors: null,
+      data: value
+    };
+  }
+
   // Validate location coordinates
   static validateLocation(data) {
     const schema = this.getLocationSchema();
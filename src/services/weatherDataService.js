@@ -1,5 +1,7 @@
-const { parseISO, isFuture } = require('date-fns');
+const { parseISO, isFuture, isLeapYear, addDays, subDays, eachDayOfInterval, format } = require('date-fns');
 const config = require('../config/config');
+const PredictionModels = require('./predictionModels');
+const logger = require('../utils/logger');
 
 class WeatherDataService {
   
@@ -55,6 +57,10 @@ class WeatherDataService {
           if (dataType === 'prediction' && predictionMetadata) {
             dailyAggregates[paramName].confidence = this.calculateConfidence(validValues.length, predictionMetadata.totalDataPoints);
             dailyAggregates[paramName].standardDeviation = Number(this.calculateStandardDeviation(validValues).toFixed(2));
+
+            if (predictionMetadata.dailyPercentiles?.[paramName]) {
+              dailyAggregates[paramName].percentiles = predictionMetadata.dailyPercentiles[paramName];
+            }
           }
         }
       }
@@ -74,38 +80,64 @@ class WeatherDataService {
         }
       };
 
+      if (nasaResponse.cache) {
+        response.metadata.cache = nasaResponse.cache;
+      }
+
       // Add prediction-specific metadata
       if (dataType === 'prediction' && predictionMetadata) {
-        response.predictionMethod = 'historical_average';
+        response.predictionMethod = predictionMetadata.method;
         response.historicalYearsUsed = predictionMetadata.yearsUsed;
         response.historicalDateRange = predictionMetadata.dateRange;
         response.predictionMetadata = {
-          method: 'arithmetic_mean',
+          method: predictionMetadata.method,
+          windowDays: predictionMetadata.windowDays,
+          effectiveSampleSize: predictionMetadata.effectiveSampleSize,
           dataPoints: predictionMetadata.totalDataPoints,
           missingDataYears: predictionMetadata.missingYears,
           reliability: this.calculateReliability(predictionMetadata.yearsUsed, predictionMetadata.totalDataPoints)
         };
+
+        if (predictionMetadata.hourlyPercentiles) {
+          response.hourlyPercentiles = predictionMetadata.hourlyPercentiles;
+        }
+
+        if (predictionMetadata.exceedanceProbabilities) {
+          response.exceedanceProbabilities = predictionMetadata.exceedanceProbabilities;
+        }
       }
 
       const processingTime = Date.now() - startTime;
-      console.log(`Weather data processed in ${processingTime}ms`);
+      logger.debug('Weather data processed', { processingTimeMs: processingTime });
 
       return response;
     } catch (error) {
-      console.error('Error processing weather data:', error);
+      logger.error('Error processing weather data', { error });
       throw new Error(`Failed to process weather data: ${error.message}`);
     }
   }
 
   /**
-   * Calculate prediction from historical data using arithmetic mean
+   * Calculate prediction from historical data using a registered prediction model
    * @param {Array} historicalDataArray - Array of historical weather data
    * @param {string} targetDate - Target prediction date
    * @param {Array<string>} parameters - Weather parameters to predict
+   * @param {Object} options - Prediction options
+   * @param {string} options.method - Prediction model name (see PredictionModels)
+   * @param {Array<Object>} options.thresholds - Parsed thresholds { parameter, operator, value } for exceedance probabilities
+   * @param {number} options.windowDays - Days pooled on either side of the target date in each year (reported in metadata)
    * @returns {Object} Predicted weather data in NASA API format
    */
-  calculatePrediction(historicalDataArray, targetDate, parameters) {
-    console.log(`Calculating prediction for ${targetDate} using ${historicalDataArray.length} years of data`);
+  calculatePrediction(historicalDataArray, targetDate, parameters, options = {}) {
+    const {
+      method = config.weather.defaultPredictionMethod,
+      thresholds = [],
+      windowDays = 0
+    } = options;
+    const model = PredictionModels.get(method);
+    const context = { targetYear: parseInt(targetDate.slice(0, 4)) };
+
+    logger.info('Calculating prediction', { targetDate, years: historicalDataArray.length, method });
     
     const prediction = {
       geometry: {
@@ -136,54 +168,212 @@ class WeatherDataService {
       prediction.parameters = firstValidData.data.parameters || {};
     }
 
-    // Calculate hourly averages for each parameter
+    const cacheSummary = this.summarizeCache(historicalDataArray);
+    if (cacheSummary) {
+      prediction.cache = cacheSummary;
+    }
+
+    const hourlyPercentiles = {};
+    const dailyPercentiles = {};
+
+    // Calculate hourly predictions for each parameter
     for (const param of parameters) {
-      const hourlyAverages = {};
+      const hourlyPredictions = {};
+      hourlyPercentiles[param] = {};
       
       // For each hour (00-23)
       for (let hour = 0; hour < 24; hour++) {
         const hourKey = this.formatHourKey(targetDate, hour);
-        const hourValues = [];
+        const hourSamples = [];
         
-        // Collect values from all historical years for this hour
+        // Collect values from every historical day (all years, whole window) for this hour
         for (const yearData of historicalDataArray) {
           if (yearData.data && yearData.data.properties.parameter[param]) {
-            const historicalHourKey = this.getHistoricalHourKey(yearData.data.properties.parameter[param], hour);
-            if (historicalHourKey && yearData.data.properties.parameter[param][historicalHourKey] !== undefined) {
-              const value = yearData.data.properties.parameter[param][historicalHourKey];
+            const paramData = yearData.data.properties.parameter[param];
+            for (const historicalHourKey of this.getHistoricalHourKeys(paramData, hour)) {
+              const value = paramData[historicalHourKey];
               if (value !== config.weather.fillValue && !isNaN(value)) {
-                hourValues.push(value);
+                hourSamples.push({ year: yearData.year, value });
               }
             }
           }
         }
         
-        // Calculate arithmetic mean for this hour
-        if (hourValues.length > 0) {
-          const mean = hourValues.reduce((sum, val) => sum + val, 0) / hourValues.length;
-          hourlyAverages[hourKey] = Number(mean.toFixed(2));
+        // Apply the selected prediction model for this hour
+        if (hourSamples.length > 0) {
+          const predicted = model.predict(hourSamples, context);
+          hourlyPredictions[hourKey] = Number(predicted.toFixed(2));
+          hourlyPercentiles[param][hourKey] = this.calculatePercentiles(hourSamples.map(sample => sample.value));
         } else {
-          hourlyAverages[hourKey] = config.weather.fillValue;
+          hourlyPredictions[hourKey] = config.weather.fillValue;
         }
       }
       
-      prediction.properties.parameter[param] = hourlyAverages;
+      prediction.properties.parameter[param] = hourlyPredictions;
+
+      // Daily percentiles describe the spread of each historical day's mean
+      const dailyMeans = this.getDailyValuesByDay(historicalDataArray, param)
+        .map(({ values }) => values.reduce((sum, val) => sum + val, 0) / values.length);
+      if (dailyMeans.length > 0) {
+        dailyPercentiles[param] = this.calculatePercentiles(dailyMeans);
+      }
     }
 
     // Prepare metadata
     const validYears = historicalDataArray.filter(item => item.data).map(item => item.year);
     const missingYears = historicalDataArray.filter(item => !item.data).map(item => item.year);
+    // Every day that contributed, across all years and the whole window
+    const historicalDays = this.getHistoricalDays(historicalDataArray);
+    const toIsoDate = day => `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`;
     
     const metadata = {
+      method,
+      windowDays,
+      effectiveSampleSize: historicalDays.length,
       yearsUsed: validYears.length,
-      totalDataPoints: validYears.length * 24 * parameters.length,
+      totalDataPoints: historicalDays.length * 24 * parameters.length,
       missingYears,
-      dateRange: `${Math.min(...validYears)}-${targetDate.slice(5)} to ${Math.max(...validYears)}-${targetDate.slice(5)}`
+      dateRange: historicalDays.length > 0
+        ? `${toIsoDate(historicalDays[0])} to ${toIsoDate(historicalDays[historicalDays.length - 1])}`
+        : null,
+      hourlyPercentiles,
+      dailyPercentiles
     };
 
+    if (thresholds.length > 0) {
+      metadata.exceedanceProbabilities = thresholds.map(threshold =>
+        this.calculateExceedanceProbability(historicalDataArray, threshold)
+      );
+    }
+
     return { prediction, metadata };
   }
 
+  /**
+   * Summarize response cache usage across historical years
+   * @param {Array} historicalDataArray - Array of { year, data }
+   * @returns {Object|null} { hit, hits, misses }, or null when no lookup was recorded
+   */
+  summarizeCache(historicalDataArray) {
+    const lookups = historicalDataArray
+      .filter(item => item.data && item.data.cache)
+      .map(item => item.data.cache);
+
+    if (lookups.length === 0) {
+      return null;
+    }
+
+    const hits = lookups.filter(lookup => lookup.hit).length;
+    return { hit: hits === lookups.length, hits, misses: lookups.length - hits };
+  }
+
+  /**
+   * Map a month-day onto a historical year, using Feb 28 for Feb 29 in non-leap years
+   * @param {number} year - Historical year
+   * @param {string} monthDay - MM-dd format
+   * @returns {string} YYYY-MM-DD date that exists in the given year
+   */
+  static getHistoricalAnchorDate(year, monthDay) {
+    if (monthDay === '02-29' && !isLeapYear(new Date(year, 0, 1))) {
+      return `${year}-02-28`;
+    }
+    return `${year}-${monthDay}`;
+  }
+
+  /**
+   * Extract a single day from a multi-day NASA API response
+   * @param {Object} nasaResponse - Raw NASA API response
+   * @param {string} date - YYYY-MM-DD format
+   * @returns {Object|null} Response limited to the given day, or null if the day is absent
+   */
+  sliceDay(nasaResponse, date) {
+    return this.sliceDays(nasaResponse, [date]);
+  }
+
+  /**
+   * Extract a set of days from a multi-day NASA API response
+   * @param {Object} nasaResponse - Raw NASA API response
+   * @param {Array<string>} dates - YYYY-MM-DD dates to keep
+   * @returns {Object|null} Response limited to the given days, or null if none are present
+   */
+  sliceDays(nasaResponse, dates) {
+    const dayPrefixes = new Set(dates.map(date => date.replace(/-/g, '')));
+    const parameter = {};
+    let hasData = false;
+
+    for (const [paramName, hourlyValues] of Object.entries(nasaResponse.properties.parameter)) {
+      parameter[paramName] = {};
+      for (const [hourKey, value] of Object.entries(hourlyValues)) {
+        if (dayPrefixes.has(hourKey.slice(0, 8))) {
+          parameter[paramName][hourKey] = value;
+          hasData = true;
+        }
+      }
+    }
+
+    if (!hasData) {
+      return null;
+    }
+
+    return {
+      ...nasaResponse,
+      properties: {
+        ...nasaResponse.properties,
+        parameter
+      }
+    };
+  }
+
+  /**
+   * Slice multi-day historical data down to the days used for one target date
+   * @param {Array} historicalDataArray - Array of { year, data } spanning the target range
+   * @param {string} rangeStartDate - First date of the target range (YYYY-MM-DD)
+   * @param {string} targetDate - Date within the target range (YYYY-MM-DD)
+   * @param {number} windowDays - Days pooled on either side of the target date
+   * @returns {Array} Array of { year, data } for the target date's window only
+   */
+  sliceHistoricalDataForDate(historicalDataArray, rangeStartDate, targetDate, windowDays = 0) {
+    const yearOffset = parseInt(targetDate.slice(0, 4)) - parseInt(rangeStartDate.slice(0, 4));
+
+    return historicalDataArray.map(({ year, data }) => {
+      const historicalYear = year + yearOffset;
+      const anchorDate = parseISO(WeatherDataService.getHistoricalAnchorDate(historicalYear, targetDate.slice(5)));
+      const windowDates = eachDayOfInterval({
+        start: subDays(anchorDate, windowDays),
+        end: addDays(anchorDate, windowDays)
+      }).map(day => format(day, 'yyyy-MM-dd'));
+
+      return {
+        year: historicalYear,
+        data: data ? this.sliceDays(data, windowDates) : null
+      };
+    });
+  }
+
+  /**
+   * Distinct historical days that contributed data
+   * @param {Array} historicalDataArray - Array of { year, data }
+   * @returns {Array<string>} YYYYMMDD days in ascending order; the length is the effective sample size
+   */
+  getHistoricalDays(historicalDataArray) {
+    const days = new Set();
+
+    for (const { data } of historicalDataArray) {
+      if (!data) {
+        continue;
+      }
+      for (const hourlyValues of Object.values(data.properties.parameter)) {
+        for (const [hourKey, value] of Object.entries(hourlyValues)) {
+          if (value !== config.weather.fillValue && !isNaN(value)) {
+            days.add(hourKey.slice(0, 8));
+          }
+        }
+      }
+    }
+
+    return [...days].sort();
+  }
+
   /**
    * Format hour key for target date
    * @param {string} date - YYYY-MM-DD format
@@ -196,15 +386,14 @@ class WeatherDataService {
   }
 
   /**
-   * Get corresponding hour key from historical data
+   * Get all hour keys for the given hour across the days in historical data
    * @param {Object} parameterData - Parameter data object
    * @param {number} targetHour - Target hour (0-23)
-   * @returns {string|null} Matching historical hour key
+   * @returns {Array<string>} Matching historical hour keys
    */
-  getHistoricalHourKey(parameterData, targetHour) {
+  getHistoricalHourKeys(parameterData, targetHour) {
     const hourStr = targetHour.toString().padStart(2, '0');
-    const keys = Object.keys(parameterData);
-    return keys.find(key => key.slice(-2) === hourStr);
+    return Object.keys(parameterData).filter(key => key.slice(-2) === hourStr);
   }
 
   /**
@@ -235,6 +424,92 @@ class WeatherDataService {
     return 'very_low';
   }
 
+  /**
+   * Calculate empirical percentiles using linear interpolation between ranks
+   * @param {Array<number>} values
+   * @returns {Object} Percentiles keyed p10, p25, p50, p75, p90
+   */
+  calculatePercentiles(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentiles = {};
+
+    for (const percentile of config.weather.forecastPercentiles) {
+      const rank = (percentile / 100) * (sorted.length - 1);
+      const lower = Math.floor(rank);
+      const upper = Math.ceil(rank);
+      const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+      percentiles[`p${percentile}`] = Number(value.toFixed(2));
+    }
+
+    return percentiles;
+  }
+
+  /**
+   * Collect the valid hourly values of one parameter for each historical day
+   * @param {Array} historicalDataArray - Array of { year, data }
+   * @param {string} param - Parameter name
+   * @returns {Array<Object>} Array of { year, date, values } for days with valid data
+   */
+  getDailyValuesByDay(historicalDataArray, param) {
+    const days = [];
+
+    for (const yearData of historicalDataArray) {
+      if (!yearData.data || !yearData.data.properties.parameter[param]) {
+        continue;
+      }
+
+      const valuesByDate = {};
+      for (const [hourKey, value] of Object.entries(yearData.data.properties.parameter[param])) {
+        if (value !== config.weather.fillValue && !isNaN(value)) {
+          const date = hourKey.slice(0, 8);
+          valuesByDate[date] = valuesByDate[date] || [];
+          valuesByDate[date].push(value);
+        }
+      }
+
+      for (const [date, values] of Object.entries(valuesByDate)) {
+        days.push({ year: yearData.year, date, values });
+      }
+    }
+
+    return days;
+  }
+
+  /**
+   * Calculate the empirical probability that a threshold is crossed on the target date
+   * A historical day counts as exceeding when its daily maximum (for > and >=)
+   * or its daily minimum (for < and <=) satisfies the comparison.
+   * @param {Array} historicalDataArray - Array of { year, data }
+   * @param {Object} threshold - { parameter, operator, value }
+   * @returns {Object} Exceedance probability summary
+   */
+  calculateExceedanceProbability(historicalDataArray, threshold) {
+    const { parameter, operator, value } = threshold;
+    const dailyValues = this.getDailyValuesByDay(historicalDataArray, parameter);
+    const comparators = {
+      '>': (dailyMax) => dailyMax > value,
+      '>=': (dailyMax) => dailyMax >= value,
+      '<': (dailyMin) => dailyMin < value,
+      '<=': (dailyMin) => dailyMin <= value
+    };
+    const useMaximum = operator.startsWith('>');
+
+    const exceedingDays = dailyValues
+      .filter(({ values }) => comparators[operator](useMaximum ? Math.max(...values) : Math.min(...values)));
+
+    return {
+      threshold: `${parameter}${operator}${value}`,
+      parameter,
+      operator,
+      value,
+      probability: dailyValues.length > 0
+        ? Number((exceedingDays.length / dailyValues.length).toFixed(3))
+        : null,
+      daysExceeded: exceedingDays.length,
+      daysSampled: dailyValues.length
+    };
+  }
+
   /**
    * Calculate standard deviation
    * @param {Array<number>} values 
@@ -299,6 +574,15 @@ class WeatherDataService {
       throw new Error(`Failed to convert to CSV: ${error.message}`);
     }
   }
+
+  /**
+   * Convert a multi-day weather series to CSV format
+   * @param {Object} rangeData - Processed date range data
+   * @returns {string} CSV formatted string with one section per day
+   */
+  convertRangeToCSV(rangeData) {
+    return rangeData.days.map(day => this.convertToCSV(day)).join('\n\n');
+  }
 }
 
 module.exports = WeatherDataService;
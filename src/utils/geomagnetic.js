@@ -0,0 +1,54 @@
+/**
+ * Geomagnetic coordinates and auroral oval boundary
+ * The field is modeled as a centered dipole whose north pole is the IGRF-13
+ * geomagnetic pole for epoch 2020. The pole drifts about 0.1° a year, well
+ * within the accuracy of the Kp-based oval below.
+ */
+const DIPOLE_POLE = { epoch: 2020, latitude: 80.65, longitude: -72.68 };
+
+// Equatorward edge of the auroral oval (geomagnetic latitude) at Kp 0, and
+// how far it moves toward the equator per Kp unit
+const OVAL_QUIET_LATITUDE = 66.5;
+const OVAL_DEGREES_PER_KP = 2.05;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+class Geomagnetic {
+
+  /**
+   * The dipole pole used for conversions
+   * @returns {Object} { epoch, latitude, longitude }
+   */
+  static getDipolePole() {
+    return { ...DIPOLE_POLE };
+  }
+
+  /**
+   * Convert a geographic position to geomagnetic latitude
+   * @param {number} latitude - Geographic latitude in degrees
+   * @param {number} longitude - Geographic longitude in degrees
+   * @returns {number} Geomagnetic latitude in degrees; negative in the southern magnetic hemisphere
+   */
+  static toGeomagneticLatitude(latitude, longitude) {
+    const lat = toRadians(latitude);
+    const poleLat = toRadians(DIPOLE_POLE.latitude);
+    const deltaLon = toRadians(longitude - DIPOLE_POLE.longitude);
+
+    const sinMagLat = Math.sin(lat) * Math.sin(poleLat) + Math.cos(lat) * Math.cos(poleLat) * Math.cos(deltaLon);
+
+    // Clamp rounding noise so asin never sees |x| > 1 at the poles
+    return toDegrees(Math.asin(Math.max(-1, Math.min(1, sinMagLat))));
+  }
+
+  /**
+   * Geomagnetic latitude of the oval's equatorward edge, the same in both hemispheres
+   * @param {number} kp - Planetary K index, 0-9
+   * @returns {number} Degrees
+   */
+  static getOvalBoundaryLatitude(kp) {
+    return OVAL_QUIET_LATITUDE - OVAL_DEGREES_PER_KP * Math.max(0, Math.min(9, kp));
+  }
+}
+
+module.exports = Geomagnetic;
@@ -0,0 +1,192 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config/config');
+
+/**
+ * Structured logger
+ * Writes one JSON object per line. Entries logged while handling a request
+ * carry its requestId (see requestIdMiddleware) without it being passed
+ * around. Sensitive fields and URL query secrets are redacted.
+ */
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEYS = new Set([
+  'password',
+  'currentpassword',
+  'newpassword',
+  'passwordhash',
+  'password_hash',
+  'refreshtoken',
+  'accesstoken',
+  'token',
+  'api_key',
+  'apikey',
+  'authorization',
+  'x-api-key',
+  'secret',
+  'mfatoken',
+  'recoverycode'
+]);
+
+const SENSITIVE_QUERY_PATTERN = /([?&](?:api_key|apikey|token|access_token)=)[^&\s"]+/gi;
+
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+class Logger {
+
+  /**
+   * Run a function with request-scoped logging context
+   * @param {Object} context - e.g. { requestId }
+   * @param {Function} fn
+   * @returns {*} Return value of fn
+   */
+  static runWithContext(context, fn) {
+    return requestContext.run(context, fn);
+  }
+
+  /**
+   * Request ID of the request being handled, if any
+   * @returns {string|undefined}
+   */
+  static getRequestId() {
+    return requestContext.getStore()?.requestId;
+  }
+
+  /**
+   * Whether a level is enabled by config.logging.level
+   * @param {string} level
+   * @returns {boolean}
+   */
+  static isEnabled(level) {
+    const threshold = config.logging.level === 'silent' ? -1 : (LEVELS[config.logging.level] ?? LEVELS.info);
+    return LEVELS[level] <= threshold;
+  }
+
+  /**
+   * Copy a value with sensitive fields and URL secrets replaced
+   * @param {*} value
+   * @param {number} depth
+   * @returns {*}
+   */
+  static redact(value, depth = 0) {
+    if (typeof value === 'string') {
+      return value.replace(SENSITIVE_QUERY_PATTERN, `$1${REDACTED}`);
+    }
+
+    if (value instanceof Error) {
+      return Logger.serializeError(value);
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => Logger.redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = SENSITIVE_KEYS.has(key.toLowerCase()) ? REDACTED : Logger.redact(item, depth + 1);
+    }
+    return copy;
+  }
+
+  /**
+   * Plain-object form of an error
+   * @param {Error} error
+   * @returns {Object}
+   */
+  static serializeError(error) {
+    const serialized = {
+      name: error.name,
+      message: Logger.redact(error.message),
+      code: error.code
+    };
+
+    if (error.statusCode) {
+      serialized.statusCode = error.statusCode;
+    }
+    if (error.response && error.response.status) {
+      serialized.status = error.response.status;
+    }
+    if (config.server.env === 'development') {
+      serialized.stack = error.stack;
+    }
+
+    return serialized;
+  }
+
+  /**
+   * Write a log entry
+   * @param {string} level - error, warn, info or debug
+   * @param {string} message
+   * @param {Object} fields - Extra structured fields
+   */
+  static log(level, message, fields = {}) {
+    if (!Logger.isEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message: Logger.redact(message),
+      requestId: Logger.getRequestId(),
+      ...Logger.redact(fields)
+    };
+
+    Logger.write(level, JSON.stringify(entry));
+  }
+
+  /**
+   * Output one serialized entry (errors and warnings go to stderr)
+   * @param {string} level
+   * @param {string} line
+   */
+  static write(level, line) {
+    const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  static error(message, fields) {
+    Logger.log('error', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  static warn(message, fields) {
+    Logger.log('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  static info(message, fields) {
+    Logger.log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} fields
+   */
+  static debug(message, fields) {
+    Logger.log('debug', message, fields);
+  }
+}
+
+module.exports = Logger;
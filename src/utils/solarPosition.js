@@ -0,0 +1,52 @@
+/**
+ * Sun elevation for a place and time
+ * Uses the NOAA general solar position approximation (Fourier series for the
+ * declination and equation of time), good to about half a degree, which is
+ * plenty to tell day, twilight and night apart. Refraction is ignored.
+ */
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+class SolarPosition {
+
+  /**
+   * Elevation of the sun's center above the horizon
+   * @param {Date} date - Instant
+   * @param {number} latitude - Geographic latitude in degrees
+   * @param {number} longitude - Geographic longitude in degrees, east positive
+   * @returns {number} Degrees; negative below the horizon
+   */
+  static getElevation(date, latitude, longitude) {
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const isLeapYear = new Date(Date.UTC(date.getUTCFullYear(), 1, 29)).getUTCMonth() === 1;
+    const dayOfYear = Math.floor((date.getTime() - yearStart) / 86400000) + 1;
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+    // Fractional year in radians
+    const gamma = ((2 * Math.PI) / (isLeapYear ? 366 : 365)) * (dayOfYear - 1 + (utcHours - 12) / 24);
+
+    const equationOfTimeMinutes = 229.18 * (
+      0.000075 +
+      0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+      0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma)
+    );
+    const declination =
+      0.006918 -
+      0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+      0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+      0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+    const trueSolarMinutes = utcHours * 60 + equationOfTimeMinutes + 4 * longitude;
+    const hourAngle = toRadians(trueSolarMinutes / 4 - 180);
+    const lat = toRadians(latitude);
+
+    const sinElevation =
+      Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+
+    // Clamp rounding noise so asin never sees |x| > 1
+    return toDegrees(Math.asin(Math.max(-1, Math.min(1, sinElevation))));
+  }
+}
+
+module.exports = SolarPosition;
@@ -0,0 +1,392 @@
+/**
+ * Parser for NOAA SWPC text products
+ * Forecast tables give dates as "Oct 05" without a year. Each date gets the
+ * year that puts it closest to the product's :Issued: time, so a forecast
+ * issued Dec 30 that covers Jan 01 lands in the following year. Anything the
+ * parser cannot read is reported in `warnings` as { code, message, line }
+ * (1-based line number, or null) instead of being dropped silently.
+ */
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Format: :Issued: 2025 Oct 04 1230 UTC
+const ISSUED_PATTERN = /^:Issued:\s+(\d{4})\s+([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2})(\d{2})\s+UTC/i;
+
+// Format: "Oct 04       Oct 05       Oct 06"
+const TABLE_HEADER_PATTERN = /^([A-Za-z]{3}\s+\d{1,2}\s*)+$/;
+const TABLE_DATE_PATTERN = /([A-Za-z]{3})\s+(\d{1,2})/g;
+
+// Format: "21-00UT       5.33 (G1)    3.33         2.67" or "R1-R2           55%           50%"
+const TABLE_ROW_PATTERN = /^(.+?)\s{2,}(\d.*)$/;
+const KP_ROW_LABEL = /^\d{2}-\d{2}UT$/;
+
+// Format: "2025 Sep 29     175          14          4"
+const OUTLOOK_ROW_START = /^\d{4}\s/;
+const OUTLOOK_ROW_PATTERN = /^(\d{4})\s+([A-Za-z]{3})\s+(\d{1,2})\s+(\d+(?:\.\d+)?)\s+(\d+)\s+(\d+(?:\.\d+)?)$/;
+
+const GREATEST_OBSERVED_PATTERN = /greatest observed 3 hr Kp over the past (\d+) hours was ([\d.]+)\s*\(([^)]*)\)/i;
+const GREATEST_EXPECTED_PATTERN = /greatest expected 3 hr Kp for (.+?) is ([\d.]+)\s*\(([^)]*)\)/i;
+
+class SwpcTextParser {
+
+  /**
+   * Parse the 3-day forecast product (3-day-forecast.txt)
+   * It has three parts, each with an observation paragraph, a forecast table
+   * and a rationale:
+   * A. NOAA Geomagnetic Activity Observation and Forecast - Kp per 3-hour block
+   * B. NOAA Solar Radiation Activity Observation and Forecast - S1 or greater probabilities
+   * C. NOAA Radio Blackout Activity and Forecast - R1-R2 and R3 or greater probabilities
+   * @param {string} text - Raw product text
+   * @param {Object} [options]
+   * @param {Date} [options.referenceDate] - Resolves table dates when the product has no :Issued: line, default now
+   * @returns {Object} { issued, kp: { dates, rows }|null, geomagnetic, solarRadiation, radioBlackout, warnings }
+   */
+  static parse3DayForecast(text, options = {}) {
+    const warnings = [];
+    const lines = SwpcTextParser.splitLines(text);
+    const issued = SwpcTextParser.findIssued(lines, warnings);
+    const reference = issued || options.referenceDate || new Date();
+
+    const result = {
+      issued: issued ? issued.toISOString() : null,
+      kp: null,
+      geomagnetic: { greatestObserved: null, greatestExpected: null, rationale: null },
+      solarRadiation: { observed: null, forecasts: [], rationale: null },
+      radioBlackout: { observed: null, forecasts: [], rationale: null },
+      warnings
+    };
+
+    let section = 'geomagnetic';
+
+    for (const paragraph of SwpcTextParser.splitParagraphs(lines)) {
+      const paragraphText = paragraph.map(line => line.text).join(' ').replace(/\s+/g, ' ');
+
+      // Part headers, e.g. "B. NOAA Solar Radiation Activity Observation and Forecast"
+      if (/^[A-C]\.\s+NOAA/.test(paragraphText)) {
+        if (/Solar Radiation/i.test(paragraphText)) {
+          section = 'solarRadiation';
+        } else if (/Radio Blackout/i.test(paragraphText)) {
+          section = 'radioBlackout';
+        } else {
+          section = 'geomagnetic';
+        }
+        continue;
+      }
+
+      if (paragraphText.startsWith('Rationale:')) {
+        result[section].rationale = paragraphText.replace(/^Rationale:\s*/, '');
+        continue;
+      }
+
+      const table = SwpcTextParser.parseTable(paragraph, reference, warnings);
+      if (table) {
+        if (table.rows.some(row => KP_ROW_LABEL.test(row.label))) {
+          result.kp = { dates: table.dates, rows: table.rows.filter(row => KP_ROW_LABEL.test(row.label)) };
+        } else if (section === 'solarRadiation') {
+          result.solarRadiation.forecasts = SwpcTextParser.mapProbabilityRows(table, { s1OrGreater: /^S1/ }, warnings);
+        } else if (section === 'radioBlackout') {
+          result.radioBlackout.forecasts = SwpcTextParser.mapProbabilityRows(table, { r1ToR2: /^R1-R2/, r3OrGreater: /^R3/ }, warnings);
+        }
+        continue;
+      }
+
+      if (section === 'geomagnetic') {
+        result.geomagnetic.greatestObserved = SwpcTextParser.parseGreatestKp(paragraphText, GREATEST_OBSERVED_PATTERN, 'hours') || result.geomagnetic.greatestObserved;
+        result.geomagnetic.greatestExpected = SwpcTextParser.parseGreatestKp(paragraphText, GREATEST_EXPECTED_PATTERN, 'period') || result.geomagnetic.greatestExpected;
+      } else if (!result[section].observed && !/Forecast for/i.test(paragraphText)) {
+        result[section].observed = paragraphText;
+      }
+    }
+
+    if (!result.kp) {
+      warnings.push(SwpcTextParser.warning('SECTION_MISSING', 'No Kp index table found'));
+    }
+    if (result.solarRadiation.forecasts.length === 0) {
+      warnings.push(SwpcTextParser.warning('SECTION_MISSING', 'No solar radiation storm forecast table found'));
+    }
+    if (result.radioBlackout.forecasts.length === 0) {
+      warnings.push(SwpcTextParser.warning('SECTION_MISSING', 'No radio blackout forecast table found'));
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the 27-day outlook product (27-day-outlook.txt)
+   * Rows carry their own year; they are expected one per consecutive day.
+   * Format:
+   * #   UTC      Radio Flux   Planetary   Largest
+   * #  Date       10.7 cm      A Index    Kp Index
+   * 2025 Sep 29     175          14          4
+   * @param {string} text - Raw product text
+   * @returns {Object} { issued, rows: [{ date, radioFlux, aIndex, kpIndex }], warnings }
+   */
+  static parse27DayOutlook(text) {
+    const warnings = [];
+    const lines = SwpcTextParser.splitLines(text);
+    const issued = SwpcTextParser.findIssued(lines, warnings);
+    const rows = [];
+    let previousDate = null;
+
+    for (const line of lines) {
+      if (line.text === '' || line.text.startsWith(':') || line.text.startsWith('#')) {
+        continue;
+      }
+
+      // Text before the first row is table heading (older products lack the # prefix)
+      if (!OUTLOOK_ROW_START.test(line.text)) {
+        if (rows.length > 0) {
+          warnings.push(SwpcTextParser.warning('MALFORMED_ROW', `Unrecognized line "${line.text}"`, line.line));
+        }
+        continue;
+      }
+
+      const rowMatch = line.text.match(OUTLOOK_ROW_PATTERN);
+      if (!rowMatch) {
+        warnings.push(SwpcTextParser.warning('MALFORMED_ROW', `Could not read outlook row "${line.text}"`, line.line));
+        continue;
+      }
+
+      const [, year, month, day, radioFlux, aIndex, kpIndex] = rowMatch;
+      const date = SwpcTextParser.toDateString(parseInt(year), month, parseInt(day));
+      if (!date) {
+        warnings.push(SwpcTextParser.warning('INVALID_DATE', `Invalid date "${year} ${month} ${day}"`, line.line));
+        continue;
+      }
+
+      if (previousDate && date <= previousDate) {
+        warnings.push(SwpcTextParser.warning('OUT_OF_SEQUENCE', `${date} does not follow ${previousDate}`, line.line));
+      }
+      previousDate = date;
+
+      rows.push({
+        date,
+        radioFlux: parseFloat(radioFlux),
+        aIndex: parseInt(aIndex),
+        kpIndex: parseFloat(kpIndex)
+      });
+    }
+
+    if (rows.length === 0) {
+      warnings.push(SwpcTextParser.warning('SECTION_MISSING', 'No outlook rows found'));
+    }
+
+    return { issued: issued ? issued.toISOString() : null, rows, warnings };
+  }
+
+  /**
+   * Resolve a month and day without a year to the date nearest the reference time
+   * @param {string} monthName - Three-letter month, e.g. "Jan"
+   * @param {number} day
+   * @param {Date} reference - Usually the product's issue time
+   * @returns {string|null} YYYY-MM-DD, or null if no year makes it a real date
+   */
+  static resolveDate(monthName, day, reference) {
+    const referenceYear = reference.getUTCFullYear();
+    let best = null;
+
+    for (const year of [referenceYear - 1, referenceYear, referenceYear + 1]) {
+      const date = SwpcTextParser.toDateString(year, monthName, day);
+      if (date && (!best || Math.abs(Date.parse(date) - reference) < Math.abs(Date.parse(best) - reference))) {
+        best = date;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * @param {number} year
+   * @param {string} monthName - Three-letter month, any case
+   * @param {number} day
+   * @returns {string|null} YYYY-MM-DD, or null for e.g. Feb 30 or Feb 29 in a common year
+   */
+  static toDateString(year, monthName, day) {
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month === -1) {
+      return null;
+    }
+
+    const date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+      return null;
+    }
+
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Issue time from the :Issued: line, read as UTC
+   * @param {Array<Object>} lines - From splitLines
+   * @param {Array<Object>} warnings - Appended to
+   * @returns {Date|null}
+   */
+  static findIssued(lines, warnings) {
+    const line = lines.find(candidate => candidate.text.startsWith(':Issued:'));
+    if (!line) {
+      warnings.push(SwpcTextParser.warning('ISSUED_MISSING', 'No :Issued: line; dates are resolved against the current time'));
+      return null;
+    }
+
+    const issuedMatch = line.text.match(ISSUED_PATTERN);
+    const date = issuedMatch ? SwpcTextParser.toDateString(parseInt(issuedMatch[1]), issuedMatch[2], parseInt(issuedMatch[3])) : null;
+    const hours = issuedMatch ? parseInt(issuedMatch[4]) : NaN;
+    const minutes = issuedMatch ? parseInt(issuedMatch[5]) : NaN;
+
+    if (!date || hours > 23 || minutes > 59) {
+      warnings.push(SwpcTextParser.warning('INVALID_ISSUED', `Could not read "${line.text}"; dates are resolved against the current time`, line.line));
+      return null;
+    }
+
+    return new Date(`${date}T${issuedMatch[4]}:${issuedMatch[5]}:00.000Z`);
+  }
+
+  /**
+   * Parse a forecast table: a header of dates followed by labelled rows
+   * Scale annotations such as "(G1)" and percent signs are dropped. Dates that
+   * cannot be resolved stay as null so the columns still line up.
+   * @param {Array<Object>} paragraph - Lines of one paragraph
+   * @param {Date} reference - Resolves the header dates
+   * @param {Array<Object>} warnings - Appended to
+   * @returns {Object|null} { dates: [YYYY-MM-DD|null], rows: [{ label, values: [number|null] }] }, or null if the paragraph is not a table
+   */
+  static parseTable(paragraph, reference, warnings) {
+    const headerIndex = paragraph.findIndex(line => TABLE_HEADER_PATTERN.test(line.text));
+    if (headerIndex === -1) {
+      return null;
+    }
+
+    const header = paragraph[headerIndex];
+    const dates = [...header.text.matchAll(TABLE_DATE_PATTERN)].map(([text, month, day]) => {
+      const date = SwpcTextParser.resolveDate(month, parseInt(day), reference);
+      if (!date) {
+        warnings.push(SwpcTextParser.warning('INVALID_DATE', `Invalid table date "${text}"`, header.line));
+      }
+      return date;
+    });
+
+    const rows = [];
+    for (const line of paragraph.slice(headerIndex + 1)) {
+      const rowMatch = line.text.match(TABLE_ROW_PATTERN);
+      if (!rowMatch) {
+        warnings.push(SwpcTextParser.warning('MALFORMED_ROW', `Could not read table row "${line.text}"`, line.line));
+        continue;
+      }
+
+      const [, label, valueText] = rowMatch;
+      const tokens = valueText.replace(/\([^)]*\)/g, ' ').trim().split(/\s+/);
+      const values = dates.map((_, index) => {
+        const value = index < tokens.length ? Number(tokens[index].replace(/%$/, '')) : NaN;
+        return isNaN(value) ? null : value;
+      });
+
+      if (tokens.length !== dates.length || values.includes(null)) {
+        warnings.push(SwpcTextParser.warning('MISSING_VALUES', `Row "${label}" has ${values.filter(value => value !== null).length} readable values for ${dates.length} dates`, line.line));
+      }
+
+      rows.push({ label, values });
+    }
+
+    return { dates, rows };
+  }
+
+  /**
+   * Turn probability rows into one entry per date
+   * @param {Object} table - From parseTable
+   * @param {Object} fields - Output field name to row label pattern
+   * @param {Array<Object>} warnings - Appended to
+   * @returns {Array<Object>} [{ date, <field>: percent|null }]
+   */
+  static mapProbabilityRows(table, fields, warnings) {
+    const rows = {};
+    for (const [field, pattern] of Object.entries(fields)) {
+      rows[field] = table.rows.find(row => pattern.test(row.label));
+      if (!rows[field]) {
+        warnings.push(SwpcTextParser.warning('SECTION_MISSING', `No row for ${field}`));
+      }
+    }
+
+    return table.dates
+      .map((date, index) => {
+        if (!date) {
+          return null;
+        }
+        const entry = { date };
+        for (const field of Object.keys(fields)) {
+          entry[field] = rows[field] ? rows[field].values[index] : null;
+        }
+        return entry;
+      })
+      .filter(entry => entry !== null);
+  }
+
+  /**
+   * Parse a "greatest observed/expected 3 hr Kp" sentence
+   * Format: The greatest observed 3 hr Kp over the past 24 hours was 5 (NOAA Scale G1).
+   * @param {string} text - Paragraph text
+   * @param {RegExp} pattern - Captures the window, the Kp and the scale text
+   * @param {string} windowField - Name of the field for the first capture
+   * @returns {Object|null} { <windowField>, kp, scale: 'G1'-'G5'|null }
+   */
+  static parseGreatestKp(text, pattern, windowField) {
+    const match = text.match(pattern);
+    if (!match) {
+      return null;
+    }
+
+    const [, window, kp, scaleText] = match;
+    const scale = scaleText.match(/\bG[1-5]\b/i);
+
+    return {
+      [windowField]: windowField === 'hours' ? parseInt(window) : window,
+      kp: parseFloat(kp),
+      scale: scale ? scale[0].toUpperCase() : null
+    };
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Array<Object>} [{ text: trimmed line, line: 1-based number }]
+   */
+  static splitLines(text) {
+    return String(text).split(/\r?\n/).map((line, index) => ({ text: line.trim(), line: index + 1 }));
+  }
+
+  /**
+   * Group lines into blank-line separated paragraphs, leaving out
+   * :Product:/:Issued: headers and # comments
+   * @param {Array<Object>} lines - From splitLines
+   * @returns {Array<Array<Object>>}
+   */
+  static splitParagraphs(lines) {
+    const paragraphs = [];
+    let current = [];
+
+    for (const line of lines) {
+      if (line.text === '') {
+        if (current.length > 0) {
+          paragraphs.push(current);
+        }
+        current = [];
+      } else if (!line.text.startsWith(':') && !line.text.startsWith('#')) {
+        current.push(line);
+      }
+    }
+    if (current.length > 0) {
+      paragraphs.push(current);
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {number|null} line
+   * @returns {Object}
+   */
+  static warning(code, message, line = null) {
+    return { code, message, line };
+  }
+}
+
+module.exports = SwpcTextParser;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238)
+ * HMAC-SHA1, 6 digits, 30-second steps: the defaults every authenticator
+ * app supports. Secrets are exchanged base32-encoded (RFC 4648, no padding).
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+class Totp {
+
+  /**
+   * Generate a random secret
+   * @param {number} bytes - 20 bytes (160 bits) as recommended by RFC 4226
+   * @returns {string} Base32 secret
+   */
+  static generateSecret(bytes = 20) {
+    return Totp.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @returns {string}
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * @param {string} secret - Base32, case-insensitive, spaces and padding ignored
+   * @returns {Buffer}
+   */
+  static base32Decode(secret) {
+    const cleaned = secret.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+
+      if (index === -1) {
+        throw new Error(`Invalid base32 character: ${char}`);
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Time step containing a moment
+   * @param {number} timeMs - Epoch ms
+   * @returns {number}
+   */
+  static getStep(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / STEP_SECONDS);
+  }
+
+  /**
+   * Code for a time step (HOTP of the step, RFC 4226)
+   * @param {string} secret - Base32 secret
+   * @param {number} step
+   * @returns {string} Zero-padded code
+   */
+  static generateCode(secret, step = Totp.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', Totp.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Check a code against the current step and its neighbours (clock drift)
+   * @param {string} secret - Base32 secret
+   * @param {string} code
+   * @param {Object} options - { window: steps either side, timeMs }
+   * @returns {number|null} Matching step, or null if the code is wrong
+   */
+  static verifyCode(secret, code, options = {}) {
+    const { window = 1, timeMs = Date.now() } = options;
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = Totp.getStep(timeMs);
+
+    for (let step = current - window; step <= current + window; step++) {
+      const expected = Totp.generateCode(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps (usually shown as a QR code)
+   * @param {Object} options - { secret, accountName, issuer }
+   * @returns {string}
+   */
+  static buildOtpauthUrl({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = Totp;
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const AuthService = require('../src/services/authService');
+const config = require('../src/config/config');
+
+describe('Admin user management', () => {
+  const app = new App().getApp();
+  const tokenFor = (userId, role) => jwt.sign(
+    { userId, email: `user${userId}@example.com`, role, typ: 'access' },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+  const adminToken = tokenFor(1, 'admin');
+  const user = { id: 7, email: 'user7@example.com', isActive: true, role: 'user' };
+
+  beforeEach(() => {
+    jest.spyOn(User.prototype, 'list').mockResolvedValue({ users: [user], total: 41 });
+    jest.spyOn(User.prototype, 'findById').mockImplementation(async id => (id === 7 ? user : null));
+    jest.spyOn(User.prototype, 'update').mockImplementation(async (id, data) => ({ ...user, ...data }));
+    jest.spyOn(User.prototype, 'delete').mockImplementation(async id => id === 7);
+    jest.spyOn(RefreshToken.prototype, 'revokeAllForUser').mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require the admin role', async () => {
+    await request(app).get('/api/admin/users').expect(401);
+
+    const response = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${tokenFor(7, 'user')}`)
+      .expect(403);
+
+    expect(response.body.error.code).toBe('FORBIDDEN');
+  });
+
+  test('should treat tokens without a role claim as the user role', async () => {
+    const legacyToken = jwt.sign({ userId: 7, email: 'user7@example.com', typ: 'access' }, config.jwt.secret);
+
+    await request(app).get('/api/admin/users').set('Authorization', `Bearer ${legacyToken}`).expect(403);
+  });
+
+  test('should list and search users with pagination', async () => {
+    const response = await request(app)
+      .get('/api/admin/users?search=%20ada%20&page=3&limit=20')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(User.prototype.list).toHaveBeenCalledWith({ search: 'ada', limit: 20, offset: 40 });
+    expect(response.body.data.users).toEqual([user]);
+    expect(response.body.data.pagination).toEqual({ page: 3, limit: 20, total: 41, pages: 3 });
+  });
+
+  test('should reject invalid pagination', async () => {
+    const response = await request(app)
+      .get('/api/admin/users?limit=500')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('should deactivate a user and revoke their sessions', async () => {
+    const response = await request(app)
+      .post('/api/admin/users/7/deactivate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(User.prototype.update).toHaveBeenCalledWith(7, { isActive: false });
+    expect(RefreshToken.prototype.revokeAllForUser).toHaveBeenCalledWith(7, 'deactivated');
+    expect(response.body.data).toMatchObject({ user: { isActive: false }, revokedSessions: 2 });
+  });
+
+  test('should reactivate a user', async () => {
+    const response = await request(app)
+      .post('/api/admin/users/7/reactivate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(User.prototype.update).toHaveBeenCalledWith(7, { isActive: true });
+    expect(response.body.data.user.isActive).toBe(true);
+  });
+
+  test('should not let an administrator deactivate or delete their own account', async () => {
+    const deactivate = await request(app)
+      .post('/api/admin/users/1/deactivate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+    const remove = await request(app)
+      .delete('/api/admin/users/1')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    expect(deactivate.body.error.code).toBe('CANNOT_MODIFY_SELF');
+    expect(remove.body.error.code).toBe('CANNOT_MODIFY_SELF');
+    expect(User.prototype.update).not.toHaveBeenCalled();
+    expect(User.prototype.delete).not.toHaveBeenCalled();
+  });
+
+  test('should delete users and report unknown ones', async () => {
+    await request(app).delete('/api/admin/users/7').set('Authorization', `Bearer ${adminToken}`).expect(200);
+
+    const response = await request(app)
+      .delete('/api/admin/users/8')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('USER_NOT_FOUND');
+  });
+});
+
+describe('Role claim', () => {
+  test('should put the user role in access tokens', async () => {
+    const authService = new AuthService();
+    authService.refreshTokenModel = { create: jest.fn().mockResolvedValue() };
+
+    const { accessToken } = await authService.generateTokens({ id: 1, email: 'admin@example.com', role: 'admin' });
+
+    expect(jwt.decode(accessToken).role).toBe('admin');
+  });
+});
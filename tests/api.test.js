@@ -1,5 +1,6 @@
 const request = require('supertest');
 const App = require('../src/app');
+const HealthService = require('../src/services/healthService');
 
 describe('NASA Weather API', () => {
   let app;
@@ -23,6 +24,14 @@ describe('NASA Weather API', () => {
 
   describe('GET /api/health', () => {
     test('should return health status', async () => {
+      jest.spyOn(HealthService.prototype, 'runCheck').mockResolvedValue({
+        status: 'operational',
+        critical: false,
+        latencyMs: 1,
+        message: 'ok',
+        error: null
+      });
+
       const response = await request(app)
         .get('/api/health')
         .expect(200);
@@ -30,6 +39,8 @@ describe('NASA Weather API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.status).toBe('healthy');
       expect(response.body.services).toBeDefined();
+
+      HealthService.prototype.runCheck.mockRestore();
     });
   });
 
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const ApiKey = require('../src/models/ApiKey');
+const config = require('../src/config/config');
+const { mockPool } = require('./helpers/mockPool');
+
+const hashOf = key => crypto.createHash('sha256').update(key).digest('hex');
+
+describe('ApiKey model', () => {
+  let model;
+  let db;
+
+  const row = {
+    id: 1, user_id: 7, name: 'cron', prefix: 'nwk_abcdefgh', scopes: ['weather:read'],
+    created_at: 'created', last_used_at: null, revoked_at: null
+  };
+  const key = {
+    id: 1, userId: 7, name: 'cron', prefix: 'nwk_abcdefgh', scopes: ['weather:read'],
+    createdAt: 'created', lastUsedAt: null, revokedAt: null
+  };
+
+  beforeEach(() => {
+    model = new ApiKey();
+    db = mockPool(model);
+  });
+
+  test('should store the hash and return the key without it', async () => {
+    db.queue({ rows: [row] });
+
+    const created = await model.create({ userId: 7, name: 'cron', prefix: 'nwk_abcdefgh', keyHash: 'hash', scopes: ['weather:read'] });
+
+    expect(created).toEqual(key);
+    const [call] = db.calls();
+    expect(call.sql).toContain('INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes) VALUES ($1, $2, $3, $4, $5)');
+    expect(call.sql.split('RETURNING')[1]).not.toContain('key_hash');
+    expect(call.params).toEqual([7, 'cron', 'nwk_abcdefgh', 'hash', ['weather:read']]);
+  });
+
+  test('should count and list only active keys', async () => {
+    db.queue({ rows: [{ count: 3 }] }, { rows: [row] });
+
+    await expect(model.countActiveForUser(7)).resolves.toBe(3);
+    await expect(model.listForUser(7)).resolves.toEqual([key]);
+
+    const [count, list] = db.calls();
+    expect(count).toEqual({ sql: 'SELECT COUNT(*)::integer AS count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL', params: [7] });
+    expect(list.sql).toContain('WHERE user_id = $1 AND revoked_at IS NULL ORDER BY created_at DESC, id DESC');
+    expect(list.sql).not.toContain('key_hash');
+  });
+
+  test('should find an active key with its owner', async () => {
+    db.queue({ rows: [{ ...row, email: 'user7@example.com', role: 'user', email_verified: true, is_active: false }] }, { rows: [] });
+
+    await expect(model.findActiveByHash('hash')).resolves.toEqual({
+      ...key,
+      user: { id: 7, email: 'user7@example.com', role: 'user', emailVerified: true, isActive: false }
+    });
+    await expect(model.findActiveByHash('other')).resolves.toBeNull();
+
+    const [call] = db.calls();
+    expect(call.sql).toContain('JOIN users u ON u.id = k.user_id WHERE k.key_hash = $1 AND k.revoked_at IS NULL');
+    expect(call.params).toEqual(['hash']);
+  });
+
+  test('should revoke only the owner\'s active key', async () => {
+    db.queue({ rowCount: 1 }, { rowCount: 0 });
+
+    await expect(model.revoke(7, 1)).resolves.toBe(true);
+    await expect(model.revoke(8, 1)).resolves.toBe(false);
+
+    expect(db.calls()[1]).toEqual({
+      sql: 'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      params: [1, 8]
+    });
+  });
+});
+
+describe('Personal API keys', () => {
+  const app = new App().getApp();
+  const tokenFor = userId => jwt.sign(
+    { userId, email: `user${userId}@example.com`, emailVerified: true, role: 'user', typ: 'access' },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+  const owner = { id: 7, email: 'user7@example.com', role: 'user', emailVerified: true, isActive: true };
+  let model;
+
+  const keyRow = data => ({ id: 1, userId: 7, createdAt: new Date(), lastUsedAt: null, revokedAt: null, ...data });
+
+  const createKey = async (body, userId = 7) => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send(body)
+      .expect(201);
+    return response.body.data.apiKey;
+  };
+
+  // Answer lookups of this key's hash with an active key owned by `user`
+  const acceptKey = (apiKey, user = owner) => {
+    model.findActiveByHash.mockImplementation(async keyHash =>
+      (keyHash === hashOf(apiKey.key) ? { ...keyRow({ id: apiKey.id, scopes: apiKey.scopes }), user } : null));
+  };
+
+  // Key state lives in ApiKey (tested above); here each model call is scripted
+  beforeEach(() => {
+    model = {
+      create: jest.spyOn(ApiKey.prototype, 'create').mockImplementation(async ({ userId, name, prefix, scopes }) => keyRow({ userId, name, prefix, scopes })),
+      countActiveForUser: jest.spyOn(ApiKey.prototype, 'countActiveForUser').mockResolvedValue(0),
+      listForUser: jest.spyOn(ApiKey.prototype, 'listForUser').mockResolvedValue([]),
+      findActiveByHash: jest.spyOn(ApiKey.prototype, 'findActiveByHash').mockResolvedValue(null),
+      touch: jest.spyOn(ApiKey.prototype, 'touch').mockResolvedValue(),
+      revoke: jest.spyOn(ApiKey.prototype, 'revoke').mockResolvedValue(false)
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return the full key once and store only its hash', async () => {
+    const apiKey = await createKey({ name: 'cron', scopes: ['weather:read'] });
+
+    expect(apiKey.key).toMatch(/^nwk_[A-Za-z0-9_-]{32}$/);
+    expect(apiKey.prefix).toBe(apiKey.key.slice(0, 12));
+
+    const [[stored]] = model.create.mock.calls;
+    expect(stored).toEqual({ userId: 7, name: 'cron', prefix: apiKey.prefix, keyHash: hashOf(apiKey.key), scopes: ['weather:read'] });
+    expect(JSON.stringify(stored)).not.toContain(apiKey.key);
+
+    model.listForUser.mockResolvedValue([keyRow({ name: 'cron', prefix: apiKey.prefix, scopes: ['weather:read'] })]);
+    const list = await request(app)
+      .get('/api/api-keys')
+      .set('Authorization', `Bearer ${tokenFor(7)}`)
+      .expect(200);
+
+    expect(model.listForUser).toHaveBeenCalledWith(7);
+    expect(list.body.data.apiKeys).toHaveLength(1);
+    expect(list.body.data.apiKeys[0]).toMatchObject({ name: 'cron', prefix: apiKey.prefix, scopes: ['weather:read'] });
+    expect(JSON.stringify(list.body)).not.toContain(apiKey.key);
+  });
+
+  test('should validate the name and scopes', async () => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${tokenFor(7)}`)
+      .send({ name: '', scopes: ['admin'] })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details.map(detail => detail.field)).toEqual(['name', 'scopes']);
+    expect(model.create).not.toHaveBeenCalled();
+  });
+
+  test('should limit the number of active keys per user', async () => {
+    const original = config.apiKeys.maxPerUser;
+    config.apiKeys.maxPerUser = 1;
+    model.countActiveForUser.mockResolvedValue(1);
+
+    try {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${tokenFor(7)}`)
+        .send({ name: 'second' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('API_KEY_LIMIT_REACHED');
+      expect(model.countActiveForUser).toHaveBeenCalledWith(7);
+      expect(model.create).not.toHaveBeenCalled();
+    } finally {
+      config.apiKeys.maxPerUser = original;
+    }
+  });
+
+  test('should authenticate requests with X-API-Key and enforce scopes', async () => {
+    const apiKey = await createKey({ name: 'sensor', scopes: ['weather:read'] });
+    acceptKey(apiKey);
+
+    const data = await request(app).get('/api/weather/data').set('X-API-Key', apiKey.key);
+    expect([401, 403]).not.toContain(data.status);
+    expect(model.touch).toHaveBeenCalledWith(apiKey.id);
+
+    const bulk = await request(app).post('/api/weather/bulk').set('X-API-Key', apiKey.key).send({}).expect(403);
+    expect(bulk.body.error.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('should let keys without scopes use every scoped endpoint', async () => {
+    const apiKey = await createKey({ name: 'unrestricted' });
+    acceptKey(apiKey);
+
+    const bulk = await request(app).post('/api/weather/bulk').set('X-API-Key', apiKey.key).send({});
+
+    expect([401, 403]).not.toContain(bulk.status);
+  });
+
+  test('should reject unknown keys and keys of deactivated accounts', async () => {
+    const unknown = await request(app).get('/api/weather/data').set('X-API-Key', 'nwk_unknown').expect(401);
+    expect(unknown.body.error.code).toBe('INVALID_API_KEY');
+    expect(model.findActiveByHash).toHaveBeenCalledWith(hashOf('nwk_unknown'));
+
+    const other = await createKey({ name: 'other' }, 8);
+    acceptKey(other, { ...owner, id: 8, email: 'user8@example.com', isActive: false });
+    await request(app).get('/api/weather/data').set('X-API-Key', other.key).expect(401);
+    expect(model.touch).not.toHaveBeenCalled();
+  });
+
+  test('should revoke a key through the owner\'s account only', async () => {
+    model.revoke.mockResolvedValueOnce(true);
+    await request(app).delete('/api/api-keys/3').set('Authorization', `Bearer ${tokenFor(7)}`).expect(200);
+
+    const response = await request(app)
+      .delete('/api/api-keys/3')
+      .set('Authorization', `Bearer ${tokenFor(8)}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('API_KEY_NOT_FOUND');
+    expect(model.revoke.mock.calls).toEqual([[7, 3], [8, 3]]);
+  });
+
+  test('should not accept API keys on account management endpoints', async () => {
+    const apiKey = await createKey({ name: 'cron' });
+    acceptKey(apiKey);
+
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('X-API-Key', apiKey.key)
+      .send({ name: 'escalation' })
+      .expect(403);
+
+    expect(response.body.error.code).toBe('API_KEY_NOT_ALLOWED');
+    await request(app).post('/api/auth/change-password').set('X-API-Key', apiKey.key).send({}).expect(403);
+    expect(model.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const App = require('../src/app');
+const AuroraService = require('../src/services/auroraService');
+const NoaaSwpcService = require('../src/services/noaaSwpcService');
+const NasaPowerApiService = require('../src/services/nasaApiService');
+const Geomagnetic = require('../src/utils/geomagnetic');
+const SolarPosition = require('../src/utils/solarPosition');
+
+// One block per 3 hours from 00UT, as NoaaSwpcService reports them
+const toBlocks = kpValues => kpValues.map((kp, index) => ({ startHour: index * 3, kp }));
+
+const FORECAST = {
+  success: true,
+  data: {
+    issued: '2025-10-04T22:05:00.000Z',
+    forecasts: [
+      { date: '2025-10-05', kpBlocks: toBlocks([2, 2, 3, 3, 3, 4, 5, 7]) },
+      { date: '2025-10-06', kpBlocks: toBlocks([3, 3, 2, 2, 2, 2, 2, 2]) }
+    ]
+  }
+};
+
+// Hourly CLOUD_AMT (local solar time) in each historical year: 90% at noon and
+// 40% from 18:00 on the 5th, no data on the 6th
+const buildCloudHistory = () => [2024, 2023].map(year => ({
+  year,
+  data: {
+    properties: {
+      parameter: {
+        CLOUD_AMT: {
+          [`${year}100512`]: 90,
+          ...Object.fromEntries([18, 19, 20, 21, 22, 23].map(hour => [`${year}1005${hour}`, 40])),
+          [`${year}100600`]: -999
+        }
+      }
+    }
+  }
+}));
+
+describe('Geomagnetic dipole model', () => {
+  test('should convert geographic to geomagnetic latitude', () => {
+    expect(Geomagnetic.toGeomagneticLatitude(80.65, -72.68)).toBeCloseTo(90, 5);
+    expect(Geomagnetic.toGeomagneticLatitude(69.65, 18.96)).toBeCloseTo(67.45, 1); // Tromsø
+    expect(Geomagnetic.toGeomagneticLatitude(51.5, -0.12)).toBeCloseTo(53.37, 1); // London
+    expect(Geomagnetic.toGeomagneticLatitude(-42.88, 147.33)).toBeLessThan(-45); // Hobart
+  });
+
+  test('should move the oval toward the equator as Kp rises', () => {
+    expect(Geomagnetic.getOvalBoundaryLatitude(0)).toBe(66.5);
+    expect(Geomagnetic.getOvalBoundaryLatitude(5)).toBeCloseTo(56.25);
+    expect(Geomagnetic.getOvalBoundaryLatitude(12)).toBe(Geomagnetic.getOvalBoundaryLatitude(9));
+  });
+});
+
+describe('Solar position', () => {
+  test('should give the sun elevation at solstice noon and at night', () => {
+    // London: 90° − 51.5° ± 23.44°
+    expect(SolarPosition.getElevation(new Date('2025-06-21T12:00:00Z'), 51.5, -0.12)).toBeCloseTo(61.9, 0);
+    expect(SolarPosition.getElevation(new Date('2025-12-21T12:00:00Z'), 51.5, -0.12)).toBeCloseTo(15.1, 0);
+    expect(SolarPosition.getElevation(new Date('2025-12-21T00:00:00Z'), 51.5, -0.12)).toBeCloseTo(-61.9, 0);
+    // Same instant, other side of the world
+    expect(SolarPosition.getElevation(new Date('2025-12-21T12:00:00Z'), -33.87, 151.21)).toBeLessThan(0);
+  });
+});
+
+describe('AuroraService', () => {
+  let service;
+  let cloudSpy;
+
+  beforeEach(() => {
+    jest.spyOn(NoaaSwpcService.prototype, 'get3DayGeomagForecast').mockResolvedValue(FORECAST);
+    cloudSpy = jest.spyOn(NasaPowerApiService.prototype, 'fetchHistoricalDataForPrediction').mockResolvedValue(buildCloudHistory());
+    service = new AuroraService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should assess every forecast block and factor in cloud cover', async () => {
+    const result = await service.getAuroraForecast(51.5, -0.12);
+    const { data } = result;
+
+    expect(cloudSpy).toHaveBeenCalledWith(51.5, -0.12, '2025-10-05', 5, ['CLOUD_AMT'], { endDate: '2025-10-06', windowDays: 1 });
+    expect(data).toMatchObject({ geomagneticLatitude: 53.37, hemisphere: 'north', cloudCover: { available: true, historicalYears: 5 } });
+    expect(data.blocks).toHaveLength(16);
+
+    // Kp 7 puts London (53.4°) inside the oval (52.15°) after dark; 40% cloud leaves 0.6
+    expect(data.blocks[7]).toMatchObject({
+      startTime: '2025-10-05T21:00:00.000Z',
+      endTime: '2025-10-06T00:00:00.000Z',
+      kp: 7,
+      position: 'overhead',
+      geomagneticLikelihood: 1,
+      darkness: 1,
+      cloudCover: 40,
+      likelihood: 0.6,
+      level: 'moderate'
+    });
+    // Kp 5: oval at 56.25°, London is 2.9° short of it, within the 5° view line
+    expect(data.blocks[6]).toMatchObject({ position: 'horizon', geomagneticLikelihood: 0.42, likelihood: 0.25, level: 'low' });
+    expect(data.blocks[0]).toMatchObject({ position: 'none', likelihood: 0, level: 'none' });
+
+    // Only the block's own hours count: the noon value stays out of the evening
+    expect(data.blocks.slice(3, 7).map(block => block.cloudCover)).toEqual([null, 90, null, 40]);
+
+    // No cloud data for the 6th: geomagnetic likelihood only
+    expect(data.blocks[8]).toMatchObject({ cloudCover: null });
+
+    // Kp 4 at 15-18UT is in daylight, leaving Kp 5 and 7 on the 5th
+    expect(data.blocks[5]).toMatchObject({ kp: 4, darkness: 0, likelihood: 0 });
+    expect(data.summary).toMatchObject({ maxLikelihood: 0.6, level: 'moderate', visibleBlocks: 2 });
+    expect(data.summary.bestBlock.startTime).toBe('2025-10-05T21:00:00.000Z');
+  });
+
+  test('should time blocks by their UT hour when a forecast value is missing', async () => {
+    const [first, second] = FORECAST.data.forecasts;
+    NoaaSwpcService.prototype.get3DayGeomagForecast.mockResolvedValue({
+      ...FORECAST,
+      data: { ...FORECAST.data, forecasts: [{ ...first, kpBlocks: first.kpBlocks.filter(block => block.startHour !== 15) }, second] }
+    });
+
+    const { data } = await service.getAuroraForecast(51.5, -0.12);
+
+    expect(data.blocks).toHaveLength(15);
+    expect(data.blocks[5]).toMatchObject({ startTime: '2025-10-05T18:00:00.000Z', kp: 5 });
+    expect(data.blocks[6]).toMatchObject({ startTime: '2025-10-05T21:00:00.000Z', kp: 7 });
+  });
+
+  test('should rule out daylight and scale twilight', async () => {
+    // Tromsø is inside the oval at any Kp; local noon is around 11UT
+    const { data } = await service.getAuroraForecast(69.65, 18.96);
+    const byStart = hour => data.blocks.find(block => block.startTime === `2025-10-05T${hour}:00:00.000Z`);
+
+    expect(byStart('09')).toMatchObject({ position: 'overhead', darkness: 0, likelihood: 0, level: 'none' });
+    expect(byStart('09').sunElevation).toBeGreaterThan(0);
+    expect(byStart('15').sunElevation).toBeLessThan(0);
+    expect(byStart('15').darkness).toBeGreaterThan(0);
+    expect(byStart('15').darkness).toBeLessThan(1);
+    expect(byStart('21')).toMatchObject({ darkness: 1, geomagneticLikelihood: 1 });
+  });
+
+  test('should read POWER hours as local solar time', async () => {
+    // Tromsø is 1 hour ahead of UTC in solar time, so its solar noon value falls in the 09-12UT block
+    const { data } = await service.getAuroraForecast(69.65, 18.96);
+
+    expect(data.blocks[3].cloudCover).toBe(90);
+    expect(data.blocks[4].cloudCover).toBe(null);
+  });
+
+  test('should use the magnitude of southern geomagnetic latitudes', async () => {
+    const result = await service.getAuroraForecast(-66, 110);
+
+    expect(result.data.hemisphere).toBe('south');
+    expect(result.data.blocks[0].position).toBe('overhead');
+  });
+
+  test('should still answer when POWER cloud data is unavailable', async () => {
+    cloudSpy.mockRejectedValue(Object.assign(new Error('POWER is down'), { code: 'NASA_API_ERROR' }));
+
+    const result = await service.getAuroraForecast(51.5, -0.12);
+
+    expect(result.data.cloudCover).toMatchObject({ available: false, error: { code: 'NASA_API_ERROR' } });
+    expect(result.data.blocks[7]).toMatchObject({ cloudCover: null, likelihood: 1, level: 'high' });
+  });
+});
+
+describe('GET /api/geomagnetic/aurora', () => {
+  const app = new App().getApp();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return the estimate', async () => {
+    jest.spyOn(NoaaSwpcService.prototype, 'get3DayGeomagForecast').mockResolvedValue(FORECAST);
+    jest.spyOn(NasaPowerApiService.prototype, 'fetchHistoricalDataForPrediction').mockResolvedValue(buildCloudHistory());
+
+    const response = await request(app).get('/api/geomagnetic/aurora?lat=64.84&lon=-147.72').expect(200);
+
+    expect(response.body.data.location).toEqual({ latitude: 64.84, longitude: -147.72 });
+    expect(response.body.data.blocks).toHaveLength(16);
+  });
+
+  test('should validate coordinates', async () => {
+    const response = await request(app).get('/api/geomagnetic/aurora?lat=95&lon=0').expect(400);
+    expect(response.body.error.code).toBe('INVALID_COORDINATES');
+
+    await request(app).get('/api/geomagnetic/aurora?lat=60').expect(400);
+  });
+
+  test('should reject empty coordinates instead of reading them as 0', async () => {
+    const forecast = jest.spyOn(NoaaSwpcService.prototype, 'get3DayGeomagForecast').mockResolvedValue(FORECAST);
+
+    for (const query of ['lat=&lon=', 'lat=%20&lon=0', 'lat=0&lon=', 'lat=1&lat=2&lon=0']) {
+      const response = await request(app).get(`/api/geomagnetic/aurora?${query}`).expect(400);
+      expect(response.body.error.code).toBe('INVALID_COORDINATES');
+    }
+    expect(forecast).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const AuthService = require('../src/services/authService');
+const RefreshToken = require('../src/models/RefreshToken');
+const config = require('../src/config/config');
+const { mockPool } = require('./helpers/mockPool');
+
+const user = { id: 7, email: 'user@example.com', isActive: true };
+
+describe('RefreshToken model', () => {
+  let model;
+  let db;
+
+  const row = { id: 3, user_id: 7, family_id: 'fam-1', expires_at: 'exp', created_at: 'created', revoked_at: null, revoked_reason: null };
+  const token = { id: 3, userId: 7, familyId: 'fam-1', expiresAt: 'exp', createdAt: 'created', revokedAt: null, revokedReason: null };
+
+  beforeEach(() => {
+    model = new RefreshToken();
+    db = mockPool(model);
+  });
+
+  test('should store only the token hash', async () => {
+    const expiresAt = new Date('2025-01-08T00:00:00Z');
+
+    await model.create({ userId: 7, tokenHash: 'hash', familyId: 'fam-1', expiresAt });
+
+    expect(db.calls()).toEqual([{
+      sql: 'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES ($1, $2, $3, $4)',
+      params: [7, 'hash', 'fam-1', expiresAt]
+    }]);
+  });
+
+  test('should find a token by hash whether or not it is revoked', async () => {
+    db.queue({ rows: [row] }, { rows: [] });
+
+    await expect(model.findByHash('hash')).resolves.toEqual(token);
+    await expect(model.findByHash('other')).resolves.toBeNull();
+
+    expect(db.calls()[0].sql).toContain('FROM refresh_tokens WHERE token_hash = $1');
+    expect(db.calls()[0].sql).not.toContain('revoked_at IS NULL');
+  });
+
+  test('should revoke only an active, unexpired token in one statement', async () => {
+    db.queue({ rows: [{ ...row, revoked_reason: 'rotated' }] }, { rows: [] });
+
+    await expect(model.revoke('hash', 'rotated')).resolves.toEqual({ ...token, revokedReason: 'rotated' });
+    await expect(model.revoke('hash', 'rotated')).resolves.toBeNull();
+
+    const [call] = db.calls();
+    expect(call.sql).toContain('SET revoked_at = NOW(), revoked_reason = $2 WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW() RETURNING');
+    expect(call.params).toEqual(['hash', 'rotated']);
+  });
+
+  test('should revoke the active tokens of a session', async () => {
+    db.queue({ rows: [], rowCount: 2 });
+
+    await expect(model.revokeFamily('fam-1', 'logout')).resolves.toBe(2);
+
+    expect(db.calls()[0].sql).toContain('WHERE family_id = $1 AND revoked_at IS NULL');
+    expect(db.calls()[0].params).toEqual(['fam-1', 'logout']);
+  });
+
+  test('should count revoked sessions, not tokens, for a user', async () => {
+    db.queue({ rows: [{ sessions: 2 }] });
+
+    await expect(model.revokeAllForUser(7, 'logout_all')).resolves.toBe(2);
+
+    const [call] = db.calls();
+    expect(call.sql).toContain('WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW() RETURNING family_id');
+    expect(call.sql).toContain('SELECT COUNT(DISTINCT family_id)::integer AS sessions FROM revoked');
+    expect(call.params).toEqual([7, 'logout_all']);
+  });
+});
+
+describe('AuthService tokens', () => {
+  let authService;
+  let tokens;
+
+  // Row state lives in RefreshToken (tested above); here each lookup is scripted
+  beforeEach(() => {
+    authService = new AuthService();
+    tokens = {
+      create: jest.fn().mockResolvedValue(),
+      findByHash: jest.fn().mockResolvedValue(null),
+      revoke: jest.fn().mockResolvedValue(null),
+      revokeFamily: jest.fn().mockResolvedValue(0),
+      revokeAllForUser: jest.fn().mockResolvedValue(0)
+    };
+    authService.refreshTokenModel = tokens;
+    authService.userModel = { findById: jest.fn().mockResolvedValue(user) };
+  });
+
+  test('should issue typed tokens and store only the refresh token hash', async () => {
+    const issued = await authService.generateTokens(user);
+    const refresh = jwt.decode(issued.refreshToken);
+
+    expect(jwt.decode(issued.accessToken)).toEqual(expect.objectContaining({ userId: 7, typ: 'access' }));
+    expect(refresh).toEqual(expect.objectContaining({ userId: 7, typ: 'refresh' }));
+    expect(tokens.create).toHaveBeenCalledWith({
+      userId: 7,
+      tokenHash: authService.hashToken(issued.refreshToken),
+      familyId: refresh.fam,
+      expiresAt: new Date(refresh.exp * 1000)
+    });
+  });
+
+  test('should not accept an access token as a refresh token or vice versa', async () => {
+    const issued = await authService.generateTokens(user);
+
+    await expect(authService.refreshToken(issued.accessToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    expect(tokens.revoke).not.toHaveBeenCalled();
+    expect(() => authService.verifyToken(issued.refreshToken)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+  });
+
+  test('should rotate the refresh token within the same session', async () => {
+    const first = await authService.generateTokens(user, 'fam-1');
+    tokens.revoke.mockResolvedValueOnce({ userId: 7, familyId: 'fam-1' });
+
+    const result = await authService.refreshToken(first.refreshToken);
+
+    expect(tokens.revoke).toHaveBeenCalledWith(authService.hashToken(first.refreshToken), 'rotated');
+    expect(result.data.refreshToken).not.toBe(first.refreshToken);
+    expect(jwt.decode(result.data.refreshToken).fam).toBe('fam-1');
+    expect(tokens.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      tokenHash: authService.hashToken(result.data.refreshToken),
+      familyId: 'fam-1'
+    }));
+  });
+
+  test('should revoke the whole session when a rotated token is reused', async () => {
+    const first = await authService.generateTokens(user, 'fam-1');
+    tokens.findByHash.mockResolvedValueOnce({ userId: 7, familyId: 'fam-1', revokedAt: new Date(), revokedReason: 'rotated' });
+
+    await expect(authService.refreshToken(first.refreshToken)).rejects.toMatchObject({
+      code: 'REFRESH_TOKEN_REUSED',
+      statusCode: 401
+    });
+    expect(tokens.revokeFamily).toHaveBeenCalledWith('fam-1', 'reuse_detected');
+  });
+
+  test('should explain why an inactive refresh token was refused', async () => {
+    const first = await authService.generateTokens(user, 'fam-1');
+
+    tokens.findByHash.mockResolvedValueOnce({ userId: 7, familyId: 'fam-1', revokedAt: new Date(), revokedReason: 'logout' });
+    await expect(authService.refreshToken(first.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+
+    tokens.findByHash.mockResolvedValueOnce({ userId: 7, familyId: 'fam-1', revokedAt: null, revokedReason: null });
+    await expect(authService.refreshToken(first.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+
+    expect(tokens.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  test('should reject refresh tokens that were never issued', async () => {
+    const forged = jwt.sign({ userId: 7, typ: 'refresh', fam: 'x' }, config.jwt.secret, { expiresIn: '1h' });
+
+    await expect(authService.refreshToken(forged)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    expect(tokens.findByHash).toHaveBeenCalledWith(authService.hashToken(forged));
+  });
+
+  test('should revoke one session on logout and every session on logout-all', async () => {
+    const phone = await authService.generateTokens(user, 'fam-phone');
+    tokens.findByHash.mockResolvedValue({ userId: 7, familyId: 'fam-phone', revokedAt: null });
+
+    await authService.logout(7, phone.refreshToken);
+    expect(tokens.revokeFamily).toHaveBeenCalledWith('fam-phone', 'logout');
+
+    await expect(authService.logout(8, phone.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    expect(tokens.revokeFamily).toHaveBeenCalledTimes(1);
+
+    tokens.revokeAllForUser.mockResolvedValueOnce(2);
+    const result = await authService.logoutAll(7);
+
+    expect(result.data.revokedSessions).toBe(2);
+    expect(tokens.revokeAllForUser).toHaveBeenCalledWith(7, 'logout_all');
+  });
+});
+
+describe('Auth routes', () => {
+  const app = new App().getApp();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reject a refresh token used as a bearer token', async () => {
+    const refreshToken = jwt.sign({ userId: 7, typ: 'refresh', fam: 'x' }, config.jwt.secret);
+
+    const response = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${refreshToken}`)
+      .expect(401);
+
+    expect(response.body.error.code).toBe('INVALID_TOKEN');
+  });
+
+  test('should return 401 with the error code when refresh token reuse is detected', async () => {
+    const error = new Error('Refresh token has already been used; the session has been revoked');
+    error.code = 'REFRESH_TOKEN_REUSED';
+    error.statusCode = 401;
+    jest.spyOn(AuthService.prototype, 'refreshToken').mockRejectedValue(error);
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'token' })
+      .expect(401);
+
+    expect(response.body.error).toEqual(expect.objectContaining({
+      code: 'REFRESH_TOKEN_REUSED',
+      message: 'Refresh token has already been used; the session has been revoked'
+    }));
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const SavedLocation = require('../src/models/SavedLocation');
+const WeatherController = require('../src/controllers/weatherController');
+const OpenaqService = require('../src/services/openaqService');
+const NasaEonetService = require('../src/services/nasaEonetService');
+const NoaaSwpcService = require('../src/services/noaaSwpcService');
+const NasaNeowsService = require('../src/services/nasaNeowsService');
+const NasaApodService = require('../src/services/nasaApodService');
+const config = require('../src/config/config');
+
+describe('Dashboard', () => {
+  const app = new App().getApp();
+  const token = jwt.sign(
+    { userId: 7, email: 'user7@example.com', emailVerified: true, role: 'user', typ: 'access' },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+  const originalTimeout = config.dashboard.sectionTimeoutMs;
+  let calls;
+
+  const get = path => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+  beforeEach(() => {
+    calls = {};
+    const record = (name, result) => async (...args) => {
+      calls[name] = args;
+      return result;
+    };
+
+    jest.spyOn(WeatherController.prototype, 'fetchHistoricalData').mockImplementation(record('historical', { success: true, data: { kind: 'historical' } }));
+    jest.spyOn(WeatherController.prototype, 'generatePrediction').mockImplementation(record('prediction', { success: true, data: { kind: 'prediction' } }));
+    jest.spyOn(OpenaqService.prototype, 'getAirQuality').mockImplementation(record('airQuality', { success: true, data: { aqi: 42 } }));
+    jest.spyOn(NasaEonetService.prototype, 'getEvents').mockImplementation(record('events', { success: true, data: { events: [] } }));
+    jest.spyOn(NoaaSwpcService.prototype, 'get3DayGeomagForecast').mockImplementation(record('geomagnetic', { success: true, data: { kp: [] } }));
+    jest.spyOn(NasaNeowsService.prototype, 'getAsteroidFeed').mockImplementation(record('asteroids', { success: true, data: { count: 3 } }));
+    jest.spyOn(NasaApodService.prototype, 'getByDate').mockImplementation(record('apod', { success: true, data: { title: 'Nebula' } }));
+    jest.spyOn(NasaApodService.prototype, 'getToday').mockImplementation(record('apodToday', { success: true, data: { title: 'Today' } }));
+  });
+
+  afterEach(() => {
+    config.dashboard.sectionTimeoutMs = originalTimeout;
+    jest.restoreAllMocks();
+  });
+
+  test('should require authentication', async () => {
+    await request(app).get('/api/dashboard?lat=28.5&lon=-80.6').expect(401);
+  });
+
+  test('should combine every section into one document', async () => {
+    const response = await get('/api/dashboard?lat=28.5729&lon=-80.649&date=2020-07-04').expect(200);
+    const { data } = response.body;
+
+    expect(data).toMatchObject({
+      location: { latitude: 28.5729, longitude: -80.649 },
+      date: '2020-07-04',
+      status: 'complete'
+    });
+    expect(Object.keys(data.sections)).toEqual(['weather', 'airQuality', 'naturalEvents', 'geomagnetic', 'asteroids', 'apod']);
+    expect(data.sections.weather).toMatchObject({ status: 'ok', data: { kind: 'historical' } });
+    expect(data.sections.airQuality.data).toEqual({ aqi: 42 });
+    expect(data.sections.apod.data).toEqual({ title: 'Nebula' });
+
+    expect(calls.historical.slice(0, 3)).toEqual([28.5729, -80.649, '2020-07-04']);
+    expect(calls.asteroids).toEqual(['2020-07-04', '2020-07-04']);
+    expect(calls.apod).toEqual(['2020-07-04']);
+    expect(calls.events[0]).toEqual({
+      bbox: '-85.649,23.5729,-75.649,33.5729',
+      userLat: 28.5729,
+      userLon: -80.649,
+      status: 'open',
+      limit: config.dashboard.eventLimit
+    });
+  });
+
+  test('should predict weather and use today\'s APOD for future dates', async () => {
+    const nextYear = new Date().getUTCFullYear() + 1;
+    const response = await get(`/api/dashboard?lat=10&lon=20&date=${nextYear}-01-01&sections=weather,apod`).expect(200);
+
+    expect(response.body.data.sections.weather.data).toEqual({ kind: 'prediction' });
+    expect(response.body.data.sections.apod.data).toEqual({ title: 'Today' });
+    expect(calls.historical).toBeUndefined();
+  });
+
+  test('should report a failed section inline', async () => {
+    OpenaqService.prototype.getAirQuality.mockImplementation(async () => {
+      const error = new Error('OpenAQ is unavailable');
+      error.code = 'OPENAQ_API_ERROR';
+      error.statusCode = 503;
+      throw error;
+    });
+
+    const response = await get('/api/dashboard?lat=10&lon=20&date=2020-01-01').expect(200);
+    const { data } = response.body;
+
+    expect(data.status).toBe('partial');
+    expect(data.sections.airQuality).toMatchObject({
+      status: 'error',
+      error: { code: 'OPENAQ_API_ERROR', message: 'OpenAQ is unavailable', statusCode: 503 }
+    });
+    expect(data.sections.weather.status).toBe('ok');
+  });
+
+  test('should time out a slow section without holding up the rest', async () => {
+    config.dashboard.sectionTimeoutMs = 50;
+    NoaaSwpcService.prototype.get3DayGeomagForecast.mockImplementation(() => new Promise(() => {}));
+
+    const response = await get('/api/dashboard?lat=10&lon=20&date=2020-01-01&sections=geomagnetic,asteroids').expect(200);
+    const { data } = response.body;
+
+    expect(data.status).toBe('partial');
+    expect(data.sections.geomagnetic).toMatchObject({ status: 'timeout', error: { code: 'SECTION_TIMEOUT' } });
+    expect(data.sections.asteroids.status).toBe('ok');
+  });
+
+  test('should report failed when every section fails', async () => {
+    NasaNeowsService.prototype.getAsteroidFeed.mockRejectedValue(new Error('down'));
+
+    const response = await get('/api/dashboard?lat=10&lon=20&date=2020-01-01&sections=asteroids').expect(200);
+
+    expect(response.body.data.status).toBe('failed');
+    expect(response.body.data.sections.asteroids.error.code).toBe('INTERNAL_ERROR');
+  });
+
+  test('should validate parameters', async () => {
+    const response = await get('/api/dashboard?lat=95&date=2020-13-01&sections=weather,tides').expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details.map(detail => detail.field)).toEqual(['lat', 'lon', 'date', 'sections']);
+  });
+
+  test('should accept a saved location', async () => {
+    jest.spyOn(SavedLocation.prototype, 'findForUser').mockImplementation(async (userId, id) =>
+      (userId === 7 && id === 3 ? { id: 3, name: 'Home', latitude: 51.5, longitude: -0.12 } : null)
+    );
+
+    const response = await get('/api/dashboard?locationId=3&date=2020-01-01&sections=airQuality').expect(200);
+
+    expect(response.body.data.location).toEqual({ latitude: 51.5, longitude: -0.12 });
+    expect(calls.airQuality).toEqual([51.5, -0.12]);
+  });
+});
@@ -0,0 +1,20 @@
+jest.mock('pg', () => ({
+  Pool: jest.fn().mockImplementation(() => ({ end: jest.fn().mockResolvedValue() }))
+}));
+
+const { Pool } = require('pg');
+const { getPool, closePool } = require('../src/config/database');
+
+describe('Shared database pool', () => {
+  test('should end the shared pool once and open a fresh one afterwards', async () => {
+    const pool = getPool();
+
+    expect(getPool()).toBe(pool);
+    await closePool();
+    await closePool();
+
+    expect(pool.end).toHaveBeenCalledTimes(1);
+    expect(getPool()).not.toBe(pool);
+    expect(Pool).toHaveBeenCalledTimes(2);
+  });
+});
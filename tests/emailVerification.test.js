@@ -0,0 +1,187 @@
+const nodemailer = require('nodemailer');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const AuthService = require('../src/services/authService');
+const EmailVerificationToken = require('../src/models/EmailVerificationToken');
+const mailService = require('../src/services/mailService');
+const config = require('../src/config/config');
+const { mockPool } = require('./helpers/mockPool');
+
+describe('EmailVerificationToken model', () => {
+  let model;
+  let db;
+
+  beforeEach(() => {
+    model = new EmailVerificationToken();
+    db = mockPool(model);
+  });
+
+  test('should invalidate earlier unused tokens before storing a new hash', async () => {
+    const expiresAt = new Date('2025-01-02T00:00:00Z');
+
+    await model.create({ userId: 7, tokenHash: 'hash', expiresAt });
+
+    expect(db.calls()).toEqual([
+      { sql: 'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL', params: [7] },
+      { sql: 'INSERT INTO email_verification_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)', params: [7, 'hash', expiresAt] }
+    ]);
+  });
+
+  test('should consume only an unused, unexpired token in one statement', async () => {
+    db.queue({ rows: [{ user_id: 7 }] }, { rows: [] });
+
+    await expect(model.consume('hash')).resolves.toBe(7);
+    await expect(model.consume('hash')).resolves.toBeNull();
+
+    expect(db.calls()[0]).toEqual({
+      sql: 'UPDATE email_verification_tokens SET used_at = NOW() WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW() RETURNING user_id',
+      params: ['hash']
+    });
+  });
+});
+
+describe('Email verification', () => {
+  let authService;
+  let transport;
+  let verifications;
+  let user;
+
+  const tokenFromLastEmail = async () => {
+    const results = transport.sendMail.mock.results;
+    const message = JSON.parse((await results[results.length - 1].value).message);
+    return message.text.match(/token=([0-9a-f]{64})/)[1];
+  };
+
+  // Token validity lives in EmailVerificationToken (tested above); here consume() is scripted
+  beforeEach(() => {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+    jest.spyOn(transport, 'sendMail');
+    mailService.setTransport(transport);
+
+    user = { id: 7, email: 'user@example.com', firstName: 'Ada', isActive: true, emailVerified: false };
+    verifications = {
+      create: jest.fn().mockResolvedValue(),
+      consume: jest.fn().mockResolvedValue(null)
+    };
+
+    authService = new AuthService();
+    authService.emailVerificationModel = verifications;
+    authService.refreshTokenModel = { create: jest.fn().mockResolvedValue() };
+    authService.userModel = {
+      create: jest.fn(async () => ({ ...user })),
+      findById: jest.fn(async () => ({ ...user })),
+      markEmailVerified: jest.fn(async () => {
+        user.emailVerified = true;
+        return { ...user };
+      })
+    };
+  });
+
+  afterEach(() => {
+    mailService.setTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  test('should email a verification link on registration', async () => {
+    const result = await authService.register({ email: 'user@example.com', password: 'password123' });
+
+    expect(result.success).toBe(true);
+    expect(jwt.decode(result.data.accessToken).emailVerified).toBe(false);
+
+    const token = await tokenFromLastEmail();
+    expect(verifications.create).toHaveBeenCalledWith({
+      userId: 7,
+      tokenHash: authService.hashToken(token),
+      expiresAt: expect.any(Date)
+    });
+  });
+
+  test('should still register the user when the email cannot be sent', async () => {
+    transport.sendMail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const result = await authService.register({ email: 'user@example.com', password: 'password123' });
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should verify the email once per token', async () => {
+    await authService.register({ email: 'user@example.com', password: 'password123' });
+    const token = await tokenFromLastEmail();
+    verifications.consume.mockResolvedValueOnce(7);
+
+    const result = await authService.verifyEmail(token);
+
+    expect(verifications.consume).toHaveBeenCalledWith(authService.hashToken(token));
+    expect(result.data.user.emailVerified).toBe(true);
+    expect(authService.userModel.markEmailVerified).toHaveBeenCalledWith(7);
+    await expect(authService.verifyEmail(token)).rejects.toMatchObject({
+      code: 'INVALID_VERIFICATION_TOKEN',
+      statusCode: 400
+    });
+    expect(authService.userModel.markEmailVerified).toHaveBeenCalledTimes(1);
+  });
+
+  test('should store a new token for every link requested', async () => {
+    await authService.register({ email: 'user@example.com', password: 'password123' });
+    const first = await tokenFromLastEmail();
+
+    await authService.resendVerification(7);
+    const second = await tokenFromLastEmail();
+
+    expect(second).not.toBe(first);
+    expect(verifications.create.mock.calls.map(([tokenData]) => tokenData.tokenHash)).toEqual([
+      authService.hashToken(first),
+      authService.hashToken(second)
+    ]);
+  });
+
+  test('should refuse to resend once the email is verified', async () => {
+    user.emailVerified = true;
+
+    await expect(authService.resendVerification(7)).rejects.toMatchObject({
+      code: 'EMAIL_ALREADY_VERIFIED',
+      statusCode: 409
+    });
+    expect(transport.sendMail).not.toHaveBeenCalled();
+    expect(verifications.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Verified email enforcement', () => {
+  const app = new App().getApp();
+  const originalRequired = config.emailVerification.required;
+
+  const signAccessToken = emailVerified => jwt.sign(
+    { userId: 7, email: 'user@example.com', emailVerified, typ: 'access' },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+
+  afterEach(() => {
+    config.emailVerification.required = originalRequired;
+  });
+
+  test('should block unverified accounts from protected weather routes when required', async () => {
+    config.emailVerification.required = true;
+
+    const response = await request(app)
+      .get('/api/weather/data')
+      .set('Authorization', `Bearer ${signAccessToken(false)}`)
+      .query({ latitude: 40.7, longitude: -74, startDate: '2024-01-01', endDate: '2024-01-02' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  test('should let unverified accounts through when verification is not required', async () => {
+    config.emailVerification.required = false;
+
+    const response = await request(app)
+      .post('/api/weather/bulk')
+      .set('Authorization', `Bearer ${signAccessToken(false)}`)
+      .send({});
+
+    expect(response.status).not.toBe(403);
+  });
+});
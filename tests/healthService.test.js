@@ -0,0 +1,114 @@
+const request = require('supertest');
+const App = require('../src/app');
+const HealthService = require('../src/services/healthService');
+
+const connected = { status: 'connected', message: 'ok' };
+
+describe('HealthService', () => {
+  let healthService;
+
+  beforeEach(() => {
+    healthService = new HealthService();
+    for (const check of healthService.checks) {
+      check.service = { testConnectivity: jest.fn().mockResolvedValue(connected) };
+    }
+  });
+
+  const failCheck = (name, result = { status: 'error', message: `${name} is not accessible` }) => {
+    healthService.checks.find(check => check.name === name).service.testConnectivity.mockResolvedValue(result);
+  };
+
+  test('should report every upstream and PostgreSQL with latency', async () => {
+    const report = await healthService.getReport();
+
+    expect(report.status).toBe('healthy');
+    expect(Object.keys(report.services)).toEqual([
+      'nasaPowerApi', 'nasaDonkiApi', 'noaaSwpc', 'nasaNeowsApi', 'nasaEonetApi',
+      'openaqApi', 'nasaEpicApi', 'nasaApodApi', 'database'
+    ]);
+    expect(report.services.database).toEqual(expect.objectContaining({
+      status: 'operational',
+      critical: true,
+      latencyMs: expect.any(Number),
+      error: null
+    }));
+  });
+
+  test('should be degraded when only non-critical services are down', async () => {
+    failCheck('openaqApi');
+
+    const report = await healthService.getReport();
+
+    expect(report.status).toBe('degraded');
+    expect(report.services.openaqApi).toEqual(expect.objectContaining({
+      status: 'down',
+      critical: false,
+      error: 'openaqApi is not accessible'
+    }));
+    expect((await healthService.getReadiness()).ready).toBe(true);
+  });
+
+  test('should be unhealthy and not ready when a critical service is down', async () => {
+    healthService.checks.find(check => check.name === 'database').service.testConnectivity
+      .mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:5432'));
+
+    const report = await healthService.getReport();
+
+    expect(report.status).toBe('unhealthy');
+    expect(report.services.database.error).toBe('connect ECONNREFUSED 127.0.0.1:5432');
+    expect(await healthService.getReadiness()).toEqual(expect.objectContaining({
+      ready: false,
+      failing: ['database']
+    }));
+  });
+
+  test('should time out slow checks', async () => {
+    healthService.withTimeout = (promise) => HealthService.prototype.withTimeout.call(healthService, promise, 10);
+    healthService.checks[1].service.testConnectivity.mockReturnValue(new Promise(() => {}));
+
+    const report = await healthService.getReport();
+
+    expect(report.services.nasaDonkiApi.error).toBe('Health check timed out after 10ms');
+  });
+
+  test('should reuse a recent report unless a fresh one is requested', async () => {
+    await healthService.getReport();
+    await healthService.getReport();
+    expect(healthService.checks[0].service.testConnectivity).toHaveBeenCalledTimes(1);
+
+    await healthService.getReport({ fresh: true });
+    expect(healthService.checks[0].service.testConnectivity).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Health probes', () => {
+  const app = new App().getApp();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('GET /api/health/live should not call upstream services', async () => {
+    const runCheck = jest.spyOn(HealthService.prototype, 'runCheck');
+
+    const response = await request(app).get('/api/health/live').expect(200);
+
+    expect(response.body.status).toBe('alive');
+    expect(runCheck).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/health/ready should return 503 when a critical service is down', async () => {
+    jest.spyOn(HealthService.prototype, 'runCheck').mockImplementation(async (check) => ({
+      status: check.name === 'nasaPowerApi' ? 'down' : 'operational',
+      critical: ['nasaPowerApi', 'database'].includes(check.name),
+      latencyMs: 1,
+      message: 'stubbed',
+      error: null
+    }));
+
+    const response = await request(app).get('/api/health/ready').expect(503);
+
+    expect(response.body.status).toBe('not_ready');
+    expect(response.body.failing).toEqual(['nasaPowerApi']);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Stand-in for a model's PostgreSQL pool
+ * Lets model tests run the model's real queries: every pool.query call is
+ * recorded and answered with the next queued result ({ rows: [], rowCount: 0 }
+ * once the queue is empty). Table creation is skipped.
+ *
+ *   const db = mockPool(new LoginAttempt());
+ *   db.queue({ rows: [{ count: 2 }] });
+ *   ...
+ *   expect(db.calls()[0]).toEqual({ sql: expect.stringContaining('GREATEST('), params: [...] });
+ */
+
+/**
+ * Collapse whitespace so SQL can be compared independent of indentation
+ * @param {string} text
+ * @returns {string}
+ */
+const sql = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Replace a model's pool with a recording mock
+ * @param {Object} model - Model instance with `pool` and `tableReady`
+ * @returns {Object} { query, queue(...results), calls() }
+ */
+const mockPool = model => {
+  const results = [];
+  const query = jest.fn(async () => (results.length > 0 ? results.shift() : { rows: [], rowCount: 0 }));
+
+  model.pool = { query };
+  model.tableReady = Promise.resolve();
+
+  return {
+    query,
+    queue: (...next) => results.push(...next),
+    calls: () => query.mock.calls.map(([text, params]) => ({ sql: sql(text), params }))
+  };
+};
+
+module.exports = { mockPool, sql };
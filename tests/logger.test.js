@@ -0,0 +1,165 @@
+const request = require('supertest');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const config = require('../src/config/config');
+const logger = require('../src/utils/logger');
+const UpstreamHttpClient = require('../src/services/upstreamHttpClient');
+
+describe('logger', () => {
+  let entries;
+  let originalLevel;
+
+  beforeEach(() => {
+    originalLevel = config.logging.level;
+    entries = [];
+    jest.spyOn(logger, 'write').mockImplementation((level, line) => entries.push(JSON.parse(line)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.logging.level = originalLevel;
+  });
+
+  test('should write JSON entries filtered by config.logging.level', () => {
+    config.logging.level = 'warn';
+
+    logger.info('not written');
+    logger.warn('written', { latitude: 40.7 });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toEqual(expect.objectContaining({
+      level: 'warn',
+      message: 'written',
+      latitude: 40.7,
+      timestamp: expect.any(String)
+    }));
+  });
+
+  test('should redact sensitive fields and URL secrets', () => {
+    config.logging.level = 'debug';
+
+    logger.debug('Request received', {
+      body: { email: 'user@example.com', password: 'hunter2', refreshToken: 'abc' },
+      headers: { Authorization: 'Bearer xyz' },
+      url: 'https://api.nasa.gov/planetary/apod?api_key=SECRET&date=2024-01-01'
+    });
+
+    expect(entries[0].body).toEqual({ email: 'user@example.com', password: '[REDACTED]', refreshToken: '[REDACTED]' });
+    expect(entries[0].headers.Authorization).toBe('[REDACTED]');
+    expect(entries[0].url).toBe('https://api.nasa.gov/planetary/apod?api_key=[REDACTED]&date=2024-01-01');
+  });
+
+  test('should redact MFA body fields but keep error codes', () => {
+    config.logging.level = 'debug';
+
+    logger.debug('Request received', {
+      body: { mfaToken: 'challenge', recoveryCode: 'ABCD-EFGH', password: 'hunter2' },
+      upstreamBody: { error: { code: 'RATE_LIMITED' } }
+    });
+
+    expect(entries[0].body).toEqual({ mfaToken: '[REDACTED]', recoveryCode: '[REDACTED]', password: '[REDACTED]' });
+    expect(entries[0].upstreamBody).toEqual({ error: { code: 'RATE_LIMITED' } });
+  });
+
+  test('should serialize errors', () => {
+    config.logging.level = 'error';
+    const error = new Error('Request failed with status code 503');
+    error.code = 'ERR_BAD_RESPONSE';
+    error.response = { status: 503 };
+
+    logger.error('Upstream failed', { error });
+
+    expect(entries[0].error).toEqual(expect.objectContaining({
+      name: 'Error',
+      message: 'Request failed with status code 503',
+      code: 'ERR_BAD_RESPONSE',
+      status: 503
+    }));
+  });
+
+  describe('request IDs', () => {
+    const app = new App().getApp();
+    const token = jwt.sign({ userId: 1, email: 'user@example.com', typ: 'access' }, config.jwt.secret);
+
+    test('should echo a valid X-Request-Id and generate one otherwise', async () => {
+      const echoed = await request(app).get('/api/health/live').set('X-Request-Id', 'lb-1234').expect(200);
+      expect(echoed.headers['x-request-id']).toBe('lb-1234');
+
+      const generated = await request(app).get('/api/health/live').set('X-Request-Id', 'x'.repeat(200)).expect(200);
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should carry the request ID into error responses and error logs', async () => {
+      config.logging.level = 'warn';
+
+      const response = await request(app)
+        .get('/api/weather/data')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Request-Id', 'req-validation')
+        .expect(400);
+
+      expect(response.body.requestId).toBe('req-validation');
+      expect(entries).toContainEqual(expect.objectContaining({
+        level: 'warn',
+        message: 'Request failed',
+        requestId: 'req-validation',
+        statusCode: 400
+      }));
+    });
+
+    test('should carry the request ID into upstream call logs', async () => {
+      config.logging.level = 'debug';
+      const client = new UpstreamHttpClient('logging-upstream', { retries: 0 });
+      jest.spyOn(axios, 'request').mockResolvedValue({ status: 200, data: {} });
+
+      await logger.runWithContext({ requestId: 'req-upstream' }, () =>
+        client.get('https://api.nasa.gov/DONKI/GST?api_key=SECRET')
+      );
+
+      expect(entries).toContainEqual(expect.objectContaining({
+        message: 'Upstream request succeeded',
+        requestId: 'req-upstream',
+        upstream: 'logging-upstream',
+        url: 'https://api.nasa.gov/DONKI/GST?api_key=[REDACTED]'
+      }));
+    });
+
+    test('should not log passwords from login requests', async () => {
+      config.logging.level = 'debug';
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'user@example.com', password: 'hunter2' });
+
+      const logged = JSON.stringify(entries);
+      expect(logged).toContain('Request received');
+      expect(logged).not.toContain('hunter2');
+    });
+
+    test('should not log MFA challenge tokens, codes or recovery codes', async () => {
+      config.logging.level = 'debug';
+
+      await request(app)
+        .post('/api/auth/login/mfa')
+        .send({ mfaToken: 'challenge-token-value', code: '492039', recoveryCode: 'ABCD-EFGH-IJKL' });
+
+      const logged = JSON.stringify(entries);
+      expect(logged).toContain('Request received');
+      expect(logged).not.toContain('challenge-token-value');
+      expect(logged).not.toContain('492039');
+      expect(logged).not.toContain('ABCD-EFGH-IJKL');
+    });
+
+    test('should not log the bodies of MFA management endpoints', async () => {
+      config.logging.level = 'debug';
+
+      await request(app).post('/api/auth/mfa/enable').send({ code: '730114' });
+      await request(app).post('/api/auth/login').send({ email: 'user@example.com', code: 'kept' });
+
+      const logged = JSON.stringify(entries);
+      expect(logged).not.toContain('730114');
+      expect(logged).toContain('kept');
+    });
+  });
+});
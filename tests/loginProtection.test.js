@@ -0,0 +1,218 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const AuthService = require('../src/services/authService');
+const UserAdminService = require('../src/services/userAdminService');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const User = require('../src/models/User');
+const config = require('../src/config/config');
+const { mockPool } = require('./helpers/mockPool');
+
+const dbUser = { id: 7, email: 'user@example.com', password: 'hash', is_active: true, role: 'user' };
+const context = { ip: '203.0.113.5', userAgent: 'jest' };
+
+describe('LoginAttempt model', () => {
+  let model;
+  let db;
+
+  beforeEach(() => {
+    model = new LoginAttempt();
+    db = mockPool(model);
+  });
+
+  test('should record an event with optional fields as NULL', async () => {
+    await model.record({ email: 'user@example.com', ip: '203.0.113.5', userAgent: 'x'.repeat(300), event: 'login_failed' });
+
+    const [call] = db.calls();
+    expect(call.sql).toBe('INSERT INTO login_attempts (email, user_id, ip, user_agent, event, reason) VALUES ($1, $2, $3, $4, $5, $6)');
+    expect(call.params).toEqual(['user@example.com', null, '203.0.113.5', 'x'.repeat(255), 'login_failed', null]);
+  });
+
+  test('should count email failures only after the last success or unlock', async () => {
+    const since = new Date('2025-01-01T00:00:00Z');
+    const lastFailureAt = new Date('2025-01-01T00:10:00Z');
+    db.queue({ rows: [{ count: 2, last_failure_at: lastFailureAt }] });
+
+    await expect(model.getEmailFailures('user@example.com', since)).resolves.toEqual({ count: 2, lastFailureAt });
+
+    const [call] = db.calls();
+    expect(call.sql).toContain("WHERE email = $1 AND event = 'login_failed'");
+    expect(call.sql).toContain(
+      "created_at > GREATEST($2::timestamptz, COALESCE(( SELECT MAX(created_at) FROM login_attempts WHERE email = $1 AND event IN ('login_succeeded', 'unlocked') ), $2::timestamptz))"
+    );
+    expect(call.params).toEqual(['user@example.com', since]);
+  });
+
+  test('should count IP failures across emails', async () => {
+    const since = new Date('2025-01-01T00:00:00Z');
+    db.queue({ rows: [{ count: 0, last_failure_at: null }] });
+
+    await expect(model.getIpFailures('203.0.113.5', since)).resolves.toEqual({ count: 0, lastFailureAt: null });
+
+    const [call] = db.calls();
+    expect(call.sql).toContain("WHERE ip = $1 AND event = 'login_failed' AND created_at > $2::timestamptz");
+    expect(call.sql).not.toContain('email');
+    expect(call.params).toEqual(['203.0.113.5', since]);
+  });
+
+  test('should list a user\'s events newest first', async () => {
+    const createdAt = new Date('2025-01-01T00:00:00Z');
+    db.queue({ rows: [{ id: '12', email: 'user@example.com', user_id: 7, ip: '203.0.113.5', user_agent: 'jest', event: 'unlocked', reason: 'admin:1', created_at: createdAt }] });
+
+    const attempts = await model.listForUser(7, 'user@example.com', 10);
+
+    expect(attempts).toEqual([{ id: 12, email: 'user@example.com', userId: 7, ip: '203.0.113.5', userAgent: 'jest', event: 'unlocked', reason: 'admin:1', createdAt }]);
+    expect(db.calls()[0].sql).toContain('WHERE user_id = $1 OR email = $2 ORDER BY created_at DESC, id DESC LIMIT $3');
+    expect(db.calls()[0].params).toEqual([7, 'user@example.com', 10]);
+  });
+});
+
+describe('Login brute-force protection', () => {
+  let authService;
+  let attempts;
+  let emailFailures;
+  let ipFailures;
+  const originalSettings = { ...config.loginProtection };
+
+  const login = (password, email = dbUser.email, ip = context.ip) =>
+    authService.login({ email, password }, { ...context, ip });
+
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+  // The failure counts come from LoginAttempt (tested above); here they are scripted
+  beforeEach(() => {
+    emailFailures = { count: 0, lastFailureAt: null };
+    ipFailures = { count: 0, lastFailureAt: null };
+    attempts = {
+      record: jest.fn().mockResolvedValue(),
+      getEmailFailures: jest.fn(async () => emailFailures),
+      getIpFailures: jest.fn(async () => ipFailures)
+    };
+
+    authService = new AuthService();
+    authService.loginAttemptModel = attempts;
+    authService.refreshTokenModel = { create: jest.fn().mockResolvedValue() };
+    authService.userModel = {
+      findByEmail: jest.fn(async email => (email === dbUser.email ? dbUser : null)),
+      validatePassword: jest.fn(async password => password === 'correct-password'),
+      formatUser: user => ({ id: user.id, email: user.email, isActive: user.is_active, role: user.role })
+    };
+    jest.spyOn(authService, 'delay').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    Object.assign(config.loginProtection, originalSettings);
+    jest.restoreAllMocks();
+  });
+
+  test('should audit successful and failed logins', async () => {
+    await expect(login('wrong-password', 'USER@example.com')).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await login('correct-password');
+
+    expect(attempts.record.mock.calls.map(([row]) => [row.email, row.event, row.reason, row.userId, row.ip])).toEqual([
+      ['user@example.com', 'login_failed', 'INVALID_CREDENTIALS', 7, '203.0.113.5'],
+      ['user@example.com', 'login_succeeded', undefined, 7, '203.0.113.5']
+    ]);
+
+    const [email, since] = attempts.getEmailFailures.mock.calls[0];
+    expect(email).toBe('user@example.com');
+    expect(Date.now() - since.getTime()).toBeCloseTo(config.loginProtection.windowMinutes * 60 * 1000, -3);
+    expect(attempts.getIpFailures.mock.calls[0][0]).toBe('203.0.113.5');
+  });
+
+  test('should slow down each attempt after a failure', async () => {
+    for (const count of [0, 1, 2, 3]) {
+      emailFailures = { count, lastFailureAt: new Date() };
+      await expect(login('wrong-password')).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    }
+
+    expect(authService.delay.mock.calls.map(call => call[0])).toEqual([250, 500, 1000]);
+  });
+
+  test('should lock the account after too many failures, even for the right password', async () => {
+    emailFailures = { count: config.loginProtection.maxFailures, lastFailureAt: new Date() };
+
+    const error = await login('correct-password').catch(caught => caught);
+
+    expect(error).toMatchObject({ code: 'ACCOUNT_LOCKED', statusCode: 423 });
+    expect(new Date(error.details.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+    expect(error.details.retryAfter).toBeGreaterThan(0);
+    expect(attempts.record).toHaveBeenLastCalledWith(expect.objectContaining({ event: 'login_blocked', reason: 'ACCOUNT_LOCKED' }));
+    expect(authService.userModel.validatePassword).not.toHaveBeenCalled();
+  });
+
+  test('should lock unknown emails the same way', async () => {
+    emailFailures = { count: config.loginProtection.maxFailures, lastFailureAt: new Date() };
+
+    await expect(login('anything', 'nobody@example.com')).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+  });
+
+  test('should unlock after the lockout period', async () => {
+    emailFailures = { count: config.loginProtection.maxFailures, lastFailureAt: minutesAgo(config.loginProtection.lockoutMinutes - 1) };
+    await expect(login('correct-password')).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+
+    emailFailures = { count: config.loginProtection.maxFailures, lastFailureAt: minutesAgo(config.loginProtection.lockoutMinutes + 1) };
+    await expect(login('correct-password')).resolves.toMatchObject({ success: true });
+  });
+
+  test('should lock out an IP that fails across many emails', async () => {
+    config.loginProtection.ipMaxFailures = 3;
+    attempts.getIpFailures.mockImplementation(async ip => (ip === context.ip ? { count: 3, lastFailureAt: new Date() } : ipFailures));
+
+    await expect(login('correct-password')).rejects.toMatchObject({ code: 'TOO_MANY_LOGIN_ATTEMPTS', statusCode: 429 });
+    expect(attempts.record).toHaveBeenLastCalledWith(expect.objectContaining({ event: 'login_blocked', reason: 'TOO_MANY_LOGIN_ATTEMPTS' }));
+    await expect(login('correct-password', dbUser.email, '198.51.100.7')).resolves.toMatchObject({ success: true });
+  });
+
+  test('should let an administrator lift the lockout by recording an unlock', async () => {
+    const adminService = new UserAdminService();
+    adminService.loginAttemptModel = attempts;
+    adminService.userModel = { findById: jest.fn().mockResolvedValue({ id: 7, email: dbUser.email }) };
+
+    await adminService.unlockUser(1, '7');
+
+    // getEmailFailures ignores failures before an 'unlocked' event
+    expect(attempts.record).toHaveBeenCalledWith(expect.objectContaining({ email: dbUser.email, event: 'unlocked', reason: 'admin:1', userId: 7 }));
+  });
+});
+
+describe('Login lockout endpoints', () => {
+  const app = new App().getApp();
+  const adminToken = jwt.sign({ userId: 1, email: 'admin@example.com', role: 'admin', typ: 'access' }, config.jwt.secret);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should answer a locked account with 423 and Retry-After', async () => {
+    jest.spyOn(LoginAttempt.prototype, 'getEmailFailures').mockResolvedValue({ count: 99, lastFailureAt: new Date() });
+    jest.spyOn(LoginAttempt.prototype, 'getIpFailures').mockResolvedValue({ count: 0, lastFailureAt: null });
+    jest.spyOn(LoginAttempt.prototype, 'record').mockResolvedValue();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'whatever1' })
+      .expect(423);
+
+    expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+    expect(response.body.error.details.lockedUntil).toBeDefined();
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('should expose unlock and the login audit to administrators', async () => {
+    jest.spyOn(User.prototype, 'findById').mockResolvedValue({ id: 7, email: 'user@example.com' });
+    jest.spyOn(LoginAttempt.prototype, 'record').mockResolvedValue();
+    jest.spyOn(LoginAttempt.prototype, 'listForUser').mockResolvedValue([{ id: 1, event: 'login_failed' }]);
+
+    await request(app).post('/api/admin/users/7/unlock').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(LoginAttempt.prototype.record).toHaveBeenCalledWith(expect.objectContaining({ event: 'unlocked', userId: 7 }));
+
+    const audit = await request(app)
+      .get('/api/admin/users/7/login-attempts?limit=10')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(LoginAttempt.prototype.listForUser).toHaveBeenCalledWith(7, 'user@example.com', 10);
+    expect(audit.body.data.attempts).toHaveLength(1);
+  });
+});
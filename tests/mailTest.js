@@ -1,15 +1,15 @@
-import { sendMail } from "../src/services/mailService.js";
+// Manual check of the SMTP settings: node tests/mailTest.js recipient@example.com
+require("dotenv").config();
+const { sendMail } = require("../src/services/mailService");
 
 async function testMail() {
+  const recipient = process.argv[2] || process.env.SMTP_USER;
+
   try {
-    await sendMail(
-      "kusayhuveydi14@gmail.com",
-      "Test Mail",
-      "Bu bir test mailidir"
-    );
-    console.log("Mail gönderildi ");
+    await sendMail(recipient, "Test Mail", "This is a test email");
+    console.log(`Mail sent to ${recipient}`);
   } catch (err) {
-    console.error("Mail gönderilemedi ❌", err);
+    console.error("Mail could not be sent", err);
   }
 }
 
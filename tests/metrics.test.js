@@ -0,0 +1,103 @@
+const request = require('supertest');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const config = require('../src/config/config');
+const MetricsService = require('../src/services/metricsService');
+const ResponseCacheService = require('../src/services/responseCacheService');
+const MemoryCacheStore = require('../src/services/memoryCacheStore');
+const UpstreamHttpClient = require('../src/services/upstreamHttpClient');
+
+describe('Prometheus metrics', () => {
+  const app = new App().getApp();
+
+  const scrape = async () => (await request(app).get('/metrics').expect(200)).text;
+
+  beforeEach(() => {
+    MetricsService.reset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.metrics.token = undefined;
+  });
+
+  test('should expose the Prometheus text format', async () => {
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toContain('text/plain');
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('process_cpu_seconds_total');
+  });
+
+  test('should label HTTP requests by route pattern, including error responses', async () => {
+    await request(app).get('/api/health/live').expect(200);
+    await request(app)
+      .get('/api/weather/data')
+      .set('Authorization', `Bearer ${jwt.sign({ userId: 1, email: 'user@example.com', typ: 'access' }, config.jwt.secret)}`)
+      .expect(400);
+    await request(app).get('/no/such/path').expect(404);
+
+    const metrics = await scrape();
+
+    expect(metrics).toMatch(/http_requests_total\{method="GET",route="\/api\/health\/live",status_code="200"\} 1/);
+    expect(metrics).toMatch(/http_requests_total\{method="GET",route="\/api\/weather\/data",status_code="400"\} 1/);
+    expect(metrics).toMatch(/http_requests_total\{method="GET",route="unmatched",status_code="404"\} 1/);
+    expect(metrics).toContain('http_request_duration_seconds_bucket');
+  });
+
+  test('should count authentication failures by code', async () => {
+    await request(app).get('/api/auth/profile').expect(401);
+    await request(app).get('/api/auth/profile').set('Authorization', 'Bearer not-a-jwt').expect(401);
+
+    const metrics = await scrape();
+
+    expect(metrics).toContain('auth_failures_total{code="MISSING_AUTH_HEADER"} 1');
+    expect(metrics).toContain('auth_failures_total{code="INVALID_TOKEN"} 1');
+  });
+
+  test('should record upstream latency, outcomes and errors', async () => {
+    const client = new UpstreamHttpClient('metrics-upstream', { retries: 0, breakerFailureThreshold: 1 });
+    const error = new Error('Request failed with status code 503');
+    error.response = { status: 503, headers: {}, data: {} };
+    jest.spyOn(axios, 'request')
+      .mockResolvedValueOnce({ status: 200, data: 'ok' })
+      .mockRejectedValueOnce(error);
+
+    await client.get('http://upstream.test/data');
+    await expect(client.get('http://upstream.test/data')).rejects.toThrow('503');
+    await expect(client.get('http://upstream.test/data')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    const metrics = await scrape();
+
+    expect(metrics).toContain('upstream_requests_total{upstream="metrics-upstream",outcome="success"} 1');
+    expect(metrics).toContain('upstream_requests_total{upstream="metrics-upstream",outcome="error"} 1');
+    expect(metrics).toContain('upstream_errors_total{upstream="metrics-upstream",reason="503"} 1');
+    expect(metrics).toContain('upstream_errors_total{upstream="metrics-upstream",reason="circuit_open"} 1');
+    expect(metrics).toContain('upstream_request_duration_seconds_count{upstream="metrics-upstream"} 2');
+  });
+
+  test('should report the response cache hit ratio', async () => {
+    const cache = new ResponseCacheService(new MemoryCacheStore(10));
+    await cache.set('key', { value: 1 }, null);
+
+    await cache.get('key');
+    await cache.get('key');
+    await cache.get('key');
+    await cache.get('missing');
+
+    const metrics = await scrape();
+
+    expect(metrics).toContain('cache_lookups_total{cache="response",result="hit"} 3');
+    expect(metrics).toContain('cache_hit_ratio{cache="response"} 0.75');
+  });
+
+  test('should require the scrape token when METRICS_TOKEN is set', async () => {
+    config.metrics.token = 'scrape-secret';
+
+    const rejected = await request(app).get('/metrics').expect(401);
+    expect(rejected.body.error.code).toBe('INVALID_METRICS_TOKEN');
+
+    await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+  });
+});
@@ -0,0 +1,454 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const Totp = require('../src/utils/totp');
+const AuthService = require('../src/services/authService');
+const MfaService = require('../src/services/mfaService');
+const MfaCredential = require('../src/models/MfaCredential');
+const MfaRecoveryCode = require('../src/models/MfaRecoveryCode');
+const MfaChallenge = require('../src/models/MfaChallenge');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const RefreshToken = require('../src/models/RefreshToken');
+const User = require('../src/models/User');
+const config = require('../src/config/config');
+const { mockPool } = require('./helpers/mockPool');
+
+describe('TOTP (RFC 6238)', () => {
+  // RFC 6238 appendix B SHA-1 secret "12345678901234567890"; the RFC lists 8 digits, we use the last 6
+  const secret = Totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should round-trip base32', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(Totp.base32Decode(secret.toLowerCase()).toString()).toBe('12345678901234567890');
+  });
+
+  test('should match the RFC test vectors', () => {
+    expect(Totp.generateCode(secret, Totp.getStep(59 * 1000))).toBe('287082');
+    expect(Totp.generateCode(secret, Totp.getStep(1111111109 * 1000))).toBe('081804');
+    expect(Totp.generateCode(secret, Totp.getStep(1234567890 * 1000))).toBe('005924');
+    expect(Totp.generateCode(secret, Totp.getStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('should accept codes one step either side and nothing further', () => {
+    const timeMs = 1111111109 * 1000;
+    const step = Totp.getStep(timeMs);
+
+    expect(Totp.verifyCode(secret, Totp.generateCode(secret, step - 1), { timeMs })).toBe(step - 1);
+    expect(Totp.verifyCode(secret, Totp.generateCode(secret, step + 1), { timeMs })).toBe(step + 1);
+    expect(Totp.verifyCode(secret, Totp.generateCode(secret, step + 2), { timeMs })).toBeNull();
+    expect(Totp.verifyCode(secret, '12345', { timeMs })).toBeNull();
+    expect(Totp.verifyCode(secret, undefined, { timeMs })).toBeNull();
+  });
+
+  test('should build an otpauth URI for authenticator apps', () => {
+    const url = Totp.buildOtpauthUrl({ secret, accountName: 'user@example.com', issuer: 'NASA Weather API' });
+
+    expect(url).toMatch(/^otpauth:\/\/totp\/NASA%20Weather%20API%3Auser%40example\.com\?/);
+    expect(new URL(url).searchParams.get('secret')).toBe(secret);
+    expect(new URL(url).searchParams.get('issuer')).toBe('NASA Weather API');
+  });
+});
+
+describe('MfaCredential model', () => {
+  let model;
+  let db;
+
+  beforeEach(() => {
+    model = new MfaCredential();
+    db = mockPool(model);
+  });
+
+  test('should replace a pending enrollment but never an enabled one', async () => {
+    db.queue({ rowCount: 1 }, { rowCount: 0 });
+
+    await expect(model.savePending(7, 'encrypted')).resolves.toBe(true);
+    await expect(model.savePending(7, 'encrypted')).resolves.toBe(false);
+
+    const [call] = db.calls();
+    expect(call.sql).toContain('ON CONFLICT (user_id) DO UPDATE SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL');
+    expect(call.sql).toContain('WHERE mfa_credentials.enabled_at IS NULL');
+    expect(call.params).toEqual([7, 'encrypted']);
+  });
+
+  test('should read the last used step as a number', async () => {
+    const enabledAt = new Date('2025-01-01T00:00:00Z');
+    db.queue({ rows: [{ user_id: 7, secret_encrypted: 'encrypted', enabled_at: enabledAt, last_used_step: '58000000', created_at: enabledAt }] }, { rows: [] });
+
+    await expect(model.findByUserId(7)).resolves.toEqual({
+      userId: 7, secretEncrypted: 'encrypted', enabledAt, lastUsedStep: 58000000, createdAt: enabledAt
+    });
+    await expect(model.findByUserId(8)).resolves.toBeNull();
+  });
+
+  test('should accept each time step once, in one statement', async () => {
+    db.queue({ rowCount: 1 }, { rowCount: 0 });
+
+    await expect(model.markStepUsed(7, 100)).resolves.toBe(true);
+    await expect(model.markStepUsed(7, 100)).resolves.toBe(false);
+
+    expect(db.calls()[0]).toEqual({
+      sql: 'UPDATE mfa_credentials SET last_used_step = $2 WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)',
+      params: [7, 100]
+    });
+  });
+
+  test('should enable with the confirming step and delete by user', async () => {
+    await model.enable(7, 100);
+    await model.delete(7);
+
+    expect(db.calls()).toEqual([
+      { sql: 'UPDATE mfa_credentials SET enabled_at = NOW(), last_used_step = $2 WHERE user_id = $1', params: [7, 100] },
+      { sql: 'DELETE FROM mfa_credentials WHERE user_id = $1', params: [7] }
+    ]);
+  });
+});
+
+describe('MfaRecoveryCode model', () => {
+  let model;
+  let db;
+
+  beforeEach(() => {
+    model = new MfaRecoveryCode();
+    db = mockPool(model);
+  });
+
+  test('should replace every code of the user', async () => {
+    await model.replaceForUser(7, ['a', 'b']);
+
+    expect(db.calls()).toEqual([
+      { sql: 'DELETE FROM mfa_recovery_codes WHERE user_id = $1', params: [7] },
+      { sql: 'INSERT INTO mfa_recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::text[])', params: [7, ['a', 'b']] }
+    ]);
+  });
+
+  test('should consume only an unused code of the user', async () => {
+    db.queue({ rowCount: 1 }, { rowCount: 0 });
+
+    await expect(model.consume(7, 'a')).resolves.toBe(true);
+    await expect(model.consume(7, 'a')).resolves.toBe(false);
+
+    expect(db.calls()[0]).toEqual({
+      sql: 'UPDATE mfa_recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+      params: [7, 'a']
+    });
+  });
+
+  test('should count unused codes', async () => {
+    db.queue({ rows: [{ count: 9 }] });
+
+    await expect(model.countRemaining(7)).resolves.toBe(9);
+
+    expect(db.calls()[0]).toEqual({
+      sql: 'SELECT COUNT(*)::integer AS count FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      params: [7]
+    });
+  });
+});
+
+describe('MfaChallenge model', () => {
+  let model;
+  let db;
+
+  beforeEach(() => {
+    model = new MfaChallenge();
+    db = mockPool(model);
+  });
+
+  test('should record a token as used only once', async () => {
+    const expiresAt = new Date('2025-01-01T00:05:00Z');
+    db.queue({ rowCount: 1 }, { rowCount: 0 });
+
+    await expect(model.markUsed('jti-1', 7, expiresAt)).resolves.toBe(true);
+    await expect(model.markUsed('jti-1', 7, expiresAt)).resolves.toBe(false);
+
+    expect(db.calls()[0]).toEqual({
+      sql: 'INSERT INTO mfa_used_challenges (jti, user_id, expires_at) VALUES ($1, $2, $3) ON CONFLICT (jti) DO NOTHING',
+      params: ['jti-1', 7, expiresAt]
+    });
+  });
+
+  test('should look up used tokens and purge expired ones', async () => {
+    db.queue({ rows: [{ '?column?': 1 }] }, { rows: [] }, { rowCount: 3 });
+
+    await expect(model.isUsed('jti-1')).resolves.toBe(true);
+    await expect(model.isUsed('jti-2')).resolves.toBe(false);
+    await expect(model.purgeExpired()).resolves.toBe(3);
+
+    const [lookup, , purge] = db.calls();
+    expect(lookup).toEqual({ sql: 'SELECT 1 FROM mfa_used_challenges WHERE jti = $1', params: ['jti-1'] });
+    expect(purge.sql).toBe('DELETE FROM mfa_used_challenges WHERE expires_at <= NOW()');
+  });
+});
+
+describe('Two-factor authentication', () => {
+  const app = new App().getApp();
+  const accessToken = jwt.sign(
+    { userId: 7, email: 'user@example.com', emailVerified: true, role: 'user', typ: 'access' },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+  const hashRecoveryCode = recoveryCode => MfaService.prototype.hashRecoveryCode(recoveryCode);
+  let credentials;
+  let recoveryCodes;
+  let challenges;
+  let attempts;
+  let credential;
+  let dbUser;
+
+  const login = () => request(app).post('/api/auth/login').send({ email: 'user@example.com', password: 'correct-password' });
+  const authed = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${accessToken}`);
+  const recorded = () => attempts.record.mock.calls.map(([attempt]) => attempt);
+
+  /**
+   * Enroll user 7 and return the secret, the enabling step and the recovery codes
+   * The credential the service saved is then served back as enabled.
+   */
+  const enroll = async () => {
+    const setup = await authed('post', '/api/auth/mfa/setup').expect(200);
+    const { secret } = setup.body.data;
+    credential = { userId: 7, secretEncrypted: credentials.savePending.mock.calls[0][1], enabledAt: null, lastUsedStep: null };
+
+    const step = Totp.getStep();
+    const enabled = await authed('post', '/api/auth/mfa/enable').send({ code: Totp.generateCode(secret, step) }).expect(200);
+    credential = { ...credential, enabledAt: new Date(), lastUsedStep: step };
+    return { secret, step, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  // Credential and recovery-code state lives in the models (tested above); here each call is scripted
+  beforeEach(() => {
+    credential = null;
+    dbUser = { id: 7, email: 'user@example.com', password: 'hash', is_active: true, email_verified: true, role: 'user', mfa_enabled: false };
+
+    credentials = {
+      savePending: jest.spyOn(MfaCredential.prototype, 'savePending').mockResolvedValue(true),
+      findByUserId: jest.spyOn(MfaCredential.prototype, 'findByUserId').mockImplementation(async () => credential),
+      enable: jest.spyOn(MfaCredential.prototype, 'enable').mockResolvedValue(),
+      markStepUsed: jest.spyOn(MfaCredential.prototype, 'markStepUsed').mockResolvedValue(true),
+      delete: jest.spyOn(MfaCredential.prototype, 'delete').mockResolvedValue()
+    };
+    recoveryCodes = {
+      replaceForUser: jest.spyOn(MfaRecoveryCode.prototype, 'replaceForUser').mockResolvedValue(),
+      consume: jest.spyOn(MfaRecoveryCode.prototype, 'consume').mockResolvedValue(false),
+      countRemaining: jest.spyOn(MfaRecoveryCode.prototype, 'countRemaining').mockResolvedValue(config.mfa.recoveryCodeCount),
+      deleteForUser: jest.spyOn(MfaRecoveryCode.prototype, 'deleteForUser').mockResolvedValue()
+    };
+    challenges = {
+      isUsed: jest.spyOn(MfaChallenge.prototype, 'isUsed').mockResolvedValue(false),
+      markUsed: jest.spyOn(MfaChallenge.prototype, 'markUsed').mockResolvedValue(true),
+      purgeExpired: jest.spyOn(MfaChallenge.prototype, 'purgeExpired').mockResolvedValue(0)
+    };
+    attempts = {
+      record: jest.spyOn(LoginAttempt.prototype, 'record').mockResolvedValue(),
+      getEmailFailures: jest.spyOn(LoginAttempt.prototype, 'getEmailFailures').mockResolvedValue({ count: 0, lastFailureAt: null }),
+      getIpFailures: jest.spyOn(LoginAttempt.prototype, 'getIpFailures').mockResolvedValue({ count: 0, lastFailureAt: null })
+    };
+
+    jest.spyOn(User.prototype, 'findByEmail').mockImplementation(async email => (email === dbUser.email ? { ...dbUser } : null));
+    jest.spyOn(User.prototype, 'findById').mockImplementation(async id => (id === dbUser.id ? User.prototype.formatUser(dbUser) : null));
+    jest.spyOn(User.prototype, 'validatePassword').mockImplementation(async password => password === 'correct-password');
+    jest.spyOn(User.prototype, 'setMfaEnabled').mockImplementation(async (id, enabled) => { dbUser.mfa_enabled = enabled; });
+    jest.spyOn(RefreshToken.prototype, 'create').mockResolvedValue();
+    jest.spyOn(AuthService.prototype, 'delay').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should log in with the password alone while MFA is off', async () => {
+    const response = await login().expect(200);
+
+    expect(response.body.data.accessToken).toBeDefined();
+    expect(response.body.data.status).toBeUndefined();
+  });
+
+  test('should enroll with a code and return recovery codes once', async () => {
+    const setup = await authed('post', '/api/auth/mfa/setup').expect(200);
+    const [[userId, secretEncrypted]] = credentials.savePending.mock.calls;
+
+    expect(setup.body.data.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(setup.body.data.otpauthUrl).toContain(`secret=${setup.body.data.secret}`);
+    expect(userId).toBe(7);
+    expect(secretEncrypted).not.toContain(setup.body.data.secret);
+
+    credential = { userId: 7, secretEncrypted, enabledAt: null, lastUsedStep: null };
+    const wrong = await authed('post', '/api/auth/mfa/enable').send({ code: '000000' }).expect(401);
+    expect(wrong.body.error.code).toBe('INVALID_MFA_CODE');
+
+    const step = Totp.getStep();
+    const enabled = await authed('post', '/api/auth/mfa/enable')
+      .send({ code: Totp.generateCode(setup.body.data.secret, step) })
+      .expect(200);
+
+    expect(credentials.enable).toHaveBeenCalledWith(7, step);
+    expect(enabled.body.data.recoveryCodes).toHaveLength(config.mfa.recoveryCodeCount);
+    expect(enabled.body.data.recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(recoveryCodes.replaceForUser).toHaveBeenCalledWith(7, enabled.body.data.recoveryCodes.map(hashRecoveryCode));
+    expect(dbUser.mfa_enabled).toBe(true);
+
+    credential = { ...credential, enabledAt: new Date(), lastUsedStep: step };
+    const status = await authed('get', '/api/auth/mfa').expect(200);
+    expect(status.body.data).toMatchObject({ enabled: true, recoveryCodesRemaining: config.mfa.recoveryCodeCount });
+
+    credentials.savePending.mockResolvedValueOnce(false);
+    const again = await authed('post', '/api/auth/mfa/setup').expect(409);
+    expect(again.body.error.code).toBe('MFA_ALREADY_ENABLED');
+  });
+
+  test('should reject enable before setup', async () => {
+    const response = await authed('post', '/api/auth/mfa/enable').send({ code: '123456' }).expect(400);
+
+    expect(response.body.error.code).toBe('MFA_NOT_SET_UP');
+  });
+
+  test('should require a second step and exchange the mfa token for tokens', async () => {
+    const { secret, step } = await enroll();
+
+    const first = await login().expect(200);
+    expect(first.body.data).toMatchObject({ status: 'mfa_required', expiresIn: config.mfa.challengeTtlSeconds });
+    expect(first.body.data.accessToken).toBeUndefined();
+    expect(recorded().pop().event).toBe('mfa_challenged');
+
+    const response = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: first.body.data.mfaToken, code: Totp.generateCode(secret, step + 1) })
+      .expect(200);
+
+    expect(credentials.markStepUsed).toHaveBeenCalledWith(7, step + 1);
+    expect(response.body.data.user.id).toBe(7);
+    expect(response.body.data.refreshToken).toBeDefined();
+    expect(jwt.decode(response.body.data.accessToken)).toMatchObject({ userId: 7, typ: 'access' });
+    expect(recorded().pop()).toMatchObject({ event: 'login_succeeded', reason: 'totp' });
+  });
+
+  test('should not accept the mfa token as an access token or vice versa', async () => {
+    await enroll();
+    const { mfaToken } = (await login().expect(200)).body.data;
+
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${mfaToken}`).expect(401);
+
+    const response = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: accessToken, code: '123456' })
+      .expect(401);
+    expect(response.body.error.code).toBe('INVALID_MFA_TOKEN');
+  });
+
+  test('should complete one login per mfa token', async () => {
+    const { secret, step, recoveryCodes: issued } = await enroll();
+    const { mfaToken } = (await login().expect(200)).body.data;
+    const { jti, exp } = jwt.decode(mfaToken);
+
+    await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken, code: Totp.generateCode(secret, step + 1) })
+      .expect(200);
+    expect(challenges.isUsed).toHaveBeenCalledWith(jti);
+    expect(challenges.markUsed).toHaveBeenCalledWith(jti, 7, new Date(exp * 1000));
+
+    challenges.isUsed.mockResolvedValueOnce(true);
+    const replay = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken, recoveryCode: issued[0] })
+      .expect(401);
+    expect(replay.body.error.code).toBe('MFA_TOKEN_USED');
+    expect(recoveryCodes.consume).not.toHaveBeenCalled();
+  });
+
+  test('should refuse the second of two concurrent exchanges of one mfa token', async () => {
+    const { secret, step } = await enroll();
+    const { mfaToken } = (await login().expect(200)).body.data;
+    challenges.markUsed.mockResolvedValueOnce(false);
+
+    const response = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken, code: Totp.generateCode(secret, step + 1) })
+      .expect(401);
+
+    expect(response.body.error.code).toBe('MFA_TOKEN_USED');
+    expect(response.body.data).toBeUndefined();
+    expect(RefreshToken.prototype.create).not.toHaveBeenCalled();
+  });
+
+  test('should reject a code whose time step was already used', async () => {
+    const { secret, step } = await enroll();
+    const { mfaToken } = (await login().expect(200)).body.data;
+    credentials.markStepUsed.mockResolvedValueOnce(false);
+
+    const replay = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken, code: Totp.generateCode(secret, step + 1) })
+      .expect(401);
+
+    expect(replay.body.error.code).toBe('INVALID_MFA_CODE');
+    expect(credentials.markStepUsed).toHaveBeenCalledWith(7, step + 1);
+  });
+
+  test('should consume recovery codes by normalized hash', async () => {
+    const { recoveryCodes: issued } = await enroll();
+    recoveryCodes.consume.mockResolvedValueOnce(true);
+
+    const first = await login().expect(200);
+    await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: first.body.data.mfaToken, recoveryCode: issued[0].toUpperCase() })
+      .expect(200);
+    expect(recoveryCodes.consume).toHaveBeenCalledWith(7, hashRecoveryCode(issued[0]));
+    expect(recorded().pop()).toMatchObject({ event: 'login_succeeded', reason: 'recovery_code' });
+
+    const second = await login().expect(200);
+    const rejected = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: second.body.data.mfaToken, recoveryCode: issued[0] })
+      .expect(401);
+    expect(rejected.body.error.code).toBe('INVALID_MFA_CODE');
+  });
+
+  test('should count wrong codes towards the account lockout', async () => {
+    await enroll();
+    const { mfaToken } = (await login().expect(200)).body.data;
+
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken, code: '000000' }).expect(401);
+    expect(recorded().pop()).toMatchObject({ email: 'user@example.com', event: 'login_failed' });
+
+    attempts.getEmailFailures.mockResolvedValue({ count: config.loginProtection.maxFailures, lastFailureAt: new Date() });
+    const locked = await request(app).post('/api/auth/login/mfa').send({ mfaToken, code: '000000' }).expect(423);
+    expect(locked.body.error.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('should disable MFA only with the password and a valid code', async () => {
+    const { secret, step } = await enroll();
+
+    const wrongPassword = await authed('post', '/api/auth/mfa/disable')
+      .send({ password: 'nope', code: Totp.generateCode(secret, step + 1) })
+      .expect(401);
+    expect(wrongPassword.body.error.code).toBe('INVALID_PASSWORD');
+
+    const missingCode = await authed('post', '/api/auth/mfa/disable').send({ password: 'correct-password' }).expect(400);
+    expect(missingCode.body.error.code).toBe('MISSING_MFA_CODE');
+    expect(credentials.delete).not.toHaveBeenCalled();
+
+    await authed('post', '/api/auth/mfa/disable')
+      .send({ password: 'correct-password', code: Totp.generateCode(secret, step + 1) })
+      .expect(200);
+
+    expect(dbUser.mfa_enabled).toBe(false);
+    expect(credentials.delete).toHaveBeenCalledWith(7);
+    expect(recoveryCodes.deleteForUser).toHaveBeenCalledWith(7);
+    expect((await login().expect(200)).body.data.accessToken).toBeDefined();
+  });
+
+  test('should replace recovery codes', async () => {
+    const { secret, step, recoveryCodes: issued } = await enroll();
+
+    const response = await authed('post', '/api/auth/mfa/recovery-codes')
+      .send({ code: Totp.generateCode(secret, step + 1) })
+      .expect(200);
+
+    const replaced = response.body.data.recoveryCodes;
+    expect(replaced).toHaveLength(config.mfa.recoveryCodeCount);
+    expect(replaced).not.toContain(issued[0]);
+    expect(recoveryCodes.replaceForUser).toHaveBeenLastCalledWith(7, replaced.map(hashRecoveryCode));
+  });
+});
@@ -0,0 +1,134 @@
+const NasaPowerApiService = require('../src/services/nasaApiService');
+const ResponseCacheService = require('../src/services/responseCacheService');
+
+// Hourly T2M response for every day in [start, end], value = day of month
+const buildResponse = (start, end) => {
+  const T2M = {};
+  for (let day = new Date(`${start}T00:00:00Z`); day <= new Date(`${end}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+    const prefix = day.toISOString().slice(0, 10).replace(/-/g, '');
+    for (let hour = 0; hour < 24; hour++) {
+      T2M[`${prefix}${String(hour).padStart(2, '0')}`] = day.getUTCDate();
+    }
+  }
+  return { geometry: { coordinates: [29, 41, 0] }, properties: { parameter: { T2M } }, parameters: {} };
+};
+
+describe('NasaPowerApiService batched fetching', () => {
+  let nasaApiService;
+  let cacheStore;
+
+  beforeEach(() => {
+    nasaApiService = new NasaPowerApiService();
+    nasaApiService.maxRequestDays = 366;
+    nasaApiService.maxMergeGapDays = 3;
+    cacheStore = new Map();
+    nasaApiService.cache = {
+      get: jest.fn(async key => (cacheStore.has(key) ? { value: cacheStore.get(key), cachedAt: 'cachedAt', expiresAt: null } : null)),
+      set: jest.fn(async (key, value) => { cacheStore.set(key, value); })
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should not merge the same days of different years', () => {
+    const spans = nasaApiService.getPredictionSpans('2030-06-15', 20);
+    const chunks = nasaApiService.planRequestChunks(spans);
+
+    expect(spans).toHaveLength(20);
+    expect(chunks).toHaveLength(20);
+    expect(chunks.every(chunk => chunk.startDate === chunk.endDate)).toBe(true);
+    expect(chunks.flatMap(chunk => chunk.spanIndexes).sort((a, b) => a - b))
+      .toEqual([...Array(20).keys()]);
+  });
+
+  test('should merge spans that overlap or are a few days apart', () => {
+    const spans = [
+      { startDate: '2020-06-15', endDate: '2020-06-16' },
+      { startDate: '2020-06-16', endDate: '2020-06-17' },
+      { startDate: '2020-06-21', endDate: '2020-06-21' },
+      { startDate: '2020-06-26', endDate: '2020-06-26' }
+    ];
+
+    expect(nasaApiService.planRequestChunks(spans)).toEqual([
+      { startDate: '2020-06-15', endDate: '2020-06-21', spanIndexes: [0, 1, 2] },
+      { startDate: '2020-06-26', endDate: '2020-06-26', spanIndexes: [3] }
+    ]);
+  });
+
+  test('should keep every span in its own chunk when they cannot be merged', () => {
+    nasaApiService.maxRequestDays = 3;
+    const spans = [
+      { startDate: '2020-06-14', endDate: '2020-06-16' },
+      { startDate: '2020-06-17', endDate: '2020-06-19' }
+    ];
+
+    expect(nasaApiService.planRequestChunks(spans)).toHaveLength(2);
+  });
+
+  test('should fetch a 20-year prediction one year at a time and cache each year', async () => {
+    const requestSpy = jest.spyOn(nasaApiService, 'requestWeatherData')
+      .mockImplementation(async (lat, lon, start, end) => buildResponse(start, end));
+
+    const historicalData = await nasaApiService.fetchHistoricalDataForPrediction(41, 29, '2030-06-15', 20, ['T2M'], { windowDays: 1 });
+
+    expect(requestSpy).toHaveBeenCalledTimes(20);
+    expect(historicalData).toHaveLength(20);
+    for (const { year, data } of historicalData) {
+      const days = new Set(Object.keys(data.properties.parameter.T2M).map(key => key.slice(0, 8)));
+      expect(days).toEqual(new Set([`${year}0614`, `${year}0615`, `${year}0616`]));
+    }
+    expect(nasaApiService.cache.set).toHaveBeenCalledTimes(20);
+  });
+
+  test('should cache the spans of a merged chunk one by one and reuse them', async () => {
+    const requestSpy = jest.spyOn(nasaApiService, 'requestWeatherData')
+      .mockImplementation(async (lat, lon, start, end) => buildResponse(start, end));
+    const spans = [
+      { startDate: '2020-06-15', endDate: '2020-06-15' },
+      { startDate: '2020-06-17', endDate: '2020-06-17' }
+    ];
+
+    const first = await nasaApiService.fetchWeatherDataSpans(41, 29, spans, ['T2M']);
+
+    expect(requestSpy).toHaveBeenCalledTimes(1);
+    expect(requestSpy).toHaveBeenCalledWith(41, 29, '2020-06-15', '2020-06-17', ['T2M']);
+    expect([...cacheStore.keys()]).toEqual([
+      ResponseCacheService.buildPowerKey(41, 29, '2020-06-15', '2020-06-15', ['T2M']),
+      ResponseCacheService.buildPowerKey(41, 29, '2020-06-17', '2020-06-17', ['T2M'])
+    ]);
+    expect(Object.keys(cacheStore.get([...cacheStore.keys()][1]).properties.parameter.T2M)).toHaveLength(24);
+    expect(first[1].data.cache).toEqual({ hit: false });
+
+    const second = await nasaApiService.fetchWeatherDataSpans(41, 29, [...spans, { startDate: '2020-06-30', endDate: '2020-06-30' }], ['T2M']);
+
+    expect(requestSpy).toHaveBeenCalledTimes(2);
+    expect(requestSpy).toHaveBeenLastCalledWith(41, 29, '2020-06-30', '2020-06-30', ['T2M']);
+    expect(second[0].data.cache.hit).toBe(true);
+    expect(second[2].data.properties.parameter.T2M['2020063000']).toBe(30);
+  });
+
+  test('should report failed chunks per span', async () => {
+    let calls = 0;
+    jest.spyOn(nasaApiService, 'requestWeatherData').mockImplementation(async (lat, lon, start, end) => {
+      calls++;
+      if (calls === 1) {
+        throw new Error('NASA POWER API service unavailable');
+      }
+      return buildResponse(start, end);
+    });
+
+    const spans = [
+      { startDate: '2020-06-15', endDate: '2020-06-15' },
+      { startDate: '2021-06-15', endDate: '2021-06-15' }
+    ];
+    const results = await nasaApiService.fetchWeatherDataSpans(41, 29, spans, ['T2M']);
+
+    expect(results[0].error.message).toBe('NASA POWER API service unavailable');
+    expect(results[1].error).toBeNull();
+    expect(results[1].data.properties.parameter.T2M['2021061500']).toBe(15);
+  });
+});
@@ -0,0 +1,246 @@
+const request = require('supertest');
+const App = require('../src/app');
+const NasaDonkiService = require('../src/services/nasaDonkiService');
+const UpstreamHttpClient = require('../src/services/upstreamHttpClient');
+const config = require('../src/config/config');
+
+const CME = {
+  activityID: '2025-10-01T12:36:00-CME-001',
+  catalog: 'M2M_CATALOG',
+  startTime: '2025-10-01T12:36Z',
+  sourceLocation: 'N15W30',
+  activeRegionNum: 14232,
+  instruments: [{ displayName: 'SOHO: LASCO/C2' }],
+  cmeAnalyses: [
+    { time21_5: '2025-10-01T15:00Z', speed: 700, type: 'C', isMostAccurate: false },
+    { time21_5: '2025-10-01T15:10Z', speed: 1100, type: 'O', halfAngle: 45, isMostAccurate: true }
+  ],
+  linkedEvents: [{ activityID: '2025-10-03T18:45:00-IPS-001' }],
+  link: 'https://webtools.ccmc.gsfc.nasa.gov/DONKI/view/CME/1/-1'
+};
+
+describe('NASA DONKI service', () => {
+  let service;
+  let getSpy;
+
+  beforeEach(() => {
+    service = new NasaDonkiService();
+    service.apiKey = 'test-key';
+    getSpy = jest.spyOn(service.httpClient, 'get');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should normalize CMEs and pick the most accurate analysis', async () => {
+    getSpy.mockResolvedValue({ data: [CME, { activityID: 'no-analysis', cmeAnalyses: null }] });
+
+    const result = await service.getCoronalMassEjections('2025-10-01', '2025-10-05');
+
+    expect(getSpy.mock.calls[0][0]).toMatch(/\/CME$/);
+    expect(getSpy.mock.calls[0][1].params).toMatchObject({ startDate: '2025-10-01', endDate: '2025-10-05' });
+    expect(result.data.source).toBe('NASA DONKI CME');
+    expect(result.data.totalCount).toBe(2);
+
+    const [cme, bare] = result.data.coronalMassEjections;
+    expect(cme.analyses).toHaveLength(2);
+    expect(cme.mostAccurateAnalysis).toMatchObject({ speed: 1100, type: 'O', halfAngle: 45, latitude: null });
+    expect(cme.linkedEvents).toEqual(CME.linkedEvents);
+    expect(bare).toMatchObject({ analyses: [], mostAccurateAnalysis: null, linkedEvents: [] });
+
+    expect(result.data.statistics).toEqual({ analyzedCount: 1, maxSpeed: 1100, averageSpeed: 1100, byType: { O: 1 } });
+  });
+
+  test('should rank flares by X-ray flux', async () => {
+    getSpy.mockResolvedValue({
+      data: [
+        { flrID: 'f1', classType: 'M9.9', beginTime: '2025-10-01T10:00Z', endTime: '2025-10-01T10:30Z' },
+        { flrID: 'f2', classType: 'X1.0', beginTime: '2025-10-02T10:00Z', endTime: '2025-10-02T11:00Z' },
+        { flrID: 'f3', classType: 'C2.1', beginTime: '2025-10-03T10:00Z', endTime: null }
+      ]
+    });
+
+    const result = await service.getSolarFlares();
+
+    expect(result.data.flares.map(flare => flare.flrID)).toEqual(['f1', 'f2', 'f3']);
+    expect(result.data.statistics).toEqual({
+      byClass: { A: 0, B: 0, C: 1, M: 1, X: 1 },
+      strongestClass: 'X1.0',
+      averageDurationMinutes: 45
+    });
+  });
+
+  test('should count SEP and HSS events per instrument', async () => {
+    getSpy.mockResolvedValue({
+      data: [
+        { sepID: 's1', eventTime: '2025-10-02T08:00Z', instruments: [{ displayName: 'GOES-P: SEISS >10 MeV' }], linkedEvents: [{ activityID: 'x' }] },
+        { sepID: 's2', eventTime: '2025-10-04T08:00Z', instruments: [{ displayName: 'GOES-P: SEISS >10 MeV' }, { displayName: 'STEREO A: IMPACT 13-100 MeV' }] }
+      ]
+    });
+
+    const seps = await service.getSolarEnergeticParticles();
+    expect(seps.data.solarEnergeticParticles[1]).toMatchObject({ sepID: 's2', linkedEvents: [] });
+    expect(seps.data.statistics).toEqual({
+      byInstrument: { 'GOES-P: SEISS >10 MeV': 2, 'STEREO A: IMPACT 13-100 MeV': 1 },
+      withLinkedEvents: 1
+    });
+
+    getSpy.mockResolvedValue({ data: [{ hssID: 'h1', eventTime: '2025-09-27T20:34Z' }] });
+
+    const streams = await service.getHighSpeedStreams();
+    expect(getSpy.mock.calls[1][0]).toMatch(/\/HSS$/);
+    expect(streams.data.highSpeedStreams[0]).toMatchObject({ hssID: 'h1', instruments: [] });
+  });
+
+  test('should pass the IPS location and count shocks per location', async () => {
+    getSpy.mockResolvedValue({ data: [{ activityID: 'i1', location: 'Earth' }, { activityID: 'i2', location: 'Earth' }] });
+
+    const result = await service.getInterplanetaryShocks('2025-10-01', '2025-10-05', 'Earth');
+
+    expect(getSpy.mock.calls[0][1].params.location).toBe('Earth');
+    expect(result.data.statistics.byLocation).toEqual({ Earth: 2 });
+  });
+
+  test('should treat an empty DONKI body as no records', async () => {
+    getSpy.mockResolvedValue({ data: '' });
+
+    const result = await service.getInterplanetaryShocks();
+
+    expect(result.data).toMatchObject({ shocks: [], totalCount: 0, statistics: { byLocation: {}, byInstrument: {}, withLinkedEvents: 0 } });
+  });
+
+  test('should map upstream errors', async () => {
+    getSpy.mockRejectedValue(Object.assign(new Error('Bad gateway'), { response: { status: 502, data: {} } }));
+
+    await expect(service.getSolarFlares()).rejects.toMatchObject({ code: 'NASA_DONKI_UNAVAILABLE', statusCode: 502 });
+  });
+});
+
+describe('DONKI linked-event graph', () => {
+  // flare → CME → shock → storm, each record linking to its neighbours as DONKI does
+  const RECORDS = {
+    FLR: [{ flrID: '2025-10-01T10:00:00-FLR-001', beginTime: '2025-10-01T10:00Z', classType: 'X1.2', linkedEvents: [{ activityID: '2025-10-01T10:30:00-CME-001' }] }],
+    CME: [{
+      activityID: '2025-10-01T10:30:00-CME-001',
+      startTime: '2025-10-01T10:30Z',
+      cmeAnalyses: [{ speed: 1500, halfAngle: 60, isMostAccurate: true }],
+      linkedEvents: [
+        { activityID: '2025-10-01T10:00:00-FLR-001' },
+        { activityID: '2025-10-03T06:00:00-IPS-001' },
+        { activityID: '2025-10-03T09:00:00-GST-001' }
+      ]
+    }],
+    IPS: [{ activityID: '2025-10-03T06:00:00-IPS-001', eventTime: '2025-10-03T06:00Z', location: 'Earth', linkedEvents: [{ activityID: '2025-10-01T10:30:00-CME-001' }] }],
+    GST: [{
+      gstID: '2025-10-03T09:00:00-GST-001',
+      startTime: '2025-10-03T09:00Z',
+      allKpIndex: [{ kpIndex: 7.67 }],
+      linkedEvents: [{ activityID: '2025-10-01T10:30:00-CME-001' }, { activityID: '2025-10-02T00:00:00-MPC-001' }]
+    }]
+  };
+  const originalMaxNodes = config.nasaApi.linkedEventMaxNodes;
+  let service;
+  let getSpy;
+
+  beforeEach(() => {
+    service = new NasaDonkiService();
+    service.apiKey = 'test-key';
+    getSpy = jest.spyOn(service.httpClient, 'get').mockImplementation(async url => ({ data: RECORDS[url.split('/').pop()] || [] }));
+  });
+
+  afterEach(() => {
+    config.nasaApi.linkedEventMaxNodes = originalMaxNodes;
+    jest.restoreAllMocks();
+  });
+
+  test('should walk the chain from a storm and order it by time', async () => {
+    const result = await service.getLinkedEventGraph('2025-10-03T09:00:00-GST-001');
+    const { nodes, edges, warnings, truncated } = result.data;
+
+    expect(nodes.map(node => node.type)).toEqual(['FLR', 'CME', 'MPC', 'IPS', 'GST']);
+    expect(nodes[0]).toMatchObject({ typeName: 'Solar Flare', resolved: true, details: { classType: 'X1.2' } });
+    expect(nodes[1].details).toMatchObject({ speed: 1500, halfAngle: 60 });
+    expect(nodes[2]).toMatchObject({ activityID: '2025-10-02T00:00:00-MPC-001', resolved: false, time: '2025-10-02T00:00:00.000Z' });
+    expect(nodes[4]).toMatchObject({ time: '2025-10-03T09:00:00.000Z', details: { maxKpIndex: 7.67 } });
+
+    expect(edges).toEqual([
+      { from: '2025-10-01T10:00:00-FLR-001', to: '2025-10-01T10:30:00-CME-001' },
+      { from: '2025-10-01T10:30:00-CME-001', to: '2025-10-03T06:00:00-IPS-001' },
+      { from: '2025-10-01T10:30:00-CME-001', to: '2025-10-03T09:00:00-GST-001' },
+      { from: '2025-10-02T00:00:00-MPC-001', to: '2025-10-03T09:00:00-GST-001' }
+    ]);
+    expect(warnings).toEqual([expect.objectContaining({ activityID: '2025-10-02T00:00:00-MPC-001', code: 'UNSUPPORTED_EVENT_TYPE' })]);
+    expect(truncated).toBe(false);
+
+    // One request per type and day
+    expect(getSpy).toHaveBeenCalledTimes(4);
+    expect(getSpy.mock.calls.find(([url]) => url.endsWith('/GST'))[1].params).toMatchObject({ startDate: '2025-10-02', endDate: '2025-10-04' });
+  });
+
+  test('should stop at the node limit', async () => {
+    config.nasaApi.linkedEventMaxNodes = 2;
+
+    const result = await service.getLinkedEventGraph('2025-10-01T10:00:00-FLR-001');
+
+    expect(result.data.nodes).toHaveLength(2);
+    expect(result.data.edges).toHaveLength(1);
+    expect(result.data.truncated).toBe(true);
+  });
+
+  test('should report linked records that fail to load', async () => {
+    getSpy.mockImplementation(async url => {
+      if (url.endsWith('/IPS')) {
+        throw Object.assign(new Error('down'), { request: {} });
+      }
+      return { data: RECORDS[url.split('/').pop()] || [] };
+    });
+
+    const result = await service.getLinkedEventGraph('2025-10-01T10:30:00-CME-001');
+    const shock = result.data.nodes.find(node => node.type === 'IPS');
+
+    expect(shock).toMatchObject({ resolved: false, details: null });
+    expect(result.data.warnings).toContainEqual(expect.objectContaining({ activityID: shock.activityID, code: 'NASA_DONKI_UNAVAILABLE' }));
+  });
+
+  test('should reject malformed, unsupported and unknown IDs', async () => {
+    await expect(service.getLinkedEventGraph('storm-1')).rejects.toMatchObject({ code: 'INVALID_ACTIVITY_ID', statusCode: 400 });
+    await expect(service.getLinkedEventGraph('2025-10-02T00:00:00-MPC-001')).rejects.toMatchObject({ code: 'INVALID_ACTIVITY_ID' });
+    await expect(service.getLinkedEventGraph('2025-10-03T09:00:00-GST-009')).rejects.toMatchObject({ code: 'ACTIVITY_NOT_FOUND', statusCode: 404 });
+  });
+});
+
+describe('DONKI routes', () => {
+  const app = new App().getApp();
+  const originalApiKey = config.nasaApi.apiKey;
+
+  // The routes create their service on first use, reading the key then
+  beforeAll(() => {
+    config.nasaApi.apiKey = 'test-key';
+  });
+
+  afterAll(() => {
+    config.nasaApi.apiKey = originalApiKey;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve CMEs with the requested date range', async () => {
+    const getSpy = jest.spyOn(UpstreamHttpClient.prototype, 'get').mockResolvedValue({ data: [CME] });
+
+    const response = await request(app).get('/api/geomagnetic/cme?startDate=2025-10-01&endDate=2025-10-05').expect(200);
+
+    expect(response.body.data.coronalMassEjections[0].activityID).toBe(CME.activityID);
+    expect(getSpy.mock.calls[0][1].params).toMatchObject({ startDate: '2025-10-01', endDate: '2025-10-05' });
+  });
+
+  test('should validate dates and the IPS location', async () => {
+    const reversed = await request(app).get('/api/geomagnetic/flares?startDate=2025-10-05&endDate=2025-10-01').expect(400);
+    expect(reversed.body.error.code).toBe('DATE_RANGE_INVALID');
+
+    const location = await request(app).get('/api/geomagnetic/ips?location=Mars').expect(400);
+    expect(location.body.error.code).toBe('INVALID_LOCATION');
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const App = require('../src/app');
+const NoaaSwpcService = require('../src/services/noaaSwpcService');
+const UpstreamHttpClient = require('../src/services/upstreamHttpClient');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const STORM_FORECAST = readFixture('swpc-3-day-forecast.txt');
+const QUIET_FORECAST = readFixture('swpc-3-day-forecast-quiet.txt');
+const OUTLOOK = readFixture('swpc-27-day-outlook.txt');
+
+describe('NoaaSwpcService 3-day forecast parsing', () => {
+  const service = new NoaaSwpcService();
+
+  test('should parse the Kp breakdown, ignoring G-scale annotations', () => {
+    const result = service.parse3DayForecast(STORM_FORECAST);
+
+    expect(result.issued).toBe('2025-10-04T12:30:00.000Z');
+    expect(result.forecasts.map(day => day.date)).toEqual(['2025-10-04', '2025-10-05', '2025-10-06']);
+    expect(result.forecasts[0].kpValues).toEqual([4.67, 4, 3.67, 3.33, 3, 3.33, 4, 5.33]);
+    expect(result.forecasts[1]).toMatchObject({ maxKpIndex: 6.33, stormLevel: 'G2-Moderate' });
+    expect(result.forecasts[2].kpValues).toHaveLength(8);
+    expect(result.forecasts[0].kpBlocks[7]).toEqual({ startHour: 21, kp: 5.33 });
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should keep the UT hour of the blocks after an unreadable Kp value', () => {
+    const result = service.parse3DayForecast(STORM_FORECAST.replace('03-06UT       4.00         6.33 (G2)', '03-06UT       4.00         ***'));
+    const { kpBlocks } = result.forecasts[1];
+
+    expect(kpBlocks).toHaveLength(7);
+    expect(kpBlocks.map(block => block.startHour)).toEqual([0, 6, 9, 12, 15, 18, 21]);
+    expect(result.forecasts[2].kpBlocks[1]).toEqual({ startHour: 3, kp: 3 });
+    expect(result.warnings[0].code).toBe('MISSING_VALUES');
+  });
+
+  test('should parse the geomagnetic observation, expectation and rationale', () => {
+    const { geomagnetic } = service.parse3DayForecast(STORM_FORECAST);
+
+    expect(geomagnetic.greatestObserved).toEqual({ hours: 24, kp: 5, stormLevel: 'G1-Minor' });
+    expect(geomagnetic.greatestExpected).toEqual({ period: 'Oct 04-Oct 06 2025', kp: 6.33, stormLevel: 'G2-Moderate' });
+    expect(geomagnetic.rationale).toBe(
+      'G1 (Minor) geomagnetic storm levels are likely on 04 Oct and G2 (Moderate) storm levels are likely on 05 Oct due to the anticipated arrival of the 01 Oct CME.'
+    );
+  });
+
+  test('should parse solar radiation storm probabilities', () => {
+    const { solarRadiation } = service.parse3DayForecast(STORM_FORECAST);
+
+    expect(solarRadiation.observed).toBe('Solar radiation, as observed by NOAA GOES-18 over the past 24 hours, was below S-scale storm level thresholds.');
+    expect(solarRadiation.forecasts).toEqual([
+      { date: '2025-10-04', s1OrGreater: 10 },
+      { date: '2025-10-05', s1OrGreater: 10 },
+      { date: '2025-10-06', s1OrGreater: 5 }
+    ]);
+    expect(solarRadiation.rationale).toMatch(/^There is a slight chance for S1 \(Minor\).* Region 4236\.$/);
+  });
+
+  test('should parse radio blackout probabilities', () => {
+    const { radioBlackout } = service.parse3DayForecast(STORM_FORECAST);
+
+    expect(radioBlackout.observed).toBe('Radio blackouts reaching the R1 levels were observed over the past 24 hours. The largest was at Oct 03 2025 2151 UTC.');
+    expect(radioBlackout.forecasts).toEqual([
+      { date: '2025-10-04', r1ToR2: 55, r3OrGreater: 10 },
+      { date: '2025-10-05', r1ToR2: 50, r3OrGreater: 10 },
+      { date: '2025-10-06', r1ToR2: 45, r3OrGreater: 5 }
+    ]);
+    expect(radioBlackout.rationale).toMatch(/^R1-R2 \(Minor-Moderate\) radio blackouts are likely/);
+  });
+
+  test('should report quiet conditions without a storm level', () => {
+    const result = service.parse3DayForecast(QUIET_FORECAST);
+
+    expect(result.geomagnetic.greatestObserved).toEqual({ hours: 24, kp: 2, stormLevel: null });
+    expect(result.geomagnetic.greatestExpected).toMatchObject({ kp: 3, stormLevel: null });
+    expect(result.forecasts.every(day => day.stormLevel === null)).toBe(true);
+    expect(result.solarRadiation.forecasts[0]).toEqual({ date: '2025-09-14', s1OrGreater: 1 });
+    expect(result.radioBlackout.forecasts[2]).toEqual({ date: '2025-09-16', r1ToR2: 15, r3OrGreater: 1 });
+    expect(result.radioBlackout.observed).toBe('No radio blackouts were observed over the past 24 hours.');
+  });
+
+  test('should parse products with Windows line endings', () => {
+    const result = service.parse3DayForecast(QUIET_FORECAST.replace(/\n/g, '\r\n'));
+
+    expect(result.forecasts).toHaveLength(3);
+    expect(result.radioBlackout.forecasts).toHaveLength(3);
+    expect(result.geomagnetic.rationale).toMatch(/^No G1 \(Minor\)/);
+  });
+
+  test('should skip Kp columns whose date cannot be read', () => {
+    const result = service.parse3DayForecast(QUIET_FORECAST.replace('Sep 14       Sep 15       Sep 16', 'Sep 14       Sep 15       Sep 31'));
+
+    expect(result.forecasts.map(day => day.date)).toEqual(['2025-09-14', '2025-09-15']);
+    expect(result.warnings[0].code).toBe('INVALID_DATE');
+  });
+});
+
+describe('NoaaSwpcService 27-day outlook parsing', () => {
+  const service = new NoaaSwpcService();
+
+  test('should add activity and storm levels to each row', () => {
+    const result = service.parse27DayOutlook(OUTLOOK);
+
+    expect(result.issued).toBe('2025-12-22T01:21:00.000Z');
+    expect(result.outlooks).toHaveLength(27);
+    expect(result.outlooks[4]).toEqual({
+      date: '2025-12-26',
+      kpIndex: 5,
+      aIndex: 20,
+      radioFlux: 158,
+      activityLevel: 'Minor Storm',
+      stormLevel: 'G1-Minor'
+    });
+    expect(result.outlooks[10].date).toBe('2026-01-01');
+    expect(result.warnings).toEqual([]);
+  });
+});
+
+describe('GET /api/geomagnetic/forecast/3-day', () => {
+  const app = new App().getApp();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return every section of the product', async () => {
+    const getSpy = jest.spyOn(UpstreamHttpClient.for('noaa-swpc'), 'get').mockResolvedValue({ data: STORM_FORECAST });
+
+    const response = await request(app).get('/api/geomagnetic/forecast/3-day').expect(200);
+    const { data } = response.body;
+
+    expect(getSpy.mock.calls[0][0]).toMatch(/\/3-day-forecast\.txt$/);
+    expect(data.source).toBe('NOAA SWPC 3-Day Forecast');
+    expect(data.forecasts).toHaveLength(3);
+    expect(data.geomagnetic.greatestObserved.kp).toBe(5);
+    expect(data.solarRadiation.forecasts).toHaveLength(3);
+    expect(data.radioBlackout.forecasts[0].r1ToR2).toBe(55);
+    expect(data.warnings).toEqual([]);
+  });
+});
+
+describe('GET /api/geomagnetic/forecast/27-day', () => {
+  const app = new App().getApp();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report parse warnings in the response', async () => {
+    const text = OUTLOOK.replace('2025 Dec 24     152          12          4', '2025 Dec 24     152          12');
+    jest.spyOn(UpstreamHttpClient.for('noaa-swpc'), 'get').mockResolvedValue({ data: text });
+
+    const response = await request(app).get('/api/geomagnetic/forecast/27-day').expect(200);
+    const { data } = response.body;
+
+    expect(data.outlooks).toHaveLength(26);
+    expect(data.warnings).toEqual([
+      { code: 'MALFORMED_ROW', message: 'Could not read outlook row "2025 Dec 24     152          12"', line: 13 }
+    ]);
+  });
+});
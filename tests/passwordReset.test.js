@@ -0,0 +1,131 @@
+const nodemailer = require('nodemailer');
+const AuthService = require('../src/services/authService');
+const PasswordResetToken = require('../src/models/PasswordResetToken');
+const mailService = require('../src/services/mailService');
+const config = require('../src/config/config');
+const { mockPool } = require('./helpers/mockPool');
+
+const dbUser = { id: 7, email: 'user@example.com', is_active: true };
+
+describe('PasswordResetToken model', () => {
+  let model;
+  let db;
+
+  beforeEach(() => {
+    model = new PasswordResetToken();
+    db = mockPool(model);
+  });
+
+  test('should invalidate earlier unused tokens before storing a new hash', async () => {
+    const expiresAt = new Date('2025-01-01T01:00:00Z');
+
+    await model.create({ userId: 7, tokenHash: 'hash', expiresAt });
+
+    expect(db.calls()).toEqual([
+      { sql: 'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL', params: [7] },
+      { sql: 'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)', params: [7, 'hash', expiresAt] }
+    ]);
+  });
+
+  test('should consume only an unused, unexpired token in one statement', async () => {
+    db.queue({ rows: [{ user_id: 7 }] }, { rows: [] });
+
+    await expect(model.consume('hash')).resolves.toBe(7);
+    await expect(model.consume('hash')).resolves.toBeNull();
+
+    expect(db.calls()[0]).toEqual({
+      sql: 'UPDATE password_reset_tokens SET used_at = NOW() WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW() RETURNING user_id',
+      params: ['hash']
+    });
+  });
+});
+
+describe('Password reset', () => {
+  let authService;
+  let transport;
+  let resets;
+
+  const sentMessages = async () => Promise.all(
+    transport.sendMail.mock.results.map(async result => JSON.parse((await result.value).message))
+  );
+
+  const tokenFromLastEmail = async () => {
+    const messages = await sentMessages();
+    return messages[messages.length - 1].text.match(/token=([0-9a-f]{64})/)[1];
+  };
+
+  // Token validity lives in PasswordResetToken (tested above); here consume() is scripted
+  beforeEach(() => {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+    jest.spyOn(transport, 'sendMail');
+    mailService.setTransport(transport);
+
+    resets = {
+      create: jest.fn().mockResolvedValue(),
+      consume: jest.fn().mockResolvedValue(null)
+    };
+
+    authService = new AuthService();
+    authService.passwordResetModel = resets;
+    authService.refreshTokenModel = { revokeAllForUser: jest.fn().mockResolvedValue(2) };
+    authService.userModel = {
+      findByEmail: jest.fn(async email => (email === dbUser.email ? dbUser : null)),
+      updatePassword: jest.fn().mockResolvedValue(true)
+    };
+  });
+
+  afterEach(() => {
+    mailService.setTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  test('should email a reset link and store only the token hash', async () => {
+    const before = Date.now();
+    const result = await authService.forgotPassword('user@example.com');
+
+    expect(result.success).toBe(true);
+    const [message] = await sentMessages();
+    expect(message.to).toEqual([{ address: 'user@example.com', name: '' }]);
+    expect(message.subject).toBe('Reset your password');
+
+    const token = await tokenFromLastEmail();
+    const [[stored]] = resets.create.mock.calls;
+    expect(stored).toEqual({ userId: 7, tokenHash: authService.hashToken(token), expiresAt: expect.any(Date) });
+    expect(stored.tokenHash).not.toBe(token);
+    expect(stored.expiresAt.getTime()).toBeGreaterThanOrEqual(before + config.passwordReset.tokenTtlMinutes * 60 * 1000);
+  });
+
+  test('should answer the same way for unknown emails without sending anything', async () => {
+    const known = await authService.forgotPassword('user@example.com');
+    const unknown = await authService.forgotPassword('nobody@example.com');
+
+    expect(unknown.message).toBe(known.message);
+    expect(transport.sendMail).toHaveBeenCalledTimes(1);
+    expect(resets.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reset the password once and revoke every session', async () => {
+    await authService.forgotPassword('user@example.com');
+    const token = await tokenFromLastEmail();
+    resets.consume.mockResolvedValueOnce(7);
+
+    await authService.resetPassword(token, 'newPassword1');
+
+    expect(resets.consume).toHaveBeenCalledWith(authService.hashToken(token));
+    expect(authService.userModel.updatePassword).toHaveBeenCalledWith(7, 'newPassword1');
+    expect(authService.refreshTokenModel.revokeAllForUser).toHaveBeenCalledWith(7, 'password_reset');
+    await expect(authService.resetPassword(token, 'otherPassword2')).rejects.toMatchObject({
+      code: 'INVALID_RESET_TOKEN',
+      statusCode: 400
+    });
+    expect(authService.userModel.updatePassword).toHaveBeenCalledTimes(1);
+  });
+
+  test('should validate the new password before consuming the token', async () => {
+    await authService.forgotPassword('user@example.com');
+    const token = await tokenFromLastEmail();
+
+    await expect(authService.resetPassword(token, 'short')).rejects.toMatchObject({ code: 'PASSWORD_TOO_SHORT' });
+    expect(resets.consume).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+const PredictionModels = require('../src/services/predictionModels');
+const WeatherDataService = require('../src/services/weatherDataService');
+const historicalData = require('./fixtures/power-historical-t2m.json');
+
+// Hour 00 samples from the fixture: 2019-2023 => 10, 11, 12, 13, 19
+const samples = historicalData.map(({ year, data }) => ({
+  year,
+  value: data.properties.parameter.T2M[`${year}061500`]
+}));
+const context = { targetYear: 2025 };
+
+describe('PredictionModels', () => {
+  test('should register the built-in models', () => {
+    expect(PredictionModels.list()).toEqual(
+      expect.arrayContaining(['arithmetic_mean', 'median', 'linear_trend', 'exponential_weighted'])
+    );
+  });
+
+  test('should reject unknown methods with a validation error', () => {
+    expect(() => PredictionModels.get('crystal_ball')).toThrow('Unknown prediction method: crystal_ball');
+  });
+
+  test('arithmetic_mean should average all years', () => {
+    expect(PredictionModels.get('arithmetic_mean').predict(samples, context)).toBeCloseTo(13);
+  });
+
+  test('median should ignore the outlier year', () => {
+    expect(PredictionModels.get('median').predict(samples, context)).toBe(12);
+  });
+
+  test('median should average the middle pair for even sample counts', () => {
+    expect(PredictionModels.get('median').predict(samples.slice(0, 4), context)).toBe(11.5);
+  });
+
+  test('linear_trend should extrapolate the yearly slope to the target year', () => {
+    // Slope is 2/year around a mean of 13 in 2021, so 2025 => 13 + 2 * 4
+    expect(PredictionModels.get('linear_trend').predict(samples, context)).toBeCloseTo(21);
+  });
+
+  test('linear_trend should fall back to the mean for a single year', () => {
+    expect(PredictionModels.get('linear_trend').predict([samples[0]], context)).toBe(10);
+  });
+
+  test('exponential_weighted should favour recent years', () => {
+    // Half-life of 5 years: weights 0.5^(4/5) ... 0.5^0 for 2019 ... 2023
+    expect(PredictionModels.get('exponential_weighted').predict(samples, context)).toBeCloseTo(13.57, 2);
+  });
+});
+
+describe('WeatherDataService.calculatePrediction', () => {
+  const weatherDataService = new WeatherDataService();
+
+  test.each([
+    ['arithmetic_mean', 13, 23],
+    ['median', 12, 22],
+    ['linear_trend', 21, 31],
+    ['exponential_weighted', 13.57, 23.57]
+  ])('should apply %s per hour', (method, expectedNight, expectedDay) => {
+    const { prediction, metadata } = weatherDataService.calculatePrediction(
+      historicalData,
+      '2025-06-15',
+      ['T2M'],
+      { method }
+    );
+
+    expect(prediction.properties.parameter.T2M['2025061500']).toBe(expectedNight);
+    expect(prediction.properties.parameter.T2M['2025061512']).toBe(expectedDay);
+    expect(metadata.method).toBe(method);
+    expect(metadata.yearsUsed).toBe(5);
+  });
+
+  test('should report the method in processed prediction metadata', () => {
+    const { prediction, metadata } = weatherDataService.calculatePrediction(
+      historicalData,
+      '2025-06-15',
+      ['T2M'],
+      { method: 'median' }
+    );
+    const processed = weatherDataService.processWeatherData(prediction, '2025-06-15', 'prediction', metadata);
+
+    expect(processed.predictionMetadata.method).toBe('median');
+    expect(processed.predictionMethod).toBe('median');
+  });
+});
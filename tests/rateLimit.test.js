@@ -0,0 +1,150 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const RateLimitService = require('../src/services/rateLimitService');
+const MemoryRateLimitStore = require('../src/services/memoryRateLimitStore');
+const config = require('../src/config/config');
+
+const originalRateLimit = JSON.parse(JSON.stringify(config.rateLimit));
+
+const setTiers = (anonymous, authenticated) => {
+  config.rateLimit.tiers.anonymous = anonymous;
+  config.rateLimit.tiers.authenticated = authenticated;
+};
+
+afterEach(() => {
+  Object.assign(config.rateLimit, JSON.parse(JSON.stringify(originalRateLimit)));
+  jest.restoreAllMocks();
+});
+
+describe('RateLimitService', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new RateLimitService(new MemoryRateLimitStore());
+    setTiers({ maxRequests: 3, dailyQuota: 100 }, { maxRequests: 10, dailyQuota: 12 });
+  });
+
+  test('should allow requests until the window limit is reached', async () => {
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await limiter.consume('ip:203.0.113.5', 'anonymous'));
+    }
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].window.remaining).toBe(0);
+    expect(results[3].scope).toBe('window');
+  });
+
+  test('should charge weighted requests their cost', async () => {
+    const first = await limiter.consume('user:1', 'authenticated', 8);
+    const second = await limiter.consume('user:1', 'authenticated', 8);
+
+    expect(first.window.remaining).toBe(2);
+    expect(second.allowed).toBe(false);
+  });
+
+  test('should enforce the daily quota across windows', async () => {
+    config.rateLimit.windowMs = 20;
+    await limiter.consume('user:2', 'authenticated', 10);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const result = await limiter.consume('user:2', 'authenticated', 5);
+
+    expect(result.allowed).toBe(false);
+    expect(result.scope).toBe('daily');
+    expect(result.daily.limit).toBe(12);
+  });
+
+  test('should not use daily quota for requests rejected by the window', async () => {
+    for (let i = 0; i < 5; i++) {
+      await limiter.consume('ip:198.51.100.1', 'anonymous');
+    }
+
+    const counter = limiter.store.counters.get('daily:ip:198.51.100.1');
+    expect(counter.count).toBe(3);
+  });
+
+  test('should let requests through when the store fails', async () => {
+    limiter.store.increment = jest.fn().mockRejectedValue(new Error('connection refused'));
+
+    const result = await limiter.consume('user:3', 'authenticated');
+
+    expect(result.allowed).toBe(true);
+  });
+});
+
+describe('Rate limit middleware', () => {
+  const app = new App().getApp();
+  const tokenFor = userId => jwt.sign(
+    { userId, email: `user${userId}@example.com`, emailVerified: true, role: 'user', typ: 'access' },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+
+  beforeEach(() => {
+    config.rateLimit.enabled = true;
+    jest.spyOn(RateLimitService, 'getShared').mockReturnValue(new RateLimitService(new MemoryRateLimitStore()));
+  });
+
+  test('should send RateLimit headers and reject with RATE_LIMIT once exhausted', async () => {
+    setTiers({ maxRequests: 2, dailyQuota: 100 }, { maxRequests: 10, dailyQuota: 100 });
+
+    const first = await request(app).get('/api/weather/parameters').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=900, 100;w=86400');
+
+    await request(app).get('/api/weather/parameters').expect(200);
+    const limited = await request(app).get('/api/weather/parameters').expect(429);
+
+    expect(limited.headers['retry-after']).toBeDefined();
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(limited.body.error).toMatchObject({
+      code: 'RATE_LIMIT',
+      details: { limit: 2, remaining: 0, scope: 'window' }
+    });
+  });
+
+  test('should give each authenticated user their own tier and counter', async () => {
+    setTiers({ maxRequests: 1, dailyQuota: 100 }, { maxRequests: 5, dailyQuota: 100 });
+
+    await request(app).get('/api/weather/parameters').expect(200);
+    await request(app).get('/api/weather/parameters').expect(429);
+
+    const response = await request(app)
+      .get('/api/weather/parameters')
+      .set('Authorization', `Bearer ${tokenFor(11)}`)
+      .expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBe('5');
+    expect(response.headers['ratelimit-remaining']).toBe('4');
+  });
+
+  test('should charge bulk requests more', async () => {
+    setTiers({ maxRequests: 1, dailyQuota: 100 }, { maxRequests: 15, dailyQuota: 100 });
+    config.rateLimit.bulkCost = 10;
+
+    const first = await request(app)
+      .post('/api/weather/bulk')
+      .set('Authorization', `Bearer ${tokenFor(12)}`)
+      .send({});
+    expect(first.headers['ratelimit-remaining']).toBe('5');
+
+    const second = await request(app)
+      .post('/api/weather/bulk')
+      .set('Authorization', `Bearer ${tokenFor(12)}`)
+      .send({})
+      .expect(429);
+    expect(second.body.error.code).toBe('RATE_LIMIT');
+  });
+
+  test('should not limit health probes', async () => {
+    setTiers({ maxRequests: 1, dailyQuota: 1 }, { maxRequests: 1, dailyQuota: 1 });
+
+    await request(app).get('/api/health/live').expect(200);
+    const response = await request(app).get('/api/health/live').expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+});
@@ -0,0 +1,194 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const config = require('../src/config/config');
+const MemoryCacheStore = require('../src/services/memoryCacheStore');
+const ResponseCacheService = require('../src/services/responseCacheService');
+const NasaPowerApiService = require('../src/services/nasaApiService');
+const WeatherDataService = require('../src/services/weatherDataService');
+const CacheEntry = require('../src/models/CacheEntry');
+const logger = require('../src/utils/logger');
+const { mockPool } = require('./helpers/mockPool');
+
+const powerResponse = {
+  geometry: { coordinates: [29, 41, 0] },
+  properties: { parameter: { T2M: { 2020061500: 21.5 } } },
+  parameters: { T2M: { units: 'C' } }
+};
+
+describe('MemoryCacheStore', () => {
+  test('should evict the least recently used entry', async () => {
+    const store = new MemoryCacheStore(2);
+    await store.set('a', 1, null);
+    await store.set('b', 2, null);
+    await store.get('a');
+    await store.set('c', 3, null);
+
+    expect(await store.get('a')).not.toBeNull();
+    expect(await store.get('b')).toBeNull();
+    expect(await store.size()).toBe(2);
+  });
+
+  test('should expire entries after their TTL', async () => {
+    const store = new MemoryCacheStore(10);
+    await store.set('a', 1, 60);
+    store.entries.get('a').expiresAt = new Date(Date.now() - 1000);
+
+    expect(await store.get('a')).toBeNull();
+  });
+
+  test('should purge by key prefix', async () => {
+    const store = new MemoryCacheStore(10);
+    await store.set('power:1:a', 1, null);
+    await store.set('power:1:b', 2, null);
+    await store.set('power:2:a', 3, null);
+
+    expect(await store.purge('power:1:')).toBe(2);
+    expect(await store.size()).toBe(1);
+  });
+
+  test('should purge expired entries separately', async () => {
+    const store = new MemoryCacheStore(10);
+    await store.set('power:1:a', 1, 60);
+    await store.set('power:2:a', 2, 60);
+    await store.set('power:2:b', 3, null);
+    store.entries.get('power:2:a').expiresAt = new Date(Date.now() - 1000);
+
+    expect(await store.purge('power:1:')).toBe(1);
+    expect(await store.purgeExpired()).toBe(1);
+    expect([...store.entries.keys()]).toEqual(['power:2:b']);
+  });
+});
+
+describe('CacheEntry', () => {
+  let model;
+  let db;
+
+  beforeEach(() => {
+    model = new CacheEntry();
+    db = mockPool(model);
+  });
+
+  test('should purge only the requested prefix', async () => {
+    db.queue({ rowCount: 2 });
+
+    await expect(model.purge('power:41.0000:29.0000:')).resolves.toBe(2);
+    await model.purge('100%_sure');
+
+    expect(db.calls()).toEqual([
+      { sql: "DELETE FROM response_cache WHERE cache_key LIKE $1 || '%'", params: ['power:41.0000:29.0000:'] },
+      { sql: "DELETE FROM response_cache WHERE cache_key LIKE $1 || '%'", params: ['100\\%\\_sure'] }
+    ]);
+  });
+
+  test('should purge expired entries on their own', async () => {
+    db.queue({ rowCount: 3 });
+
+    await expect(model.purgeExpired()).resolves.toBe(3);
+    expect(db.calls()[0].sql).toBe('DELETE FROM response_cache WHERE expires_at IS NOT NULL AND expires_at <= NOW()');
+  });
+});
+
+describe('ResponseCacheService', () => {
+  test('should build keys independent of parameter order', () => {
+    expect(ResponseCacheService.buildPowerKey(41, 29, '2020-06-15', '2020-06-16', ['T2M', 'PS']))
+      .toBe(ResponseCacheService.buildPowerKey('41.0000', 29, '2020-06-15', '2020-06-16', ['PS', 'T2M']));
+  });
+
+  test('should cache settled data forever and recent data briefly', () => {
+    expect(ResponseCacheService.getPowerTtlSeconds('2000-01-01')).toBeNull();
+    expect(ResponseCacheService.getPowerTtlSeconds(new Date().toISOString().slice(0, 10)))
+      .toBe(config.cache.recentTtlSeconds);
+  });
+
+  test('should treat store failures as misses', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const cache = new ResponseCacheService({
+      get: async () => { throw new Error('connection refused'); }
+    });
+
+    expect(await cache.get('key')).toBeNull();
+    expect(cache.stats.errors).toBe(1);
+    expect(warn).toHaveBeenCalledWith('Response cache read failed', { error: expect.any(Error) });
+    warn.mockRestore();
+  });
+
+  test('should count only the purged prefix and drop expired entries separately', async () => {
+    const store = {
+      purge: jest.fn().mockResolvedValue(1),
+      purgeExpired: jest.fn().mockResolvedValue(4)
+    };
+    const cache = new ResponseCacheService(store);
+
+    expect(await cache.purge('power:41.0000:29.0000:')).toBe(1);
+    expect(store.purge).toHaveBeenCalledWith('power:41.0000:29.0000:');
+    expect(store.purgeExpired).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('NasaPowerApiService response caching', () => {
+  let nasaApiService;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    nasaApiService = new NasaPowerApiService();
+    nasaApiService.cache = new ResponseCacheService(new MemoryCacheStore(10));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve repeated requests from the cache and report hits', async () => {
+    const upstream = jest.spyOn(nasaApiService, 'requestWeatherData').mockResolvedValue(powerResponse);
+
+    const first = await nasaApiService.fetchWeatherData(41, 29, '2020-06-15', '2020-06-15', ['T2M']);
+    const second = await nasaApiService.fetchWeatherData(41, 29, '2020-06-15', '2020-06-15', ['T2M']);
+
+    expect(upstream).toHaveBeenCalledTimes(1);
+    expect(first.cache).toEqual({ hit: false });
+    expect(second.cache).toEqual(expect.objectContaining({ hit: true, expiresAt: null }));
+
+    const processed = new WeatherDataService().processWeatherData(second, '2020-06-15');
+    expect(processed.metadata.cache.hit).toBe(true);
+  });
+
+  test('should not cache failed requests', async () => {
+    const upstream = jest.spyOn(nasaApiService, 'requestWeatherData')
+      .mockRejectedValueOnce(new Error('NASA POWER API service unavailable'))
+      .mockResolvedValueOnce(powerResponse);
+
+    await expect(nasaApiService.fetchWeatherData(41, 29, '2020-06-15', '2020-06-15', ['T2M'])).rejects.toThrow();
+    await nasaApiService.fetchWeatherData(41, 29, '2020-06-15', '2020-06-15', ['T2M']);
+
+    expect(upstream).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Admin cache endpoints', () => {
+  const app = new App().getApp();
+  const tokenFor = (email, role) => jwt.sign({ userId: 1, email, role, typ: 'access' }, config.jwt.secret);
+
+  test('should reject non-admin users', async () => {
+    const response = await request(app)
+      .delete('/api/admin/cache')
+      .set('Authorization', `Bearer ${tokenFor('user@example.com', 'user')}`)
+      .expect(403);
+
+    expect(response.body.error.code).toBe('FORBIDDEN');
+  });
+
+  test('should purge cached entries for a location', async () => {
+    const cache = ResponseCacheService.getShared();
+    await cache.set(ResponseCacheService.buildPowerKey(41, 29, '2020-06-15', '2020-06-15', ['T2M']), powerResponse, null);
+    await cache.set(ResponseCacheService.buildPowerKey(10, 10, '2020-06-15', '2020-06-15', ['T2M']), powerResponse, null);
+
+    const response = await request(app)
+      .delete('/api/admin/cache?latitude=41&longitude=29')
+      .set('Authorization', `Bearer ${tokenFor('admin@example.com', 'admin')}`)
+      .expect(200);
+
+    expect(response.body.data.removed).toBe(1);
+    expect(await cache.store.size()).toBe(1);
+  });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const App = require('../src/app');
+const SavedLocation = require('../src/models/SavedLocation');
+const WeatherController = require('../src/controllers/weatherController');
+const ApiKeyService = require('../src/services/apiKeyService');
+const OpenaqService = require('../src/services/openaqService');
+const NasaEonetService = require('../src/services/nasaEonetService');
+const config = require('../src/config/config');
+const { mockPool } = require('./helpers/mockPool');
+
+const location = data => ({ id: 1, createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z', ...data });
+const kennedy = location({ name: 'Kennedy Space Center', latitude: 28.5729, longitude: -80.649 });
+
+describe('SavedLocation model', () => {
+  let model;
+  let db;
+
+  const row = { id: 1, name: 'Home', latitude: 1, longitude: 2, created_at: 'created', updated_at: 'updated' };
+  const home = { id: 1, name: 'Home', latitude: 1, longitude: 2, createdAt: 'created', updatedAt: 'updated' };
+  const uniqueViolation = () => Object.assign(new Error('duplicate key value'), { code: '23505' });
+
+  beforeEach(() => {
+    model = new SavedLocation();
+    db = mockPool(model);
+  });
+
+  test('should save a location for its owner', async () => {
+    db.queue({ rows: [row] });
+
+    await expect(model.create({ userId: 7, name: 'Home', latitude: 1, longitude: 2 })).resolves.toEqual(home);
+
+    const [call] = db.calls();
+    expect(call.sql).toContain('INSERT INTO saved_locations (user_id, name, latitude, longitude) VALUES ($1, $2, $3, $4)');
+    expect(call.params).toEqual([7, 'Home', 1, 2]);
+  });
+
+  test('should report a duplicate name as a client error and pass other errors through', async () => {
+    db.query.mockRejectedValueOnce(uniqueViolation());
+    await expect(model.create({ userId: 7, name: 'home', latitude: 1, longitude: 2 })).rejects.toMatchObject({
+      code: 'LOCATION_NAME_EXISTS',
+      statusCode: 409
+    });
+
+    db.query.mockRejectedValueOnce(uniqueViolation());
+    await expect(model.update(7, 1, { name: 'home' })).rejects.toMatchObject({ code: 'LOCATION_NAME_EXISTS' });
+
+    const failure = Object.assign(new Error('connection reset'), { code: 'ECONNRESET' });
+    db.query.mockRejectedValueOnce(failure);
+    await expect(model.create({ userId: 7, name: 'Home', latitude: 1, longitude: 2 })).rejects.toBe(failure);
+  });
+
+  test('should scope every lookup to the owner', async () => {
+    db.queue({ rows: [{ count: 2 }] }, { rows: [row] }, { rows: [] }, { rowCount: 0 });
+
+    await expect(model.countForUser(7)).resolves.toBe(2);
+    await expect(model.listForUser(7)).resolves.toEqual([home]);
+    await expect(model.findForUser(7, 1)).resolves.toBeNull();
+    await expect(model.delete(7, 1)).resolves.toBe(false);
+
+    const [count, list, find, remove] = db.calls();
+    expect(count).toEqual({ sql: 'SELECT COUNT(*)::integer AS count FROM saved_locations WHERE user_id = $1', params: [7] });
+    expect(list.sql).toContain('WHERE user_id = $1 ORDER BY LOWER(name), id');
+    expect(find.sql).toContain('WHERE user_id = $1 AND id = $2');
+    expect(find.params).toEqual([7, 1]);
+    expect(remove).toEqual({ sql: 'DELETE FROM saved_locations WHERE user_id = $1 AND id = $2', params: [7, 1] });
+  });
+
+  test('should update only the given fields', async () => {
+    db.queue({ rows: [{ ...row, name: 'KSC' }] }, { rows: [] });
+
+    await expect(model.update(7, 1, { name: 'KSC' })).resolves.toEqual({ ...home, name: 'KSC' });
+    await expect(model.update(8, 1, { latitude: 5 })).resolves.toBeNull();
+
+    const [first, second] = db.calls();
+    expect(first.sql).toContain('SET name = COALESCE($3, name), latitude = COALESCE($4, latitude), longitude = COALESCE($5, longitude)');
+    expect(first.sql).toContain('WHERE user_id = $1 AND id = $2 RETURNING');
+    expect(first.params).toEqual([7, 1, 'KSC', undefined, undefined]);
+    expect(second.params).toEqual([8, 1, undefined, 5, undefined]);
+  });
+});
+
+describe('Saved locations', () => {
+  const app = new App().getApp();
+  const tokenFor = userId => jwt.sign(
+    { userId, email: `user${userId}@example.com`, emailVerified: true, role: 'user', typ: 'access' },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+  const originalMax = config.savedLocations.maxPerUser;
+  let model;
+
+  const authed = (method, path, userId = 7) => request(app)[method](path).set('Authorization', `Bearer ${tokenFor(userId)}`);
+
+  const save = async (body, userId = 7) => {
+    const response = await authed('post', '/api/auth/locations', userId).send(body).expect(201);
+    return response.body.data.location;
+  };
+
+  // Ownership and ordering live in SavedLocation (tested above); here each model call is scripted
+  beforeEach(() => {
+    model = {
+      create: jest.spyOn(SavedLocation.prototype, 'create').mockImplementation(async ({ name, latitude, longitude }) => location({ name, latitude, longitude })),
+      countForUser: jest.spyOn(SavedLocation.prototype, 'countForUser').mockResolvedValue(0),
+      listForUser: jest.spyOn(SavedLocation.prototype, 'listForUser').mockResolvedValue([]),
+      findForUser: jest.spyOn(SavedLocation.prototype, 'findForUser').mockResolvedValue(null),
+      update: jest.spyOn(SavedLocation.prototype, 'update').mockResolvedValue(null),
+      delete: jest.spyOn(SavedLocation.prototype, 'delete').mockResolvedValue(false)
+    };
+  });
+
+  afterEach(() => {
+    config.savedLocations.maxPerUser = originalMax;
+    jest.restoreAllMocks();
+  });
+
+  test('should require authentication', async () => {
+    await request(app).get('/api/auth/locations').expect(401);
+  });
+
+  test('should only let API keys read locations, and only with weather:read', async () => {
+    const user = { id: 7, email: 'user7@example.com', role: 'user', emailVerified: true };
+    jest.spyOn(ApiKeyService.prototype, 'authenticate').mockImplementation(async key =>
+      ({ apiKeyId: 1, scopes: key === 'nwk_bulk' ? ['bulk'] : ['weather:read'], user }));
+    const withKey = (method, path, key) => request(app)[method](path).set('X-API-Key', key);
+
+    for (const [method, path] of [['post', '/api/auth/locations'], ['put', '/api/auth/locations/1'], ['delete', '/api/auth/locations/1']]) {
+      const response = await withKey(method, path, 'nwk_read').send({ name: 'Home', latitude: 1, longitude: 2 }).expect(403);
+      expect(response.body.error.code).toBe('API_KEY_NOT_ALLOWED');
+    }
+    expect(model.create).not.toHaveBeenCalled();
+    expect(model.update).not.toHaveBeenCalled();
+    expect(model.delete).not.toHaveBeenCalled();
+
+    const bulkOnly = await withKey('get', '/api/auth/locations', 'nwk_bulk').expect(403);
+    expect(bulkOnly.body.error.code).toBe('INSUFFICIENT_SCOPE');
+
+    await withKey('get', '/api/auth/locations', 'nwk_read').expect(200);
+    expect(model.listForUser).toHaveBeenCalledWith(7);
+  });
+
+  test('should allow PUT and DELETE in CORS preflights', async () => {
+    const response = await request(app)
+      .options('/api/auth/locations/1')
+      .set('Origin', 'https://app.example.com')
+      .set('Access-Control-Request-Method', 'DELETE')
+      .expect(204);
+
+    expect(response.headers['access-control-allow-methods']).toBe('GET,POST,PUT,DELETE');
+  });
+
+  test('should create, list, update and delete locations', async () => {
+    const saved = await save({ name: ' Kennedy Space Center ', latitude: 28.5729, longitude: -80.649 });
+
+    expect(model.create).toHaveBeenCalledWith({ userId: 7, name: 'Kennedy Space Center', latitude: 28.5729, longitude: -80.649 });
+    expect(saved).toMatchObject({ id: 1, name: 'Kennedy Space Center', latitude: 28.5729, longitude: -80.649 });
+
+    const houston = location({ id: 2, name: 'Houston', latitude: 29.5593, longitude: -95.09 });
+    model.listForUser.mockResolvedValueOnce([houston, kennedy]);
+    const list = await authed('get', '/api/auth/locations').expect(200);
+    expect(list.body.data.locations.map(entry => entry.name)).toEqual(['Houston', 'Kennedy Space Center']);
+
+    model.update.mockResolvedValueOnce({ ...kennedy, name: 'KSC' });
+    const updated = await authed('put', '/api/auth/locations/1').send({ name: 'KSC' }).expect(200);
+    expect(model.update).toHaveBeenCalledWith(7, 1, { name: 'KSC' });
+    expect(updated.body.data.location).toMatchObject({ name: 'KSC', latitude: 28.5729 });
+
+    model.delete.mockResolvedValueOnce(true);
+    await authed('delete', '/api/auth/locations/1').expect(200);
+    expect(model.delete).toHaveBeenCalledWith(7, 1);
+  });
+
+  test('should answer 404 for locations the user does not own', async () => {
+    const response = await authed('get', '/api/auth/locations/1').expect(404);
+    expect(response.body.error.code).toBe('LOCATION_NOT_FOUND');
+    await authed('delete', '/api/auth/locations/1').expect(404);
+    await authed('put', '/api/auth/locations/1').send({ name: 'Mine' }).expect(404);
+
+    expect(model.findForUser).toHaveBeenCalledWith(7, 1);
+  });
+
+  test('should validate coordinates and names', async () => {
+    const response = await authed('post', '/api/auth/locations').send({ name: '', latitude: 95, longitude: 'east' }).expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details.map(detail => detail.field)).toEqual(['name', 'latitude', 'longitude']);
+
+    await authed('put', '/api/auth/locations/1').send({}).expect(400);
+    await authed('get', '/api/auth/locations/abc').expect(404);
+    expect(model.create).not.toHaveBeenCalled();
+    expect(model.findForUser).not.toHaveBeenCalled();
+  });
+
+  test('should reject duplicate names and enforce the per-user limit', async () => {
+    model.create.mockRejectedValueOnce(SavedLocation.prototype.mapUniqueViolation(Object.assign(new Error('duplicate'), { code: '23505' })));
+    const duplicate = await authed('post', '/api/auth/locations').send({ name: 'home', latitude: 3, longitude: 4 }).expect(409);
+    expect(duplicate.body.error.code).toBe('LOCATION_NAME_EXISTS');
+
+    config.savedLocations.maxPerUser = 1;
+    model.countForUser.mockResolvedValueOnce(1);
+    const limited = await authed('post', '/api/auth/locations').send({ name: 'Work', latitude: 3, longitude: 4 }).expect(409);
+    expect(limited.body.error.code).toBe('LOCATION_LIMIT_REACHED');
+    expect(model.create).toHaveBeenCalledTimes(1);
+  });
+
+  describe('locationId on coordinate-based routes', () => {
+    beforeEach(() => {
+      model.findForUser.mockImplementation(async (userId, id) => (userId === 7 && id === 1 ? kennedy : null));
+    });
+
+    test('should replace latitude/longitude on /api/weather/data', async () => {
+      jest.spyOn(WeatherController.prototype, 'getWeatherData').mockImplementation(async (req, res) => res.json({ query: req.query }));
+
+      const response = await authed('get', '/api/weather/data?locationId=1&date=2024-01-01').expect(200);
+
+      expect(response.body.query).toEqual({ latitude: '28.5729', longitude: '-80.649', date: '2024-01-01' });
+    });
+
+    test('should reject locationId combined with coordinates', async () => {
+      const response = await authed('get', '/api/weather/data?locationId=1&latitude=1&date=2024-01-01').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].field).toBe('latitude');
+    });
+
+    test('should reject another user\'s location', async () => {
+      const response = await authed('get', '/api/weather/data?locationId=1&date=2024-01-01', 8).expect(404);
+
+      expect(response.body.error.code).toBe('LOCATION_NOT_FOUND');
+    });
+
+    test('should fill coordinates on /api/openaq/airquality and require authentication there', async () => {
+      jest.spyOn(OpenaqService.prototype, 'getAirQuality').mockImplementation(async (lat, lon) => ({ success: true, lat, lon }));
+
+      const response = await authed('get', '/api/openaq/airquality?locationId=1').expect(200);
+      expect(response.body).toMatchObject({ lat: 28.5729, lon: -80.649 });
+
+      await request(app).get('/api/openaq/airquality?locationId=1').expect(401);
+    });
+
+    test('should fill proximity and a default bbox on /api/eonet/events/regional', async () => {
+      jest.spyOn(NasaEonetService.prototype, 'getEvents').mockImplementation(async filters => ({ success: true, filters }));
+
+      const response = await authed('get', '/api/eonet/events/regional?locationId=1').expect(200);
+
+      expect(response.body.filters).toEqual({
+        bbox: '-85.649,23.5729,-75.649,33.5729',
+        userLat: '28.5729',
+        userLon: '-80.649'
+      });
+    });
+  });
+});
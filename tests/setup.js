@@ -4,6 +4,8 @@ require('dotenv').config({ path: '.env.test' });
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.PORT = 3001;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED || 'false';
 
 // Increase timeout for NASA API calls
 jest.setTimeout(30000);
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const SwpcTextParser = require('../src/utils/swpcTextParser');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const STORM_FORECAST = readFixture('swpc-3-day-forecast.txt');
+const YEAR_END_FORECAST = readFixture('swpc-3-day-forecast-year-end.txt');
+const OUTLOOK = readFixture('swpc-27-day-outlook.txt');
+
+// 1-based line number of the first line containing the text
+const lineOf = (text, fragment) => text.split('\n').findIndex(line => line.includes(fragment)) + 1;
+
+describe('SwpcTextParser dates', () => {
+  test('should resolve a date to the year nearest the reference', () => {
+    const issued = new Date('2025-12-30T12:30:00Z');
+
+    expect(SwpcTextParser.resolveDate('Dec', 31, issued)).toBe('2025-12-31');
+    expect(SwpcTextParser.resolveDate('Jan', 1, issued)).toBe('2026-01-01');
+    expect(SwpcTextParser.resolveDate('Dec', 31, new Date('2026-01-02T00:00:00Z'))).toBe('2025-12-31');
+    expect(SwpcTextParser.resolveDate('oct', 5, new Date('2025-10-04T22:05:00Z'))).toBe('2025-10-05');
+  });
+
+  test('should only resolve real dates', () => {
+    expect(SwpcTextParser.resolveDate('Feb', 29, new Date('2028-02-27T00:00:00Z'))).toBe('2028-02-29');
+    expect(SwpcTextParser.resolveDate('Feb', 29, new Date('2026-03-01T00:00:00Z'))).toBeNull();
+    expect(SwpcTextParser.resolveDate('Apr', 31, new Date('2025-04-29T00:00:00Z'))).toBeNull();
+    expect(SwpcTextParser.resolveDate('Foo', 1, new Date('2025-04-29T00:00:00Z'))).toBeNull();
+    expect(SwpcTextParser.toDateString(2025, 'Sep', 0)).toBeNull();
+  });
+});
+
+describe('SwpcTextParser 3-day forecast', () => {
+  test('should parse a complete product without warnings', () => {
+    const result = SwpcTextParser.parse3DayForecast(STORM_FORECAST);
+
+    expect(result.issued).toBe('2025-10-04T12:30:00.000Z');
+    expect(result.kp.dates).toEqual(['2025-10-04', '2025-10-05', '2025-10-06']);
+    expect(result.kp.rows).toHaveLength(8);
+    expect(result.kp.rows[7]).toEqual({ label: '21-00UT', values: [5.33, 3.33, 2.67] });
+    expect(result.geomagnetic.greatestObserved).toEqual({ hours: 24, kp: 5, scale: 'G1' });
+    expect(result.geomagnetic.greatestExpected).toEqual({ period: 'Oct 04-Oct 06 2025', kp: 6.33, scale: 'G2' });
+    expect(result.solarRadiation.forecasts[2]).toEqual({ date: '2025-10-06', s1OrGreater: 5 });
+    expect(result.radioBlackout.forecasts[0]).toEqual({ date: '2025-10-04', r1ToR2: 55, r3OrGreater: 10 });
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should take the year from the issue date across the year boundary', () => {
+    const result = SwpcTextParser.parse3DayForecast(YEAR_END_FORECAST);
+    const expected = ['2025-12-30', '2025-12-31', '2026-01-01'];
+
+    expect(result.issued).toBe('2025-12-30T12:30:00.000Z');
+    expect(result.kp.dates).toEqual(expected);
+    expect(result.solarRadiation.forecasts.map(day => day.date)).toEqual(expected);
+    expect(result.radioBlackout.forecasts.map(day => day.date)).toEqual(expected);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should fall back to the reference date without an :Issued: line', () => {
+    const text = YEAR_END_FORECAST.replace(/^:Issued:.*$/m, '');
+    const result = SwpcTextParser.parse3DayForecast(text, { referenceDate: new Date('2026-01-01T00:00:00Z') });
+
+    expect(result.issued).toBeNull();
+    expect(result.kp.dates).toEqual(['2025-12-30', '2025-12-31', '2026-01-01']);
+    expect(result.warnings).toEqual([{ code: 'ISSUED_MISSING', message: expect.any(String), line: null }]);
+  });
+
+  test('should report an unreadable :Issued: line', () => {
+    const text = STORM_FORECAST.replace('2025 Oct 04 1230 UTC', '2025 Oct 34 1230 UTC');
+    const result = SwpcTextParser.parse3DayForecast(text, { referenceDate: new Date('2025-10-04T00:00:00Z') });
+
+    expect(result.issued).toBeNull();
+    expect(result.warnings).toEqual([{ code: 'INVALID_ISSUED', message: expect.stringContaining('Oct 34'), line: 2 }]);
+    expect(result.kp.dates[0]).toBe('2025-10-04');
+  });
+
+  test('should keep rows with unreadable values and report them', () => {
+    const text = STORM_FORECAST.replace('03-06UT       4.00         6.33 (G2)', '03-06UT       4.00         ***');
+    const result = SwpcTextParser.parse3DayForecast(text);
+
+    expect(result.kp.rows[1]).toEqual({ label: '03-06UT', values: [4, null, 3] });
+    expect(result.warnings).toEqual([
+      { code: 'MISSING_VALUES', message: 'Row "03-06UT" has 2 readable values for 3 dates', line: lineOf(STORM_FORECAST, '03-06UT') }
+    ]);
+  });
+
+  test('should report malformed rows and missing sections', () => {
+    const text = STORM_FORECAST
+      .replace(/R1-R2 .*$/m, 'R1-R2           n/a')
+      .replace(/B\. NOAA Solar Radiation[\s\S]*?(?=C\. NOAA)/, '');
+    const result = SwpcTextParser.parse3DayForecast(text);
+
+    expect(result.radioBlackout.forecasts[0]).toEqual({ date: '2025-10-04', r1ToR2: null, r3OrGreater: 10 });
+    expect(result.solarRadiation).toEqual({ observed: null, forecasts: [], rationale: null });
+    expect(result.warnings.map(warning => warning.code)).toEqual(['MALFORMED_ROW', 'SECTION_MISSING', 'SECTION_MISSING']);
+    expect(result.warnings[0].line).toBe(lineOf(text, 'R1-R2           n/a'));
+    expect(result.warnings[2].message).toBe('No solar radiation storm forecast table found');
+  });
+
+  test('should report table dates that do not exist', () => {
+    const text = STORM_FORECAST.replace('Oct 04  Oct 05  Oct 06', 'Oct 04  Oct 05  Oct 36');
+    const result = SwpcTextParser.parse3DayForecast(text);
+
+    expect(result.solarRadiation.forecasts.map(day => day.date)).toEqual(['2025-10-04', '2025-10-05']);
+    expect(result.warnings).toEqual([
+      { code: 'INVALID_DATE', message: 'Invalid table date "Oct 36"', line: lineOf(STORM_FORECAST, 'Oct 04  Oct 05  Oct 06') }
+    ]);
+  });
+});
+
+describe('SwpcTextParser 27-day outlook', () => {
+  test('should parse every row across the year boundary', () => {
+    const result = SwpcTextParser.parse27DayOutlook(OUTLOOK);
+
+    expect(result.issued).toBe('2025-12-22T01:21:00.000Z');
+    expect(result.rows).toHaveLength(27);
+    expect(result.rows[0]).toEqual({ date: '2025-12-22', radioFlux: 148, aIndex: 8, kpIndex: 3 });
+    expect(result.rows[9].date).toBe('2025-12-31');
+    expect(result.rows[10].date).toBe('2026-01-01');
+    expect(result.rows[26].date).toBe('2026-01-17');
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should accept table headings without a # prefix', () => {
+    const result = SwpcTextParser.parse27DayOutlook(OUTLOOK.replace(/^#(\s+(UTC|Date))/gm, '$1'));
+
+    expect(result.rows).toHaveLength(27);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should report malformed, invalid and out-of-sequence rows', () => {
+    const text = OUTLOOK
+      .replace('2025 Dec 24     152          12          4', '2025 Dec 24     152          12')
+      .replace('2025 Dec 25', '2025 Dec 32')
+      .replace('2026 Jan 02', '2026 Jan 01')
+      .concat('Missing data for remaining days\n');
+    const result = SwpcTextParser.parse27DayOutlook(text);
+
+    expect(result.rows).toHaveLength(25);
+    expect(result.warnings).toEqual([
+      { code: 'MALFORMED_ROW', message: 'Could not read outlook row "2025 Dec 24     152          12"', line: lineOf(OUTLOOK, '2025 Dec 24') },
+      { code: 'INVALID_DATE', message: 'Invalid date "2025 Dec 32"', line: lineOf(OUTLOOK, '2025 Dec 25') },
+      { code: 'OUT_OF_SEQUENCE', message: '2026-01-01 does not follow 2026-01-01', line: lineOf(OUTLOOK, '2026 Jan 02') },
+      { code: 'MALFORMED_ROW', message: 'Unrecognized line "Missing data for remaining days"', line: lineOf(OUTLOOK, '2026 Jan 17') + 1 }
+    ]);
+  });
+
+  test('should report a product without rows', () => {
+    const result = SwpcTextParser.parse27DayOutlook(':Product: 27-day Space Weather Outlook Table 27DO.txt\n');
+
+    expect(result.rows).toEqual([]);
+    expect(result.warnings.map(warning => warning.code)).toEqual(['ISSUED_MISSING', 'SECTION_MISSING']);
+  });
+});
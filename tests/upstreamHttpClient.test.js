@@ -0,0 +1,143 @@
+const axios = require('axios');
+const UpstreamHttpClient = require('../src/services/upstreamHttpClient');
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+};
+
+describe('UpstreamHttpClient', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    client = new UpstreamHttpClient('test-upstream', {
+      retries: 2,
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      maxRetryAfterMs: 5000,
+      maxConcurrent: 4,
+      breakerFailureThreshold: 2,
+      breakerResetMs: 1000
+    });
+    jest.spyOn(client, 'delay').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should retry retryable failures with jittered backoff', async () => {
+    jest.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))
+      .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    const response = await client.get('http://upstream.test/data');
+
+    expect(response.data).toBe('ok');
+    expect(axios.request).toHaveBeenCalledTimes(3);
+    expect(client.delay.mock.calls[0][0]).toBeLessThanOrEqual(100);
+    expect(client.delay.mock.calls[1][0]).toBeLessThanOrEqual(200);
+  });
+
+  test('should not retry client errors or count them against the breaker', async () => {
+    jest.spyOn(axios, 'request').mockRejectedValue(httpError(404));
+
+    await expect(client.get('http://upstream.test/missing')).rejects.toThrow('status code 404');
+    await expect(client.get('http://upstream.test/missing')).rejects.toThrow('status code 404');
+
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(client.breaker.getState().state).toBe('closed');
+  });
+
+  test('should wait for Retry-After before retrying', async () => {
+    jest.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    await client.get('http://upstream.test/data');
+
+    expect(client.delay).toHaveBeenCalledWith(2000);
+  });
+
+  test('should give up immediately when Retry-After is too long', async () => {
+    jest.spyOn(axios, 'request').mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+
+    await expect(client.get('http://upstream.test/data')).rejects.toThrow('status code 429');
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('should open the breaker after repeated failures and recover through half-open', async () => {
+    jest.spyOn(axios, 'request').mockRejectedValue(httpError(500));
+
+    await expect(client.get('http://upstream.test/data', { retries: 0 })).rejects.toThrow();
+    await expect(client.get('http://upstream.test/data', { retries: 0 })).rejects.toThrow();
+
+    await expect(client.get('http://upstream.test/data')).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+      statusCode: 503,
+      upstream: 'test-upstream'
+    });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(client.breaker.getState().state).toBe('open');
+
+    // After the reset timeout a single trial request is let through
+    client.breaker.openedAt -= 1000;
+    axios.request.mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    await client.get('http://upstream.test/data');
+    expect(client.breaker.getState()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+  });
+
+  test('should limit concurrent requests per upstream', async () => {
+    client.maxConcurrent = 1;
+    let inFlight = 0;
+    let maxInFlight = 0;
+    jest.spyOn(axios, 'request').mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { status: 200, data: 'ok' };
+    });
+
+    await Promise.all([1, 2, 3].map(() => client.get('http://upstream.test/data')));
+
+    expect(maxInFlight).toBe(1);
+    expect(client.active).toBe(0);
+  });
+
+  test('should free the concurrency slot while waiting to retry', async () => {
+    client.maxConcurrent = 1;
+    let releaseRetry;
+    client.delay.mockImplementationOnce(() => new Promise(resolve => { releaseRetry = resolve; }));
+    jest.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockResolvedValue({ status: 200, data: 'ok' });
+
+    const retried = client.get('http://upstream.test/slow');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(client.active).toBe(0);
+    await expect(client.get('http://upstream.test/other')).resolves.toMatchObject({ data: 'ok' });
+
+    releaseRetry();
+    await expect(retried).resolves.toMatchObject({ data: 'ok' });
+    expect(axios.request).toHaveBeenCalledTimes(3);
+    expect(client.active).toBe(0);
+  });
+
+  test('should report breaker state for shared clients', () => {
+    UpstreamHttpClient.for('shared-upstream');
+
+    expect(UpstreamHttpClient.for('shared-upstream')).toBe(UpstreamHttpClient.for('shared-upstream'));
+    expect(UpstreamHttpClient.getBreakerStates()['shared-upstream']).toEqual({
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      retryAfter: 0
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const ValidationService = require('../src/services/validationService');
+
+describe('ValidationService', () => {
+  describe('validateWeatherRequest date ranges', () => {
+    const location = { latitude: 41, longitude: 29, parameters: 'T2M' };
+
+    test('should accept a startDate/endDate range', () => {
+      const result = ValidationService.validateWeatherRequest({
+        ...location,
+        startDate: '2023-1-1',
+        endDate: '2023-01-31'
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.data.startDate).toBe('2023-01-01');
+      expect(result.data.endDate).toBe('2023-01-31');
+    });
+
+    test('should reject date combined with a range', () => {
+      const result = ValidationService.validateWeatherRequest({
+        ...location,
+        date: '2023-01-01',
+        startDate: '2023-01-01',
+        endDate: '2023-01-02'
+      });
+
+      expect(result.isValid).toBe(false);
+    });
+
+    test('should require both ends of the range', () => {
+      const result = ValidationService.validateWeatherRequest({
+        ...location,
+        startDate: '2023-01-01'
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0].message).toBe('startDate and endDate must be provided together');
+    });
+
+    test('should reject a reversed range', () => {
+      const result = ValidationService.validateWeatherRequest({
+        ...location,
+        startDate: '2023-01-10',
+        endDate: '2023-01-01'
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0].message).toBe('endDate must be on or after startDate');
+    });
+
+    test('should reject ranges longer than the configured maximum', () => {
+      const result = ValidationService.validateWeatherRequest({
+        ...location,
+        startDate: '2023-01-01',
+        endDate: '2023-03-01'
+      });
+
+      expect(result.isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const WeatherDataService = require('../src/services/weatherDataService');
+const historicalData = require('./fixtures/power-historical-t2m.json');
+
+// Fixture T2M per year (2019-2023): hours 00-11 => 10, 11, 12, 13, 19
+//                                   hours 12-23 => 20, 21, 22, 23, 29
+describe('WeatherDataService', () => {
+  const weatherDataService = new WeatherDataService();
+
+  describe('calculatePercentiles', () => {
+    test('should interpolate between ranks', () => {
+      expect(weatherDataService.calculatePercentiles([19, 10, 12, 11, 13])).toEqual({
+        p10: 10.4,
+        p25: 11,
+        p50: 12,
+        p75: 13,
+        p90: 16.6
+      });
+    });
+
+    test('should return the single value for one sample', () => {
+      expect(weatherDataService.calculatePercentiles([7]).p90).toBe(7);
+    });
+  });
+
+  describe('probabilistic prediction output', () => {
+    const { prediction, metadata } = weatherDataService.calculatePrediction(
+      historicalData,
+      '2025-06-15',
+      ['T2M'],
+      {
+        method: 'arithmetic_mean',
+        thresholds: [
+          { parameter: 'T2M', operator: '>', value: 25 },
+          { parameter: 'T2M', operator: '>=', value: 23 },
+          { parameter: 'T2M', operator: '<', value: 11 }
+        ]
+      }
+    );
+    const processed = weatherDataService.processWeatherData(prediction, '2025-06-15', 'prediction', metadata);
+
+    test('should expose hourly percentiles from the historical samples', () => {
+      expect(processed.hourlyPercentiles.T2M['2025061500']).toEqual({
+        p10: 10.4,
+        p25: 11,
+        p50: 12,
+        p75: 13,
+        p90: 16.6
+      });
+    });
+
+    test('should expose daily percentiles of the yearly daily means', () => {
+      // Daily means: 15, 16, 17, 18, 24
+      expect(processed.dailyAggregates.T2M.percentiles).toEqual({
+        p10: 15.4,
+        p25: 16,
+        p50: 17,
+        p75: 18,
+        p90: 21.6
+      });
+    });
+
+    test('should compute exceedance probabilities per threshold', () => {
+      expect(processed.exceedanceProbabilities).toEqual([
+        expect.objectContaining({ threshold: 'T2M>25', probability: 0.2, daysExceeded: 1, daysSampled: 5 }),
+        expect.objectContaining({ threshold: 'T2M>=23', probability: 0.4, daysExceeded: 2 }),
+        expect.objectContaining({ threshold: 'T2M<11', probability: 0.2, daysExceeded: 1 })
+      ]);
+    });
+
+    test('should omit exceedance probabilities when no thresholds are requested', () => {
+      const withoutThresholds = weatherDataService.calculatePrediction(historicalData, '2025-06-15', ['T2M']);
+      expect(withoutThresholds.metadata.exceedanceProbabilities).toBeUndefined();
+    });
+  });
+});
+
+describe('WeatherDataService day-of-year windows', () => {
+  const weatherDataService = new WeatherDataService();
+
+  // One year of T2M data for three consecutive days, constant per day
+  const buildYear = (year, days) => {
+    const parameter = { T2M: {} };
+    for (const [date, value] of Object.entries(days)) {
+      for (let hour = 0; hour < 24; hour++) {
+        parameter.T2M[`${date.replace(/-/g, '')}${String(hour).padStart(2, '0')}`] = value;
+      }
+    }
+    return { year, data: { geometry: { coordinates: [29, 41, 0] }, properties: { parameter }, parameters: {} } };
+  };
+
+  test('should map Feb 29 onto Feb 28 in non-leap years', () => {
+    expect(WeatherDataService.getHistoricalAnchorDate(2023, '02-29')).toBe('2023-02-28');
+    expect(WeatherDataService.getHistoricalAnchorDate(2024, '02-29')).toBe('2024-02-29');
+    expect(WeatherDataService.getHistoricalAnchorDate(2023, '03-01')).toBe('2023-03-01');
+  });
+
+  test('should slice a ±N day window around the anchor date in each year', () => {
+    const historicalDataArray = [
+      buildYear(2023, { '2023-02-27': 1, '2023-02-28': 2, '2023-03-01': 3, '2023-03-02': 4 }),
+      buildYear(2024, { '2024-02-28': 5, '2024-02-29': 6, '2024-03-01': 7, '2024-03-02': 8 })
+    ];
+
+    const sliced = weatherDataService.sliceHistoricalDataForDate(historicalDataArray, '2028-02-29', '2028-02-29', 1);
+
+    expect(Object.keys(sliced[0].data.properties.parameter.T2M).map(k => k.slice(0, 8)))
+      .toEqual(expect.arrayContaining(['20230227', '20230228', '20230301']));
+    expect(Object.values(sliced[0].data.properties.parameter.T2M)).not.toContain(4);
+    expect(new Set(Object.values(sliced[1].data.properties.parameter.T2M))).toEqual(new Set([5, 6, 7]));
+  });
+
+  test('should pool every day in the window and report the effective sample size', () => {
+    const historicalDataArray = [
+      buildYear(2022, { '2022-06-14': 10, '2022-06-15': 12, '2022-06-16': 14 }),
+      buildYear(2023, { '2023-06-14': 20, '2023-06-15': 22, '2023-06-16': 24 })
+    ];
+
+    const { prediction, metadata } = weatherDataService.calculatePrediction(
+      historicalDataArray,
+      '2025-06-15',
+      ['T2M'],
+      { method: 'median', windowDays: 1 }
+    );
+
+    expect(prediction.properties.parameter.T2M['2025061500']).toBe(17);
+    expect(metadata.windowDays).toBe(1);
+    expect(metadata.effectiveSampleSize).toBe(6);
+    expect(metadata.yearsUsed).toBe(2);
+    expect(metadata.totalDataPoints).toBe(6 * 24);
+    expect(metadata.dateRange).toBe('2022-06-14 to 2023-06-16');
+  });
+});